@@ -29,7 +29,8 @@ CREATE TABLE IF NOT EXISTS notes (
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_notes_created_at ON notes(created_at);
 
--- Future: Full-text search support
+-- Full-text search support now lives in migrations/0003_notes_fts.sql,
+-- together with the triggers that keep notes_fts in sync with notes
 -- CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5(
 --     text, 
 --     metadata,
@@ -0,0 +1,16 @@
+-- Migration: chunked passages for long notes
+
+-- Each note is split into overlapping passages; every passage has its own
+-- vector in Vectorize under the id "noteId:chunkIndex"
+CREATE TABLE IF NOT EXISTS note_chunks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+    chunk_index INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    start_offset INTEGER NOT NULL,
+    end_offset INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (note_id, chunk_index)
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_chunks_note_id ON note_chunks(note_id);
@@ -0,0 +1,25 @@
+-- Migration: full-text search over notes
+
+-- External-content FTS5 index; rows are kept in sync with notes by triggers
+CREATE VIRTUAL TABLE IF NOT EXISTS notes_fts USING fts5(
+    text,
+    metadata,
+    content=notes,
+    content_rowid=id
+);
+
+CREATE TRIGGER IF NOT EXISTS notes_fts_insert AFTER INSERT ON notes BEGIN
+    INSERT INTO notes_fts(rowid, text, metadata) VALUES (new.id, new.text, new.metadata);
+END;
+
+CREATE TRIGGER IF NOT EXISTS notes_fts_delete AFTER DELETE ON notes BEGIN
+    INSERT INTO notes_fts(notes_fts, rowid, text, metadata) VALUES ('delete', old.id, old.text, old.metadata);
+END;
+
+CREATE TRIGGER IF NOT EXISTS notes_fts_update AFTER UPDATE ON notes BEGIN
+    INSERT INTO notes_fts(notes_fts, rowid, text, metadata) VALUES ('delete', old.id, old.text, old.metadata);
+    INSERT INTO notes_fts(rowid, text, metadata) VALUES (new.id, new.text, new.metadata);
+END;
+
+-- Index notes that existed before this migration
+INSERT INTO notes_fts(notes_fts) VALUES ('rebuild');
@@ -0,0 +1,9 @@
+-- Migration: track when notes are edited
+
+-- SQLite can't add a column with a CURRENT_TIMESTAMP default, so the
+-- application sets updated_at on insert and update
+ALTER TABLE notes ADD COLUMN updated_at TIMESTAMP;
+
+UPDATE notes SET updated_at = created_at WHERE updated_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notes_updated_at ON notes(updated_at);
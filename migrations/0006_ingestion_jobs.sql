@@ -0,0 +1,13 @@
+-- Migration: progress of RAGWorkflow ingestion runs
+
+-- One row per workflow instance, updated as each step starts or fails
+CREATE TABLE IF NOT EXISTS ingestion_jobs (
+    workflow_id TEXT PRIMARY KEY,
+    note_id INTEGER,
+    step TEXT,
+    error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_note_id ON ingestion_jobs(note_id);
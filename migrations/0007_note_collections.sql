@@ -0,0 +1,8 @@
+-- Migration: per-team note collections
+
+-- Existing notes join the default collection. Their vectors were written
+-- without a Vectorize namespace, so re-index them (PUT /notes/:id) to make
+-- them searchable in the "default" namespace.
+ALTER TABLE notes ADD COLUMN collection TEXT NOT NULL DEFAULT 'default';
+
+CREATE INDEX IF NOT EXISTS idx_notes_collection ON notes(collection, created_at);
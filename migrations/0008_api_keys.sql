@@ -0,0 +1,24 @@
+-- Migration: API keys and per-key rate limit counters
+
+-- Only the SHA-256 hash of each key is stored; key_prefix identifies it in listings
+CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT NOT NULL,
+    scopes TEXT NOT NULL,
+    rate_limit INTEGER,
+    model_rate_limit INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+-- Request counts per key, budget and one-minute window
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key_id INTEGER NOT NULL,
+    bucket TEXT NOT NULL,
+    window_start INTEGER NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, bucket, window_start)
+);
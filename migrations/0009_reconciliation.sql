@@ -0,0 +1,28 @@
+-- Migration: D1/Vectorize reconciliation
+
+-- Vectors whose notes or chunks were removed from D1, queued in the same
+-- batch as the removal and cleared once Vectorize confirms the delete
+CREATE TABLE IF NOT EXISTS vector_deletions (
+    vector_id TEXT PRIMARY KEY,
+    note_id INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per reconciliation run; details holds the note and vector ids acted on
+CREATE TABLE IF NOT EXISTS reconciliation_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    triggered_by TEXT NOT NULL,
+    dry_run INTEGER NOT NULL DEFAULT 0,
+    status TEXT NOT NULL,
+    cursor INTEGER NOT NULL DEFAULT 0,
+    next_cursor INTEGER NOT NULL DEFAULT 0,
+    notes_checked INTEGER NOT NULL DEFAULT 0,
+    missing_vectors INTEGER NOT NULL DEFAULT 0,
+    reindexed INTEGER NOT NULL DEFAULT 0,
+    orphaned_vectors INTEGER NOT NULL DEFAULT 0,
+    deleted_vectors INTEGER NOT NULL DEFAULT 0,
+    details TEXT,
+    error TEXT,
+    started_at TIMESTAMP NOT NULL,
+    finished_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,11 @@
+-- Migration: duplicate detection
+
+-- SHA-256 of the normalized note text. Existing notes get theirs when
+-- POST /admin/duplicates/scan backfills them; the index is not unique so
+-- duplicates stored before this migration can still be found and cleaned up.
+ALTER TABLE notes ADD COLUMN content_hash TEXT;
+
+-- Near-duplicate a note was flagged against when it was stored
+ALTER TABLE notes ADD COLUMN duplicate_of INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_notes_content_hash ON notes(collection, content_hash);
@@ -0,0 +1,31 @@
+-- Migration: query embedding and semantic answer caches
+
+-- Embeddings of query texts, keyed by embedding model and normalized text hash
+CREATE TABLE IF NOT EXISTS query_embedding_cache (
+    model TEXT NOT NULL,
+    text_hash TEXT NOT NULL,
+    embedding TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at INTEGER NOT NULL,
+    PRIMARY KEY (model, text_hash)
+);
+
+-- Generated answers. A new question reuses one when its embedding is close
+-- enough, it was asked with the same options, and the notes it was answered
+-- from are unchanged; note_versions records their updated_at values
+CREATE TABLE IF NOT EXISTS answer_cache (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection TEXT NOT NULL,
+    options_hash TEXT NOT NULL,
+    question TEXT NOT NULL,
+    embedding TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    response TEXT NOT NULL,
+    note_versions TEXT NOT NULL,
+    hits INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_answer_cache_lookup ON answer_cache(collection, options_hash, expires_at);
+CREATE INDEX IF NOT EXISTS idx_query_embedding_cache_expires_at ON query_embedding_cache(expires_at);
@@ -0,0 +1,44 @@
+-- Migration: retrieval evaluation datasets and runs
+
+-- Gold datasets: questions with the note ids retrieval should return for them
+CREATE TABLE IF NOT EXISTS eval_datasets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (collection, name)
+);
+
+-- expected_note_ids is a JSON array of note ids; reference_answer is optional
+CREATE TABLE IF NOT EXISTS eval_cases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    dataset_id INTEGER NOT NULL,
+    question TEXT NOT NULL,
+    expected_note_ids TEXT NOT NULL,
+    reference_answer TEXT
+);
+
+-- One row per run; config holds the retrieval settings and metrics the means over all cases
+CREATE TABLE IF NOT EXISTS eval_runs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    dataset_id INTEGER NOT NULL,
+    collection TEXT NOT NULL,
+    k INTEGER NOT NULL,
+    config TEXT NOT NULL,
+    metrics TEXT NOT NULL,
+    case_count INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Per-case results of a run, for comparing runs question by question
+CREATE TABLE IF NOT EXISTS eval_results (
+    run_id INTEGER NOT NULL,
+    case_id INTEGER NOT NULL,
+    retrieved_note_ids TEXT NOT NULL,
+    metrics TEXT NOT NULL,
+    PRIMARY KEY (run_id, case_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_eval_cases_dataset ON eval_cases(dataset_id);
+CREATE INDEX IF NOT EXISTS idx_eval_runs_dataset ON eval_runs(dataset_id);
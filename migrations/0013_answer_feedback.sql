@@ -0,0 +1,37 @@
+-- Migration: answer feedback
+
+-- Answers given by GET /, keyed by the queryId returned with them, so feedback
+-- can be checked against the notes the answer was built from
+CREATE TABLE IF NOT EXISTS answers (
+    query_id TEXT PRIMARY KEY,
+    collection TEXT NOT NULL,
+    question TEXT NOT NULL,
+    answer TEXT NOT NULL,
+    model TEXT NOT NULL,
+    source_note_ids TEXT NOT NULL,
+    cited_note_ids TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One rating per answer; sending feedback again replaces it
+CREATE TABLE IF NOT EXISTS feedback (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    query_id TEXT NOT NULL UNIQUE,
+    collection TEXT NOT NULL,
+    rating TEXT NOT NULL,
+    comment TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Notes of an answer marked helpful or wrong, summed per note for ranking
+CREATE TABLE IF NOT EXISTS feedback_notes (
+    query_id TEXT NOT NULL,
+    collection TEXT NOT NULL,
+    note_id INTEGER NOT NULL,
+    verdict TEXT NOT NULL,
+    PRIMARY KEY (query_id, note_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_feedback_collection ON feedback(collection, updated_at);
+CREATE INDEX IF NOT EXISTS idx_feedback_notes_note ON feedback_notes(collection, note_id);
@@ -0,0 +1,24 @@
+-- Migration: query log
+
+-- One row per answered or searched query, with the time spent per stage.
+-- created_at is in milliseconds; rows older than QUERY_LOG_RETENTION_DAYS are
+-- deleted as new ones are written
+CREATE TABLE IF NOT EXISTS query_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    query_id TEXT,
+    collection TEXT NOT NULL,
+    route TEXT NOT NULL,
+    query TEXT NOT NULL,
+    retrieval TEXT NOT NULL,
+    model TEXT,
+    retrieved_ids TEXT NOT NULL,
+    cache_hit INTEGER NOT NULL DEFAULT 0,
+    latency_ms INTEGER NOT NULL,
+    stages TEXT NOT NULL,
+    prompt_tokens INTEGER,
+    completion_tokens INTEGER,
+    created_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_query_log_collection ON query_log(collection, created_at);
+CREATE INDEX IF NOT EXISTS idx_query_log_created ON query_log(created_at);
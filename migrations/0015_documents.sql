@@ -0,0 +1,30 @@
+-- Migration: uploaded documents
+
+-- A Markdown, HTML or text document uploaded with POST /documents. Each of its
+-- sections is ingested as a note through RAGWorkflow
+CREATE TABLE IF NOT EXISTS documents (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    collection TEXT NOT NULL,
+    title TEXT NOT NULL,
+    filename TEXT,
+    format TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    metadata TEXT NOT NULL,
+    section_count INTEGER NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- The workflow run of each section, for ingestion status
+CREATE TABLE IF NOT EXISTS document_sections (
+    document_id INTEGER NOT NULL,
+    section_index INTEGER NOT NULL,
+    section TEXT,
+    workflow_id TEXT NOT NULL,
+    PRIMARY KEY (document_id, section_index)
+);
+
+-- Document a note was extracted from, so the whole document can be deleted at once
+ALTER TABLE notes ADD COLUMN document_id INTEGER;
+
+CREATE INDEX IF NOT EXISTS idx_notes_document ON notes(document_id);
+CREATE INDEX IF NOT EXISTS idx_documents_collection ON documents(collection, content_hash);
@@ -0,0 +1,6 @@
+-- Migration: chat sessions scoped to a collection
+
+-- Existing sessions join the default collection, like notes did in 0007
+ALTER TABLE chat_messages ADD COLUMN collection TEXT NOT NULL DEFAULT 'default';
+
+CREATE INDEX IF NOT EXISTS idx_chat_messages_collection ON chat_messages(collection, session_id, id);
@@ -0,0 +1,4 @@
+-- Migration: ingestion jobs scoped to a collection
+
+-- Existing jobs join the default collection, like chat sessions did in 0016
+ALTER TABLE ingestion_jobs ADD COLUMN collection TEXT NOT NULL DEFAULT 'default';
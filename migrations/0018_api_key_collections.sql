@@ -0,0 +1,4 @@
+-- Migration: API keys limited to collections
+
+-- JSON array of the collections a key may use; NULL lets it use every collection
+ALTER TABLE api_keys ADD COLUMN collections TEXT;
@@ -0,0 +1,76 @@
+import { BaseAgent } from './base-agent';
+import { vectorAgent } from './vector-agent';
+import { keywordAgent } from './keyword-agent';
+
+/**
+ * Fuse ranked result lists with reciprocal rank fusion
+ * @param {object} rankings - Map of source name to results ordered best first
+ * @param {number} k - RRF constant; larger values flatten the rank curve
+ * @returns {Array} - Fused results ordered by RRF score
+ */
+export function reciprocalRankFusion(rankings, k = 60) {
+	const fused = new Map();
+
+	for (const [source, results] of Object.entries(rankings)) {
+		results.forEach((result, index) => {
+			const rank = index + 1;
+			if (!fused.has(result.id)) {
+				fused.set(result.id, { ...result, score: 0, chunks: [], metadata: {}, sources: {} });
+			}
+
+			const entry = fused.get(result.id);
+			entry.score += 1 / (k + rank);
+			entry.sources[source] = { rank, score: result.score };
+			entry.chunks = entry.chunks.length > 0 ? entry.chunks : result.chunks || [];
+			entry.metadata = { ...result.metadata, ...entry.metadata };
+		});
+	}
+
+	return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Hybrid Search Agent - Combines keyword and vector retrieval with reciprocal rank fusion
+ */
+export class HybridAgent extends BaseAgent {
+	constructor(agents = { vector: vectorAgent, keyword: keywordAgent }) {
+		super('HybridAgent');
+		this.agents = agents;
+		this.rrfK = 60;
+	}
+
+	/**
+	 * Search with every agent in parallel and fuse the rankings
+	 * @param {string} query - Search query
+	 * @param {object} env - Cloudflare environment bindings
+	 * @param {object} options - Search options, passed through to each agent
+	 * @returns {Promise<Array>} - Fused results with per-source rank and score
+	 */
+	async search(query, env, options = {}) {
+		const { rrfK = this.rrfK } = options;
+		const sources = Object.keys(this.agents);
+
+		this.log('Starting hybrid search', { query, sources });
+
+		const results = await Promise.all(
+			sources.map(source => this.agents[source].search(query, env, options))
+		);
+		const rankings = Object.fromEntries(sources.map((source, idx) => [source, results[idx]]));
+
+		const fused = reciprocalRankFusion(rankings, rrfK).map(result => ({
+			...result,
+			source: 'hybrid',
+			agent: this.name
+		}));
+
+		this.log('Hybrid search completed', {
+			matches: fused.length,
+			...Object.fromEntries(sources.map(source => [source, rankings[source].length]))
+		});
+
+		return this.normalizeScores(fused);
+	}
+}
+
+// Export singleton instance
+export const hybridAgent = new HybridAgent();
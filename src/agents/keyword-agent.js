@@ -0,0 +1,86 @@
+import { BaseAgent } from './base-agent';
+import { getBackends } from '../backends';
+
+/**
+ * Keyword Search Agent - Performs BM25 full-text search using the note store's FTS5 index
+ */
+export class KeywordAgent extends BaseAgent {
+	constructor() {
+		super('KeywordAgent');
+		this.defaultTopK = 10;
+	}
+
+	/**
+	 * Search for documents using BM25 keyword ranking
+	 * @param {string} query - Search query
+	 * @param {object} env - Cloudflare environment bindings
+	 * @param {object} options - Search options; trace records the full-text search time
+	 * @returns {Promise<Array>} - Search results with BM25 scores (higher is better)
+	 */
+	async search(query, env, options = {}) {
+		const { topK = this.defaultTopK, filters, collection, trace } = options;
+		const matchExpression = this.buildMatchExpression(query);
+
+		if (!matchExpression) {
+			return [];
+		}
+
+		try {
+			this.log('Starting keyword search', { query, topK, collection });
+
+			const searchStart = Date.now();
+			const results = await getBackends(env).notes.searchText(matchExpression, { topK, collection, filters });
+			const searchTime = Date.now() - searchStart;
+			trace?.add('d1', searchTime);
+
+			this.log('Keyword search completed', {
+				matches: results.length,
+				time: searchTime
+			});
+
+			// FTS5 bm25() is lower-is-better, so negate it into a score
+			const matches = results.map(row => ({
+				id: String(row.id),
+				score: -row.rank,
+				chunks: [],
+				metadata: this.parseMetadata(row.metadata),
+				source: 'keyword',
+				agent: this.name
+			}));
+
+			return this.normalizeScores(matches);
+		} catch (error) {
+			this.log('Keyword search error', { error: error.message });
+			throw new Error(`Keyword search failed: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Turn free text into an FTS5 MATCH expression
+	 *
+	 * Every term is quoted so user input can't inject FTS5 syntax, and terms are
+	 * OR-ed so BM25 ranks notes by how many of them they contain.
+	 * @param {string} query - Raw query text
+	 * @returns {string} - MATCH expression, empty when the query has no terms
+	 */
+	buildMatchExpression(query) {
+		const terms = (query || '').match(/[\p{L}\p{N}_]+(?:[-.][\p{L}\p{N}_]+)*/gu) || [];
+		return [...new Set(terms)].map(term => `"${term}"`).join(' OR ');
+	}
+
+	/**
+	 * Parse the JSON metadata column
+	 * @param {string} metadata - Stored metadata
+	 * @returns {object} - Parsed metadata, empty on invalid JSON
+	 */
+	parseMetadata(metadata) {
+		try {
+			return JSON.parse(metadata || '{}');
+		} catch {
+			return {};
+		}
+	}
+}
+
+// Export singleton instance
+export const keywordAgent = new KeywordAgent();
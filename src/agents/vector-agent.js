@@ -1,4 +1,8 @@
 import { BaseAgent } from './base-agent';
+import { groupMatchesByNote } from '../chunking';
+import { buildVectorizeFilter } from '../metadata';
+import { getBackends } from '../backends';
+import { getQueryEmbedding } from '../cache';
 
 /**
  * Vector Search Agent - Performs semantic similarity search using embeddings
@@ -6,27 +10,29 @@ import { BaseAgent } from './base-agent';
 export class VectorAgent extends BaseAgent {
 	constructor() {
 		super('VectorAgent');
-		this.embeddingModel = '@cf/baai/bge-base-en-v1.5';
 		this.defaultTopK = 10;
+		this.defaultThreshold = 0.5;
 	}
 
 	/**
 	 * Search for documents using vector similarity
 	 * @param {string} query - Search query
 	 * @param {object} env - Cloudflare environment bindings
-	 * @param {object} options - Search options
-	 * @returns {Promise<Array>} - Search results with similarity scores
+	 * @param {object} options - Search options; embedding is a precomputed query embedding, bypassCache skips the embedding cache read and trace records the embedding and Vectorize times
+	 * @returns {Promise<Array>} - Note-level results with their best chunk score and matched chunks
 	 */
 	async search(query, env, options = {}) {
-		const { topK = this.defaultTopK, threshold = 0.7 } = options;
+		const { topK = this.defaultTopK, threshold = this.defaultThreshold, filters, collection, embedding, bypassCache, trace } = options;
+		const filter = buildVectorizeFilter(filters);
 		
 		try {
-			this.log('Starting vector search', { query, topK, threshold });
+			this.log('Starting vector search', { query, topK, threshold, filter, collection });
 
-			// Generate query embedding
+			// Generate query embedding, unless the caller already has it
 			const startTime = Date.now();
-			const queryEmbedding = await this.generateEmbedding(query, env);
+			const queryEmbedding = embedding || await this.generateEmbedding(query, env, { bypassCache });
 			const embeddingTime = Date.now() - startTime;
+			if (!embedding) trace?.add('embedding', embeddingTime);
 			
 			this.log('Generated query embedding', { 
 				dimensions: queryEmbedding.length,
@@ -35,24 +41,27 @@ export class VectorAgent extends BaseAgent {
 
 			// Search in Vectorize
 			const searchStart = Date.now();
-			const searchResults = await env.VECTORIZE.query(queryEmbedding, {
+			const searchResults = await getBackends(env).vectors.query(queryEmbedding, {
 				topK,
-				returnMetadata: true
+				returnMetadata: true,
+				...(collection ? { namespace: collection } : {}),
+				...(filter ? { filter } : {})
 			});
 			const searchTime = Date.now() - searchStart;
+			trace?.add('vectorize', searchTime);
 
 			this.log('Vector search completed', {
 				matches: searchResults.matches.length,
 				time: searchTime
 			});
 
-			// Filter by threshold and format results
-			const results = searchResults.matches
-				.filter(match => match.score >= threshold)
-				.map(match => ({
-					id: match.id,
-					score: match.score,
-					metadata: match.metadata || {},
+			// Filter by threshold and group chunk matches by their parent note
+			const results = groupMatchesByNote(searchResults.matches, threshold)
+				.map(group => ({
+					id: group.noteId,
+					score: group.score,
+					chunks: group.chunks,
+					metadata: group.chunks[0].metadata,
 					source: 'vector',
 					agent: this.name
 				}));
@@ -68,17 +77,14 @@ export class VectorAgent extends BaseAgent {
 	 * Generate embedding for text
 	 * @param {string} text - Text to embed
 	 * @param {object} env - Environment bindings
+	 * @param {object} [options] - Options
+	 * @param {boolean} [options.bypassCache] - Skip the query embedding cache read
 	 * @returns {Promise<Array<number>>} - Embedding vector
 	 */
-	async generateEmbedding(text, env) {
+	async generateEmbedding(text, env, options = {}) {
 		try {
-			const response = await env.AI.run(this.embeddingModel, { text });
-			
-			if (!response || !response.data || !response.data[0]) {
-				throw new Error('Invalid embedding response');
-			}
-			
-			return response.data[0];
+			const { embedding } = await getQueryEmbedding(env, getBackends(env).embedder, text, { bypass: options.bypassCache });
+			return embedding;
 		} catch (error) {
 			throw new Error(`Embedding generation failed: ${error.message}`);
 		}
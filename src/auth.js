@@ -0,0 +1,303 @@
+/**
+ * API key authentication
+ *
+ * Keys are random tokens shown once at creation; D1 stores only their SHA-256
+ * hash. Each key has scopes:
+ *   read  - query, chat, search and read notes
+ *   write - create and update notes
+ *   admin - delete notes and manage keys; implies every other scope
+ *
+ * A key may be limited to a list of collections; it is then refused for every
+ * other collection. Admin keys always span every collection, since the admin
+ * routes do.
+ *
+ * The ADMIN_API_KEY secret is a bootstrap key with every scope and no rate
+ * limit, used to create the first keys:
+ *   npx wrangler secret put ADMIN_API_KEY
+ */
+
+import { isValidCollection } from "./collections";
+import { resolveModel } from "./models";
+import { consumeRateLimit, resolveRateLimits } from "./rate-limit";
+
+export const SCOPES = ["read", "write", "admin"];
+
+const KEY_PREFIX = "rag_";
+const KEY_BYTES = 32;
+/**
+ * Env key marking a request dispatched inside an already charged request, such
+ * as an MCP tool call; it carries the outer request's authenticated key.
+ * A Symbol, so no header or binding from outside can set it.
+ */
+export const PREPAID_REQUEST = Symbol("prepaidRequest");
+
+const BOOTSTRAP_KEY = { id: null, name: "bootstrap", scopes: SCOPES, collections: null, rateLimit: null, modelRateLimit: null };
+
+/**
+ * Hash an API key for storage and lookup
+ * @param {string} key - Plain API key
+ * @returns {Promise<string>} - Hex SHA-256 digest
+ */
+export async function hashApiKey(key) {
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(key));
+	return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Generate a new plain API key
+ * @returns {string} - Key of the form rag_<64 hex characters>
+ */
+export function generateApiKey() {
+	const bytes = crypto.getRandomValues(new Uint8Array(KEY_BYTES));
+	return KEY_PREFIX + [...bytes].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Read the API key sent with a request
+ * @param {object} c - Hono context
+ * @returns {string|null} - Key from Authorization: Bearer or X-API-Key, or null
+ */
+export function readApiKey(c) {
+	const authorization = c.req.header("authorization") || "";
+	const match = authorization.match(/^Bearer\s+(\S+)$/i);
+	return match?.[1] ?? c.req.header("x-api-key") ?? null;
+}
+
+/**
+ * Check whether a key grants a scope
+ * @param {object} apiKey - Authenticated key
+ * @param {string} scope - Required scope
+ * @returns {boolean} - True when the key has the scope or admin
+ */
+export const hasScope = (apiKey, scope) => apiKey.scopes.includes(scope) || apiKey.scopes.includes("admin");
+
+/**
+ * Check whether a key may use a collection
+ * @param {object} apiKey - Authenticated key
+ * @param {string} collection - Collection of the request
+ * @returns {boolean} - True when the key is not limited to collections or lists this one
+ */
+export const canUseCollection = (apiKey, collection) => apiKey.collections === null || apiKey.collections.includes(collection);
+
+/**
+ * Validate key creation options from a request body
+ * @param {object} body - Request body
+ * @returns {{value?: object, error?: string}} - Normalized options or the first problem found
+ */
+export function validateKeyOptions(body) {
+	const { name, scopes, collections = null, rateLimit, modelRateLimit } = body || {};
+
+	if (!name || typeof name !== "string" || name.trim().length === 0 || name.trim().length > 100) {
+		return { error: "Key name must be 1-100 characters" };
+	}
+
+	if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+		return { error: `Scopes must be a non-empty array of: ${SCOPES.join(", ")}` };
+	}
+
+	if (collections !== null) {
+		if (!Array.isArray(collections) || collections.length === 0 || !collections.every(isValidCollection)) {
+			return { error: "Collections must be a non-empty array of collection names" };
+		}
+		if (scopes.includes("admin")) {
+			return { error: "Admin keys can't be limited to collections" };
+		}
+	}
+
+	for (const [field, value] of [["rateLimit", rateLimit], ["modelRateLimit", modelRateLimit]]) {
+		if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1)) {
+			return { error: `${field} must be a positive integer` };
+		}
+	}
+
+	return {
+		value: {
+			name: name.trim(),
+			scopes: [...new Set(scopes)],
+			collections: collections && [...new Set(collections)],
+			rateLimit: rateLimit ?? null,
+			modelRateLimit: modelRateLimit ?? null
+		}
+	};
+}
+
+/**
+ * Create an API key
+ * @param {object} db - D1 binding
+ * @param {object} options - Options from validateKeyOptions
+ * @returns {Promise<object>} - Stored key, with the plain key that is never shown again
+ */
+export async function createApiKey(db, { name, scopes, collections = null, rateLimit, modelRateLimit }) {
+	const key = generateApiKey();
+	const row = await db.prepare(
+		`INSERT INTO api_keys (name, key_hash, key_prefix, scopes, collections, rate_limit, model_rate_limit)
+		VALUES (?, ?, ?, ?, ?, ?, ?)
+		RETURNING *`
+	).bind(
+		name,
+		await hashApiKey(key),
+		key.slice(0, KEY_PREFIX.length + 8),
+		JSON.stringify(scopes),
+		collections && JSON.stringify(collections),
+		rateLimit,
+		modelRateLimit
+	).first();
+
+	return { ...formatApiKey(row), key };
+}
+
+/**
+ * List API keys, newest first
+ * @param {object} db - D1 binding
+ * @returns {Promise<Array>} - Keys without their hashes
+ */
+export async function listApiKeys(db) {
+	const { results } = await db.prepare("SELECT * FROM api_keys ORDER BY id DESC").all();
+	return results.map(formatApiKey);
+}
+
+/**
+ * Revoke an API key
+ * @param {object} db - D1 binding
+ * @param {number|string} id - Key id
+ * @returns {Promise<boolean>} - False when no active key has the id
+ */
+export async function revokeApiKey(db, id) {
+	const { meta } = await db.prepare(
+		"UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL"
+	).bind(id).run();
+	return meta.changes > 0;
+}
+
+/**
+ * Find the active key matching a plain key
+ * @param {object} env - Environment bindings
+ * @param {string} key - Plain API key
+ * @returns {Promise<object|null>} - Key, or null when unknown or revoked
+ */
+export async function findApiKey(env, key) {
+	const hash = await hashApiKey(key);
+
+	if (env.ADMIN_API_KEY && hash === await hashApiKey(env.ADMIN_API_KEY)) {
+		return BOOTSTRAP_KEY;
+	}
+
+	const row = await env.DB.prepare("SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL")
+		.bind(hash)
+		.first();
+	return row ? formatApiKey(row) : null;
+}
+
+/**
+ * Middleware: authenticate the request's API key and apply its general rate limit
+ *
+ * Requests without a key pass through unauthenticated; requireScope rejects
+ * them on protected routes. An unknown or revoked key is always rejected.
+ * Prepaid requests reuse the outer request's key and are not charged again.
+ * @param {object} c - Hono context
+ * @param {Function} next - Next handler
+ * @returns {Promise<Response|void>}
+ */
+export async function authenticate(c, next) {
+	const prepaid = c.env[PREPAID_REQUEST];
+	if (prepaid) {
+		c.set("apiKey", prepaid);
+		return next();
+	}
+
+	const key = readApiKey(c);
+	if (!key) return next();
+
+	const apiKey = await findApiKey(c.env, key);
+	if (!apiKey) {
+		return c.json({ error: "Invalid API key" }, 401);
+	}
+	c.set("apiKey", apiKey);
+
+	if (apiKey.id !== null) {
+		const { rateLimit } = resolveRateLimits(c.env, apiKey);
+		const limited = await applyRateLimit(c, apiKey, "default", rateLimit);
+		if (limited) return limited;
+
+		c.executionCtx.waitUntil(
+			c.env.DB.prepare("UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?").bind(apiKey.id).run()
+				.catch(error => console.error("Failed to record key usage:", error))
+		);
+	}
+
+	return next();
+}
+
+/**
+ * Middleware factory: require an authenticated key with a scope
+ * @param {string} scope - One of SCOPES
+ * @returns {Function} - Middleware responding 401 without a key and 403 without the scope
+ */
+export const requireScope = (scope) => async (c, next) => {
+	const apiKey = c.get("apiKey");
+	if (!apiKey) {
+		return c.json({ error: "API key required" }, 401, { "WWW-Authenticate": "Bearer" });
+	}
+
+	if (!hasScope(apiKey, scope)) {
+		return c.json({ error: `API key lacks the '${scope}' scope` }, 403);
+	}
+
+	return next();
+};
+
+/**
+ * Middleware factory: apply the stricter model budget to requests for rate-limited models
+ *
+ * Each rate-limited model has its own bucket, named after its alias. Unknown
+ * aliases pass through for the route to reject.
+ * @param {Function} selectModel - Resolves the alias a request selects
+ * @returns {Function} - Middleware responding 429 when the key's model budget is spent
+ */
+export const limitModel = (selectModel) => async (c, next) => {
+	const apiKey = c.get("apiKey");
+	// The bootstrap key has no budget
+	if (!apiKey || apiKey.id === null) {
+		return next();
+	}
+
+	const { model } = resolveModel(c.env, await selectModel(c));
+	if (!model?.rateLimited) {
+		return next();
+	}
+
+	const { modelRateLimit } = resolveRateLimits(c.env, apiKey);
+	const limited = await applyRateLimit(c, apiKey, model.alias, modelRateLimit);
+	return limited || next();
+};
+
+const applyRateLimit = async (c, apiKey, bucket, limit) => {
+	const { allowed, remaining, retryAfter } = await consumeRateLimit(c.env.DB, apiKey.id, bucket, limit);
+
+	c.header("X-RateLimit-Limit", String(limit));
+	c.header("X-RateLimit-Remaining", String(remaining));
+
+	if (allowed) return null;
+
+	c.header("Retry-After", String(retryAfter));
+	return c.json({
+		error: "Rate limit exceeded",
+		bucket,
+		limit,
+		retryAfter,
+		timestamp: new Date().toISOString()
+	}, 429);
+};
+
+const formatApiKey = (row) => ({
+	id: row.id,
+	name: row.name,
+	prefix: row.key_prefix,
+	scopes: JSON.parse(row.scopes),
+	collections: row.collections ? JSON.parse(row.collections) : null,
+	rateLimit: row.rate_limit,
+	modelRateLimit: row.model_rate_limit,
+	createdAt: row.created_at,
+	lastUsedAt: row.last_used_at,
+	revokedAt: row.revoked_at
+});
@@ -0,0 +1,436 @@
+import { chunkVectorId } from '../chunking';
+import { chunked, D1_BATCH_SIZE, D1_MAX_PARAMS } from '../limits';
+import { buildSqlFilter } from '../metadata';
+
+/**
+ * D1 Note Store - Notes, their chunks and the FTS5 keyword index in D1
+ *
+ * Rows are returned as stored (snake_case columns, metadata as JSON text);
+ * callers shape them for responses.
+ */
+export class D1NoteStore {
+	constructor(db) {
+		this.name = 'd1';
+		this.db = db;
+	}
+
+	/**
+	 * Read a note with its chunk count
+	 * @param {number|string} id - Note id
+	 * @param {string} collection - Collection the note must belong to
+	 * @returns {Promise<object|null>} - Note row with chunk_count, or null
+	 */
+	getNote(id, collection) {
+		return this.db.prepare(
+			`SELECT notes.*, (SELECT COUNT(*) FROM note_chunks WHERE note_id = notes.id) AS chunk_count
+			FROM notes WHERE id = ? AND collection = ?`
+		).bind(id, collection).first();
+	}
+
+	/**
+	 * Read notes and their chunks for retrieval results
+	 * @param {Array<string>} ids - Note ids
+	 * @param {object} options - Scope
+	 * @param {string} options.collection - Collection the notes must belong to
+	 * @param {object} [options.filters] - Metadata filters from parseFilters
+	 * @returns {Promise<{notes: Array, chunks: Array}>} - Matching note rows and every chunk of the requested notes
+	 */
+	async getNotesWithChunks(ids, { collection, filters = {} }) {
+		if (ids.length === 0) return { notes: [], chunks: [] };
+
+		// Expanded and hybrid searches can return more ids than one query may bind next to the filter
+		const filter = buildSqlFilter({ ...filters, collection });
+		const groups = chunked(ids, Math.max(1, D1_MAX_PARAMS - filter.bindings.length));
+		const results = await this.db.batch(groups.flatMap(group => {
+			const placeholders = group.map(() => '?').join(',');
+			return [
+				this.db.prepare(`SELECT * FROM notes WHERE id IN (${placeholders}) AND ${filter.clause}`).bind(...group, ...filter.bindings),
+				this.db.prepare(`SELECT note_id, chunk_index, text FROM note_chunks WHERE note_id IN (${placeholders})`).bind(...group)
+			];
+		}));
+
+		return {
+			notes: results.filter((_, index) => index % 2 === 0).flatMap(result => result.results),
+			chunks: results.filter((_, index) => index % 2 === 1).flatMap(result => result.results)
+		};
+	}
+
+	/**
+	 * Read the last update time of notes
+	 * @param {Array<number>} ids - Note ids
+	 * @param {string} collection - Collection the notes must belong to
+	 * @returns {Promise<Array<{id: number, updated_at: string}>>} - Rows of the notes that still exist
+	 */
+	async getNoteVersions(ids, collection) {
+		const rows = [];
+		for (const group of chunked(ids, D1_MAX_PARAMS)) {
+			const placeholders = group.map(() => '?').join(',');
+			const { results } = await this.db.prepare(
+				`SELECT id, updated_at FROM notes WHERE id IN (${placeholders}) AND collection = ?`
+			).bind(...group, collection).all();
+			rows.push(...results);
+		}
+		return rows;
+	}
+
+	/**
+	 * List a page of notes
+	 * @param {object} options - Listing options
+	 * @param {string} options.collection - Collection to list
+	 * @param {object} [options.filters] - Metadata filters from parseFilters
+	 * @param {string} options.sort - Column to sort by, one of the allowed sort fields
+	 * @param {string} options.order - "asc" or "desc"
+	 * @param {number} options.limit - Page size
+	 * @param {number} options.offset - Rows to skip
+	 * @returns {Promise<{notes: Array, total: number}>} - Page rows and the total matching count
+	 */
+	async listNotes({ collection, filters = {}, sort, order, limit, offset }) {
+		const { clause, bindings } = buildSqlFilter({ ...filters, collection });
+		const where = `WHERE ${clause}`;
+
+		const [{ results: notes }, { results: [{ total }] }] = await this.db.batch([
+			this.db.prepare(
+				`SELECT * FROM notes ${where} ORDER BY ${sort} ${order}, id ${order} LIMIT ? OFFSET ?`
+			).bind(...bindings, limit, offset),
+			this.db.prepare(`SELECT COUNT(*) AS total FROM notes ${where}`).bind(...bindings)
+		]);
+
+		return { notes, total };
+	}
+
+	/**
+	 * List collections that hold at least one note
+	 * @returns {Promise<Array<{name: string, noteCount: number, lastUpdated: string}>>} - Collections by name
+	 */
+	async listCollections() {
+		const { results } = await this.db.prepare(
+			`SELECT collection AS name, COUNT(*) AS noteCount, MAX(COALESCE(updated_at, created_at)) AS lastUpdated
+			FROM notes
+			GROUP BY collection
+			ORDER BY collection`
+		).all();
+		return results;
+	}
+
+	/**
+	 * Rank notes with the FTS5 index
+	 * @param {string} matchExpression - FTS5 MATCH expression
+	 * @param {object} options - Search options
+	 * @param {number} options.topK - Maximum number of rows
+	 * @param {string} [options.collection] - Collection to search
+	 * @param {object} [options.filters] - Metadata filters from parseFilters
+	 * @returns {Promise<Array<{id: number, metadata: string, rank: number}>>} - Rows by bm25 rank, lower is better
+	 */
+	async searchText(matchExpression, { topK, collection, filters }) {
+		const { clause, bindings } = buildSqlFilter({ ...filters, collection }, 'notes');
+		const { results } = await this.db.prepare(
+			`SELECT notes.id, notes.metadata, bm25(notes_fts) AS rank
+			FROM notes_fts JOIN notes ON notes.id = notes_fts.rowid
+			WHERE notes_fts MATCH ? AND ${clause}
+			ORDER BY rank
+			LIMIT ?`
+		).bind(matchExpression, ...bindings, topK).all();
+		return results;
+	}
+
+	/**
+	 * Create a note
+	 * @param {object} note - Note fields
+	 * @param {string} note.text - Note text
+	 * @param {object} note.metadata - Validated metadata
+	 * @param {string} note.collection - Collection
+	 * @param {string} note.contentHash - Hash from contentHash
+	 * @param {number} [note.duplicateOf] - Near-duplicate the note was flagged against
+	 * @param {number} [note.documentId] - Document the note is a section of
+	 * @returns {Promise<object|null>} - Stored row, or null when the document no longer exists
+	 */
+	createNote({ text, metadata, collection, contentHash, duplicateOf = null, documentId = null }) {
+		// The document check is part of the insert, so a section can't outlive a document deleted mid-ingestion
+		return this.db.prepare(
+			`INSERT INTO notes (text, metadata, collection, content_hash, duplicate_of, document_id, updated_at)
+			SELECT ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP
+			WHERE ?6 IS NULL OR EXISTS (SELECT 1 FROM documents WHERE id = ?6 AND collection = ?3)
+			RETURNING *`
+		).bind(text, JSON.stringify(metadata), collection, contentHash, duplicateOf, documentId).first();
+	}
+
+	/**
+	 * Replace a note's text and metadata
+	 * @param {number|string} id - Note id
+	 * @param {object} note - Note fields
+	 * @param {string} note.text - Note text
+	 * @param {object} note.metadata - Validated metadata
+	 * @param {string} note.collection - Collection the note must belong to
+	 * @param {string} note.contentHash - Hash from contentHash
+	 * @returns {Promise<object|null>} - Updated row, or null when the note is not in the collection
+	 */
+	updateNote(id, { text, metadata, collection, contentHash }) {
+		return this.db.prepare(
+			`UPDATE notes SET text = ?, metadata = ?, content_hash = ?, updated_at = CURRENT_TIMESTAMP
+			WHERE id = ? AND collection = ? RETURNING *`
+		).bind(text, JSON.stringify(metadata), contentHash, id, collection).first();
+	}
+
+	/**
+	 * Create many notes in batches
+	 * @param {Array<{text: string, metadata: object, collection: string, contentHash: string}>} notes - Notes to store
+	 * @returns {Promise<Array<{id: number, created_at: string}>>} - Stored ids, in input order
+	 */
+	async createNotes(notes) {
+		const insert = this.db.prepare(
+			`INSERT INTO notes (text, metadata, collection, content_hash, updated_at)
+			VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP) RETURNING id, created_at`
+		);
+		const rows = [];
+		for (const batch of chunked(notes, D1_BATCH_SIZE)) {
+			const inserted = await this.db.batch(
+				batch.map(note => insert.bind(note.text, JSON.stringify(note.metadata), note.collection, note.contentHash))
+			);
+			rows.push(...inserted.map(result => result.results[0]));
+		}
+		return rows;
+	}
+
+	/**
+	 * Find notes of a collection by content hash
+	 * @param {Array<string>} hashes - Hashes from contentHash
+	 * @param {string} collection - Collection to look in
+	 * @returns {Promise<Map<string, number>>} - Existing hash to the oldest note id with it
+	 */
+	async findIdsByHash(hashes, collection) {
+		const existing = new Map();
+		for (const group of chunked([...new Set(hashes)], D1_MAX_PARAMS)) {
+			const placeholders = group.map(() => '?').join(',');
+			const { results } = await this.db.prepare(
+				`SELECT MIN(id) AS id, content_hash FROM notes WHERE collection = ? AND content_hash IN (${placeholders}) GROUP BY content_hash`
+			).bind(collection, ...group).all();
+			results.forEach(row => existing.set(row.content_hash, row.id));
+		}
+		return existing;
+	}
+
+	/**
+	 * Read notes stored before content hashes were recorded
+	 * @param {string} collection - Collection to look in
+	 * @param {number} limit - Maximum number of notes
+	 * @returns {Promise<Array<{id: number, text: string}>>} - Notes without a content hash
+	 */
+	async listNotesWithoutHash(collection, limit) {
+		const { results } = await this.db.prepare(
+			'SELECT id, text FROM notes WHERE collection = ? AND content_hash IS NULL ORDER BY id LIMIT ?'
+		).bind(collection, limit).all();
+		return results;
+	}
+
+	/**
+	 * Record content hashes of existing notes
+	 * @param {Array<{id: number, contentHash: string}>} entries - Note ids and hashes
+	 * @returns {Promise<void>}
+	 */
+	async setContentHashes(entries) {
+		const update = this.db.prepare('UPDATE notes SET content_hash = ? WHERE id = ?');
+		for (const batch of chunked(entries, D1_BATCH_SIZE)) {
+			await this.db.batch(batch.map(({ id, contentHash }) => update.bind(contentHash, id)));
+		}
+	}
+
+	/**
+	 * Group notes of a collection sharing a content hash
+	 * @param {string} collection - Collection to look in
+	 * @returns {Promise<Array<{contentHash: string, noteIds: Array<number>}>>} - Groups of two or more notes
+	 */
+	async findHashClusters(collection) {
+		const { results } = await this.db.prepare(
+			`SELECT content_hash, json_group_array(id) AS note_ids
+			FROM (SELECT id, content_hash FROM notes WHERE collection = ? AND content_hash IS NOT NULL ORDER BY id)
+			GROUP BY content_hash
+			HAVING COUNT(*) > 1
+			ORDER BY MIN(id)`
+		).bind(collection).all();
+		return results.map(row => ({ contentHash: row.content_hash, noteIds: JSON.parse(row.note_ids) }));
+	}
+
+	/**
+	 * Page through note ids of a collection
+	 * @param {string} collection - Collection to look in
+	 * @param {number} afterId - Only notes with a greater id
+	 * @param {number} limit - Maximum number of ids
+	 * @returns {Promise<Array<number>>} - Note ids, ascending
+	 */
+	async listNoteIds(collection, afterId, limit) {
+		const { results } = await this.db.prepare('SELECT id FROM notes WHERE collection = ? AND id > ? ORDER BY id LIMIT ?')
+			.bind(collection, afterId, limit)
+			.all();
+		return results.map(row => row.id);
+	}
+
+	/**
+	 * Chunk indices currently stored for a note
+	 * @param {number|string} noteId - Note id
+	 * @returns {Promise<Array<number>>} - Chunk indices
+	 */
+	async getChunkIndices(noteId) {
+		const { results } = await this.db.prepare('SELECT chunk_index FROM note_chunks WHERE note_id = ?')
+			.bind(noteId)
+			.all();
+		return results.map(row => row.chunk_index);
+	}
+
+	/**
+	 * Replace every chunk of a note
+	 * @param {number|string} noteId - Note id
+	 * @param {Array} chunks - Chunks from chunkText
+	 * @returns {Promise<void>}
+	 */
+	async replaceChunks(noteId, chunks) {
+		await this.db.batch([
+			this.db.prepare('DELETE FROM note_chunks WHERE note_id = ?').bind(noteId),
+			...chunks.map(chunk => this.insertChunkStatement().bind(noteId, chunk.index, chunk.text, chunk.start, chunk.end))
+		]);
+	}
+
+	/**
+	 * Store chunks of many new notes in batches
+	 * @param {Array<{noteId: number, chunk: object}>} entries - Chunks with their note id
+	 * @returns {Promise<void>}
+	 */
+	async insertChunks(entries) {
+		const insert = this.insertChunkStatement();
+		for (const batch of chunked(entries, D1_BATCH_SIZE)) {
+			await this.db.batch(
+				batch.map(({ noteId, chunk }) => insert.bind(noteId, chunk.index, chunk.text, chunk.start, chunk.end))
+			);
+		}
+	}
+
+	/**
+	 * Delete a note and its chunks, queueing its vectors for deletion
+	 * @param {number|string} id - Note id
+	 * @param {string} collection - Collection the note must belong to
+	 * @returns {Promise<Array<string>|null>} - Queued vector ids, or null when the note is not in the collection
+	 */
+	async deleteNote(id, collection) {
+		const note = await this.db.prepare('SELECT id FROM notes WHERE id = ? AND collection = ?')
+			.bind(id, collection)
+			.first();
+		if (!note) return null;
+
+		// Collect chunk indices before the rows are removed
+		const chunkIndices = await this.getChunkIndices(note.id);
+		await this.db.batch([
+			...this.queueVectorDeletionStatements([note.id]),
+			this.db.prepare('DELETE FROM note_chunks WHERE note_id = ?').bind(note.id),
+			this.db.prepare('DELETE FROM notes WHERE id = ? AND collection = ?').bind(note.id, collection)
+		]);
+
+		// The pre-chunking note vector and every chunk vector
+		return [String(note.id), ...chunkIndices.map(index => chunkVectorId(note.id, index))];
+	}
+
+	/**
+	 * Delete many notes and their chunks, without a collection check
+	 *
+	 * Their vectors are queued in vector_deletions for reconciliation to remove.
+	 * @param {Array<number>} ids - Note ids
+	 * @returns {Promise<void>}
+	 */
+	async deleteNotes(ids) {
+		for (const batch of chunked(ids, D1_MAX_PARAMS / 2)) {
+			const placeholders = batch.map(() => '?').join(',');
+			await this.db.batch([
+				...this.queueVectorDeletionStatements(batch),
+				this.db.prepare(`DELETE FROM note_chunks WHERE note_id IN (${placeholders})`).bind(...batch),
+				this.db.prepare(`DELETE FROM notes WHERE id IN (${placeholders})`).bind(...batch)
+			]);
+		}
+	}
+
+	/**
+	 * Delete the notes of a document and their chunks, queueing their vectors for deletion
+	 * @param {number|string} documentId - Document id
+	 * @param {string} collection - Collection the notes must belong to
+	 * @returns {Promise<Array<string>>} - Queued vector ids
+	 */
+	async deleteDocumentNotes(documentId, collection) {
+		const { results } = await this.db.prepare(
+			`SELECT notes.id, (SELECT json_group_array(chunk_index) FROM note_chunks WHERE note_id = notes.id) AS chunk_indices
+			FROM notes WHERE document_id = ? AND collection = ?`
+		).bind(documentId, collection).all();
+
+		await this.deleteNotes(results.map(row => row.id));
+		return results.flatMap(row => [
+			String(row.id),
+			...JSON.parse(row.chunk_indices).map(index => chunkVectorId(row.id, index))
+		]);
+	}
+
+	/**
+	 * Read notes in id order for reconciliation, across every collection
+	 * @param {number} afterId - Only notes with a greater id
+	 * @param {number} limit - Maximum number of notes
+	 * @returns {Promise<Array>} - Note rows with chunk_indices, a JSON array of stored chunk indices
+	 */
+	async scanNotes(afterId, limit) {
+		const { results } = await this.db.prepare(
+			`SELECT notes.*, (SELECT json_group_array(chunk_index) FROM note_chunks WHERE note_id = notes.id) AS chunk_indices
+			FROM notes WHERE id > ? ORDER BY id LIMIT ?`
+		).bind(afterId, limit).all();
+		return results;
+	}
+
+	/**
+	 * Highest note id ever assigned, including ids of deleted notes
+	 * @returns {Promise<number>} - Last AUTOINCREMENT value of the notes table, 0 when no note was created
+	 */
+	async lastNoteId() {
+		const row = await this.db.prepare(
+			"SELECT COALESCE((SELECT seq FROM sqlite_sequence WHERE name = 'notes'), (SELECT MAX(id) FROM notes), 0) AS id"
+		).first();
+		return row.id;
+	}
+
+	/**
+	 * Read vectors queued for deletion, oldest first
+	 * @param {number} limit - Maximum number of vector ids
+	 * @returns {Promise<Array<string>>} - Vector ids
+	 */
+	async listVectorDeletions(limit) {
+		const { results } = await this.db.prepare('SELECT vector_id FROM vector_deletions ORDER BY created_at, vector_id LIMIT ?')
+			.bind(limit)
+			.all();
+		return results.map(row => row.vector_id);
+	}
+
+	/**
+	 * Remove vectors from the deletion queue once the vector store has deleted them
+	 * @param {Array<string>} vectorIds - Vector ids
+	 * @returns {Promise<void>}
+	 */
+	async clearVectorDeletions(vectorIds) {
+		for (const batch of chunked(vectorIds, D1_MAX_PARAMS)) {
+			const placeholders = batch.map(() => '?').join(',');
+			await this.db.prepare(`DELETE FROM vector_deletions WHERE vector_id IN (${placeholders})`).bind(...batch).run();
+		}
+	}
+
+	// Queue the note and chunk vectors of notes about to be removed; ids follow chunkVectorId
+	queueVectorDeletionStatements(noteIds) {
+		const placeholders = noteIds.map(() => '?').join(',');
+		return [
+			this.db.prepare(
+				`INSERT OR IGNORE INTO vector_deletions (vector_id, note_id)
+				SELECT CAST(id AS TEXT), id FROM notes WHERE id IN (${placeholders})`
+			).bind(...noteIds),
+			this.db.prepare(
+				`INSERT OR IGNORE INTO vector_deletions (vector_id, note_id)
+				SELECT note_id || ':' || chunk_index, note_id FROM note_chunks WHERE note_id IN (${placeholders})`
+			).bind(...noteIds)
+		];
+	}
+
+	insertChunkStatement() {
+		return this.db.prepare(
+			'INSERT INTO note_chunks (note_id, chunk_index, text, start_offset, end_offset) VALUES (?, ?, ?, ?, ?)'
+		);
+	}
+}
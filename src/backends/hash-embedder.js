@@ -0,0 +1,52 @@
+/**
+ * Hash Embedder - Deterministic bag-of-words embeddings for local development and tests
+ *
+ * Each word is hashed into one of the vector's dimensions with a hashed sign,
+ * then the vector is L2-normalized. Texts sharing words get a positive cosine
+ * similarity, and the same text always gets the same vector, without any model.
+ */
+export class HashEmbedder {
+	constructor(dimensions = 768) {
+		this.name = 'hash';
+		this.model = `hash-${dimensions}`;
+		this.dimensions = dimensions;
+		this.maxBatchSize = 100;
+	}
+
+	/**
+	 * Embed texts
+	 * @param {Array<string>} texts - Texts to embed
+	 * @returns {Promise<Array<Array<number>>>} - One unit vector per text, in order
+	 */
+	async embed(texts) {
+		return texts.map(text => this.embedText(text));
+	}
+
+	/**
+	 * Embed a single text
+	 * @param {string} text - Text to embed
+	 * @returns {Array<number>} - Unit vector, all zeros for text without words
+	 */
+	embedText(text) {
+		const vector = new Array(this.dimensions).fill(0);
+		const words = (text || '').toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [];
+
+		for (const word of words) {
+			const hash = fnv1a(word);
+			vector[hash % this.dimensions] += hash & 1 ? -1 : 1;
+		}
+
+		const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+		return norm === 0 ? vector : vector.map(value => value / norm);
+	}
+}
+
+// 32-bit FNV-1a hash
+const fnv1a = (text) => {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < text.length; i++) {
+		hash ^= text.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	return hash >>> 0;
+};
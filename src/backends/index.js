@@ -0,0 +1,43 @@
+/**
+ * Storage and AI backends
+ *
+ * Route, agent and workflow code talks to an embedder, a vector store and a
+ * note store instead of the bindings directly. The BACKEND variable picks the
+ * implementations:
+ *   cloudflare - Workers AI embeddings and Vectorize (default)
+ *   memory     - deterministic hash embeddings and an in-memory vector store,
+ *                for local development and tests
+ * Notes always live in D1, which runs locally under wrangler dev and vitest.
+ */
+
+import { D1NoteStore } from './d1-note-store';
+import { HashEmbedder } from './hash-embedder';
+import { MemoryVectorStore } from './memory-vector-store';
+import { VectorizeStore } from './vectorize-store';
+import { WorkersAIEmbedder } from './workers-ai-embedder';
+
+export const BACKENDS = ['cloudflare', 'memory'];
+export const DEFAULT_BACKEND = 'cloudflare';
+
+// Shared by every request in the isolate, so notes indexed by one request are searchable by the next
+const memoryVectorStore = new MemoryVectorStore();
+
+/**
+ * Resolve the backends for an environment
+ * @param {object} env - Environment bindings
+ * @returns {{name: string, embedder: object, vectors: object, notes: D1NoteStore}} - Backend instances
+ */
+export function getBackends(env) {
+	const name = env.BACKEND || DEFAULT_BACKEND;
+	if (!BACKENDS.includes(name)) {
+		throw new RangeError(`Invalid BACKEND '${name}', expected one of: ${BACKENDS.join(', ')}`);
+	}
+
+	const memory = name === 'memory';
+	return {
+		name,
+		embedder: memory ? new HashEmbedder() : new WorkersAIEmbedder(env.AI),
+		vectors: memory ? memoryVectorStore : new VectorizeStore(env.VECTORIZE),
+		notes: new D1NoteStore(env.DB)
+	};
+}
@@ -0,0 +1,113 @@
+/**
+ * Memory Vector Store - In-process vector store using cosine similarity
+ *
+ * Implements the same interface as VectorizeStore, including namespaces and
+ * metadata filters, so the full pipeline runs in local development and tests.
+ * Vectors live for the lifetime of the isolate.
+ */
+export class MemoryVectorStore {
+	constructor() {
+		this.name = 'memory';
+		this.vectors = new Map();
+	}
+
+	/**
+	 * Insert or replace vectors
+	 * @param {Array<{id: string, values: Array<number>, namespace?: string, metadata?: object}>} vectors - Vectors to write
+	 * @returns {Promise<{count: number, ids: Array<string>}>} - Written ids
+	 */
+	async upsert(vectors) {
+		for (const { id, values, namespace, metadata = {} } of vectors) {
+			this.vectors.set(id, { id, values: [...values], namespace, metadata: { ...metadata } });
+		}
+		return { count: vectors.length, ids: vectors.map(vector => vector.id) };
+	}
+
+	/**
+	 * Find the nearest vectors
+	 * @param {Array<number>} values - Query vector
+	 * @param {object} options - Query options
+	 * @param {number} [options.topK] - Maximum number of matches
+	 * @param {string} [options.namespace] - Only match vectors in this namespace
+	 * @param {object} [options.filter] - Vectorize-style metadata filter
+	 * @param {boolean|string} [options.returnMetadata] - Include metadata in matches
+	 * @returns {Promise<{matches: Array, count: number}>} - Matches, best first
+	 */
+	async query(values, options = {}) {
+		const { topK = 5, namespace, filter, returnMetadata = false } = options;
+		const includeMetadata = returnMetadata && returnMetadata !== 'none';
+
+		const matches = [...this.vectors.values()]
+			.filter(vector => namespace === undefined || vector.namespace === namespace)
+			.filter(vector => matchesFilter(vector.metadata, filter))
+			.map(vector => ({
+				id: vector.id,
+				score: cosineSimilarity(values, vector.values),
+				...(includeMetadata ? { metadata: vector.metadata } : {})
+			}))
+			.sort((a, b) => b.score - a.score)
+			.slice(0, topK);
+
+		return { matches, count: matches.length };
+	}
+
+	/**
+	 * Read vectors by id
+	 * @param {Array<string>} ids - Vector ids
+	 * @returns {Promise<Array>} - Vectors that exist
+	 */
+	async getByIds(ids) {
+		return ids.filter(id => this.vectors.has(id)).map(id => this.vectors.get(id));
+	}
+
+	/**
+	 * Delete vectors by id
+	 * @param {Array<string>} ids - Vector ids
+	 * @returns {Promise<{count: number, ids: Array<string>}>} - Deleted ids
+	 */
+	async deleteByIds(ids) {
+		const deleted = ids.filter(id => this.vectors.delete(id));
+		return { count: deleted.length, ids: deleted };
+	}
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - First vector
+ * @param {Array<number>} b - Second vector
+ * @returns {number} - Similarity in [-1, 1], 0 when either vector is all zeros
+ */
+export function cosineSimilarity(a, b) {
+	let dot = 0;
+	let normA = 0;
+	let normB = 0;
+	for (let i = 0; i < a.length; i++) {
+		dot += a[i] * b[i];
+		normA += a[i] * a[i];
+		normB += b[i] * b[i];
+	}
+	return normA === 0 || normB === 0 ? 0 : dot / Math.sqrt(normA * normB);
+}
+
+const OPERATORS = {
+	$eq: (value, operand) => value === operand,
+	$ne: (value, operand) => value !== operand,
+	$in: (value, operand) => operand.includes(value),
+	$nin: (value, operand) => !operand.includes(value),
+	$lt: (value, operand) => value !== undefined && value < operand,
+	$lte: (value, operand) => value !== undefined && value <= operand,
+	$gt: (value, operand) => value !== undefined && value > operand,
+	$gte: (value, operand) => value !== undefined && value >= operand
+};
+
+// Every field must match; a bare value is shorthand for $eq
+const matchesFilter = (metadata, filter) => {
+	if (!filter) return true;
+
+	return Object.entries(filter).every(([field, condition]) => {
+		const conditions = typeof condition === 'object' && condition !== null && !Array.isArray(condition)
+			? condition
+			: { $eq: condition };
+		return Object.entries(conditions).every(([operator, operand]) => OPERATORS[operator]?.(metadata[field], operand) ?? false);
+	});
+};
@@ -0,0 +1,49 @@
+/**
+ * Vectorize Store - Vector store backed by a Cloudflare Vectorize index
+ *
+ * The vector store interface mirrors the Vectorize binding, so this adapter
+ * passes calls straight through.
+ */
+export class VectorizeStore {
+	constructor(index) {
+		this.name = 'vectorize';
+		this.index = index;
+	}
+
+	/**
+	 * Insert or replace vectors
+	 * @param {Array<{id: string, values: Array<number>, namespace?: string, metadata?: object}>} vectors - Vectors to write
+	 * @returns {Promise<object>} - Mutation result
+	 */
+	upsert(vectors) {
+		return this.index.upsert(vectors);
+	}
+
+	/**
+	 * Find the nearest vectors
+	 * @param {Array<number>} values - Query vector
+	 * @param {object} options - topK, namespace, filter and returnMetadata, as for Vectorize
+	 * @returns {Promise<{matches: Array<{id: string, score: number, metadata?: object}>}>} - Matches, best first
+	 */
+	query(values, options = {}) {
+		return this.index.query(values, options);
+	}
+
+	/**
+	 * Read vectors by id
+	 * @param {Array<string>} ids - Vector ids
+	 * @returns {Promise<Array>} - Vectors that exist
+	 */
+	getByIds(ids) {
+		return this.index.getByIds(ids);
+	}
+
+	/**
+	 * Delete vectors by id
+	 * @param {Array<string>} ids - Vector ids
+	 * @returns {Promise<object>} - Mutation result
+	 */
+	deleteByIds(ids) {
+		return this.index.deleteByIds(ids);
+	}
+}
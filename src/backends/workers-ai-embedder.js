@@ -0,0 +1,27 @@
+/**
+ * Workers AI Embedder - Embeds text with the Workers AI embedding model
+ */
+export class WorkersAIEmbedder {
+	constructor(ai, model = '@cf/baai/bge-base-en-v1.5') {
+		this.name = 'workers-ai';
+		this.ai = ai;
+		this.model = model;
+		this.dimensions = 768;
+		this.maxBatchSize = 100; // Texts per call accepted by the model
+	}
+
+	/**
+	 * Embed texts
+	 * @param {Array<string>} texts - Texts to embed, at most maxBatchSize
+	 * @returns {Promise<Array<Array<number>>>} - One vector per text, in order
+	 */
+	async embed(texts) {
+		const response = await this.ai.run(this.model, { text: texts });
+
+		if (!response?.data || response.data.length !== texts.length) {
+			throw new Error('Invalid embedding response from AI');
+		}
+
+		return response.data;
+	}
+}
@@ -0,0 +1,215 @@
+/**
+ * Query embedding and semantic answer caches
+ *
+ * Query embeddings are cached in D1 by embedding model and content hash of the
+ * query text, so repeated questions skip the embedder. Answers to GET / are
+ * cached per collection and query options (model, retrieval mode, filters); a
+ * new question reuses one when its embedding is at least ANSWER_CACHE_SIMILARITY
+ * similar to the cached question's and every note the answer was built from
+ * still has the updated_at it had then. Creating, updating or deleting notes,
+ * and feedback marking notes helpful or wrong, clears the collection's answers,
+ * since either can change what is retrieved.
+ *
+ * TTLs come from QUERY_EMBEDDING_CACHE_TTL_SECONDS and ANSWER_CACHE_TTL_SECONDS;
+ * 0 disables a cache. ?cache=bypass skips cache reads but still stores fresh results.
+ */
+
+import { contentHash } from "./dedupe";
+import { cosineSimilarity } from "./backends/memory-vector-store";
+
+export const CACHE_MODES = ["default", "bypass"];
+export const DEFAULT_QUERY_EMBEDDING_CACHE_TTL_SECONDS = 7 * 24 * 60 * 60;
+export const DEFAULT_ANSWER_CACHE_TTL_SECONDS = 24 * 60 * 60;
+export const DEFAULT_ANSWER_CACHE_SIMILARITY = 0.97;
+
+const ANSWER_CANDIDATES = 50; // Most recent cached answers compared per lookup
+
+/**
+ * Read the cache settings
+ * @param {object} env - Environment bindings
+ * @returns {{embeddingTtl: number, answerTtl: number, similarity: number}} - TTLs in seconds and the answer similarity threshold
+ */
+export function resolveCacheSettings(env) {
+	const ttl = (value, fallback) => {
+		const seconds = Number.parseInt(value, 10);
+		return Number.isInteger(seconds) && seconds >= 0 ? seconds : fallback;
+	};
+	const similarity = Number.parseFloat(env.ANSWER_CACHE_SIMILARITY);
+
+	return {
+		embeddingTtl: ttl(env.QUERY_EMBEDDING_CACHE_TTL_SECONDS, DEFAULT_QUERY_EMBEDDING_CACHE_TTL_SECONDS),
+		answerTtl: ttl(env.ANSWER_CACHE_TTL_SECONDS, DEFAULT_ANSWER_CACHE_TTL_SECONDS),
+		similarity: similarity > 0 && similarity <= 1 ? similarity : DEFAULT_ANSWER_CACHE_SIMILARITY
+	};
+}
+
+/**
+ * Embed a query, reading and filling the query embedding cache
+ * @param {object} env - Environment bindings
+ * @param {object} embedder - Embedder from getBackends
+ * @param {string} text - Query text
+ * @param {object} [options] - Cache options
+ * @param {boolean} [options.bypass] - Embed even when a cached embedding exists
+ * @returns {Promise<{embedding: Array<number>, cached: boolean}>} - Embedding and whether it came from the cache
+ */
+export async function getQueryEmbedding(env, embedder, text, { bypass = false } = {}) {
+	const { embeddingTtl } = resolveCacheSettings(env);
+	if (embeddingTtl === 0) {
+		const [embedding] = await embedder.embed([text]);
+		return { embedding, cached: false };
+	}
+
+	const textHash = await contentHash(text);
+	const now = Date.now();
+
+	if (!bypass) {
+		const row = await env.DB.prepare(
+			"SELECT embedding FROM query_embedding_cache WHERE model = ? AND text_hash = ? AND expires_at > ?"
+		).bind(embedder.model, textHash, now).first();
+		if (row) return { embedding: JSON.parse(row.embedding), cached: true };
+	}
+
+	const [embedding] = await embedder.embed([text]);
+
+	try {
+		await env.DB.batch([
+			env.DB.prepare("DELETE FROM query_embedding_cache WHERE expires_at <= ?").bind(now),
+			env.DB.prepare(
+				`INSERT INTO query_embedding_cache (model, text_hash, embedding, expires_at) VALUES (?, ?, ?, ?)
+				ON CONFLICT (model, text_hash) DO UPDATE SET embedding = excluded.embedding,
+					created_at = CURRENT_TIMESTAMP, expires_at = excluded.expires_at`
+			).bind(embedder.model, textHash, JSON.stringify(embedding), now + embeddingTtl * 1000)
+		]);
+	} catch (error) {
+		// A failed cache write shouldn't fail the query
+		console.error("Failed to cache query embedding:", error);
+	}
+
+	return { embedding, cached: false };
+}
+
+/**
+ * Hash the query options an answer depends on besides the question
+ * @param {object} options - Query options
+ * @param {string} options.model - Model name
+ * @param {string} options.retrieval - Retrieval mode
+ * @param {object} options.filters - Metadata filters from parseFilters
+ * @param {object} [options.expansion] - Query expansion options, when the request expands
+ * @param {object} [options.ranking] - Rerank and topN options, when the request sets them
+ * @returns {Promise<string>} - Hex SHA-256 digest
+ */
+export async function answerOptionsHash({ model, retrieval, filters, expansion = null, ranking = null }) {
+	// Options a request leaves at their default don't change the hash
+	const extras = Object.fromEntries(Object.entries({ expansion, ranking }).filter(([, value]) => value));
+	const options = Object.keys(extras).length > 0 ? [model, retrieval, filters, extras] : [model, retrieval, filters];
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(JSON.stringify(options)));
+	return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Find a cached answer to a similar question
+ *
+ * Candidates above the similarity threshold are tried best first; one whose
+ * notes changed since it was cached is deleted.
+ * @param {object} env - Environment bindings
+ * @param {object} noteStore - Note store from getBackends
+ * @param {object} lookup - Lookup
+ * @param {string} lookup.collection - Collection of the question
+ * @param {string} lookup.optionsHash - Hash from answerOptionsHash
+ * @param {Array<number>} lookup.embedding - Embedding of the question
+ * @returns {Promise<object|null>} - Cached answer with its similarity, or null
+ */
+export async function findCachedAnswer(env, noteStore, { collection, optionsHash, embedding }) {
+	const { answerTtl, similarity: threshold } = resolveCacheSettings(env);
+	if (answerTtl === 0) return null;
+
+	const { results } = await env.DB.prepare(
+		`SELECT * FROM answer_cache WHERE collection = ? AND options_hash = ? AND expires_at > ?
+		ORDER BY id DESC LIMIT ?`
+	).bind(collection, optionsHash, Date.now(), ANSWER_CANDIDATES).all();
+
+	const candidates = results
+		.map(row => ({ row, similarity: cosineSimilarity(embedding, JSON.parse(row.embedding)) }))
+		.filter(candidate => candidate.similarity >= threshold)
+		.sort((a, b) => b.similarity - a.similarity);
+
+	for (const { row, similarity } of candidates) {
+		const noteVersions = JSON.parse(row.note_versions);
+		if (!await notesUnchanged(noteStore, noteVersions, collection)) {
+			await env.DB.prepare("DELETE FROM answer_cache WHERE id = ?").bind(row.id).run();
+			continue;
+		}
+
+		await env.DB.prepare("UPDATE answer_cache SET hits = hits + 1 WHERE id = ?").bind(row.id).run();
+		return {
+			id: row.id,
+			question: row.question,
+			answer: row.answer,
+			response: JSON.parse(row.response),
+			similarity,
+			hits: row.hits + 1,
+			cachedAt: row.created_at,
+			expiresAt: new Date(row.expires_at).toISOString()
+		};
+	}
+
+	return null;
+}
+
+/**
+ * Cache an answer, removing expired answers
+ * @param {object} env - Environment bindings
+ * @param {object} entry - Answer to cache
+ * @param {string} entry.collection - Collection of the question
+ * @param {string} entry.optionsHash - Hash from answerOptionsHash
+ * @param {string} entry.question - Question text
+ * @param {Array<number>} entry.embedding - Embedding of the question
+ * @param {string} entry.answer - Generated answer
+ * @param {object} entry.response - Response fields reused on a hit
+ * @param {Array} entry.notes - Note rows the answer was built from
+ * @returns {Promise<void>}
+ */
+export async function storeAnswer(env, { collection, optionsHash, question, embedding, answer, response, notes }) {
+	const { answerTtl } = resolveCacheSettings(env);
+	if (answerTtl === 0) return;
+
+	const now = Date.now();
+	const noteVersions = notes.map(note => ({ id: note.id, updatedAt: note.updated_at ?? null }));
+	await env.DB.batch([
+		env.DB.prepare("DELETE FROM answer_cache WHERE expires_at <= ?").bind(now),
+		env.DB.prepare(
+			`INSERT INTO answer_cache (collection, options_hash, question, embedding, answer, response, note_versions, expires_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+		).bind(
+			collection,
+			optionsHash,
+			question,
+			JSON.stringify(embedding),
+			answer,
+			JSON.stringify(response),
+			JSON.stringify(noteVersions),
+			now + answerTtl * 1000
+		)
+	]);
+}
+
+/**
+ * Clear the cached answers of a collection
+ * @param {object} db - D1 binding
+ * @param {string} collection - Collection whose notes or note feedback changed
+ * @returns {Promise<number>} - Number of answers removed
+ */
+export async function invalidateAnswerCache(db, collection) {
+	const { meta } = await db.prepare("DELETE FROM answer_cache WHERE collection = ?").bind(collection).run();
+	return meta.changes;
+}
+
+// True when every note still exists in the collection with the same updated_at
+const notesUnchanged = async (noteStore, noteVersions, collection) => {
+	if (noteVersions.length === 0) return true;
+
+	const current = new Map(
+		(await noteStore.getNoteVersions(noteVersions.map(note => note.id), collection)).map(row => [row.id, row.updated_at ?? null])
+	);
+	return noteVersions.every(note => current.has(note.id) && current.get(note.id) === note.updatedAt);
+};
@@ -0,0 +1,120 @@
+/**
+ * Conversation sessions for multi-turn chat
+ *
+ * Turns are stored in the D1 chat_messages table, scoped to the collection the
+ * session was started in. Before retrieval, a follow-up
+ * question is condensed into a standalone query using the recent history, so
+ * "what about its drawbacks?" still finds the right notes.
+ */
+
+import { modelParams } from "./models";
+
+export const CHAT_HISTORY_WINDOW = 10; // Prior messages sent to the model
+export const CONDENSE_HISTORY_WINDOW = 6; // Prior messages used to rewrite the question
+
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+const CONDENSE_PROMPT =
+	"Rewrite the user's follow-up question as a standalone question that can be understood without the conversation. " +
+	"Resolve pronouns and references using the conversation. Return only the rewritten question.";
+
+/**
+ * Check a client-supplied session id
+ * @param {string} sessionId - Session id
+ * @returns {boolean} - True when the id is safe to use
+ */
+export const isValidSessionId = (sessionId) => typeof sessionId === "string" && SESSION_ID_PATTERN.test(sessionId);
+
+/**
+ * Check whether a session id is taken by another collection
+ * @param {object} db - D1 binding
+ * @param {string} sessionId - Session id
+ * @param {string} collection - Collection of the request
+ * @returns {Promise<boolean>} - True when the session has messages in a different collection
+ */
+export async function isForeignSession(db, sessionId, collection) {
+	const row = await db.prepare("SELECT 1 FROM chat_messages WHERE session_id = ? AND collection != ? LIMIT 1")
+		.bind(sessionId, collection)
+		.first();
+	return row !== null;
+}
+
+/**
+ * Load the most recent messages of a session, oldest first
+ * @param {object} db - D1 binding
+ * @param {string} sessionId - Session id
+ * @param {string} collection - Collection the session belongs to
+ * @param {number} [limit] - Maximum number of messages, all when omitted
+ * @returns {Promise<Array>} - Messages with parsed metadata
+ */
+export async function loadHistory(db, sessionId, collection, limit) {
+	const statement = limit
+		? db.prepare(
+			"SELECT * FROM (SELECT * FROM chat_messages WHERE session_id = ? AND collection = ? ORDER BY id DESC LIMIT ?) ORDER BY id ASC"
+		).bind(sessionId, collection, limit)
+		: db.prepare("SELECT * FROM chat_messages WHERE session_id = ? AND collection = ? ORDER BY id ASC").bind(sessionId, collection);
+
+	const { results } = await statement.all();
+	return results.map(row => ({
+		id: row.id,
+		role: row.role,
+		content: row.content,
+		metadata: JSON.parse(row.metadata || "{}"),
+		created_at: row.created_at
+	}));
+}
+
+/**
+ * Store one exchange of a session
+ * @param {object} db - D1 binding
+ * @param {string} sessionId - Session id
+ * @param {string} collection - Collection the session belongs to
+ * @param {Array<{role: string, content: string, metadata?: object}>} messages - Messages to append
+ * @returns {Promise<void>}
+ */
+export async function appendMessages(db, sessionId, collection, messages) {
+	const insert = db.prepare("INSERT INTO chat_messages (session_id, collection, role, content, metadata) VALUES (?, ?, ?, ?, ?)");
+	await db.batch(
+		messages.map(message => insert.bind(sessionId, collection, message.role, message.content, JSON.stringify(message.metadata || {})))
+	);
+}
+
+/**
+ * Delete every message of a session
+ * @param {object} db - D1 binding
+ * @param {string} sessionId - Session id
+ * @param {string} collection - Collection the session belongs to
+ * @returns {Promise<number>} - Number of deleted messages
+ */
+export async function clearSession(db, sessionId, collection) {
+	const { meta } = await db.prepare("DELETE FROM chat_messages WHERE session_id = ? AND collection = ?").bind(sessionId, collection).run();
+	return meta.changes;
+}
+
+/**
+ * Rewrite a follow-up question into a standalone query
+ * @param {object} env - Environment bindings
+ * @param {object} model - Model used for the rewrite, from resolveModel
+ * @param {Array} history - Prior messages, oldest first
+ * @param {string} question - Follow-up question
+ * @returns {Promise<string>} - Standalone query, the original question when there is no history
+ */
+export async function condenseQuestion(env, model, history, question) {
+	if (history.length === 0) return question;
+
+	const conversation = history
+		.slice(-CONDENSE_HISTORY_WINDOW)
+		.map(message => `${message.role === "user" ? "User" : "Assistant"}: ${message.content}`)
+		.join("\n");
+
+	const { response } = await env.AI.run(model.id, {
+		messages: [
+			{ role: "system", content: CONDENSE_PROMPT },
+			{ role: "user", content: `Conversation:\n${conversation}\n\nFollow-up question: ${question}` }
+		],
+		...modelParams(model)
+	});
+
+	const standalone = (response || "").trim().replace(/^"|"$/g, "");
+	return standalone.length > 0 ? standalone : question;
+}
@@ -0,0 +1,227 @@
+/**
+ * Text chunking for long notes
+ *
+ * Notes are split into overlapping passages so that each passage gets its own
+ * embedding. Vectors are stored under ids of the form `noteId:chunkIndex`, which
+ * lets retrieval group chunk matches back to their parent note.
+ */
+
+export const DEFAULT_CHUNK_SIZE = 1000;
+export const DEFAULT_CHUNK_OVERLAP = 200;
+export const DEFAULT_CHUNK_STRATEGY = "paragraph";
+export const CHUNK_STRATEGIES = ["paragraph", "sentence"];
+
+const MIN_CHUNK_SIZE = 100;
+const PARAGRAPH_PATTERN = /\S[\s\S]*?(?=\s*\n\s*\n|\s*$)/g;
+const SENTENCE_PATTERN = /\S[^.!?]*(?:[.!?]+["')\]]*|$)/g;
+
+/**
+ * Resolve chunking options, applying defaults and bounds
+ * @param {object} options - Raw options (numbers or numeric strings)
+ * @param {number|string} [options.size] - Maximum chunk length in characters
+ * @param {number|string} [options.overlap] - Characters shared between consecutive chunks
+ * @param {string} [options.strategy] - "paragraph" or "sentence"
+ * @returns {{size: number, overlap: number, strategy: string}} - Resolved options
+ */
+export function resolveChunkOptions(options = {}) {
+	const size = Math.max(MIN_CHUNK_SIZE, toInteger(options.size, DEFAULT_CHUNK_SIZE));
+	const overlap = Math.min(Math.max(0, toInteger(options.overlap, DEFAULT_CHUNK_OVERLAP)), Math.floor(size / 2));
+	const strategy = options.strategy || DEFAULT_CHUNK_STRATEGY;
+
+	if (!CHUNK_STRATEGIES.includes(strategy)) {
+		throw new RangeError(`Invalid chunk strategy '${strategy}', expected one of: ${CHUNK_STRATEGIES.join(", ")}`);
+	}
+
+	return { size, overlap, strategy };
+}
+
+/**
+ * Resolve chunking options with the worker's CHUNK_* variables as defaults
+ * @param {object} env - Environment bindings
+ * @param {object} overrides - Per-request options, see resolveChunkOptions
+ * @returns {{size: number, overlap: number, strategy: string}} - Resolved options
+ */
+export function resolveChunkOptionsForEnv(env, overrides = {}) {
+	return resolveChunkOptions({
+		size: overrides.size ?? env.CHUNK_SIZE,
+		overlap: overrides.overlap ?? env.CHUNK_OVERLAP,
+		strategy: overrides.strategy ?? env.CHUNK_STRATEGY
+	});
+}
+
+/**
+ * Split text into overlapping chunks
+ *
+ * Paragraphs (or sentences) are packed into chunks of at most `size` characters.
+ * Units that are too long on their own fall back to sentences, then to a fixed window.
+ * @param {string} text - Text to split
+ * @param {object} options - Chunking options, see resolveChunkOptions
+ * @returns {Array<{index: number, text: string, start: number, end: number}>} - Chunks with offsets into the original text
+ */
+export function chunkText(text, options = {}) {
+	const { size, overlap, strategy } = resolveChunkOptions(options);
+	if (!text || text.trim().length === 0) return [];
+
+	const units = splitUnits(text, strategy, size, overlap);
+	const chunks = [];
+	let current = [];
+
+	const emit = () => {
+		const start = current[0].start;
+		const end = current[current.length - 1].end;
+		chunks.push({ index: chunks.length, text: text.slice(start, end), start, end });
+	};
+
+	for (const unit of units) {
+		if (current.length > 0 && unit.end - current[0].start > size) {
+			emit();
+
+			// Carry trailing units into the next chunk for overlap
+			const last = current[current.length - 1];
+			const carried = [];
+			for (let i = current.length - 1; i >= 0 && last.end - current[i].start <= overlap; i--) {
+				carried.unshift(current[i]);
+			}
+			current = carried;
+			while (current.length > 0 && unit.end - current[0].start > size) {
+				current.shift();
+			}
+		}
+		current.push(unit);
+	}
+
+	if (current.length > 0) emit();
+	return chunks;
+}
+
+/**
+ * Build the Vectorize id for a chunk
+ * @param {number|string} noteId - Parent note id
+ * @param {number} chunkIndex - Chunk position within the note
+ * @returns {string} - Vector id
+ */
+export function chunkVectorId(noteId, chunkIndex) {
+	return `${noteId}:${chunkIndex}`;
+}
+
+/**
+ * Build the Vectorize record for a chunk
+ * @param {number|string} noteId - Parent note id
+ * @param {object} chunk - Chunk from chunkText
+ * @param {Array<number>} values - Chunk embedding
+ * @param {object} metadata - Note metadata copied onto the vector
+ * @param {string} timestamp - Indexing time
+ * @param {string} [namespace] - Vectorize namespace, the note's collection
+ * @returns {object} - Vector ready for upsert
+ */
+export function buildChunkVector(noteId, chunk, values, metadata, timestamp, namespace) {
+	return {
+		id: chunkVectorId(noteId, chunk.index),
+		values,
+		...(namespace ? { namespace } : {}),
+		metadata: {
+			text: chunk.text,
+			timestamp,
+			...metadata,
+			noteId,
+			chunkIndex: chunk.index
+		}
+	};
+}
+
+/**
+ * Parse a Vectorize id back into note id and chunk index
+ *
+ * Vectors written before chunking used the bare note id; those map to a null chunk index.
+ * @param {string} id - Vector id
+ * @returns {{noteId: string, chunkIndex: number|null}} - Parsed id
+ */
+export function parseVectorId(id) {
+	const separator = id.lastIndexOf(":");
+	if (separator === -1) {
+		return { noteId: id, chunkIndex: null };
+	}
+	return {
+		noteId: id.slice(0, separator),
+		chunkIndex: Number.parseInt(id.slice(separator + 1), 10)
+	};
+}
+
+/**
+ * Group chunk-level vector matches by parent note
+ * @param {Array} matches - Vectorize matches
+ * @param {number} threshold - Minimum similarity score for a match to count
+ * @returns {Array<{noteId: string, score: number, chunks: Array}>} - Notes ordered by best chunk score
+ */
+export function groupMatchesByNote(matches = [], threshold = 0) {
+	const groups = new Map();
+
+	for (const match of matches) {
+		if (match.score <= threshold) continue;
+
+		const { noteId, chunkIndex } = parseVectorId(match.id);
+		if (!groups.has(noteId)) {
+			groups.set(noteId, { noteId, score: match.score, chunks: [] });
+		}
+
+		const group = groups.get(noteId);
+		group.score = Math.max(group.score, match.score);
+		group.chunks.push({
+			vectorId: match.id,
+			chunkIndex,
+			score: match.score,
+			metadata: match.metadata || {}
+		});
+	}
+
+	return [...groups.values()].sort((a, b) => b.score - a.score);
+}
+
+const toInteger = (value, fallback) => {
+	const parsed = Number.parseInt(value, 10);
+	return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const splitUnits = (text, strategy, size, overlap) => {
+	const units = [];
+	const primary = strategy === "sentence" ? SENTENCE_PATTERN : PARAGRAPH_PATTERN;
+
+	for (const unit of matchUnits(text, primary, 0, text.length)) {
+		if (unit.end - unit.start <= size) {
+			units.push(unit);
+			continue;
+		}
+
+		// Oversized paragraph: fall back to sentences, then to a fixed window
+		const sentences = strategy === "sentence" ? [unit] : matchUnits(text, SENTENCE_PATTERN, unit.start, unit.end);
+		for (const sentence of sentences) {
+			if (sentence.end - sentence.start <= size) {
+				units.push(sentence);
+			} else {
+				units.push(...windowUnits(sentence, size, overlap));
+			}
+		}
+	}
+
+	return units;
+};
+
+const matchUnits = (text, pattern, start, end) => {
+	const units = [];
+	for (const match of text.slice(start, end).matchAll(pattern)) {
+		const value = match[0].trimEnd();
+		if (value.length === 0) continue;
+		units.push({ start: start + match.index, end: start + match.index + value.length });
+	}
+	return units;
+};
+
+const windowUnits = (unit, size, overlap) => {
+	const units = [];
+	for (let position = unit.start; position < unit.end; position += size - overlap) {
+		const end = Math.min(position + size, unit.end);
+		units.push({ start: position, end });
+		if (end === unit.end) break;
+	}
+	return units;
+};
@@ -0,0 +1,83 @@
+/**
+ * Numbered sources and citation parsing for generated answers
+ *
+ * Retrieved passages are sent to the model as numbered sources and the model
+ * is asked to cite them as [n]. Markers in the answer are then mapped back to
+ * the note each source came from. Sections of uploaded documents are titled
+ * "Document > Section" so the model and citations can name them.
+ */
+
+import { sectionTitle } from "./documents";
+
+const SNIPPET_LENGTH = 200;
+const CITATION_PATTERN = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+export const CITATION_PROMPT =
+	"Cite the sources that support each claim with their number in square brackets, for example [1] or [2, 3]. Only cite the numbered sources provided.";
+
+/**
+ * Number retrieved notes as sources for the model
+ * @param {Array} matchedNotes - Results from fetchNotesForResults
+ * @returns {Array<{index: number, noteId: string, score: number, text: string}>} - Sources numbered from 1, with vectorScore and rerankScore when reranked and a title for document sections
+ */
+export function buildSources(matchedNotes) {
+	return matchedNotes.map((match, idx) => {
+		const title = match.note ? sectionTitle(match.note.metadata) : null;
+		return {
+			index: idx + 1,
+			noteId: match.id,
+			score: match.score,
+			...(match.rerankScore !== undefined ? { vectorScore: match.vectorScore, rerankScore: match.rerankScore } : {}),
+			...(title ? { title } : {}),
+			text: match.passages.map(passage => passage.text).join("\n...\n")
+		};
+	});
+}
+
+/**
+ * Render sources as the context system message
+ * @param {Array} sources - Sources from buildSources
+ * @returns {string} - Context message, empty when there are no sources
+ */
+export function formatSourcesMessage(sources) {
+	if (sources.length === 0) return "";
+	return `Context:\n${sources.map(source => `[${source.index}] ${source.title ? `(${source.title}) ` : ""}${source.text}`).join("\n\n")}`;
+}
+
+/**
+ * Parse [n] markers in an answer back to their sources
+ * @param {string} answer - Generated answer
+ * @param {Array} sources - Sources the model was given
+ * @returns {{citations: Array, unmatched: Array<number>}} - Citations in order of first use, and indices with no source
+ */
+export function extractCitations(answer, sources) {
+	const sourcesByIndex = new Map(sources.map(source => [source.index, source]));
+	const cited = [];
+
+	for (const match of (answer || "").matchAll(CITATION_PATTERN)) {
+		for (const value of match[1].split(",")) {
+			const index = Number.parseInt(value, 10);
+			if (!cited.includes(index)) cited.push(index);
+		}
+	}
+
+	const citations = cited.map(index => {
+		const source = sourcesByIndex.get(index);
+		if (!source) {
+			return { index, noteId: null, score: null, snippet: null, valid: false };
+		}
+		return {
+			index,
+			noteId: source.noteId,
+			score: source.score,
+			...(source.title ? { title: source.title } : {}),
+			snippet: source.text.length > SNIPPET_LENGTH ? `${source.text.slice(0, SNIPPET_LENGTH)}...` : source.text,
+			valid: true
+		};
+	});
+
+	return {
+		citations,
+		unmatched: citations.filter(citation => !citation.valid).map(citation => citation.index)
+	};
+}
@@ -0,0 +1,32 @@
+/**
+ * Collections separate the knowledge bases of different teams
+ *
+ * Every note belongs to one collection, stored in the notes.collection column,
+ * and its chunk vectors are written to the Vectorize namespace of the same name.
+ * A request picks its collection with the X-Collection header or a
+ * /c/:collection path prefix; requests without either use the default collection.
+ */
+
+export const DEFAULT_COLLECTION = "default";
+export const COLLECTION_HEADER = "X-Collection";
+
+// Vectorize namespaces are at most 64 bytes
+const COLLECTION_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Check whether a collection name is valid
+ * @param {any} collection - Candidate name
+ * @returns {boolean} - True for 1-64 letters, digits, '-' or '_'
+ */
+export const isValidCollection = (collection) =>
+	typeof collection === "string" && COLLECTION_PATTERN.test(collection);
+
+/**
+ * Read the collection a request targets
+ *
+ * The /c/:collection path prefix takes precedence over the header.
+ * @param {object} c - Hono context
+ * @returns {string} - Collection name, not yet validated
+ */
+export const resolveCollection = (c) =>
+	c.req.param("collection") ?? c.req.header(COLLECTION_HEADER) ?? DEFAULT_COLLECTION;
@@ -0,0 +1,286 @@
+/**
+ * Command definitions
+ *
+ * One list describes the operations clients can run: GET /commands serves it
+ * to UI command palettes, GET /help lists its routes, and the MCP server
+ * exposes each command as a tool whose input schema is built from the
+ * parameters. Every parameter says where it goes in the HTTP request (query,
+ * path or body), so a tool call is replayed as the request a client would send.
+ */
+
+import { listModels } from "./models";
+import { DEDUPE_MODES } from "./dedupe";
+import { FEEDBACK_RATINGS } from "./feedback";
+
+const RETRIEVAL_OPTIONS = ["vector", "keyword", "hybrid"];
+
+const JSON_TYPES = {
+	string: (value) => typeof value === "string",
+	number: (value) => typeof value === "number",
+	boolean: (value) => typeof value === "boolean",
+	object: (value) => typeof value === "object" && value !== null && !Array.isArray(value),
+	array: (value) => Array.isArray(value)
+};
+
+/**
+ * Build the command list
+ * @param {object} env - Environment bindings, for the registered model aliases
+ * @returns {Array<object>} - Commands with their route, scope and parameters
+ */
+export function buildCommands(env) {
+	const modelAliases = listModels(env).map(model => model.alias);
+
+	return [
+		{
+			id: "query",
+			name: "Ask Question",
+			description: "Ask AI a question with context from your knowledge base",
+			method: "GET",
+			path: "/",
+			scope: "read",
+			parameters: [
+				{ name: "text", in: "query", type: "string", required: true, description: "Your question" },
+				{ name: "model", in: "query", type: "string", required: false, description: "AI model to use", options: modelAliases },
+				// Tool calls need the whole answer at once
+				{ name: "stream", in: "query", type: "boolean", required: false, description: "Stream the answer as Server-Sent Events", mcp: false },
+				{ name: "retrieval", in: "query", type: "string", required: false, description: "Retrieval strategy", options: RETRIEVAL_OPTIONS },
+				{ name: "expand", in: "query", type: "boolean", required: false, description: "Also search with paraphrases of the question" },
+				{ name: "hyde", in: "query", type: "boolean", required: false, description: "With expand, also search with a hypothetical answer" },
+				{ name: "rerank", in: "query", type: "boolean", required: false, description: "Rescore candidates with a reranker model before picking the context" },
+				{ name: "topN", in: "query", type: "number", required: false, description: "Number of notes used as context (1-20, default 5)" },
+				{ name: "cache", in: "query", type: "string", required: false, description: "Skip cached embeddings and answers with bypass", options: ["bypass"] },
+				{ name: "tag", in: "query", type: "string", required: false, repeatable: true, description: "Only use notes with this tag (repeatable)" },
+				{ name: "source", in: "query", type: "string", required: false, description: "Only use notes from this source" },
+				{ name: "created_after", in: "query", type: "string", required: false, description: "Only use notes created on or after this ISO 8601 date" }
+			],
+			category: "AI",
+			icon: "🤖"
+		},
+		{
+			id: "chat",
+			name: "Chat",
+			description: "Have a multi-turn conversation grounded in your knowledge base",
+			method: "POST",
+			path: "/chat",
+			scope: "read",
+			parameters: [
+				{ name: "message", in: "body", type: "string", required: true, description: "Your message" },
+				{ name: "sessionId", in: "body", type: "string", required: false, description: "Session to continue; a new one is created when omitted" },
+				{ name: "model", in: "body", type: "string", required: false, description: "AI model to use", options: modelAliases }
+			],
+			category: "AI",
+			icon: "💬"
+		},
+		{
+			id: "rate_answer",
+			name: "Rate Answer",
+			description: "Rate an answer up or down and mark the notes it used as helpful or wrong",
+			method: "POST",
+			path: "/feedback",
+			scope: "read",
+			parameters: [
+				{ name: "queryId", in: "body", type: "string", required: true, description: "queryId returned with the answer" },
+				{ name: "rating", in: "body", type: "string", required: true, description: "Whether the answer was good", options: FEEDBACK_RATINGS },
+				{ name: "comment", in: "body", type: "string", required: false, description: "What was right or wrong" },
+				{ name: "helpfulNoteIds", in: "body", type: "array", items: "string", required: false, description: "Source notes that helped" },
+				{ name: "wrongNoteIds", in: "body", type: "array", items: "string", required: false, description: "Source notes that were wrong or misleading" }
+			],
+			category: "AI",
+			icon: "👍"
+		},
+		{
+			id: "create_note",
+			name: "Add Note",
+			description: "Add a new note to your knowledge base; exact duplicates are rejected and near-duplicates follow dedupe",
+			method: "POST",
+			path: "/notes",
+			scope: "write",
+			parameters: [
+				{ name: "text", in: "body", type: "string", required: true, description: "Note content" },
+				{ name: "metadata", in: "body", type: "object", required: false, description: "Tags, source, author and other scalar fields" },
+				{ name: "dedupe", in: "body", type: "string", required: false, description: "Handling of near-duplicates", options: DEDUPE_MODES }
+			],
+			category: "Knowledge",
+			icon: "📝"
+		},
+		{
+			id: "search",
+			name: "Search Knowledge",
+			description: "Search your knowledge base using semantic similarity",
+			method: "GET",
+			path: "/search",
+			scope: "read",
+			parameters: [
+				{ name: "q", in: "query", type: "string", required: true, description: "Search query" },
+				{ name: "mode", in: "query", type: "string", required: false, description: "Retrieval strategy", options: RETRIEVAL_OPTIONS },
+				{ name: "rerank", in: "query", type: "boolean", required: false, description: "Rescore results with a reranker model" },
+				{ name: "topN", in: "query", type: "number", required: false, description: "Maximum number of results (1-20)" },
+				{ name: "tag", in: "query", type: "string", required: false, repeatable: true, description: "Only return notes with this tag (repeatable)" },
+				{ name: "source", in: "query", type: "string", required: false, description: "Only return notes from this source" },
+				{ name: "created_after", in: "query", type: "string", required: false, description: "Only return notes created on or after this ISO 8601 date" }
+			],
+			category: "Search",
+			icon: "🔍"
+		},
+		{
+			id: "delete_note",
+			name: "Delete Note",
+			description: "Remove a note from your knowledge base",
+			method: "DELETE",
+			path: "/notes/:id",
+			scope: "admin",
+			parameters: [
+				{ name: "id", in: "path", type: "string", required: true, description: "Note ID" }
+			],
+			category: "Knowledge",
+			icon: "🗑️"
+		},
+		{
+			id: "delete_document",
+			name: "Delete Document",
+			description: "Remove an uploaded document and every note extracted from it",
+			method: "DELETE",
+			path: "/documents/:id",
+			scope: "admin",
+			parameters: [
+				{ name: "id", in: "path", type: "string", required: true, description: "Document ID" }
+			],
+			category: "Knowledge",
+			icon: "📄"
+		},
+		{
+			id: "list_collections",
+			name: "List Collections",
+			description: "List knowledge base collections and their note counts",
+			method: "GET",
+			path: "/collections",
+			scope: "read",
+			parameters: [],
+			category: "Knowledge",
+			icon: "🗂️"
+		},
+		{
+			id: "list_models",
+			name: "List Models",
+			description: "List the models answers can be generated with, and their limits",
+			method: "GET",
+			path: "/models",
+			scope: "read",
+			parameters: [],
+			category: "AI",
+			icon: "🧠"
+		},
+		{
+			id: "health",
+			name: "Health Check",
+			description: "Check system status and availability",
+			method: "GET",
+			path: "/health",
+			scope: "read",
+			parameters: [],
+			category: "System",
+			icon: "❤️"
+		}
+	];
+}
+
+/**
+ * Route of a command, as listed by GET /help
+ * @param {object} command - Command from buildCommands
+ * @returns {string} - Method and path, e.g. "DELETE /notes/:id"
+ */
+export const commandRoute = (command) => `${command.method} ${command.path}`;
+
+/**
+ * Shape a command for GET /commands
+ * @param {object} command - Command from buildCommands
+ * @returns {object} - Command with a display endpoint, e.g. "GET /search?q={q}"
+ */
+export function formatCommand({ method, path, parameters, ...command }) {
+	const required = parameters.filter(param => param.in === "query" && param.required);
+	const query = required.map(param => `${param.name}={${param.name}}`).join("&");
+	return {
+		...command,
+		endpoint: `${method} ${path.replace(/:(\w+)/g, "{$1}")}${query ? `?${query}` : ""}`,
+		parameters: parameters.map(({ mcp: _mcp, ...param }) => param)
+	};
+}
+
+/**
+ * JSON Schema of a command's parameters, for MCP tool definitions
+ * @param {object} command - Command from buildCommands
+ * @returns {object} - Object schema; repeatable parameters take a string or an array of strings
+ */
+export function toInputSchema(command) {
+	const parameters = command.parameters.filter(param => param.mcp !== false);
+	const properties = Object.fromEntries(parameters.map(param => {
+		const schema = {
+			type: param.type,
+			description: param.description,
+			...(param.options ? { enum: param.options } : {}),
+			...(param.items ? { items: { type: param.items } } : {})
+		};
+		return [param.name, param.repeatable ? { anyOf: [schema, { type: "array", items: schema }], description: param.description } : schema];
+	}));
+
+	return {
+		type: "object",
+		properties,
+		required: parameters.filter(param => param.required).map(param => param.name),
+		additionalProperties: false
+	};
+}
+
+/**
+ * Build the HTTP request that runs a command
+ * @param {object} command - Command from buildCommands
+ * @param {object} args - Arguments keyed by parameter name
+ * @param {object} options - Request options
+ * @param {string} options.origin - Origin of the worker
+ * @param {object} options.headers - Headers to send, such as the API key and collection
+ * @returns {{request?: Request, error?: string}} - Request, or the first problem with the arguments
+ */
+export function buildCommandRequest(command, args = {}, { origin, headers }) {
+	if (typeof args !== "object" || args === null || Array.isArray(args)) {
+		return { error: "Arguments must be an object" };
+	}
+
+	const parameters = command.parameters.filter(param => param.mcp !== false);
+	const unknown = Object.keys(args).find(name => !parameters.some(param => param.name === name));
+	if (unknown) return { error: `Unknown argument '${unknown}'` };
+
+	let path = command.path;
+	const query = new URLSearchParams();
+	const body = {};
+
+	for (const param of parameters) {
+		const value = args[param.name];
+		if (value === undefined || value === null) {
+			if (param.required) return { error: `Argument '${param.name}' is required` };
+			continue;
+		}
+
+		const values = param.repeatable && Array.isArray(value) ? value : [value];
+		if (!values.every(JSON_TYPES[param.type])) {
+			return { error: `Argument '${param.name}' must be ${param.repeatable ? `a ${param.type} or an array of them` : `a ${param.type}`}` };
+		}
+
+		if (param.in === "path") {
+			path = path.replace(`:${param.name}`, encodeURIComponent(value));
+		} else if (param.in === "query") {
+			values.forEach(item => query.append(param.name, String(item)));
+		} else {
+			body[param.name] = value;
+		}
+	}
+
+	const search = query.toString();
+	const hasBody = command.parameters.some(param => param.in === "body");
+	return {
+		request: new Request(`${origin}${path}${search ? `?${search}` : ""}`, {
+			method: command.method,
+			headers: { ...headers, ...(hasBody ? { "Content-Type": "application/json" } : {}) },
+			...(hasBody ? { body: JSON.stringify(body) } : {})
+		})
+	};
+}
@@ -0,0 +1,221 @@
+/**
+ * Token-budgeted context assembly
+ *
+ * The context sent with a question must leave room in the model's window for
+ * the rest of the prompt and the answer. The budget is the model's
+ * contextWindow minus its maxOutputTokens and the estimated tokens of the
+ * other messages, capped at CONTEXT_MAX_TOKENS.
+ *
+ * Notes are picked by maximal marginal relevance: each pick maximizes
+ * MMR_LAMBDA * relevance - (1 - MMR_LAMBDA) * similarity to the notes already
+ * picked, with similarity measured as word overlap so it works for every
+ * retrieval mode. A note nearly identical to a picked one is dropped as
+ * redundant. Each picked note gets an even share of the remaining budget; its
+ * best passages are kept first and the last one is cut at a sentence or word
+ * boundary when it doesn't fit. Notes past the note limit or the budget are
+ * dropped, and the report says which notes were included or dropped and why.
+ */
+
+import { estimateTokens } from "./openai";
+import { sectionTitle } from "./documents";
+
+export const DEFAULT_CONTEXT_MAX_TOKENS = 4000;
+export const DEFAULT_MMR_LAMBDA = 0.7;
+export const DROP_REASONS = ["redundant", "limit", "budget"];
+
+const REDUNDANT_SIMILARITY = 0.9; // Word overlap above which a note adds nothing new
+const MIN_PASSAGE_TOKENS = 32; // Smallest passage worth sending, truncated or not
+const MESSAGE_OVERHEAD_TOKENS = 8; // Role and formatting tokens per chat message
+const SOURCE_OVERHEAD_TOKENS = 4; // "[n] " and separators per source
+const PASSAGE_SEPARATOR_TOKENS = 2; // "\n...\n" between passages of a source
+const CHARS_PER_TOKEN = 4; // Same estimate as estimateTokens
+const ELLIPSIS = "…";
+
+/**
+ * Read the context settings
+ * @param {object} env - Environment bindings
+ * @returns {{maxTokens: number, lambda: number}} - CONTEXT_MAX_TOKENS and MMR_LAMBDA, or their defaults
+ */
+export function resolveContextSettings(env) {
+	const maxTokens = Number.parseInt(env.CONTEXT_MAX_TOKENS, 10);
+	const lambda = Number.parseFloat(env.MMR_LAMBDA);
+
+	return {
+		maxTokens: Number.isInteger(maxTokens) && maxTokens > 0 ? maxTokens : DEFAULT_CONTEXT_MAX_TOKENS,
+		lambda: lambda >= 0 && lambda <= 1 ? lambda : DEFAULT_MMR_LAMBDA
+	};
+}
+
+/**
+ * Token budget for the context of a request
+ * @param {object} env - Environment bindings
+ * @param {object} model - Model from resolveModel
+ * @param {Array<{content: string}>} messages - Every other message sent with the context
+ * @param {number} [maxOutputTokens] - Tokens kept for the answer, the model's maxOutputTokens unless a request lowers it
+ * @returns {{budget: number, contextWindow: number, reservedTokens: number, lambda: number}} - Tokens available for context, never negative, and what they were computed from
+ */
+export function resolveContextBudget(env, model, messages, maxOutputTokens = model.maxOutputTokens) {
+	const { maxTokens, lambda } = resolveContextSettings(env);
+	const promptTokens = messages.reduce((total, message) => total + estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS, 0);
+	// The context travels in a system message of its own
+	const reservedTokens = maxOutputTokens + promptTokens + MESSAGE_OVERHEAD_TOKENS;
+
+	return {
+		budget: Math.max(0, Math.min(maxTokens, model.contextWindow - reservedTokens)),
+		contextWindow: model.contextWindow,
+		reservedTokens,
+		lambda
+	};
+}
+
+/**
+ * Pick and trim matches to fit a token budget
+ * @param {Array} matches - Ranked results from fetchNotesForResults, best first
+ * @param {object} options - Options
+ * @param {number} options.budget - Tokens available, from resolveContextBudget
+ * @param {number} options.maxNotes - Most notes to include
+ * @param {number} [options.lambda] - Relevance weight against diversity, 0 to 1
+ * @param {string} [options.scoreField] - Field holding the ranking score, such as rerankScore after reranking
+ * @returns {{matches: Array, report: object}} - Included matches in pick order with trimmed passages, and the budget report
+ */
+export function buildContext(matches, { budget, maxNotes, lambda = DEFAULT_MMR_LAMBDA, scoreField = "score" }) {
+	const candidates = matches.map((match, rank) => ({
+		match,
+		rank,
+		relevance: rankingScore(match, scoreField),
+		terms: termSet(match.passages.map(passage => passage.text).join(" "))
+	}));
+	const topScore = Math.max(0, ...candidates.map(candidate => candidate.relevance));
+	candidates.forEach(candidate => {
+		candidate.relevance = topScore > 0 ? Math.max(0, candidate.relevance) / topScore : 1;
+	});
+
+	const included = [];
+	const dropped = [];
+	let remaining = budget;
+
+	while (candidates.length > 0) {
+		if (included.length === maxNotes) {
+			candidates.forEach(candidate => dropped.push({ noteId: candidate.match.id, reason: "limit" }));
+			break;
+		}
+
+		// Most relevant note that repeats the least of what is already picked
+		const scored = candidates.map(candidate => {
+			const nearest = included.reduce(
+				(best, picked) => {
+					const similarity = jaccard(candidate.terms, picked.terms);
+					return similarity > best.similarity ? { similarity, noteId: picked.match.id } : best;
+				},
+				{ similarity: 0, noteId: null }
+			);
+			return { candidate, nearest, mmr: lambda * candidate.relevance - (1 - lambda) * nearest.similarity };
+		});
+		const { candidate, nearest, mmr } = scored.reduce((best, entry) => (entry.mmr > best.mmr ? entry : best));
+		candidates.splice(candidates.indexOf(candidate), 1);
+
+		if (nearest.similarity >= REDUNDANT_SIMILARITY) {
+			dropped.push({ noteId: candidate.match.id, reason: "redundant", similarTo: nearest.noteId, similarity: round(nearest.similarity) });
+			continue;
+		}
+
+		// An even share of what is left, so the first note can't take the whole budget
+		const slots = Math.min(maxNotes - included.length, candidates.length + 1);
+		const title = candidate.match.note ? sectionTitle(candidate.match.note.metadata) : null;
+		const overhead = SOURCE_OVERHEAD_TOKENS + (title ? estimateTokens(title) + 1 : 0);
+		const fitted = fitPassages(candidate.match.passages, Math.floor(remaining / slots) - overhead);
+		if (!fitted) {
+			dropped.push({ noteId: candidate.match.id, reason: "budget" });
+			continue;
+		}
+
+		remaining -= fitted.tokens + overhead;
+		included.push({
+			match: { ...candidate.match, passages: fitted.passages },
+			terms: candidate.terms,
+			entry: {
+				noteId: candidate.match.id,
+				rank: candidate.rank + 1,
+				tokens: fitted.tokens + overhead,
+				passages: fitted.passages.length,
+				truncated: fitted.truncated,
+				relevance: round(candidate.relevance),
+				mmr: round(mmr)
+			}
+		});
+	}
+
+	return {
+		matches: included.map(pick => pick.match),
+		report: {
+			budget,
+			usedTokens: budget - remaining,
+			included: included.map(pick => pick.entry),
+			dropped
+		}
+	};
+}
+
+/**
+ * Cut text to about a number of tokens at a sentence or word boundary
+ * @param {string} text - Text to cut
+ * @param {number} maxTokens - Token limit
+ * @returns {string} - The text when it fits, else its start followed by an ellipsis
+ */
+export function truncateText(text, maxTokens) {
+	if (estimateTokens(text) <= maxTokens) return text;
+
+	const cut = text.slice(0, Math.max(0, maxTokens * CHARS_PER_TOKEN - ELLIPSIS.length));
+	const sentenceEnd = Math.max(cut.lastIndexOf(". "), cut.lastIndexOf("\n"));
+	const wordEnd = cut.lastIndexOf(" ");
+	const end = sentenceEnd >= cut.length / 2 ? sentenceEnd + 1 : wordEnd > 0 ? wordEnd : cut.length;
+	return `${cut.slice(0, end).trimEnd()}${ELLIPSIS}`;
+}
+
+// Best-scoring passages that fit, back in document order; null when not even a cut passage fits
+const fitPassages = (passages, maxTokens) => {
+	if (maxTokens < MIN_PASSAGE_TOKENS) return null;
+
+	const byScore = [...passages].sort((a, b) => (b.score ?? -Infinity) - (a.score ?? -Infinity));
+	const kept = [];
+	let tokens = 0;
+	let truncated = false;
+
+	for (const passage of byScore) {
+		const separator = kept.length > 0 ? PASSAGE_SEPARATOR_TOKENS : 0;
+		const cost = separator + estimateTokens(passage.text);
+		if (tokens + cost <= maxTokens) {
+			kept.push(passage);
+			tokens += cost;
+			continue;
+		}
+
+		truncated = true;
+		if (maxTokens - tokens - separator >= MIN_PASSAGE_TOKENS) {
+			const text = truncateText(passage.text, maxTokens - tokens - separator);
+			kept.push({ ...passage, text, truncated: true });
+			tokens += separator + estimateTokens(text);
+		}
+		break;
+	}
+
+	if (kept.length === 0) return null;
+	kept.sort((a, b) => (a.chunkIndex ?? 0) - (b.chunkIndex ?? 0));
+	return { passages: kept, tokens, truncated };
+};
+
+// Ranking score with the feedback boost applied, as used to order the matches
+const rankingScore = (match, scoreField) => (match[scoreField] ?? 0) * (match.feedback?.boost ?? 1);
+
+const termSet = (text) => new Set(text.toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || []);
+
+const jaccard = (a, b) => {
+	if (a.size === 0 || b.size === 0) return 0;
+	let shared = 0;
+	a.forEach(term => {
+		if (b.has(term)) shared++;
+	});
+	return shared / (a.size + b.size - shared);
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
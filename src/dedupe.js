@@ -0,0 +1,198 @@
+/**
+ * Duplicate and near-duplicate detection
+ *
+ * Every note stores a SHA-256 hash of its normalized text (case, Unicode form
+ * and whitespace folded); a new note whose hash already exists in its
+ * collection is rejected. Near-duplicates are found by embedding the first chunks of a new
+ * note and querying the vector store; the note's similarity to an existing
+ * note is the mean, over those chunks, of the best score against it. The
+ * dedupe option of POST /notes decides what happens above the threshold:
+ *   skip  - don't store the new note
+ *   merge - merge its metadata into the existing note and re-index that note
+ *   flag  - store it with duplicate_of pointing at the existing note (default)
+ */
+
+import { chunkVectorId, parseVectorId } from "./chunking";
+import { validateMetadata } from "./metadata";
+
+export const DEDUPE_MODES = ["skip", "merge", "flag"];
+export const DEFAULT_DEDUPE_MODE = "flag";
+export const DEFAULT_DUPLICATE_THRESHOLD = 0.95;
+export const DUPLICATE_SAMPLE_CHUNKS = 3; // Leading chunks compared per note
+
+const CANDIDATES_PER_CHUNK = 5;
+const LOOKUP_BATCH_SIZE = 20; // Ids per vector store getByIds call
+
+/**
+ * Normalize text for exact duplicate detection
+ * @param {string} text - Note text
+ * @returns {string} - NFKC, lowercased text with whitespace collapsed
+ */
+export function normalizeText(text) {
+	return text.normalize("NFKC").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Hash note text for exact duplicate detection
+ * @param {string} text - Note text
+ * @returns {Promise<string>} - Hex SHA-256 digest of the normalized text
+ */
+export async function contentHash(text) {
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(normalizeText(text)));
+	return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Read the near-duplicate threshold
+ * @param {object} env - Environment bindings
+ * @returns {number} - DUPLICATE_THRESHOLD when it is a similarity in (0, 1], else the default
+ */
+export function resolveDuplicateThreshold(env) {
+	const threshold = Number.parseFloat(env.DUPLICATE_THRESHOLD);
+	return threshold > 0 && threshold <= 1 ? threshold : DEFAULT_DUPLICATE_THRESHOLD;
+}
+
+/**
+ * Merge the metadata of a near-duplicate into the note it duplicates
+ * @param {object} existing - Metadata of the stored note
+ * @param {object} incoming - Validated metadata of the new note
+ * @returns {object} - Merged metadata; new values win and tags are combined
+ * @throws {Error} - When the merged metadata exceeds the limits
+ */
+export function mergeMetadata(existing, incoming) {
+	const tags = [...new Set([...(existing.tags || []), ...(incoming.tags || [])])];
+	const { value, error } = validateMetadata({
+		...existing,
+		...incoming,
+		...(tags.length > 0 ? { tags } : {})
+	});
+	if (error) throw new Error(`Merged metadata is invalid: ${error}`);
+	return value;
+}
+
+/**
+ * Find the existing note most similar to a set of chunk embeddings
+ * @param {object} vectors - Vector store from getBackends
+ * @param {Array<Array<number>>} embeddings - Embeddings of the note's leading chunks
+ * @param {object} options - Search options
+ * @param {string} options.collection - Collection to search
+ * @param {number} options.threshold - Minimum similarity
+ * @param {number|string} [options.excludeNoteId] - Note to ignore, the note itself
+ * @returns {Promise<{noteId: number, similarity: number}|null>} - Best note above the threshold, or null
+ */
+export async function findNearDuplicate(vectors, embeddings, { collection, threshold, excludeNoteId }) {
+	const scores = await scoreCandidates(vectors, embeddings.slice(0, DUPLICATE_SAMPLE_CHUNKS), collection, excludeNoteId);
+	const [best] = [...scores.entries()]
+		.map(([noteId, similarity]) => ({ noteId: Number(noteId), similarity }))
+		.sort((a, b) => b.similarity - a.similarity);
+	return best && best.similarity >= threshold ? best : null;
+}
+
+/**
+ * Group near-duplicate notes of a collection
+ *
+ * Each note's leading chunk vectors are read back from the vector store and
+ * compared like a new note would be; notes linked by a similarity above the
+ * threshold form one cluster.
+ * @param {object} vectors - Vector store from getBackends
+ * @param {Array<number>} noteIds - Notes to scan
+ * @param {object} options - Scan options
+ * @param {string} options.collection - Collection of the notes
+ * @param {number} options.threshold - Minimum similarity
+ * @returns {Promise<Array<{noteIds: Array<number>, pairs: Array}>>} - Clusters of two or more notes
+ */
+export async function findNearDuplicateClusters(vectors, noteIds, { collection, threshold }) {
+	const sampleIds = noteIds.flatMap(noteId =>
+		Array.from({ length: DUPLICATE_SAMPLE_CHUNKS }, (_, index) => chunkVectorId(noteId, index))
+	);
+	const stored = new Map();
+	for (let i = 0; i < sampleIds.length; i += LOOKUP_BATCH_SIZE) {
+		(await vectors.getByIds(sampleIds.slice(i, i + LOOKUP_BATCH_SIZE))).forEach(vector => stored.set(vector.id, vector.values));
+	}
+
+	const pairs = new Map();
+	for (const noteId of noteIds) {
+		const embeddings = Array.from({ length: DUPLICATE_SAMPLE_CHUNKS }, (_, index) => stored.get(chunkVectorId(noteId, index)))
+			.filter(Boolean);
+		if (embeddings.length === 0) continue;
+
+		const scores = await scoreCandidates(vectors, embeddings, collection, noteId);
+		for (const [otherId, similarity] of scores) {
+			if (similarity < threshold) continue;
+
+			// Scores depend on which side is sampled; each pair keeps its best
+			const ids = [noteId, Number(otherId)].sort((a, b) => a - b);
+			const key = ids.join("-");
+			if (!pairs.has(key) || pairs.get(key).similarity < similarity) {
+				pairs.set(key, { noteIds: ids, similarity });
+			}
+		}
+	}
+
+	return clusterPairs([...pairs.values()]);
+}
+
+/**
+ * Drop retrieval matches whose note repeats an earlier match's text
+ * @param {Array} matches - Results from fetchNotesForResults, best first
+ * @returns {Array} - Matches with one note per normalized text
+ */
+export function collapseDuplicateMatches(matches) {
+	const seen = new Set();
+	return matches.filter(({ note }) => {
+		const key = note.content_hash || normalizeText(note.text);
+		if (seen.has(key)) return false;
+		seen.add(key);
+		return true;
+	});
+}
+
+// Mean best score per note over the sampled chunks; chunks without a match count as 0
+const scoreCandidates = async (vectors, embeddings, collection, excludeNoteId) => {
+	const totals = new Map();
+	for (const values of embeddings) {
+		const { matches } = await vectors.query(values, {
+			topK: CANDIDATES_PER_CHUNK,
+			...(collection ? { namespace: collection } : {})
+		});
+
+		const best = new Map();
+		for (const match of matches) {
+			const { noteId } = parseVectorId(match.id);
+			if (String(noteId) === String(excludeNoteId)) continue;
+			best.set(noteId, Math.max(best.get(noteId) ?? -1, match.score));
+		}
+		best.forEach((score, noteId) => totals.set(noteId, (totals.get(noteId) ?? 0) + score));
+	}
+
+	return new Map([...totals].map(([noteId, total]) => [noteId, total / embeddings.length]));
+};
+
+// Connected components of the similarity graph
+const clusterPairs = (pairs) => {
+	const parent = new Map();
+	const find = (id) => {
+		while (parent.get(id) !== id) id = parent.get(id);
+		return id;
+	};
+
+	for (const { noteIds: [a, b] } of pairs) {
+		if (!parent.has(a)) parent.set(a, a);
+		if (!parent.has(b)) parent.set(b, b);
+		parent.set(find(a), find(b));
+	}
+
+	const clusters = new Map();
+	for (const pair of pairs) {
+		const root = find(pair.noteIds[0]);
+		if (!clusters.has(root)) clusters.set(root, { noteIds: new Set(), pairs: [] });
+		const cluster = clusters.get(root);
+		pair.noteIds.forEach(id => cluster.noteIds.add(id));
+		cluster.pairs.push(pair);
+	}
+
+	return [...clusters.values()].map(cluster => ({
+		noteIds: [...cluster.noteIds].sort((a, b) => a - b),
+		pairs: cluster.pairs
+	}));
+};
@@ -0,0 +1,484 @@
+/**
+ * Document upload and structure-aware parsing
+ *
+ * POST /documents takes a Markdown, HTML or plain text document, as a multipart
+ * "file" field or as the raw request body. Markup is stripped and the document
+ * is split at its headings; every section keeps the path of headings above it
+ * and is ingested as a note through RAGWorkflow, with the document's title,
+ * section path, filename (as source) and id in its metadata. Sources built
+ * from such notes are titled "Document > Section" for the model and citations.
+ *
+ * A document with more than MAX_DOCUMENT_SECTIONS sections is split at fewer
+ * heading levels; deeper headings stay in the text of their section.
+ */
+
+export const DOCUMENT_FORMATS = ["markdown", "html", "text"];
+export const MAX_DOCUMENT_BYTES = 1024 * 1024;
+export const MAX_DOCUMENT_SECTIONS = 100;
+
+const SECTION_SEPARATOR = " > ";
+const MAX_HEADING_LENGTH = 200;
+const DEFAULT_TITLE = "Untitled document";
+
+const CONTENT_TYPES = {
+	"text/markdown": "markdown",
+	"text/x-markdown": "markdown",
+	"text/html": "html",
+	"application/xhtml+xml": "html",
+	"text/plain": "text"
+};
+
+const EXTENSIONS = {
+	md: "markdown",
+	markdown: "markdown",
+	html: "html",
+	htm: "html",
+	txt: "text",
+	text: "text"
+};
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+// Elements whose content is never document text
+const HIDDEN_ELEMENTS = /<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1\s*>/gi;
+// Elements that start a new line of text
+const BLOCK_ELEMENTS = /<\/?(p|div|section|article|header|footer|main|nav|aside|ul|ol|table|thead|tbody|tr|blockquote|pre|dl|dt|dd|figure|figcaption|hr)\b[^>]*>/gi;
+
+/**
+ * Detect the format of an upload
+ * @param {object} upload - What is known about the upload
+ * @param {string} [upload.format] - Explicit format, one of DOCUMENT_FORMATS
+ * @param {string} [upload.filename] - File name, whose extension is checked next
+ * @param {string} [upload.contentType] - Content type, checked last
+ * @returns {string|null} - One of DOCUMENT_FORMATS, or null when unknown
+ */
+export function detectFormat({ format, filename, contentType }) {
+	if (format) return DOCUMENT_FORMATS.includes(format) ? format : null;
+
+	const extension = filename?.includes(".") ? filename.split(".").pop().toLowerCase() : null;
+	if (extension && EXTENSIONS[extension]) return EXTENSIONS[extension];
+
+	return CONTENT_TYPES[(contentType || "").split(";")[0].trim().toLowerCase()] ?? null;
+}
+
+/**
+ * Read a document upload from a request
+ *
+ * Options come from the query string: filename, title, format, tag (repeatable)
+ * and author. A multipart upload supplies the filename and content type of its
+ * "file" part unless the query overrides them.
+ * @param {object} c - Hono context
+ * @returns {Promise<{value?: object, error?: string, status?: number}>} - Content, filename, format, title and note metadata, or an error with its HTTP status
+ */
+export async function readDocumentUpload(c) {
+	const contentType = c.req.header("content-type") || "";
+	let content;
+	let filename = c.req.query("filename")?.trim() || null;
+	let partType = contentType;
+
+	if (contentType.startsWith("multipart/form-data")) {
+		const { file } = await c.req.parseBody();
+		if (!(file instanceof File)) {
+			return { error: "Multipart uploads need a 'file' field", status: 400 };
+		}
+		if (file.size > MAX_DOCUMENT_BYTES) {
+			return { error: `Documents can be at most ${MAX_DOCUMENT_BYTES} bytes`, status: 413 };
+		}
+		content = await file.text();
+		filename ??= file.name || null;
+		partType = file.type;
+	} else {
+		content = await c.req.text();
+		if (new TextEncoder().encode(content).length > MAX_DOCUMENT_BYTES) {
+			return { error: `Documents can be at most ${MAX_DOCUMENT_BYTES} bytes`, status: 413 };
+		}
+	}
+
+	if (content.trim().length === 0) {
+		return { error: "Document is empty", status: 400 };
+	}
+
+	const format = detectFormat({ format: c.req.query("format"), filename, contentType: partType });
+	if (!format) {
+		return { error: `Unsupported document format, expected one of: ${DOCUMENT_FORMATS.join(", ")}`, status: 415 };
+	}
+
+	const tags = (c.req.queries("tag") || []).map(tag => tag.trim()).filter(Boolean);
+	const author = c.req.query("author")?.trim();
+	return {
+		value: {
+			content,
+			filename,
+			format,
+			title: c.req.query("title")?.trim() || null,
+			metadata: {
+				...(tags.length > 0 ? { tags } : {}),
+				...(author ? { author } : {})
+			}
+		}
+	};
+}
+
+/**
+ * Parse a document into titled sections
+ * @param {string} content - Document text
+ * @param {string} format - One of DOCUMENT_FORMATS
+ * @param {object} [options] - Options
+ * @param {string} [options.title] - Title to use instead of the document's own
+ * @param {string} [options.filename] - File name, the title of last resort
+ * @returns {{title: string, sections: Array<{index: number, headings: Array<string>, section: string|null, text: string}>}} - Title and non-empty sections in document order
+ */
+export function parseDocument(content, format, { title = null, filename = null } = {}) {
+	const source = content.replace(/\r\n?/g, "\n");
+	const { blocks, title: ownTitle } = format === "html"
+		? htmlBlocks(source)
+		: format === "markdown"
+			? markdownBlocks(source)
+			: { blocks: [{ text: normalizeText(source) }], title: null };
+
+	const firstHeading = blocks.find(block => block.level === 1)?.heading;
+	const documentTitle = title || ownTitle || firstHeading || filename?.replace(/\.[^.]+$/, "") || DEFAULT_TITLE;
+
+	// Split at as many heading levels as the section limit allows
+	let sections = [];
+	for (let depth = 6; depth >= 1; depth--) {
+		sections = buildSections(blocks, depth);
+		if (sections.length <= MAX_DOCUMENT_SECTIONS) break;
+	}
+
+	return {
+		title: documentTitle,
+		sections: sections.map((section, index) => {
+			// A top heading repeating the title would only lengthen every path
+			const headings = section.headings[0]?.toLowerCase() === documentTitle.toLowerCase()
+				? section.headings.slice(1)
+				: section.headings;
+			return {
+				index,
+				headings,
+				section: headings.length > 0 ? headings.join(SECTION_SEPARATOR) : null,
+				text: section.text
+			};
+		})
+	};
+}
+
+/**
+ * Note metadata of a document section
+ * @param {object} document - Stored document
+ * @param {number} document.id - Document id
+ * @param {string} document.title - Document title
+ * @param {string|null} document.filename - File name
+ * @param {object} document.metadata - Metadata given with the upload
+ * @param {object} section - Section from parseDocument
+ * @returns {object} - Note metadata
+ */
+export const sectionMetadata = (document, section) => ({
+	...document.metadata,
+	...(document.filename ? { source: document.filename } : {}),
+	documentId: document.id,
+	documentTitle: document.title,
+	...(section.section ? { section: section.section } : {}),
+	sectionIndex: section.index
+});
+
+/**
+ * "Document > Section" title of a note extracted from a document
+ * @param {object|string} metadata - Note metadata, parsed or as stored
+ * @returns {string|null} - Title, or null for notes that aren't from a document
+ */
+export function sectionTitle(metadata) {
+	let fields = metadata;
+	if (typeof metadata === "string") {
+		try {
+			fields = JSON.parse(metadata);
+		} catch {
+			return null;
+		}
+	}
+	if (!fields?.documentTitle) return null;
+	return fields.section ? `${fields.documentTitle}${SECTION_SEPARATOR}${fields.section}` : fields.documentTitle;
+}
+
+/**
+ * Store a document record
+ * @param {object} db - D1 binding
+ * @param {object} document - Document fields
+ * @param {string} document.collection - Collection
+ * @param {string} document.title - Title from parseDocument
+ * @param {string|null} document.filename - File name
+ * @param {string} document.format - One of DOCUMENT_FORMATS
+ * @param {string} document.contentHash - Hash of the content, for duplicate uploads
+ * @param {object} document.metadata - Metadata given with the upload
+ * @param {number} document.sectionCount - Number of sections
+ * @returns {Promise<object>} - Stored document
+ */
+export async function createDocument(db, { collection, title, filename, format, contentHash, metadata, sectionCount }) {
+	const row = await db.prepare(
+		`INSERT INTO documents (collection, title, filename, format, content_hash, metadata, section_count)
+		VALUES (?, ?, ?, ?, ?, ?, ?) RETURNING *`
+	).bind(collection, title, filename, format, contentHash, JSON.stringify(metadata), sectionCount).first();
+	return formatDocument(row);
+}
+
+/**
+ * Record the workflow runs ingesting a document's sections
+ * @param {object} db - D1 binding
+ * @param {number} documentId - Document id
+ * @param {Array<{index: number, section: string|null, workflowId: string}>} sections - Started sections
+ * @returns {Promise<void>}
+ */
+export async function recordDocumentSections(db, documentId, sections) {
+	if (sections.length === 0) return;
+	const insert = db.prepare("INSERT INTO document_sections (document_id, section_index, section, workflow_id) VALUES (?, ?, ?, ?)");
+	await db.batch(sections.map(section => insert.bind(documentId, section.index, section.section, section.workflowId)));
+}
+
+/**
+ * Find a document with the same content in a collection
+ * @param {object} db - D1 binding
+ * @param {string} collection - Collection
+ * @param {string} contentHash - Hash of the content
+ * @returns {Promise<number|null>} - Id of the existing document, or null
+ */
+export async function findDocumentByHash(db, collection, contentHash) {
+	const row = await db.prepare("SELECT id FROM documents WHERE collection = ? AND content_hash = ? LIMIT 1")
+		.bind(collection, contentHash)
+		.first();
+	return row?.id ?? null;
+}
+
+/**
+ * List the documents of a collection, newest first
+ * @param {object} db - D1 binding
+ * @param {string} collection - Collection
+ * @param {object} options - Page
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Documents to skip
+ * @returns {Promise<{documents: Array, total: number}>} - Page of documents and the collection's total
+ */
+export async function listDocuments(db, collection, { limit, offset }) {
+	const [page, count] = await db.batch([
+		db.prepare("SELECT * FROM documents WHERE collection = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?")
+			.bind(collection, limit, offset),
+		db.prepare("SELECT COUNT(*) AS total FROM documents WHERE collection = ?").bind(collection)
+	]);
+	return { documents: page.results.map(formatDocument), total: count.results[0].total };
+}
+
+/**
+ * Read a document with the ingestion state of its sections
+ * @param {object} db - D1 binding
+ * @param {number|string} id - Document id
+ * @param {string} collection - Collection the document must belong to
+ * @returns {Promise<object|null>} - Document with sections and the ids of its stored notes, or null
+ */
+export async function getDocument(db, id, collection) {
+	const row = await db.prepare("SELECT * FROM documents WHERE id = ? AND collection = ?").bind(id, collection).first();
+	if (!row) return null;
+
+	const [sections, notes] = await db.batch([
+		db.prepare(
+			`SELECT s.section_index, s.section, s.workflow_id, j.step, j.error, j.note_id
+			FROM document_sections s LEFT JOIN ingestion_jobs j ON j.workflow_id = s.workflow_id
+			WHERE s.document_id = ? ORDER BY s.section_index`
+		).bind(row.id),
+		db.prepare("SELECT id FROM notes WHERE document_id = ? AND collection = ? ORDER BY id").bind(row.id, collection)
+	]);
+
+	return {
+		...formatDocument(row),
+		noteIds: notes.results.map(note => note.id),
+		sections: sections.results.map(section => ({
+			index: section.section_index,
+			section: section.section,
+			workflowId: section.workflow_id,
+			step: section.step ?? null,
+			error: section.error ?? null,
+			noteId: section.note_id ?? null
+		}))
+	};
+}
+
+/**
+ * Delete a document record and its section runs; its notes are deleted through the note store
+ * @param {object} db - D1 binding
+ * @param {number|string} id - Document id
+ * @param {string} collection - Collection the document must belong to
+ * @returns {Promise<boolean>} - Whether the document existed
+ */
+export async function deleteDocument(db, id, collection) {
+	const [deleted] = await db.batch([
+		db.prepare("DELETE FROM documents WHERE id = ? AND collection = ? RETURNING id").bind(id, collection),
+		db.prepare("DELETE FROM document_sections WHERE document_id = ? AND NOT EXISTS (SELECT 1 FROM documents WHERE id = ?)").bind(id, id)
+	]);
+	return deleted.results.length > 0;
+}
+
+const formatDocument = (row) => ({
+	id: row.id,
+	collection: row.collection,
+	title: row.title,
+	filename: row.filename,
+	format: row.format,
+	metadata: JSON.parse(row.metadata),
+	sectionCount: row.section_count,
+	createdAt: row.created_at
+});
+
+// Group blocks into sections at headings up to the given depth; deeper headings become text
+const buildSections = (blocks, depth) => {
+	const sections = [];
+	let path = [];
+	let current = { headings: [], parts: [] };
+
+	const close = () => {
+		const body = current.parts.join("\n\n").trim();
+		if (body.length > 0) {
+			const heading = current.headings[current.headings.length - 1];
+			sections.push({ headings: current.headings, text: heading ? `${heading}\n\n${body}` : body });
+		}
+	};
+
+	for (const block of blocks) {
+		if (block.level === undefined) {
+			current.parts.push(block.text);
+		} else if (block.level > depth) {
+			current.parts.push(block.heading);
+		} else {
+			close();
+			path = [...path.filter(entry => entry.level < block.level), block];
+			current = { headings: path.map(entry => entry.heading), parts: [] };
+		}
+	}
+	close();
+
+	return sections;
+};
+
+// Markdown as heading and text blocks; fenced code is kept verbatim and never read as headings
+const markdownBlocks = (source) => {
+	const blocks = [];
+	let title = null;
+	let body = source;
+
+	const frontMatter = body.match(/^---\n([\s\S]*?)\n---(?:\n|$)/);
+	if (frontMatter) {
+		title = frontMatter[1].match(/^title:\s*["']?(.+?)["']?\s*$/m)?.[1] ?? null;
+		body = body.slice(frontMatter[0].length);
+	}
+
+	let lines = [];
+	let fence = null;
+	const flush = () => {
+		const text = normalizeText(lines.join("\n"));
+		if (text.length > 0) blocks.push({ text });
+		lines = [];
+	};
+	const addHeading = (level, text) => {
+		const heading = cleanHeading(stripInlineMarkdown(text));
+		if (heading) blocks.push({ level, heading });
+	};
+
+	for (const line of body.split("\n")) {
+		const fenceMatch = line.match(/^\s{0,3}(`{3,}|~{3,})/);
+		if (fence) {
+			if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) fence = null;
+			else lines.push(line);
+			continue;
+		}
+		if (fenceMatch) {
+			fence = fenceMatch[1];
+			continue;
+		}
+
+		const atx = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/);
+		if (atx) {
+			flush();
+			addHeading(atx[1].length, atx[2]);
+			continue;
+		}
+
+		// A line underlined with = or - is a heading; after a blank line, --- is a rule
+		const underline = line.match(/^\s{0,3}(=+|-+)\s*$/);
+		const previous = lines[lines.length - 1];
+		if (underline && previous?.trim() && !/^\s*([-*+]|\d+[.)])\s/.test(previous)) {
+			lines.pop();
+			flush();
+			addHeading(underline[1][0] === "=" ? 1 : 2, previous);
+			continue;
+		}
+		if (/^\s{0,3}([-*_])(\s*\1){2,}\s*$/.test(line)) continue;
+
+		// Reference-style link definitions carry no text
+		if (/^\s{0,3}\[[^\]]+\]:\s+\S+/.test(line)) continue;
+
+		lines.push(stripInlineMarkdown(line));
+	}
+	flush();
+
+	return { blocks, title: title && cleanHeading(title) };
+};
+
+// HTML as heading and text blocks, split at h1-h6
+const htmlBlocks = (source) => {
+	const title = source.match(/<title\b[^>]*>([\s\S]*?)<\/title\s*>/i)?.[1];
+	const body = source.replace(/<!--[\s\S]*?-->/g, "").replace(HIDDEN_ELEMENTS, "");
+
+	const blocks = [];
+	const addText = (html) => {
+		const text = normalizeText(htmlToText(html));
+		if (text.length > 0) blocks.push({ text });
+	};
+
+	let last = 0;
+	for (const match of body.matchAll(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1\s*>/gi)) {
+		addText(body.slice(last, match.index));
+		const heading = cleanHeading(htmlToText(match[2]));
+		if (heading) blocks.push({ level: Number(match[1]), heading });
+		last = match.index + match[0].length;
+	}
+	addText(body.slice(last));
+
+	return { blocks, title: title ? cleanHeading(htmlToText(title)) : null };
+};
+
+const htmlToText = (html) => decodeEntities(
+	html
+		.replace(/<br\s*\/?>/gi, "\n")
+		.replace(/<li\b[^>]*>/gi, "\n- ")
+		.replace(BLOCK_ELEMENTS, "\n")
+		.replace(/<\/t[dh]\s*>/gi, " ")
+		.replace(/<img\b[^>]*\balt="([^"]*)"[^>]*>/gi, " $1 ")
+		.replace(/<[^>]+>/g, "")
+);
+
+const stripInlineMarkdown = (line) => decodeEntities(
+	line
+		.replace(/^\s{0,3}>\s?/, "")
+		.replace(/!\[([^\]]*)\]\([^)]*\)/g, "$1")
+		.replace(/\[([^\]]+)\]\([^)]*\)/g, "$1")
+		.replace(/\[([^\]]+)\]\[[^\]]*\]/g, "$1")
+		.replace(/<[^>\n]+>/g, "")
+		.replace(/`([^`]+)`/g, "$1")
+		.replace(/(\*\*|__)(?=\S)(.+?)(?<=\S)\1/g, "$2")
+		.replace(/(^|[^\w*])\*(?=\S)([^*]+?)(?<=\S)\*(?!\w)/g, "$1$2")
+		.replace(/(^|[^\w])_(?=\S)([^_]+?)(?<=\S)_(?!\w)/g, "$1$2")
+		.replace(/~~(.+?)~~/g, "$1")
+);
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+	if (name[0] !== "#") return ENTITIES[name.toLowerCase()] ?? entity;
+	const code = name[1].toLowerCase() === "x" ? Number.parseInt(name.slice(2), 16) : Number.parseInt(name.slice(1), 10);
+	return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+});
+
+// Trim lines and collapse runs of spaces and blank lines
+const normalizeText = (text) => text
+	.split("\n")
+	.map(line => line.replace(/[ \t ]+/g, " ").trim())
+	.join("\n")
+	.replace(/\n{3,}/g, "\n\n")
+	.trim();
+
+const cleanHeading = (text) => text.replace(/\s+/g, " ").trim().slice(0, MAX_HEADING_LENGTH);
@@ -0,0 +1,431 @@
+/**
+ * Retrieval evaluation
+ *
+ * A dataset holds questions with the ids of the notes retrieval should return
+ * for them, and optionally a reference answer. A run sends every question
+ * through the retrieval pipeline of GET / with the run's settings and scores
+ * the ranked note ids against the expected ones: recall@k, precision@k,
+ * reciprocal rank (within the top k) and nDCG@k with binary relevance.
+ *
+ * Runs are stored in D1 with their per-question results, so two runs of a
+ * dataset can be compared question by question.
+ *
+ * A run scores every question inside one request, so it must stay within the
+ * Workers limit of 1000 subrequests per invocation. Each question costs a few
+ * subrequests (embedding cache, embedding, Vectorize or FTS, D1 note and
+ * feedback lookups, reranking), which caps the questions a run can score;
+ * larger datasets are rejected and should be split.
+ */
+
+import { chunked, D1_BATCH_SIZE, SUBREQUEST_BUDGET } from "./limits";
+
+export const DEFAULT_EVAL_K = 5;
+export const MAX_EVAL_K = 20;
+export const MAX_DATASET_CASES = 200;
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 1000;
+const EVAL_CONCURRENCY = 3; // Questions retrieved at once, as in VectorAgent.batchSearch
+const NOTE_ID_PATTERN = /^\d+$/;
+const EPSILON = 1e-9;
+const CASE_METRICS = ["recall", "precision", "reciprocalRank", "ndcg"];
+const RUN_OVERHEAD_SUBREQUESTS = 20; // Dataset reads, the run insert and the result batches
+const RERANK_SUBREQUESTS = 1;
+// Subrequests to retrieve one question by retrieval mode, with the embedding cache read and write
+const RETRIEVAL_SUBREQUESTS = {
+	vector: 6,
+	keyword: 3,
+	hybrid: 7
+};
+
+/**
+ * Validate a dataset from a request body
+ * @param {object} body - Request body
+ * @returns {{value?: object, error?: string}} - Name, description and cases with string note ids, or an error
+ */
+export function validateDataset(body) {
+	const { name, description = null, cases } = body || {};
+
+	if (typeof name !== "string" || name.trim().length === 0 || name.trim().length > MAX_NAME_LENGTH) {
+		return { error: `name must be 1-${MAX_NAME_LENGTH} characters` };
+	}
+
+	if (description !== null && (typeof description !== "string" || description.length > MAX_DESCRIPTION_LENGTH)) {
+		return { error: `description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters` };
+	}
+
+	if (!Array.isArray(cases) || cases.length === 0 || cases.length > MAX_DATASET_CASES) {
+		return { error: `cases must be an array of 1-${MAX_DATASET_CASES} questions` };
+	}
+
+	const value = [];
+	for (const [index, testCase] of cases.entries()) {
+		const { question, expectedNoteIds, referenceAnswer = null } = testCase || {};
+
+		if (typeof question !== "string" || question.trim().length === 0) {
+			return { error: `cases[${index}].question is required` };
+		}
+
+		const ids = Array.isArray(expectedNoteIds) ? expectedNoteIds.map(String) : [];
+		if (ids.length === 0 || !ids.every(id => NOTE_ID_PATTERN.test(id))) {
+			return { error: `cases[${index}].expectedNoteIds must be a non-empty array of note ids` };
+		}
+
+		if (referenceAnswer !== null && typeof referenceAnswer !== "string") {
+			return { error: `cases[${index}].referenceAnswer must be a string` };
+		}
+
+		value.push({ question: question.trim(), expectedNoteIds: [...new Set(ids)], referenceAnswer });
+	}
+
+	return { value: { name: name.trim(), description, cases: value } };
+}
+
+/**
+ * Validate the options of an evaluation run
+ * @param {object} body - Request body
+ * @param {Array<string>} retrievalModes - Accepted retrieval modes
+ * @returns {{value?: object, error?: string}} - datasetId, k, retrieval, threshold (undefined for the default) and rerank, or an error
+ */
+export function validateRunOptions(body, retrievalModes) {
+	const { datasetId, k = DEFAULT_EVAL_K, retrieval = "vector", threshold, rerank = false } = body || {};
+
+	if (!Number.isInteger(datasetId) || datasetId < 1) {
+		return { error: "datasetId must be a positive integer" };
+	}
+
+	if (!Number.isInteger(k) || k < 1 || k > MAX_EVAL_K) {
+		return { error: `k must be an integer between 1 and ${MAX_EVAL_K}` };
+	}
+
+	if (!retrievalModes.includes(retrieval)) {
+		return { error: `retrieval must be one of: ${retrievalModes.join(", ")}` };
+	}
+
+	if (threshold !== undefined && (typeof threshold !== "number" || threshold < 0 || threshold > 1)) {
+		return { error: "threshold must be a number between 0 and 1" };
+	}
+
+	if (typeof rerank !== "boolean") {
+		return { error: "rerank must be a boolean" };
+	}
+
+	return { value: { datasetId, k, retrieval, threshold, rerank } };
+}
+
+/**
+ * Most questions one run can score within the subrequest budget
+ * @param {object} options - Run options from validateRunOptions
+ * @param {string} options.retrieval - Retrieval mode
+ * @param {boolean} options.rerank - Whether candidates are reranked
+ * @returns {number} - Question limit for a run with these settings
+ */
+export function maxRunCases({ retrieval, rerank }) {
+	const perCase = RETRIEVAL_SUBREQUESTS[retrieval] + (rerank ? RERANK_SUBREQUESTS : 0);
+	return Math.min(MAX_DATASET_CASES, Math.floor((SUBREQUEST_BUDGET - RUN_OVERHEAD_SUBREQUESTS) / perCase));
+}
+
+/**
+ * Score one ranked retrieval against the expected notes
+ * @param {Array<string>} retrieved - Retrieved note ids, best first
+ * @param {Array<string>} expected - Relevant note ids
+ * @param {number} k - Cut-off rank
+ * @returns {{recall: number, precision: number, reciprocalRank: number, ndcg: number}} - Metrics at k
+ */
+export function scoreRetrieval(retrieved, expected, k) {
+	const relevant = new Set(expected.map(String));
+	const top = retrieved.slice(0, k).map(String);
+	const hits = top.map(id => relevant.has(id));
+	const hitCount = hits.filter(Boolean).length;
+
+	const firstHit = hits.indexOf(true);
+	const dcg = hits.reduce((total, hit, index) => total + (hit ? 1 / Math.log2(index + 2) : 0), 0);
+	let idealDcg = 0;
+	for (let index = 0; index < Math.min(relevant.size, k); index++) idealDcg += 1 / Math.log2(index + 2);
+
+	return {
+		recall: relevant.size > 0 ? hitCount / relevant.size : 0,
+		precision: hitCount / k,
+		reciprocalRank: firstHit === -1 ? 0 : 1 / (firstHit + 1),
+		ndcg: idealDcg > 0 ? dcg / idealDcg : 0
+	};
+}
+
+/**
+ * Mean metrics over the cases of a run
+ * @param {Array<object>} caseMetrics - Results of scoreRetrieval
+ * @returns {{recall: number, precision: number, mrr: number, ndcg: number}} - Means, 0 without cases
+ */
+export function averageMetrics(caseMetrics) {
+	const mean = (field) => caseMetrics.length === 0
+		? 0
+		: caseMetrics.reduce((total, metrics) => total + metrics[field], 0) / caseMetrics.length;
+
+	return {
+		recall: mean("recall"),
+		precision: mean("precision"),
+		mrr: mean("reciprocalRank"),
+		ndcg: mean("ndcg")
+	};
+}
+
+/**
+ * Store a dataset and its cases
+ * @param {object} db - D1 binding
+ * @param {string} collection - Collection the expected notes belong to
+ * @param {object} dataset - Dataset from validateDataset
+ * @returns {Promise<object|null>} - Stored dataset with its cases, or null when the name is taken in the collection
+ */
+export async function createDataset(db, collection, { name, description, cases }) {
+	const existing = await db.prepare("SELECT id FROM eval_datasets WHERE collection = ? AND name = ?").bind(collection, name).first();
+	if (existing) return null;
+
+	const row = await db.prepare(
+		"INSERT INTO eval_datasets (collection, name, description) VALUES (?, ?, ?) RETURNING *"
+	).bind(collection, name, description).first();
+
+	const insert = db.prepare(
+		"INSERT INTO eval_cases (dataset_id, question, expected_note_ids, reference_answer) VALUES (?, ?, ?, ?) RETURNING *"
+	);
+	const inserted = [];
+	for (const batch of chunked(cases, D1_BATCH_SIZE)) {
+		const results = await db.batch(
+			batch.map(testCase => insert.bind(row.id, testCase.question, JSON.stringify(testCase.expectedNoteIds), testCase.referenceAnswer))
+		);
+		inserted.push(...results.map(result => formatCase(result.results[0])));
+	}
+
+	return { ...formatDataset(row), caseCount: cases.length, cases: inserted };
+}
+
+/**
+ * Expected note ids of a dataset that don't exist in its collection
+ *
+ * Such notes can never be retrieved, which caps recall below 1; they are
+ * reported when a dataset is created rather than rejected.
+ * @param {object} noteStore - Note store from getBackends
+ * @param {object} dataset - Dataset from validateDataset
+ * @param {string} collection - Collection of the dataset
+ * @returns {Promise<Array<string>>} - Unknown note ids
+ */
+export async function findUnknownNoteIds(noteStore, { cases }, collection) {
+	const expectedIds = [...new Set(cases.flatMap(testCase => testCase.expectedNoteIds))];
+	const found = new Set((await noteStore.getNoteVersions(expectedIds, collection)).map(row => String(row.id)));
+	return expectedIds.filter(id => !found.has(id));
+}
+
+/**
+ * List the datasets of a collection, newest first
+ * @param {object} db - D1 binding
+ * @param {string} collection - Collection
+ * @returns {Promise<Array>} - Datasets with their case counts
+ */
+export async function listDatasets(db, collection) {
+	const { results } = await db.prepare(
+		`SELECT d.*, (SELECT COUNT(*) FROM eval_cases WHERE dataset_id = d.id) AS case_count
+		FROM eval_datasets d WHERE d.collection = ? ORDER BY d.id DESC`
+	).bind(collection).all();
+	return results.map(row => ({ ...formatDataset(row), caseCount: row.case_count }));
+}
+
+/**
+ * Read a dataset with its cases
+ * @param {object} db - D1 binding
+ * @param {number|string} id - Dataset id
+ * @param {string} collection - Collection the dataset must belong to
+ * @returns {Promise<object|null>} - Dataset, or null when it does not exist in the collection
+ */
+export async function getDataset(db, id, collection) {
+	const row = await db.prepare("SELECT * FROM eval_datasets WHERE id = ? AND collection = ?").bind(id, collection).first();
+	if (!row) return null;
+
+	const { results } = await db.prepare("SELECT * FROM eval_cases WHERE dataset_id = ? ORDER BY id").bind(row.id).all();
+	return { ...formatDataset(row), caseCount: results.length, cases: results.map(formatCase) };
+}
+
+/**
+ * Delete a dataset with its cases and runs
+ * @param {object} db - D1 binding
+ * @param {number|string} id - Dataset id
+ * @param {string} collection - Collection the dataset must belong to
+ * @returns {Promise<boolean>} - True when the dataset existed
+ */
+export async function deleteDataset(db, id, collection) {
+	const row = await db.prepare("SELECT id FROM eval_datasets WHERE id = ? AND collection = ?").bind(id, collection).first();
+	if (!row) return false;
+
+	await db.batch([
+		db.prepare("DELETE FROM eval_results WHERE run_id IN (SELECT id FROM eval_runs WHERE dataset_id = ?)").bind(row.id),
+		db.prepare("DELETE FROM eval_runs WHERE dataset_id = ?").bind(row.id),
+		db.prepare("DELETE FROM eval_cases WHERE dataset_id = ?").bind(row.id),
+		db.prepare("DELETE FROM eval_datasets WHERE id = ?").bind(row.id)
+	]);
+	return true;
+}
+
+/**
+ * Run a dataset through retrieval, score it and store the run
+ * @param {object} db - D1 binding
+ * @param {object} dataset - Dataset from getDataset
+ * @param {object} options - Run options
+ * @param {number} options.k - Cut-off rank
+ * @param {object} options.config - Retrieval settings recorded with the run
+ * @param {Function} options.retrieve - Returns the retrieved note ids for a question, best first
+ * @returns {Promise<object>} - Stored run with its per-case results
+ */
+export async function runEvaluation(db, dataset, { k, config, retrieve }) {
+	const results = [];
+	for (let i = 0; i < dataset.cases.length; i += EVAL_CONCURRENCY) {
+		const batch = dataset.cases.slice(i, i + EVAL_CONCURRENCY);
+		const retrieved = await Promise.all(batch.map(testCase => retrieve(testCase.question)));
+		batch.forEach((testCase, idx) => {
+			const retrievedNoteIds = retrieved[idx].slice(0, k).map(String);
+			results.push({ testCase, retrievedNoteIds, metrics: scoreRetrieval(retrievedNoteIds, testCase.expectedNoteIds, k) });
+		});
+	}
+
+	const metrics = averageMetrics(results.map(result => result.metrics));
+	const row = await db.prepare(
+		`INSERT INTO eval_runs (dataset_id, collection, k, config, metrics, case_count)
+		VALUES (?, ?, ?, ?, ?, ?)
+		RETURNING *`
+	).bind(dataset.id, dataset.collection, k, JSON.stringify(config), JSON.stringify(metrics), results.length).first();
+
+	const insert = db.prepare("INSERT INTO eval_results (run_id, case_id, retrieved_note_ids, metrics) VALUES (?, ?, ?, ?)");
+	for (const batch of chunked(results, D1_BATCH_SIZE)) {
+		await db.batch(
+			batch.map(result => insert.bind(row.id, result.testCase.id, JSON.stringify(result.retrievedNoteIds), JSON.stringify(result.metrics)))
+		);
+	}
+
+	return {
+		...formatRun(row),
+		results: results.map(({ testCase, retrievedNoteIds, metrics: caseMetrics }) => formatResult(testCase, retrievedNoteIds, caseMetrics))
+	};
+}
+
+/**
+ * List the runs of a collection, newest first
+ * @param {object} db - D1 binding
+ * @param {string} collection - Collection
+ * @param {object} [options] - Options
+ * @param {number} [options.datasetId] - Only runs of this dataset
+ * @param {number} options.limit - Maximum number of runs
+ * @returns {Promise<Array>} - Runs without their per-case results
+ */
+export async function listRuns(db, collection, { datasetId, limit }) {
+	const statement = datasetId
+		? db.prepare("SELECT * FROM eval_runs WHERE collection = ? AND dataset_id = ? ORDER BY id DESC LIMIT ?").bind(collection, datasetId, limit)
+		: db.prepare("SELECT * FROM eval_runs WHERE collection = ? ORDER BY id DESC LIMIT ?").bind(collection, limit);
+
+	const { results } = await statement.all();
+	return results.map(formatRun);
+}
+
+/**
+ * Read a run with its per-case results
+ * @param {object} db - D1 binding
+ * @param {number|string} id - Run id
+ * @param {string} collection - Collection the run must belong to
+ * @returns {Promise<object|null>} - Run, or null when it does not exist in the collection
+ */
+export async function getRun(db, id, collection) {
+	const row = await db.prepare("SELECT * FROM eval_runs WHERE id = ? AND collection = ?").bind(id, collection).first();
+	if (!row) return null;
+
+	const { results } = await db.prepare(
+		`SELECT r.*, c.id AS case_id, c.question, c.expected_note_ids, c.reference_answer
+		FROM eval_results r JOIN eval_cases c ON c.id = r.case_id
+		WHERE r.run_id = ? ORDER BY c.id`
+	).bind(row.id).all();
+
+	return {
+		...formatRun(row),
+		results: results.map(result => formatResult(
+			formatCase({ ...result, id: result.case_id }),
+			JSON.parse(result.retrieved_note_ids),
+			JSON.parse(result.metrics)
+		))
+	};
+}
+
+/**
+ * Compare a run with a baseline run of the same dataset
+ *
+ * A question regressed when its recall or nDCG dropped, and improved when
+ * either rose without the other dropping.
+ * @param {object} baseline - Run from getRun
+ * @param {object} run - Run from getRun
+ * @returns {object} - Both runs' summaries, the change of each mean metric, and the regressed and improved questions
+ */
+export function compareRuns(baseline, run) {
+	const baselineResults = new Map(baseline.results.map(result => [result.caseId, result]));
+	const regressions = [];
+	const improvements = [];
+	let unchanged = 0;
+
+	for (const result of run.results) {
+		const before = baselineResults.get(result.caseId);
+		if (!before) continue;
+
+		const delta = Object.fromEntries(CASE_METRICS.map(metric => [metric, result.metrics[metric] - before.metrics[metric]]));
+		const entry = {
+			caseId: result.caseId,
+			question: result.question,
+			expectedNoteIds: result.expectedNoteIds,
+			baseline: { retrievedNoteIds: before.retrievedNoteIds, metrics: before.metrics },
+			run: { retrievedNoteIds: result.retrievedNoteIds, metrics: result.metrics },
+			delta
+		};
+
+		if (delta.recall < -EPSILON || delta.ndcg < -EPSILON) regressions.push(entry);
+		else if (delta.recall > EPSILON || delta.ndcg > EPSILON) improvements.push(entry);
+		else unchanged++;
+	}
+
+	const { results: _baselineResults, ...baselineSummary } = baseline;
+	const { results: _runResults, ...runSummary } = run;
+	return {
+		baseline: baselineSummary,
+		run: runSummary,
+		delta: Object.fromEntries(Object.keys(run.metrics).map(metric => [metric, run.metrics[metric] - baseline.metrics[metric]])),
+		regressions: regressions.sort((a, b) => a.delta.ndcg - b.delta.ndcg),
+		improvements: improvements.sort((a, b) => b.delta.ndcg - a.delta.ndcg),
+		unchanged
+	};
+}
+
+const formatDataset = (row) => ({
+	id: row.id,
+	collection: row.collection,
+	name: row.name,
+	description: row.description,
+	createdAt: row.created_at
+});
+
+const formatCase = (row) => ({
+	id: row.id,
+	question: row.question,
+	expectedNoteIds: JSON.parse(row.expected_note_ids),
+	referenceAnswer: row.reference_answer
+});
+
+const formatRun = (row) => ({
+	id: row.id,
+	datasetId: row.dataset_id,
+	collection: row.collection,
+	k: row.k,
+	config: JSON.parse(row.config),
+	metrics: JSON.parse(row.metrics),
+	caseCount: row.case_count,
+	createdAt: row.created_at
+});
+
+const formatResult = (testCase, retrievedNoteIds, metrics) => ({
+	caseId: testCase.id,
+	question: testCase.question,
+	expectedNoteIds: testCase.expectedNoteIds,
+	referenceAnswer: testCase.referenceAnswer,
+	retrievedNoteIds,
+	metrics
+});
@@ -0,0 +1,202 @@
+/**
+ * Query expansion
+ *
+ * With ?expand=true the model rewrites the question into a few paraphrases,
+ * and with ?hyde=true also writes a short hypothetical answer (HyDE) whose
+ * wording tends to sit closer to the notes than the question does. The
+ * original question and every expansion run through VectorAgent.batchSearch;
+ * the matches are merged per note, keeping the best score, and each note
+ * records which expansions found it.
+ */
+
+import { vectorAgent } from "./agents/vector-agent";
+import { keywordAgent } from "./agents/keyword-agent";
+import { reciprocalRankFusion } from "./agents/hybrid-agent";
+import { modelParams } from "./models";
+
+export const DEFAULT_PARAPHRASE_COUNT = 3;
+export const EXPANSION_RETRIEVAL_MODES = ["vector", "hybrid"];
+
+const BOOLEAN_VALUES = ["true", "false"];
+const MAX_EXPANSION_LENGTH = 500; // Characters kept from a paraphrase
+
+const PARAPHRASE_PROMPT =
+	"Rewrite the user's question in {count} different ways that keep its meaning but vary the wording, " +
+	"using synonyms and related terms someone might have written notes with. " +
+	"Return one rewritten question per line with no numbering or commentary.";
+
+const HYDE_PROMPT =
+	"Write a short factual passage of two or three sentences that answers the user's question, " +
+	"as it might appear in a knowledge base. Return only the passage.";
+
+/**
+ * Validate the expand and hyde query parameters
+ * @param {object} params - Raw query parameters
+ * @param {string} [params.expand] - "true" to search with paraphrases of the question
+ * @param {string} [params.hyde] - "true" to also search with a hypothetical answer
+ * @param {string} retrieval - Retrieval mode of the request
+ * @returns {{value?: {expand: boolean, hyde: boolean}, error?: string}} - Parsed options, or an error
+ */
+export function validateExpansion({ expand, hyde }, retrieval) {
+	for (const [name, value] of Object.entries({ expand, hyde })) {
+		if (value !== undefined && !BOOLEAN_VALUES.includes(value)) {
+			return { error: `${name} must be true or false` };
+		}
+	}
+
+	const value = { expand: expand === "true", hyde: hyde === "true" };
+	if (value.hyde && !value.expand) {
+		return { error: "hyde requires expand=true" };
+	}
+	if (value.expand && !EXPANSION_RETRIEVAL_MODES.includes(retrieval)) {
+		return { error: `Query expansion requires one of these retrieval modes: ${EXPANSION_RETRIEVAL_MODES.join(", ")}` };
+	}
+	return { value };
+}
+
+/**
+ * Parse paraphrases from a model response
+ * @param {string} response - Model output, one paraphrase per line
+ * @param {string} question - Original question, dropped when repeated
+ * @param {number} [count] - Maximum number of paraphrases
+ * @returns {Array<string>} - Distinct paraphrases, without list markers or quotes
+ */
+export function parseParaphrases(response, question, count = DEFAULT_PARAPHRASE_COUNT) {
+	const seen = new Set([normalize(question)]);
+	const paraphrases = [];
+
+	for (const line of (response || "").split("\n")) {
+		const text = line
+			.trim()
+			.replace(/^(?:\d+[.)]|[-*•])\s*/, "")
+			.replace(/^["'“]|["'”]$/g, "")
+			.trim()
+			.slice(0, MAX_EXPANSION_LENGTH);
+		if (text.length === 0 || seen.has(normalize(text))) continue;
+
+		seen.add(normalize(text));
+		paraphrases.push(text);
+		if (paraphrases.length === count) break;
+	}
+
+	return paraphrases;
+}
+
+/**
+ * Generate the expansions of a question
+ *
+ * A failed model call leaves out its expansions rather than failing the
+ * request; the original question is always searched.
+ * @param {object} env - Environment bindings
+ * @param {object} model - Model from resolveModel
+ * @param {string} question - Original question
+ * @param {object} [options] - Options
+ * @param {boolean} [options.hyde] - Also write a hypothetical answer
+ * @param {number} [options.count] - Number of paraphrases to ask for
+ * @returns {Promise<Array<{label: string, query: string}>>} - The original question first, then paraphrases and the hypothetical answer
+ */
+export async function generateExpansions(env, model, question, { hyde = false, count = DEFAULT_PARAPHRASE_COUNT } = {}) {
+	const [paraphrased, hypothetical] = await Promise.all([
+		complete(env, model, PARAPHRASE_PROMPT.replace("{count}", count), question),
+		hyde ? complete(env, model, HYDE_PROMPT, question) : null
+	]);
+
+	const hydeText = (hypothetical || "").trim();
+	return [
+		{ label: "original", query: question },
+		...parseParaphrases(paraphrased, question, count).map((query, index) => ({ label: `paraphrase-${index + 1}`, query })),
+		...(hydeText ? [{ label: "hyde", query: hydeText }] : [])
+	];
+}
+
+/**
+ * Merge the per-query results of a batch search into note-level results
+ * @param {Array<{label: string, query: string}>} expansions - Expansions that were searched
+ * @param {Map<string, Array>} resultsByQuery - Results of VectorAgent.batchSearch keyed by query
+ * @returns {Array} - One result per note with its best score, the union of matched chunks and foundBy, best first
+ */
+export function mergeExpandedResults(expansions, resultsByQuery) {
+	const merged = new Map();
+
+	for (const { label, query } of expansions) {
+		for (const result of resultsByQuery.get(query) || []) {
+			if (!merged.has(result.id)) {
+				merged.set(result.id, { ...result, chunks: [], foundBy: [] });
+			}
+
+			const entry = merged.get(result.id);
+			if (result.score > entry.score) {
+				entry.score = result.score;
+				entry.metadata = result.metadata;
+			}
+			entry.foundBy.push({ expansion: label, score: result.score });
+
+			for (const chunk of result.chunks || []) {
+				const existing = entry.chunks.find(candidate => candidate.vectorId === chunk.vectorId);
+				if (!existing) entry.chunks.push({ ...chunk });
+				else if (chunk.score > existing.score) Object.assign(existing, chunk);
+			}
+		}
+	}
+
+	return [...merged.values()]
+		.map(({ normalizedScore: _normalizedScore, ...result }) => result)
+		.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Search with every expansion and merge the matches
+ *
+ * Hybrid retrieval fuses the merged vector matches with keyword matches for
+ * the original question, since keyword search gains little from rewording.
+ * @param {object} env - Environment bindings
+ * @param {Array<{label: string, query: string}>} expansions - Expansions from generateExpansions
+ * @param {string} retrieval - One of EXPANSION_RETRIEVAL_MODES
+ * @param {object} options - Agent search options; a precomputed embedding is ignored
+ * @returns {Promise<Array>} - Note-level results with foundBy
+ */
+export async function searchExpansions(env, expansions, retrieval, options = {}) {
+	const { embedding: _embedding, ...searchOptions } = options;
+	const queries = [...new Set(expansions.map(expansion => expansion.query))];
+
+	const merged = mergeExpandedResults(expansions, await vectorAgent.batchSearch(queries, env, searchOptions));
+	if (retrieval !== "hybrid") return merged;
+
+	const keyword = await keywordAgent.search(expansions[0].query, env, searchOptions);
+	const foundBy = new Map(merged.map(result => [result.id, result.foundBy]));
+	return reciprocalRankFusion({ vector: merged, keyword }).map(result => ({
+		...result,
+		foundBy: foundBy.get(result.id) || [{ expansion: "original", score: result.sources.keyword.score }],
+		source: "hybrid"
+	}));
+}
+
+/**
+ * Which expansions found each match, for response metadata
+ * @param {Array<{label: string, query: string}>} expansions - Expansions that were searched
+ * @param {Array} matches - Matches used as context
+ * @returns {{queries: Array, matches: Array}} - The expansion texts and each note's finders
+ */
+export const describeExpansion = (expansions, matches) => ({
+	queries: expansions,
+	matches: matches.map(match => ({ noteId: match.id, foundBy: match.foundBy || [] }))
+});
+
+// One model completion for the question, or null when the call fails
+const complete = async (env, model, prompt, question) => {
+	try {
+		const { response } = await env.AI.run(model.id, {
+			messages: [
+				{ role: "system", content: prompt },
+				{ role: "user", content: question }
+			],
+			...modelParams(model)
+		});
+		return response || null;
+	} catch (error) {
+		console.error("Query expansion failed:", error);
+		return null;
+	}
+};
+
+const normalize = (text) => text.toLowerCase().replace(/\s+/g, " ").trim();
@@ -0,0 +1,272 @@
+/**
+ * Answer feedback and feedback-aware ranking
+ *
+ * Every answer of GET / gets a queryId and is recorded with the notes it was
+ * built from. POST /feedback rates the answer up or down, with an optional
+ * comment and the notes that were helpful or wrong. Sending feedback for the
+ * same queryId again replaces it.
+ *
+ * Retrieval multiplies each note's score by a boost from its verdicts:
+ * 1 + FEEDBACK_WEIGHT * (helpful - wrong) / (helpful + wrong + 2). The two
+ * pseudo-votes keep a single verdict from swinging a note; a note marked wrong
+ * again and again approaches a penalty of FEEDBACK_WEIGHT. FEEDBACK_WEIGHT=0
+ * turns the boost off.
+ */
+
+import { chunked, D1_MAX_PARAMS } from "./limits";
+
+export const FEEDBACK_RATINGS = ["up", "down"];
+export const DEFAULT_FEEDBACK_WEIGHT = 0.2;
+
+const FEEDBACK_PRIOR = 2;
+const MAX_COMMENT_LENGTH = 2000;
+const QUERY_ID_PATTERN = /^[0-9a-f-]{36}$/;
+const NOTE_ID_PATTERN = /^\d+$/;
+
+/**
+ * Feedback weight from the environment
+ * @param {object} env - Environment bindings
+ * @returns {number} - FEEDBACK_WEIGHT between 0 and 1, or the default
+ */
+export function resolveFeedbackWeight(env) {
+	const weight = Number.parseFloat(env.FEEDBACK_WEIGHT);
+	return weight >= 0 && weight <= 1 ? weight : DEFAULT_FEEDBACK_WEIGHT;
+}
+
+/**
+ * Record an answer so feedback can refer to it
+ * @param {object} db - D1 binding
+ * @param {object} answer - Answer to record
+ * @param {string} answer.queryId - Id returned with the answer
+ * @param {string} answer.collection - Collection of the question
+ * @param {string} answer.question - Question text
+ * @param {string} answer.answer - Generated answer
+ * @param {string} answer.model - Model used
+ * @param {Array} answer.sources - Sources from buildSources
+ * @param {Array} answer.citations - Citations from extractCitations
+ * @returns {Promise<void>}
+ */
+export async function recordAnswer(db, { queryId, collection, question, answer, model, sources, citations }) {
+	const cited = [...new Set(citations.filter(citation => citation.valid).map(citation => String(citation.noteId)))];
+	await db.prepare(
+		`INSERT INTO answers (query_id, collection, question, answer, model, source_note_ids, cited_note_ids)
+		VALUES (?, ?, ?, ?, ?, ?, ?)`
+	).bind(
+		queryId,
+		collection,
+		question,
+		answer,
+		model,
+		JSON.stringify(sources.map(source => String(source.noteId))),
+		JSON.stringify(cited)
+	).run();
+}
+
+/**
+ * Validate feedback from a request body
+ * @param {object} body - Request body
+ * @returns {{value?: object, error?: string}} - queryId, rating, comment and note ids as strings, or an error
+ */
+export function validateFeedback(body) {
+	const { queryId, rating, comment = null, helpfulNoteIds = [], wrongNoteIds = [] } = body || {};
+
+	if (typeof queryId !== "string" || !QUERY_ID_PATTERN.test(queryId)) {
+		return { error: "queryId must be the queryId of an answer" };
+	}
+
+	if (!FEEDBACK_RATINGS.includes(rating)) {
+		return { error: `rating must be one of: ${FEEDBACK_RATINGS.join(", ")}` };
+	}
+
+	if (comment !== null && (typeof comment !== "string" || comment.length > MAX_COMMENT_LENGTH)) {
+		return { error: `comment must be a string of at most ${MAX_COMMENT_LENGTH} characters` };
+	}
+
+	const noteIds = {};
+	for (const [field, ids] of [["helpfulNoteIds", helpfulNoteIds], ["wrongNoteIds", wrongNoteIds]]) {
+		if (!Array.isArray(ids) || !ids.every(id => NOTE_ID_PATTERN.test(String(id)))) {
+			return { error: `${field} must be an array of note ids` };
+		}
+		noteIds[field] = [...new Set(ids.map(String))];
+	}
+
+	if (noteIds.helpfulNoteIds.some(id => noteIds.wrongNoteIds.includes(id))) {
+		return { error: "A note can't be both helpful and wrong" };
+	}
+
+	return { value: { queryId, rating, comment: comment?.trim() || null, ...noteIds } };
+}
+
+/**
+ * Read a recorded answer
+ * @param {object} db - D1 binding
+ * @param {string} queryId - Id returned with the answer
+ * @param {string} collection - Collection the answer must belong to
+ * @returns {Promise<object|null>} - Answer with its source and cited note ids, or null
+ */
+export async function getAnswer(db, queryId, collection) {
+	const row = await db.prepare("SELECT * FROM answers WHERE query_id = ? AND collection = ?").bind(queryId, collection).first();
+	if (!row) return null;
+
+	return {
+		queryId: row.query_id,
+		question: row.question,
+		answer: row.answer,
+		model: row.model,
+		sourceNoteIds: JSON.parse(row.source_note_ids),
+		citedNoteIds: JSON.parse(row.cited_note_ids),
+		createdAt: row.created_at
+	};
+}
+
+/**
+ * Store feedback for an answer, replacing earlier feedback for it
+ * @param {object} db - D1 binding
+ * @param {string} collection - Collection of the answer
+ * @param {object} feedback - Feedback from validateFeedback
+ * @returns {Promise<{feedback: object, created: boolean}>} - Stored feedback and whether it is the answer's first
+ */
+export async function saveFeedback(db, collection, { queryId, rating, comment, helpfulNoteIds, wrongNoteIds }) {
+	const verdict = db.prepare("INSERT INTO feedback_notes (query_id, collection, note_id, verdict) VALUES (?, ?, ?, ?)");
+	const [, existing, upserted] = await db.batch([
+		db.prepare("DELETE FROM feedback_notes WHERE query_id = ?").bind(queryId),
+		db.prepare("SELECT 1 FROM feedback WHERE query_id = ?").bind(queryId),
+		db.prepare(
+			`INSERT INTO feedback (query_id, collection, rating, comment)
+			VALUES (?, ?, ?, ?)
+			ON CONFLICT(query_id) DO UPDATE SET
+				rating = excluded.rating,
+				comment = excluded.comment,
+				updated_at = CURRENT_TIMESTAMP
+			RETURNING *`
+		).bind(queryId, collection, rating, comment),
+		...helpfulNoteIds.map(id => verdict.bind(queryId, collection, Number(id), "helpful")),
+		...wrongNoteIds.map(id => verdict.bind(queryId, collection, Number(id), "wrong"))
+	]);
+
+	const row = upserted.results[0];
+	return {
+		feedback: { ...formatFeedback(row), helpfulNoteIds, wrongNoteIds },
+		created: existing.results.length === 0
+	};
+}
+
+/**
+ * Helpful and wrong verdicts per note
+ * @param {object} db - D1 binding
+ * @param {string} collection - Collection of the notes
+ * @param {Array<string|number>} noteIds - Note ids
+ * @returns {Promise<Map<string, {helpful: number, wrong: number}>>} - Counts of the notes that have verdicts
+ */
+export async function getNoteFeedback(db, collection, noteIds) {
+	const counts = new Map();
+	const ids = [...new Set(noteIds.map(Number))];
+
+	for (const group of chunked(ids, D1_MAX_PARAMS)) {
+		const { results } = await db.prepare(
+			`SELECT note_id,
+				SUM(CASE WHEN verdict = 'helpful' THEN 1 ELSE 0 END) AS helpful,
+				SUM(CASE WHEN verdict = 'wrong' THEN 1 ELSE 0 END) AS wrong
+			FROM feedback_notes
+			WHERE collection = ? AND note_id IN (${group.map(() => "?").join(",")})
+			GROUP BY note_id`
+		).bind(collection, ...group).all();
+		results.forEach(row => counts.set(String(row.note_id), { helpful: row.helpful, wrong: row.wrong }));
+	}
+
+	return counts;
+}
+
+/**
+ * Score multiplier of a note from its verdicts
+ * @param {{helpful: number, wrong: number}} counts - Verdicts of the note
+ * @param {number} weight - Largest boost or penalty, from resolveFeedbackWeight
+ * @returns {number} - Multiplier between 1 - weight and 1 + weight
+ */
+export const feedbackBoost = ({ helpful, wrong }, weight) =>
+	1 + weight * (helpful - wrong) / (helpful + wrong + FEEDBACK_PRIOR);
+
+/**
+ * Re-rank matches by their feedback history
+ * @param {object} env - Environment bindings
+ * @param {string} collection - Collection of the matches
+ * @param {Array} matches - Ranked matches
+ * @param {object} [options] - Options
+ * @param {string} [options.scoreField] - Field holding the ranking score, such as rerankScore after reranking
+ * @returns {Promise<Array>} - Matches ordered by boosted score; those with verdicts carry feedback {helpful, wrong, boost}
+ */
+export async function applyNoteFeedback(env, collection, matches, { scoreField = "score" } = {}) {
+	const weight = resolveFeedbackWeight(env);
+	if (weight === 0 || matches.length === 0) return matches;
+
+	const counts = await getNoteFeedback(env.DB, collection, matches.map(match => match.id));
+	if (counts.size === 0) return matches;
+
+	const boosted = matches.map(match => {
+		const noteCounts = counts.get(String(match.id));
+		if (!noteCounts) return { match, score: match[scoreField] ?? -Infinity };
+
+		const boost = feedbackBoost(noteCounts, weight);
+		return {
+			match: { ...match, feedback: { ...noteCounts, boost } },
+			score: (match[scoreField] ?? -Infinity) * boost
+		};
+	});
+
+	// Array sort is stable, so matches without verdicts keep their order among equals
+	return boosted.sort((a, b) => b.score - a.score).map(entry => entry.match);
+}
+
+/**
+ * Summarize the feedback of a collection
+ * @param {object} db - D1 binding
+ * @param {string} collection - Collection
+ * @param {object} options - Options
+ * @param {number} options.limit - Entries per list
+ * @returns {Promise<object>} - Rating totals, the notes most often marked wrong and helpful, and recent feedback with comments
+ */
+export async function summarizeFeedback(db, collection, { limit }) {
+	const notesBy = (verdict) => db.prepare(
+		`SELECT note_id,
+			SUM(CASE WHEN verdict = 'helpful' THEN 1 ELSE 0 END) AS helpful,
+			SUM(CASE WHEN verdict = 'wrong' THEN 1 ELSE 0 END) AS wrong
+		FROM feedback_notes WHERE collection = ?
+		GROUP BY note_id HAVING ${verdict} > 0
+		ORDER BY ${verdict} DESC, note_id LIMIT ?`
+	).bind(collection, limit);
+
+	const [totals, wrong, helpful, recent] = await db.batch([
+		db.prepare(
+			`SELECT COUNT(*) AS total,
+				SUM(CASE WHEN rating = 'up' THEN 1 ELSE 0 END) AS up,
+				SUM(CASE WHEN rating = 'down' THEN 1 ELSE 0 END) AS down
+			FROM feedback WHERE collection = ?`
+		).bind(collection),
+		notesBy("wrong"),
+		notesBy("helpful"),
+		db.prepare(
+			`SELECT f.*, a.question FROM feedback f LEFT JOIN answers a ON a.query_id = f.query_id
+			WHERE f.collection = ? ORDER BY f.updated_at DESC, f.id DESC LIMIT ?`
+		).bind(collection, limit)
+	]);
+
+	const { total, up, down } = totals.results[0];
+	const formatNote = (row) => ({ noteId: String(row.note_id), helpful: row.helpful, wrong: row.wrong });
+
+	return {
+		totals: { total, up: up ?? 0, down: down ?? 0, approval: total > 0 ? (up ?? 0) / total : null },
+		notes: {
+			mostWrong: wrong.results.map(formatNote),
+			mostHelpful: helpful.results.map(formatNote)
+		},
+		recent: recent.results.map(row => ({ ...formatFeedback(row), question: row.question }))
+	};
+}
+
+const formatFeedback = (row) => ({
+	queryId: row.query_id,
+	rating: row.rating,
+	comment: row.comment,
+	createdAt: row.created_at,
+	updatedAt: row.updated_at
+});
@@ -8,23 +8,132 @@
 import { Hono } from "hono";
 import { cors } from "hono/cors";
 import { RAGWorkflow } from "./vectorize";
+import { getBackends } from "./backends";
+import { chunkVectorId, resolveChunkOptions, resolveChunkOptionsForEnv } from "./chunking";
+import { vectorAgent } from "./agents/vector-agent";
+import { keywordAgent } from "./agents/keyword-agent";
+import { hybridAgent } from "./agents/hybrid-agent";
+import { streamAnswer, wantsEventStream } from "./streaming";
+import { buildSources, CITATION_PROMPT, extractCitations, formatSourcesMessage } from "./citations";
+import { estimateBulkSubrequests, ingestNotes, MAX_BULK_ITEMS, parseBulkBody } from "./ingest";
+import { SUBREQUEST_BUDGET } from "./limits";
+import { parseFilters, validateMetadata } from "./metadata";
+import { COLLECTION_HEADER, isValidCollection, resolveCollection } from "./collections";
+import {
+	authenticate,
+	canUseCollection,
+	createApiKey,
+	limitModel,
+	listApiKeys,
+	PREPAID_REQUEST,
+	requireScope,
+	revokeApiKey,
+	validateKeyOptions
+} from "./auth";
+import { DEFAULT_WAIT_TIMEOUT_MS, getJobStatus, MAX_WAIT_TIMEOUT_MS, startIngestion, waitForJob } from "./jobs";
+import { listReconcileRuns, reconcile, validateReconcileOptions } from "./reconcile";
+import { listModels, modelParams, resolveModel } from "./models";
+import { buildCommands, commandRoute, formatCommand } from "./commands";
+import { handleMcpPayload, JSONRPC_ERRORS, jsonRpcError, MCP_PROTOCOL_VERSIONS } from "./mcp";
+import {
+	completionUsage,
+	encodeEmbedding,
+	estimateTokens,
+	formatChatCompletion,
+	formatModelList,
+	openAIError,
+	openAIErrors,
+	streamChatCompletion,
+	validateChatCompletion,
+	validateEmbeddings
+} from "./openai";
+import {
+	compareRuns,
+	createDataset,
+	deleteDataset,
+	findUnknownNoteIds,
+	getDataset,
+	getRun,
+	listDatasets,
+	listRuns,
+	maxRunCases,
+	runEvaluation,
+	validateDataset,
+	validateRunOptions
+} from "./evaluation";
+import { applyNoteFeedback, getAnswer, recordAnswer, saveFeedback, summarizeFeedback, validateFeedback } from "./feedback";
+import { rerankMatches, resolveRerankModel, validateRerankOptions } from "./rerank";
+import {
+	createDocument,
+	deleteDocument,
+	findDocumentByHash,
+	getDocument,
+	listDocuments,
+	MAX_DOCUMENT_SECTIONS,
+	parseDocument,
+	readDocumentUpload,
+	recordDocumentSections,
+	sectionMetadata
+} from "./documents";
+import { DEFAULT_STATS_WINDOW_HOURS, getQueryStats, logQuery, MAX_STATS_WINDOW_HOURS, timed, traceRequest, validateTimings } from "./tracing";
+import { describeExpansion, generateExpansions, searchExpansions, validateExpansion } from "./expansion";
+import { answerOptionsHash, CACHE_MODES, findCachedAnswer, getQueryEmbedding, invalidateAnswerCache, storeAnswer } from "./cache";
+import {
+	collapseDuplicateMatches,
+	contentHash,
+	DEDUPE_MODES,
+	DEFAULT_DEDUPE_MODE,
+	findNearDuplicateClusters,
+	resolveDuplicateThreshold
+} from "./dedupe";
+import {
+	appendMessages,
+	CHAT_HISTORY_WINDOW,
+	clearSession,
+	condenseQuestion,
+	isForeignSession,
+	isValidSessionId,
+	loadHistory
+} from "./chat";
+import { buildContext, resolveContextBudget } from "./context";
 
 // Export workflow for registration
 export { RAGWorkflow };
 
 // Constants
-const SIMILARITY_THRESHOLD = 0.5;
+const SIMILARITY_THRESHOLD = vectorAgent.defaultThreshold;
+const RERANK_CANDIDATE_THRESHOLD = 0.3; // Looser cosine cut-off when the reranker judges relevance
 const DEFAULT_QUESTION = "describe Machine Learning ?";
-const EMBEDDING_MODEL = "@cf/baai/bge-base-en-v1.5";
-const DEFAULT_MODEL = "@cf/meta/llama-3.2-1b-instruct";
-const ADVANCED_MODEL = "@cf/meta/llama-3.1-70b-instruct";
+const CHUNK_TOP_K = 20; // Chunk-level matches fetched before grouping by note
+const MAX_CONTEXT_NOTES = 5;
+const ANSWER_PROMPT = "When answering the question or responding, use the context provided, if it is provided and relevant.";
+
+// Retrieval strategies selectable per request
+const RETRIEVAL_AGENTS = {
+	vector: vectorAgent,
+	keyword: keywordAgent,
+	hybrid: hybridAgent
+};
+const RETRIEVAL_MODES = Object.keys(RETRIEVAL_AGENTS);
+
+// Note listing
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const NOTE_SORT_FIELDS = ["created_at", "updated_at"];
+const NOTE_ID_PATTERN = /^\d+$/;
+const WORKFLOW_ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+const API_KEY_ID_PATTERN = /^\d+$/;
+const EVAL_ID_PATTERN = /^\d+$/;
+const DOCUMENT_ID_PATTERN = /^\d+$/;
+const VECTOR_DELETE_BATCH_SIZE = 100; // Ids per vector store deleteByIds call
+const DEFAULT_DUPLICATE_SCAN_LIMIT = 100; // Notes compared per near-duplicate scan
+const MAX_DUPLICATE_SCAN_LIMIT = 500;
+const MAX_HASH_BACKFILL = 1000; // Content hashes computed per scan for older notes
 
 // Create Hono app instance
 const app = new Hono();
 
 // Utilities
-const isLocalEnvironment = (c) => c.req.header("host")?.includes("localhost");
-
 const createResponse = (data, status = 200, headers = {}) => {
 	return {
 		data,
@@ -46,72 +155,213 @@ const handleError = (c, error, message, status = 500) => {
 	}, status);
 };
 
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Validate per-note chunking options from a request body
+ * @param {object} [chunking] - Chunking options
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateChunking = (chunking) => {
+	if (chunking === undefined) return null;
+	if (!isPlainObject(chunking)) return "Chunking options must be an object";
+
+	try {
+		resolveChunkOptions(chunking);
+		return null;
+	} catch (error) {
+		return error.message;
+	}
+};
+
+/**
+ * Shape a notes row for API responses
+ * @param {object} row - Row from the notes table
+ * @returns {object} - Note with parsed metadata
+ */
+const formatNote = (row) => {
+	let metadata = {};
+	try {
+		metadata = JSON.parse(row.metadata || "{}");
+	} catch {
+		// Keep empty metadata for rows written with invalid JSON
+	}
+
+	return {
+		id: row.id,
+		collection: row.collection,
+		text: row.text,
+		metadata,
+		duplicateOf: row.duplicate_of ?? null,
+		documentId: row.document_id ?? null,
+		created_at: row.created_at,
+		updated_at: row.updated_at
+	};
+};
+
+/**
+ * Fetch notes and the matched chunk passages for retrieval results
+ * @param {object} noteStore - Note store from getBackends
+ * @param {Array} results - Note-level results from a retrieval agent
+ * @param {string} collection - Collection the notes must belong to
+ * @param {object} [filters] - Metadata filters from parseFilters, enforced on the notes rows
+ * @returns {Promise<Array>} - Results that still exist in the collection and pass the filters, with note row and passages
+ */
+const fetchNotesForResults = async (noteStore, results, collection, filters = {}) => {
+	if (results.length === 0) return [];
+
+	const { notes, chunks } = await noteStore.getNotesWithChunks(results.map(result => result.id), { collection, filters });
+
+	const notesById = new Map(notes.map(note => [String(note.id), note]));
+	const chunkTexts = new Map(chunks.map(chunk => [chunkVectorId(chunk.note_id, chunk.chunk_index), chunk.text]));
+
+	return results
+		.filter(result => notesById.has(result.id))
+		.map(result => {
+			const note = notesById.get(result.id);
+			const passages = (result.chunks || [])
+				.filter(chunk => chunkTexts.has(chunk.vectorId))
+				.sort((a, b) => a.chunkIndex - b.chunkIndex)
+				.map(chunk => ({ ...chunk, text: chunkTexts.get(chunk.vectorId) }));
+
+			// Keyword hits and vectors indexed before chunking have no chunk passages; use the full note
+			return {
+				...result,
+				note,
+				passages: passages.length > 0 ? passages : [{ chunkIndex: null, score: result.score, text: note.text }]
+			};
+		});
+};
+
+/**
+ * Retrieve numbered context sources for a query
+ * @param {object} env - Environment bindings
+ * @param {string} query - Query used for retrieval
+ * @param {string} retrieval - Retrieval mode, one of RETRIEVAL_MODES
+ * @param {string} collection - Collection to retrieve from
+ * @param {object} [filters] - Metadata filters from parseFilters
+ * @param {object} [searchOptions] - Extra agent options, such as a precomputed query embedding, expansions from generateExpansions to search with, rerank, topN, the context budget from resolveContextBudget and the request trace
+ * @returns {Promise<{matches: Array, sources: Array, candidateCount: number, contextReport: object|undefined}>} - Matches that passed the filters, the sources built from them, the number of candidates they were picked from and, with a context budget, the notes buildContext included and dropped
+ */
+const retrieveSources = async (env, query, retrieval, collection, filters = {}, searchOptions = {}) => {
+	const { expansions, rerank = false, topN, context, ...agentOptions } = searchOptions;
+	const { trace } = agentOptions;
+	const options = {
+		topK: CHUNK_TOP_K,
+		threshold: rerank ? RERANK_CANDIDATE_THRESHOLD : SIMILARITY_THRESHOLD,
+		filters,
+		collection,
+		...agentOptions
+	};
+	const results = expansions
+		? await searchExpansions(env, expansions, retrieval, options)
+		: await RETRIEVAL_AGENTS[retrieval].search(query, env, options);
+
+	// Notes repeating the same text would fill the context with one passage several times
+	const candidates = collapseDuplicateMatches(
+		await timed(trace, "d1", () => fetchNotesForResults(getBackends(env).notes, results, collection, filters))
+	);
+	const ranked = rerank ? await timed(trace, "rerank", () => rerankMatches(env, query, candidates)) : candidates;
+
+	// Notes often marked wrong sink and notes marked helpful rise before the context is cut
+	const scoreField = rerank ? "rerankScore" : "score";
+	const boosted = await timed(trace, "d1", () => applyNoteFeedback(env, collection, ranked, { scoreField }));
+	if (!context) {
+		const matches = boosted.slice(0, topN ?? MAX_CONTEXT_NOTES);
+		return { matches, sources: buildSources(matches), candidateCount: candidates.length };
+	}
+
+	// Diverse notes trimmed to what the model's window leaves for context
+	const { budget, contextWindow, reservedTokens, lambda } = context;
+	const { matches, report } = buildContext(boosted, { budget, lambda, scoreField, maxNotes: topN ?? MAX_CONTEXT_NOTES });
+	return {
+		matches,
+		sources: buildSources(matches),
+		candidateCount: candidates.length,
+		contextReport: { contextWindow, reservedTokens, ...report }
+	};
+};
+
+/**
+ * Write a query to the query log once the response is sent
+ * @param {object} c - Hono context
+ * @param {object} entry - Entry for logQuery; the collection and trace come from the context
+ */
+const recordQueryLog = (c, entry) => c.executionCtx.waitUntil(
+	logQuery(c.env, { collection: c.get("collection"), trace: c.get("trace"), ...entry })
+		.catch(error => console.error("Failed to log query:", error))
+);
+
+/**
+ * Build the system messages carrying numbered context and answering instructions
+ * @param {Array} sources - Sources from buildSources
+ * @returns {Array} - System messages
+ */
+const buildSystemMessages = (sources) => {
+	const systemPrompt = [ANSWER_PROMPT, ...(sources.length ? [CITATION_PROMPT] : [])].join(" ");
+
+	return [
+		...(sources.length ? [{ role: "system", content: formatSourcesMessage(sources) }] : []),
+		{ role: "system", content: systemPrompt }
+	];
+};
+
+/**
+ * Token budget for the context sent with other messages
+ * @param {object} env - Environment bindings
+ * @param {object} model - Model from resolveModel
+ * @param {Array} messages - Messages sent besides the system messages
+ * @param {number} [maxOutputTokens] - Tokens kept for the answer when lower than the model's
+ * @returns {object} - Budget from resolveContextBudget, counting the answering instructions
+ */
+const contextBudget = (env, model, messages, maxOutputTokens) => resolveContextBudget(
+	env,
+	model,
+	[{ role: "system", content: `${ANSWER_PROMPT} ${CITATION_PROMPT}` }, ...messages],
+	maxOutputTokens
+);
+
 // Add CORS middleware
 app.use("/*", cors());
 
+// Time each request's stages for the Server-Timing header
+app.use("*", traceRequest);
+
+// OpenAI-compatible routes answer errors, including authentication and rate limit errors, in the OpenAI format
+app.use("/v1/*", openAIErrors);
+
+// Authenticate API keys and apply their rate limit; routes declare the scope they need
+app.use("*", authenticate);
+
+// Model alias selected by a request, for the stricter budget of rate-limited models
+const selectQueryModel = (c) => c.req.query("model");
+const selectChatModel = async (c) => (await c.req.json().catch(() => ({})))?.model;
+
+// Resolve the collection from the /c/:collection prefix or the X-Collection header,
+// refusing keys limited to other collections
+app.use("*", async (c, next) => {
+	const collection = resolveCollection(c);
+	if (!isValidCollection(collection)) {
+		return c.json({ error: "Collection must be 1-64 letters, digits, '-' or '_'" }, 400);
+	}
+
+	const apiKey = c.get("apiKey");
+	if (apiKey && !canUseCollection(apiKey, collection)) {
+		return c.json({ error: `API key can't use the '${collection}' collection` }, 403);
+	}
+
+	c.set("collection", collection);
+	await next();
+});
+
 // Error handling middleware
 app.onError((err, c) => {
 	return handleError(c, err, "Internal server error");
 });
 
 // Commands endpoint - for UI command palette integration
-app.get("/commands", (c) => {
-	const commands = [
-		{
-			id: "query",
-			name: "Ask Question",
-			description: "Ask AI a question with context from your knowledge base",
-			endpoint: "GET /?text={query}&model={llama|llama-70b}",
-			parameters: [
-				{ name: "text", type: "string", required: true, description: "Your question" },
-				{ name: "model", type: "string", required: false, description: "AI model to use", options: ["llama", "llama-70b"] }
-			],
-			category: "AI",
-			icon: "🤖"
-		},
-		{
-			id: "create_note",
-			name: "Add Note",
-			description: "Add a new note to your knowledge base",
-			endpoint: "POST /notes",
-			parameters: [
-				{ name: "text", type: "string", required: true, description: "Note content" }
-			],
-			category: "Knowledge",
-			icon: "📝"
-		},
-		{
-			id: "search",
-			name: "Search Knowledge",
-			description: "Search your knowledge base using semantic similarity",
-			endpoint: "GET /search?q={query}",
-			parameters: [
-				{ name: "q", type: "string", required: true, description: "Search query" }
-			],
-			category: "Search",
-			icon: "🔍"
-		},
-		{
-			id: "delete_note",
-			name: "Delete Note",
-			description: "Remove a note from your knowledge base",
-			endpoint: "DELETE /notes/{id}",
-			parameters: [
-				{ name: "id", type: "string", required: true, description: "Note ID" }
-			],
-			category: "Knowledge",
-			icon: "🗑️"
-		},
-		{
-			id: "health",
-			name: "Health Check",
-			description: "Check system status and availability",
-			endpoint: "GET /health",
-			parameters: [],
-			category: "System",
-			icon: "❤️"
-		}
-	];
+app.get("/commands", requireScope("read"), (c) => {
+	const commands = buildCommands(c.env).map(formatCommand);
 
 	return c.json({
 		commands,
@@ -123,14 +373,16 @@ app.get("/commands", (c) => {
 
 // Health check endpoint
 app.get("/health", (c) => {
+	const { name, embedder, vectors, notes } = getBackends(c.env);
 	const response = createResponse({
 		status: "healthy",
-		environment: isLocalEnvironment(c) ? "local" : "production",
+		backend: name,
 		services: {
 			ai: true,
-			database: true,
-			vectorize: !isLocalEnvironment(c),
-			workflows: !isLocalEnvironment(c)
+			embeddings: embedder.name,
+			vectorStore: vectors.name,
+			noteStore: notes.name,
+			workflows: true
 		}
 	});
 	
@@ -141,99 +393,287 @@ app.get("/health", (c) => {
 	return c.json(response.data);
 });
 
+// Model registry endpoint - aliases accepted by the model parameter
+app.get("/models", requireScope("read"), (c) => {
+	try {
+		const models = listModels(c.env);
+		return c.json({
+			models,
+			default: models.find(model => model.default).alias,
+			count: models.length
+		});
+	} catch (error) {
+		return handleError(c, error, "Model registry is misconfigured");
+	}
+});
+
 // Main RAG query endpoint - uses context from vector search
-app.get("/", async (c) => {
+app.get("/", requireScope("read"), limitModel(selectQueryModel), async (c) => {
 	try {
+		const startTime = Date.now();
 		const question = c.req.query("text") || DEFAULT_QUESTION;
-		const selectedModel = c.req.query("model") || "llama";
-		const isLocal = isLocalEnvironment(c);
+		const retrieval = c.req.query("retrieval") || "vector";
+		const cacheMode = c.req.query("cache") || "default";
+		const stream = wantsEventStream(c);
+
+		if (!RETRIEVAL_MODES.includes(retrieval)) {
+			return c.json({ error: `Invalid retrieval mode, expected one of: ${RETRIEVAL_MODES.join(", ")}` }, 400);
+		}
+
+		if (!CACHE_MODES.includes(cacheMode)) {
+			return c.json({ error: `Invalid cache mode, expected one of: ${CACHE_MODES.join(", ")}` }, 400);
+		}
+
+		const { filters, error: filterError } = parseFilters(c);
+		if (filterError) {
+			return c.json({ error: filterError }, 400);
+		}
+
+		const { value: expansion, error: expansionError } = validateExpansion(
+			{ expand: c.req.query("expand"), hyde: c.req.query("hyde") },
+			retrieval
+		);
+		if (expansionError) {
+			return c.json({ error: expansionError }, 400);
+		}
+
+		const { value: ranking, error: rankingError } = validateRerankOptions({
+			rerank: c.req.query("rerank"),
+			topN: c.req.query("topN")
+		});
+		if (rankingError) {
+			return c.json({ error: rankingError }, 400);
+		}
+
+		const { value: includeTimings, error: timingsError } = validateTimings(c.req.query("timings"));
+		if (timingsError) {
+			return c.json({ error: timingsError }, 400);
+		}
 
 		// Determine which model to use
-		const modelName = selectedModel === "llama-70b" ? ADVANCED_MODEL : DEFAULT_MODEL;
+		const { model, error: modelError } = resolveModel(c.env, c.req.query("model"));
+		if (modelError) {
+			return c.json({ error: modelError }, 400);
+		}
+		if (stream && !model.capabilities.streaming) {
+			return c.json({ error: `Model '${model.alias}' does not support streaming` }, 400);
+		}
+		const modelName = model.id;
+		const collection = c.get("collection");
+		const bypass = cacheMode === "bypass";
+		const similarityThreshold = ranking.rerank ? RERANK_CANDIDATE_THRESHOLD : SIMILARITY_THRESHOLD;
+		const trace = c.get("trace");
 
-		if (isLocal) {
-			// Local development - simplified response
-			const answer = await c.env.AI.run(modelName, {
-				messages: [{ role: "user", content: question }]
+		// Identifies the answer for POST /feedback and in the query log
+		const queryId = crypto.randomUUID();
+		const recordQuery = (answer, sources, citations, { cacheHit = false } = {}) => {
+			recordQueryLog(c, {
+				queryId,
+				route: "query",
+				query: question,
+				retrieval,
+				model: modelName,
+				retrievedIds: sources.map(source => source.noteId),
+				cacheHit
 			});
-			
+			c.executionCtx.waitUntil(
+				recordAnswer(c.env.DB, { queryId, collection, question, answer, model: modelName, sources, citations })
+					.catch(error => console.error("Failed to record answer:", error))
+			);
+		};
+
+		// The question's embedding serves both the answer cache lookup and vector retrieval; streams never
+		// read the answer cache, so keyword retrieval only embeds when the cache is consulted
+		const backends = getBackends(c.env);
+		const consultCache = !stream && !bypass;
+		const { embedding, cached: embeddingCached } = retrieval !== "keyword" || consultCache
+			? await trace.time("embedding", () => getQueryEmbedding(c.env, backends.embedder, question, { bypass }))
+			: { embedding: null, cached: false };
+		const optionsHash = await answerOptionsHash({ model: modelName, retrieval, filters,
+			expansion: expansion.expand ? expansion : null,
+			ranking: ranking.rerank || ranking.topN ? ranking : null
+		});
+
+		// Reuse the answer to a close enough question whose notes are unchanged; streams always generate
+		const cachedAnswer = consultCache
+			? await trace.time("d1", () => findCachedAnswer(c.env, backends.notes, { collection, optionsHash, embedding }))
+			: null;
+		if (cachedAnswer) {
+			const { context, citations, unmatchedCitations, matchCount, chunkMatchCount, contextReport, expansion: cachedExpansion, rerank: cachedRerank } = cachedAnswer.response;
+			recordQuery(cachedAnswer.answer, context, citations, { cacheHit: true });
 			const response = createResponse({
-				...answer,
+				queryId,
+				answer: cachedAnswer.answer,
+				question,
+				context,
+				citations,
 				metadata: {
-					environment: "local",
+					backend: backends.name,
 					modelUsed: modelName,
-					vectorSearchEnabled: false,
-					question
+					modelAlias: model.alias,
+					vectorSearchEnabled: retrieval !== "keyword",
+					retrievalMode: retrieval,
+					collection,
+					filters,
+					matchCount,
+					chunkMatchCount,
+					contextFound: context.length > 0,
+					similarityThreshold,
+					unmatchedCitations,
+					...(cachedExpansion ? { expansion: cachedExpansion } : {}),
+					...(cachedRerank ? { rerank: cachedRerank } : {}),
+					...(contextReport ? { context: contextReport } : {}),
+					cache: {
+						hit: true,
+						embeddingCached,
+						similarity: cachedAnswer.similarity,
+						cachedQuestion: cachedAnswer.question,
+						cachedAt: cachedAnswer.cachedAt,
+						expiresAt: cachedAnswer.expiresAt,
+						hits: cachedAnswer.hits
+					},
+					...(includeTimings ? { timings: trace.summary() } : {})
 				}
-			}, 200, { 'x-model-used': modelName });
+			}, 200, { 'x-model-used': modelName, 'x-cache': "HIT" });
 
 			Object.entries(response.headers).forEach(([key, value]) => {
 				c.header(key, value);
 			});
-			
+
 			return c.json(response.data);
 		}
 
-		// Generate embedding for the question
-		const embeddings = await c.env.AI.run(EMBEDDING_MODEL, {
-			text: question
+		// Search with paraphrases and a hypothetical answer as well as the question when expanding
+		const expansions = expansion.expand
+			? await trace.time("llm", () => generateExpansions(c.env, model, question, { hyde: expansion.hyde }))
+			: undefined;
+
+		// Retrieve matching notes with the selected strategy as numbered sources
+		const { matches, sources, candidateCount, contextReport } = await retrieveSources(c.env, question, retrieval, collection, filters, {
+			embedding,
+			expansions,
+			trace,
+			context: contextBudget(c.env, model, [{ role: "user", content: question }]),
+			...ranking
 		});
-		const vectors = embeddings.data[0];
+		const matchingIds = matches.map(match => match.id);
+		const expansionMetadata = expansions ? describeExpansion(expansions, matches) : undefined;
+		const rerankMetadata = ranking.rerank
+			? { model: resolveRerankModel(c.env), candidates: candidateCount, topN: ranking.topN ?? MAX_CONTEXT_NOTES }
+			: undefined;
 
-		// Query Vectorize for similar content
-		const vectorQuery = await c.env.VECTORIZE.query(vectors, { topK: 5 });
-		
-		// Extract matching note IDs
-		const matchingIds = vectorQuery.matches
-			?.filter(match => match.score > SIMILARITY_THRESHOLD)
-			?.map(match => match.id) || [];
-
-		// Retrieve notes from D1
-		let notes = [];
-		if (matchingIds.length > 0) {
-			const placeholders = matchingIds.map(() => '?').join(',');
-			const query = `SELECT * FROM notes WHERE id IN (${placeholders})`;
-			const { results } = await c.env.DB.prepare(query)
-				.bind(...matchingIds)
-				.all();
-			if (results) {
-				notes = results.map(note => note.text);
-			}
+		const messages = [
+			...buildSystemMessages(sources),
+			{ role: "user", content: question }
+		];
+
+		// Stream tokens as SSE when requested
+		if (stream) {
+			const generationStart = Date.now();
+			return streamAnswer(c, {
+				modelName,
+				params: modelParams(model),
+				messages,
+				context: {
+					queryId,
+					question,
+					context: sources,
+					matches: matches.map(({ id, score, vectorScore, rerankScore, feedback, chunks, sources, foundBy }) => ({
+						noteId: id,
+						score,
+						vectorScore,
+						rerankScore,
+						feedback,
+						chunks: chunks.map(chunk => chunk.chunkIndex),
+						sources,
+						foundBy
+					})),
+					metadata: {
+						backend: getBackends(c.env).name,
+						vectorSearchEnabled: retrieval !== "keyword",
+						retrievalMode: retrieval,
+						collection: c.get("collection"),
+						filters,
+						matchCount: matchingIds.length,
+						contextFound: sources.length > 0,
+						similarityThreshold,
+						...(expansionMetadata ? { expansion: expansionMetadata } : {}),
+						...(rerankMetadata ? { rerank: rerankMetadata } : {}),
+						context: contextReport,
+						cache: { hit: false, bypassed: bypass, embeddingCached }
+					}
+				},
+				finalize: (answer) => {
+					const { citations, unmatched } = extractCitations(answer, sources);
+					trace.add("llm", Date.now() - generationStart);
+					trace.addTokens(completionUsage(null, messages, answer));
+					recordQuery(answer, sources, citations);
+					return { citations, unmatchedCitations: unmatched };
+				},
+				startTime
+			});
 		}
 
-		// Build context message
-		const contextMessage = notes.length
-			? `Context:\n${notes.map(note => `- ${note}`).join("\n")}`
-			: "";
+		// Generate response with selected model
+		const { response: answer, usage } = await trace.time("llm", () => c.env.AI.run(modelName, { messages, ...modelParams(model) }));
+		trace.addTokens(completionUsage(usage, messages, answer));
 
-		const systemPrompt = "When answering the question or responding, use the context provided, if it is provided and relevant.";
+		// Map [n] markers in the answer back to their notes
+		const { citations, unmatched } = extractCitations(answer, sources);
+		const chunkMatchCount = matches.reduce((total, match) => total + match.chunks.length, 0);
+		recordQuery(answer, sources, citations);
 
-		// Generate response with selected model
-		const { response: answer } = await c.env.AI.run(
-			modelName,
-			{
-				messages: [
-					...(notes.length ? [{ role: "system", content: contextMessage }] : []),
-					{ role: "system", content: systemPrompt },
-					{ role: "user", content: question }
-				]
-			}
-		);
+		// Answers are cached under their question's embedding, so keyword answers that skipped it aren't
+		if (embedding) {
+			c.executionCtx.waitUntil(
+				storeAnswer(c.env, {
+					collection,
+					optionsHash,
+					question,
+					embedding,
+					answer,
+					response: {
+						context: sources,
+						citations,
+						unmatchedCitations: unmatched,
+						matchCount: matchingIds.length,
+						chunkMatchCount,
+						contextReport,
+						...(expansionMetadata ? { expansion: expansionMetadata } : {}),
+						...(rerankMetadata ? { rerank: rerankMetadata } : {})
+					},
+					notes: matches.map(match => match.note)
+				}).catch(error => console.error("Failed to cache answer:", error))
+			);
+		}
 
 		// Create structured response
 		const response = createResponse({
+			queryId,
 			answer,
 			question,
-			context: notes,
+			context: sources,
+			citations,
 			metadata: {
-				environment: "production",
+				backend: getBackends(c.env).name,
 				modelUsed: modelName,
-				vectorSearchEnabled: true,
+				modelAlias: model.alias,
+				vectorSearchEnabled: retrieval !== "keyword",
+				retrievalMode: retrieval,
+				collection: c.get("collection"),
+				filters,
 				matchCount: matchingIds.length,
-				contextFound: notes.length > 0,
-				similarityThreshold: SIMILARITY_THRESHOLD
+				chunkMatchCount,
+				contextFound: sources.length > 0,
+				similarityThreshold,
+				unmatchedCitations: unmatched,
+				...(expansionMetadata ? { expansion: expansionMetadata } : {}),
+				...(rerankMetadata ? { rerank: rerankMetadata } : {}),
+				context: contextReport,
+				cache: { hit: false, bypassed: bypass, embeddingCached },
+				...(includeTimings ? { timings: trace.summary() } : {})
 			}
-		}, 200, { 'x-model-used': modelName });
+		}, 200, { 'x-model-used': modelName, 'x-cache': bypass ? "BYPASS" : "MISS" });
 
 		Object.entries(response.headers).forEach(([key, value]) => {
 			c.header(key, value);
@@ -245,54 +685,89 @@ app.get("/", async (c) => {
 	}
 });
 
-// Create note endpoint
-app.post("/notes", async (c) => {
+// Conversational chat endpoint - condenses follow-ups and keeps session history
+app.post("/chat", requireScope("read"), limitModel(selectChatModel), async (c) => {
 	try {
-		const { text } = await c.req.json();
-		
-		if (!text || typeof text !== "string" || text.trim().length === 0) {
-			return c.json({ error: "Valid text content is required" }, 400);
+		const { sessionId = crypto.randomUUID(), message, model: alias, retrieval = "vector" } = await c.req.json();
+
+		if (!message || typeof message !== "string" || message.trim().length === 0) {
+			return c.json({ error: "Valid message content is required" }, 400);
 		}
 
-		const isLocal = isLocalEnvironment(c);
-		
-		if (isLocal) {
-			// Local development - return mock response
-			const response = createResponse({
-				success: true,
-				message: "Text received successfully",
-				text: text.trim(),
-				metadata: {
-					environment: "local",
-					workflowEnabled: false,
-					characterCount: text.trim().length
-				}
-			}, 201);
+		if (!isValidSessionId(sessionId)) {
+			return c.json({ error: "Session ID must be 1-128 letters, digits, '-' or '_'" }, 400);
+		}
 
-			Object.entries(response.headers).forEach(([key, value]) => {
-				c.header(key, value);
-			});
+		if (!RETRIEVAL_MODES.includes(retrieval)) {
+			return c.json({ error: `Invalid retrieval mode, expected one of: ${RETRIEVAL_MODES.join(", ")}` }, 400);
+		}
 
-			return c.json(response.data);
+		const { model, error: modelError } = resolveModel(c.env, alias);
+		if (modelError) {
+			return c.json({ error: modelError }, 400);
+		}
+
+		const question = message.trim();
+		const modelName = model.id;
+		const collection = c.get("collection");
+
+		// A session id belongs to the collection it was started in
+		if (await isForeignSession(c.env.DB, sessionId, collection)) {
+			return c.json({ error: "Chat session not found" }, 404);
 		}
 
-		// Production - create workflow  
-		const instance = await c.env.RAG_WORKFLOW.create({
-			params: { text: text.trim() }
+		// Rewrite the follow-up into a standalone query with the default model
+		const history = await loadHistory(c.env.DB, sessionId, collection, CHAT_HISTORY_WINDOW);
+		const standaloneQuery = await condenseQuestion(c.env, resolveModel(c.env).model, history, question);
+
+		const trace = c.get("trace");
+		const conversation = [
+			...history.map(({ role, content }) => ({ role, content })),
+			{ role: "user", content: question }
+		];
+		const { matches, sources, contextReport } = await retrieveSources(c.env, standaloneQuery, retrieval, collection, {}, {
+			trace,
+			context: contextBudget(c.env, model, conversation)
+		});
+
+		const messages = [...buildSystemMessages(sources), ...conversation];
+		const { response: answer, usage } = await trace.time("llm", () => c.env.AI.run(modelName, { messages, ...modelParams(model) }));
+		trace.addTokens(completionUsage(usage, messages, answer));
+
+		const { citations, unmatched } = extractCitations(answer, sources);
+
+		await appendMessages(c.env.DB, sessionId, collection, [
+			{ role: "user", content: question, metadata: { standaloneQuery } },
+			{ role: "assistant", content: answer, metadata: { modelUsed: modelName, citations } }
+		]);
+		recordQueryLog(c, {
+			route: "chat",
+			query: standaloneQuery,
+			retrieval,
+			model: modelName,
+			retrievedIds: sources.map(source => source.noteId)
 		});
 
 		const response = createResponse({
-			success: true,
-			workflowId: instance.id,
-			message: "Note processing started",
-			text: text.trim(),
+			sessionId,
+			answer,
+			question,
+			standaloneQuery,
+			context: sources,
+			citations,
 			metadata: {
-				environment: "production",
-				workflowEnabled: true,
-				characterCount: text.trim().length,
-				processingStatus: "initiated"
+				backend: getBackends(c.env).name,
+				modelUsed: modelName,
+				modelAlias: model.alias,
+				vectorSearchEnabled: retrieval !== "keyword",
+				retrievalMode: retrieval,
+				collection,
+				matchCount: matches.length,
+				historyMessages: history.length,
+				unmatchedCitations: unmatched,
+				context: contextReport
 			}
-		}, 201);
+		}, 200, { 'x-model-used': modelName });
 
 		Object.entries(response.headers).forEach(([key, value]) => {
 			c.header(key, value);
@@ -300,91 +775,28 @@ app.post("/notes", async (c) => {
 
 		return c.json(response.data);
 	} catch (error) {
-		return handleError(c, error, "Failed to create note");
+		return handleError(c, error, "Failed to process chat message");
 	}
 });
 
-
-// Search endpoint with full RAG capabilities
-app.get("/search", async (c) => {
+// Chat history endpoint - returns every message of a session
+app.get("/chat/:sessionId", requireScope("read"), async (c) => {
 	try {
-		const query = c.req.query("q");
-		
-		if (!query || query.trim().length === 0) {
-			return c.json({ error: "Query parameter 'q' is required and cannot be empty" }, 400);
-		}
-
-		const isLocal = isLocalEnvironment(c);
-		const trimmedQuery = query.trim();
-		
-		if (isLocal) {
-			// Local development - return mock response
-			const response = createResponse({
-				query: trimmedQuery,
-				count: 0,
-				results: [],
-				metadata: {
-					environment: "local",
-					vectorSearchEnabled: false,
-					message: "Search functionality temporarily disabled in local dev"
-				}
-			});
+		const { sessionId } = c.req.param();
 
-			Object.entries(response.headers).forEach(([key, value]) => {
-				c.header(key, value);
-			});
-
-			return c.json(response.data);
+		if (!isValidSessionId(sessionId)) {
+			return c.json({ error: "Session ID must be 1-128 letters, digits, '-' or '_'" }, 400);
 		}
 
-		// Production - perform vector search with context
-		// Generate query embedding
-		const queryEmbedding = await c.env.AI.run(EMBEDDING_MODEL, {
-			text: trimmedQuery
-		});
-		
-		// Search similar vectors
-		const matches = await c.env.VECTORIZE.query(queryEmbedding.data[0], {
-			topK: 10,
-			returnMetadata: true
-		});
-		
-		// Get full text and metadata for matches from D1
-		const results = [];
-		for (const match of matches.matches) {
-			if (match.score < SIMILARITY_THRESHOLD) continue; // Filter low-relevance results
-			
-			const { results: notes } = await c.env.DB.prepare(
-				"SELECT * FROM notes WHERE id = ?"
-			).bind(match.id).all();
-			
-			if (notes.length > 0) {
-				results.push({
-					id: match.id,
-					score: match.score,
-					text: notes[0].text,
-					metadata: {
-						...match.metadata,
-						created_at: notes[0].created_at
-					}
-				});
-			}
+		const messages = await loadHistory(c.env.DB, sessionId, c.get("collection"));
+		if (messages.length === 0) {
+			return c.json({ error: "Chat session not found" }, 404);
 		}
 
-		// Sort by score descending
-		results.sort((a, b) => b.score - a.score);
-		
 		const response = createResponse({
-			query: trimmedQuery,
-			count: results.length,
-			results,
-			metadata: {
-				environment: "production",
-				vectorSearchEnabled: true,
-				similarityThreshold: SIMILARITY_THRESHOLD,
-				totalMatches: matches.matches?.length || 0,
-				filteredMatches: results.length
-			}
+			sessionId,
+			count: messages.length,
+			messages
 		});
 
 		Object.entries(response.headers).forEach(([key, value]) => {
@@ -393,105 +805,1576 @@ app.get("/search", async (c) => {
 
 		return c.json(response.data);
 	} catch (error) {
-		return handleError(c, error, "Search service unavailable", 503);
+		return handleError(c, error, "Failed to load chat session");
 	}
 });
 
-// Delete note endpoint - removes both database record and vector
-app.delete("/notes/:id", async (c) => {
+// Clear chat session endpoint
+app.delete("/chat/:sessionId", requireScope("write"), async (c) => {
 	try {
-		const { id } = c.req.param();
-		
-		if (!id || id.trim().length === 0) {
-			return c.json({ error: "Note ID is required and cannot be empty" }, 400);
-		}
-
-		const isLocal = isLocalEnvironment(c);
-		const trimmedId = id.trim();
-		
-		if (isLocal) {
-			// Local development - return mock response
-			const response = createResponse({
-				message: "Delete functionality disabled in local dev",
-				noteId: trimmedId,
-				metadata: {
-					environment: "local",
-					vectorSearchEnabled: false,
-					workflowEnabled: false
-				}
-			});
+		const { sessionId } = c.req.param();
 
-			Object.entries(response.headers).forEach(([key, value]) => {
-				c.header(key, value);
-			});
+		if (!isValidSessionId(sessionId)) {
+			return c.json({ error: "Session ID must be 1-128 letters, digits, '-' or '_'" }, 400);
+		}
 
-			return c.json(response.data);
+		const deleted = await clearSession(c.env.DB, sessionId, c.get("collection"));
+		if (deleted === 0) {
+			return c.json({ error: "Chat session not found" }, 404);
 		}
 
-		// Production - delete from both D1 and Vectorize
-		// Delete from D1 database
-		const query = `DELETE FROM notes WHERE id = ?`;
-		await c.env.DB.prepare(query).bind(trimmedId).run();
-		
-		// Delete from Vectorize
-		await c.env.VECTORIZE.deleteByIds([trimmedId]);
-		
-		// Return 204 No Content on successful deletion
 		c.header('X-Timestamp', new Date().toISOString());
-		return c.status(204);
+		return c.body(null, 204);
 	} catch (error) {
-		return handleError(c, error, "Failed to delete note");
+		return handleError(c, error, "Failed to clear chat session");
 	}
 });
 
-// Help endpoint - API documentation
-app.get("/help", (c) => {
-	const apiInfo = {
-		name: "RAG AI Tutorial API",
-		version: "1.0.0",
-		description: "Retrieval-Augmented Generation system using Cloudflare AI, D1, and Vectorize",
-		environment: isLocalEnvironment(c) ? "local" : "production",
-		features: {
-			aiQuery: "Ask questions with contextual knowledge retrieval",
-			noteManagement: "Create, search, and delete notes in your knowledge base",
-			semanticSearch: "Vector-based similarity search",
-			commandDiscovery: "Structured command information for UI integration"
-		},
-		endpoints: {
-			"GET /": "AI query with RAG context",
-			"GET /commands": "Available commands for UI integration",
-			"GET /health": "System health check",
-			"GET /search": "Semantic search in knowledge base",
-			"POST /notes": "Create new note",
-			"DELETE /notes/:id": "Delete note",
-			"GET /help": "This help information"
-		},
-		usage: {
-			examples: [
-				"GET /?text=What is machine learning&model=llama-70b",
-				"POST /notes with {\"text\": \"Your knowledge here\"}",
-				"GET /search?q=your search query"
-			]
+// Feedback endpoint - rates an answer of GET / and the notes it cited
+app.post("/feedback", requireScope("read"), async (c) => {
+	try {
+		const { value: feedback, error } = validateFeedback(await c.req.json().catch(() => null));
+		if (error) {
+			return c.json({ error }, 400);
 		}
-	};
 
-	const response = createResponse(apiInfo);
-	
-	Object.entries(response.headers).forEach(([key, value]) => {
-		c.header(key, value);
-	});
-	
-	return c.json(response.data);
-});
+		const collection = c.get("collection");
+		const answer = await getAnswer(c.env.DB, feedback.queryId, collection);
+		if (!answer) {
+			return c.json({ error: "Answer not found" }, 404);
+		}
 
-// 404 handler
-app.notFound((c) => {
-	return c.json({ 
-		error: "Not found",
-		message: "The requested endpoint does not exist",
-		availableEndpoints: ["/", "/commands", "/health", "/search", "/notes", "/help"],
-		timestamp: new Date().toISOString()
-	}, 404);
+		const unknown = [...feedback.helpfulNoteIds, ...feedback.wrongNoteIds].filter(id => !answer.sourceNoteIds.includes(id));
+		if (unknown.length > 0) {
+			return c.json({ error: `Notes ${unknown.join(", ")} were not sources of this answer` }, 400);
+		}
+
+		const { feedback: stored, created } = await saveFeedback(c.env.DB, collection, feedback);
+
+		// Note verdicts change retrieval, so answers cached with the old ranking must go; an update may remove verdicts
+		if (feedback.helpfulNoteIds.length > 0 || feedback.wrongNoteIds.length > 0 || !created) {
+			await invalidateAnswerCache(c.env.DB, collection);
+		}
+
+		const response = createResponse({
+			success: true,
+			feedback: stored
+		}, created ? 201 : 200);
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data, response.status);
+	} catch (error) {
+		return handleError(c, error, "Failed to save feedback");
+	}
 });
 
-export default app;
\ No newline at end of file
+// OpenAI-compatible chat completions - retrieval over the last user message, then generation over every message
+app.post("/v1/chat/completions", requireScope("read"), limitModel(selectChatModel), async (c) => {
+	try {
+		const body = await c.req.json().catch(() => null);
+		const { value, error } = validateChatCompletion(c.env, body);
+		if (error) {
+			return c.json(openAIError(error.message, 400, error), 400);
+		}
+
+		// Extension field; OpenAI clients pass it through extra body parameters
+		const retrieval = body.retrieval ?? "vector";
+		if (!RETRIEVAL_MODES.includes(retrieval)) {
+			return c.json(openAIError(`Invalid retrieval mode, expected one of: ${RETRIEVAL_MODES.join(", ")}`, 400, { param: "retrieval" }), 400);
+		}
+
+		const { model, params, question, includeUsage } = value;
+		const collection = c.get("collection");
+		const trace = c.get("trace");
+		const { matches, sources, contextReport } = await retrieveSources(c.env, question, retrieval, collection, {}, {
+			trace,
+			context: contextBudget(c.env, model, value.messages, params.max_tokens)
+		});
+
+		const id = `chatcmpl-${crypto.randomUUID()}`;
+		const messages = [...buildSystemMessages(sources), ...value.messages];
+		const rag = {
+			backend: getBackends(c.env).name,
+			collection,
+			retrievalMode: retrieval,
+			query: question,
+			matchCount: matches.length,
+			sources,
+			context: contextReport
+		};
+		const cite = (answer) => {
+			const { citations, unmatched } = extractCitations(answer, sources);
+			return { citations, unmatchedCitations: unmatched };
+		};
+		const logCompletion = () => recordQueryLog(c, {
+			route: "chat.completions",
+			query: question,
+			retrieval,
+			model: model.id,
+			retrievedIds: sources.map(source => source.noteId)
+		});
+
+		if (value.stream) {
+			const generationStart = Date.now();
+			return streamChatCompletion(c, { id, model, messages, params, includeUsage, rag, finalize: (answer) => {
+				trace.add("llm", Date.now() - generationStart);
+				trace.addTokens(completionUsage(null, messages, answer));
+				logCompletion();
+				return cite(answer);
+			} });
+		}
+
+		const { response: answer, usage: reported } = await trace.time("llm", () => c.env.AI.run(model.id, { messages, ...params }));
+		const usage = completionUsage(reported, messages, answer);
+		trace.addTokens(usage);
+		logCompletion();
+
+		c.header("x-model-used", model.id);
+		return c.json(formatChatCompletion({ id, model, answer, usage, maxTokens: params.max_tokens, rag: { ...rag, ...cite(answer) } }));
+	} catch (error) {
+		return handleError(c, error, "Failed to create chat completion");
+	}
+});
+
+// OpenAI-compatible embeddings - embeds with the backend's embedder
+app.post("/v1/embeddings", requireScope("read"), async (c) => {
+	try {
+		const { embedder } = getBackends(c.env);
+		const { value, error } = validateEmbeddings(embedder, await c.req.json().catch(() => null));
+		if (error) {
+			return c.json(openAIError(error.message, 400, error), 400);
+		}
+
+		const { inputs, encodingFormat } = value;
+		const embeddings = [];
+		for (let i = 0; i < inputs.length; i += embedder.maxBatchSize) {
+			embeddings.push(...await embedder.embed(inputs.slice(i, i + embedder.maxBatchSize)));
+		}
+
+		const promptTokens = inputs.reduce((total, text) => total + estimateTokens(text), 0);
+		return c.json({
+			object: "list",
+			data: embeddings.map((embedding, index) => ({
+				object: "embedding",
+				index,
+				embedding: encodingFormat === "base64" ? encodeEmbedding(embedding) : embedding
+			})),
+			model: embedder.model,
+			usage: { prompt_tokens: promptTokens, total_tokens: promptTokens }
+		});
+	} catch (error) {
+		return handleError(c, error, "Failed to create embeddings");
+	}
+});
+
+// OpenAI-compatible model list - chat model aliases and the embedding model
+app.get("/v1/models", requireScope("read"), (c) => {
+	try {
+		return c.json(formatModelList(c.env, getBackends(c.env).embedder));
+	} catch (error) {
+		return handleError(c, error, "Model registry is misconfigured");
+	}
+});
+
+// MCP server - commands as tools and notes as resources over streamable HTTP
+app.post("/mcp", requireScope("read"), async (c) => {
+	const version = c.req.header("mcp-protocol-version");
+	if (version && !MCP_PROTOCOL_VERSIONS.includes(version)) {
+		return c.json(jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, `Unsupported MCP protocol version: ${version}`), 400);
+	}
+
+	let payload;
+	try {
+		payload = JSON.parse(await c.req.text());
+	} catch {
+		return c.json(jsonRpcError(null, JSONRPC_ERRORS.PARSE_ERROR, "Parse error"), 400);
+	}
+
+	// Tool calls run as requests to this worker with the caller's key and collection
+	const headers = { [COLLECTION_HEADER]: c.get("collection") };
+	["authorization", "x-api-key"].forEach(name => {
+		const value = c.req.header(name);
+		if (value) headers[name] = value;
+	});
+
+	// This request paid the key's rate limit for its first tool call; later calls of a batch pay their own
+	let prepaid = true;
+	const dispatch = (request) => {
+		const env = prepaid ? { ...c.env, [PREPAID_REQUEST]: c.get("apiKey") } : c.env;
+		prepaid = false;
+		return app.fetch(request, env, c.executionCtx);
+	};
+
+	const result = await handleMcpPayload(payload, {
+		env: c.env,
+		apiKey: c.get("apiKey"),
+		collection: c.get("collection"),
+		notes: getBackends(c.env).notes,
+		dispatch,
+		requestOptions: { origin: new URL(c.req.url).origin, headers }
+	});
+
+	return result === null ? c.body(null, 202) : c.json(result);
+});
+
+// The MCP server opens no server-initiated streams and keeps no sessions
+app.on(["GET", "DELETE"], "/mcp", (c) => c.json({ error: "Method not allowed; send JSON-RPC messages with POST" }, 405, { Allow: "POST" }));
+
+// Create note endpoint
+app.post("/notes", requireScope("write"), async (c) => {
+	try {
+		const { text, metadata: rawMetadata, chunking, dedupe = DEFAULT_DEDUPE_MODE } = await c.req.json();
+		const wait = c.req.query("wait") === "true";
+		const timeoutMs = Number.parseInt(c.req.query("timeout") ?? DEFAULT_WAIT_TIMEOUT_MS, 10);
+		
+		if (!text || typeof text !== "string" || text.trim().length === 0) {
+			return c.json({ error: "Valid text content is required" }, 400);
+		}
+
+		const { value: metadata, error: metadataError } = validateMetadata(rawMetadata);
+		if (metadataError) {
+			return c.json({ error: metadataError }, 400);
+		}
+
+		if (wait && (!Number.isInteger(timeoutMs) || timeoutMs < 1 || timeoutMs > MAX_WAIT_TIMEOUT_MS)) {
+			return c.json({ error: `Timeout must be between 1 and ${MAX_WAIT_TIMEOUT_MS} milliseconds` }, 400);
+		}
+
+		const chunkingError = validateChunking(chunking);
+		if (chunkingError) {
+			return c.json({ error: chunkingError }, 400);
+		}
+
+		if (!DEDUPE_MODES.includes(dedupe)) {
+			return c.json({ error: `Dedupe must be one of: ${DEDUPE_MODES.join(", ")}` }, 400);
+		}
+
+		// Exact duplicates are rejected; the workflow handles near-duplicates
+		const [duplicateOf] = (await getBackends(c.env).notes.findIdsByHash([await contentHash(text)], c.get("collection"))).values();
+		if (duplicateOf !== undefined) {
+			return c.json({ error: "Duplicate note", duplicateOf, collection: c.get("collection") }, 409);
+		}
+
+		// Index the note through the workflow
+		const instance = await startIngestion(c.env, { text: text.trim(), metadata, chunking, dedupe, collection: c.get("collection") });
+
+		// Block until the note is searchable, the run fails, or the timeout passes
+		if (wait) {
+			const { job, timedOut } = await waitForJob(c.env, instance.id, c.get("collection"), timeoutMs);
+
+			if (!timedOut && job.status !== "complete") {
+				return c.json({
+					error: "Note ingestion failed",
+					workflowId: instance.id,
+					step: job.step,
+					details: job.error,
+					timestamp: new Date().toISOString()
+				}, 500);
+			}
+
+			const operation = job?.output?.operation;
+			const messages = {
+				skip: "Near-duplicate skipped",
+				merge: "Near-duplicate merged into an existing note",
+				flag: "Note indexed and flagged as a near-duplicate"
+			};
+
+			const response = createResponse({
+				success: true,
+				workflowId: instance.id,
+				recordId: job?.recordId ?? null,
+				message: timedOut ? "Note processing still in progress" : messages[operation] ?? "Note indexed",
+				text: text.trim(),
+				noteMetadata: metadata,
+				collection: c.get("collection"),
+				duplicateOf: job?.output?.duplicateOf ?? null,
+				metadata: {
+					backend: getBackends(c.env).name,
+					workflowEnabled: true,
+					dedupe,
+					characterCount: text.trim().length,
+					processingStatus: timedOut ? job?.status ?? "queued" : "complete",
+					step: job?.step ?? null,
+					statusUrl: `/notes/jobs/${instance.id}`
+				}
+			}, timedOut ? 202 : operation === "skip" || operation === "merge" ? 200 : 201);
+
+			Object.entries(response.headers).forEach(([key, value]) => {
+				c.header(key, value);
+			});
+
+			return c.json(response.data, response.status);
+		}
+
+		const response = createResponse({
+			success: true,
+			workflowId: instance.id,
+			message: "Note processing started",
+			text: text.trim(),
+			noteMetadata: metadata,
+			collection: c.get("collection"),
+			metadata: {
+				backend: getBackends(c.env).name,
+				workflowEnabled: true,
+				dedupe,
+				characterCount: text.trim().length,
+				processingStatus: "initiated",
+				statusUrl: `/notes/jobs/${instance.id}`
+			}
+		}, 201);
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data, response.status);
+	} catch (error) {
+		return handleError(c, error, "Failed to create note");
+	}
+});
+
+
+// Bulk create notes endpoint - accepts a JSON array or NDJSON
+app.post("/notes/bulk", requireScope("write"), async (c) => {
+	try {
+		const contentType = c.req.header("content-type") || "";
+		const chunking = Object.fromEntries(
+			["size", "overlap", "strategy"]
+				.filter(key => c.req.query(`chunk_${key}`) !== undefined)
+				.map(key => [key, c.req.query(`chunk_${key}`)])
+		);
+
+		const chunkingError = validateChunking(chunking);
+		if (chunkingError) {
+			return c.json({ error: chunkingError }, 400);
+		}
+
+		let items;
+		try {
+			items = parseBulkBody(await c.req.text(), contentType);
+		} catch (error) {
+			return c.json({ error: error instanceof TypeError ? error.message : "Invalid JSON body" }, 400);
+		}
+
+		if (items.length === 0) {
+			return c.json({ error: "At least one note is required" }, 400);
+		}
+
+		if (items.length > MAX_BULK_ITEMS) {
+			return c.json({ error: `A bulk request can contain at most ${MAX_BULK_ITEMS} notes` }, 413);
+		}
+
+		const chunkOptions = resolveChunkOptionsForEnv(c.env, chunking);
+		const estimate = estimateBulkSubrequests(items, chunkOptions, getBackends(c.env).embedder.maxBatchSize);
+		if (estimate.subrequests > SUBREQUEST_BUDGET) {
+			return c.json({
+				error: `${estimate.notes} notes in ${estimate.chunks} chunks need about ${estimate.subrequests} subrequests but a bulk request can make at most ${SUBREQUEST_BUDGET}; split it into smaller requests`
+			}, 413);
+		}
+
+		const { results, chunkCount } = await ingestNotes(c.env, items, chunkOptions, c.get("collection"));
+
+		const count = (status) => results.filter(result => result.status === status).length;
+		const summary = {
+			total: results.length,
+			created: count("created"),
+			duplicate: count("duplicate"),
+			rejected: count("rejected"),
+			chunks: chunkCount
+		};
+
+		const response = createResponse({
+			success: true,
+			summary,
+			results,
+			metadata: {
+				backend: getBackends(c.env).name,
+				workflowEnabled: false,
+				collection: c.get("collection"),
+				processingStatus: "complete"
+			}
+		}, summary.created > 0 ? 201 : 200);
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data, response.status);
+	} catch (error) {
+		return handleError(c, error, "Bulk ingestion failed");
+	}
+});
+
+// Ingestion status endpoint - reports how far a RAGWorkflow run got
+app.get("/notes/jobs/:workflowId", requireScope("read"), async (c) => {
+	try {
+		const { workflowId } = c.req.param();
+
+		if (!WORKFLOW_ID_PATTERN.test(workflowId)) {
+			return c.json({ error: "Invalid workflow ID" }, 400);
+		}
+
+		const job = await getJobStatus(c.env, workflowId, c.get("collection"));
+		if (!job) {
+			return c.json({ error: "Workflow not found" }, 404);
+		}
+
+		const response = createResponse(job);
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to load workflow status");
+	}
+});
+
+// Upload document endpoint - Markdown, HTML or text split at its headings into one note per section
+app.post("/documents", requireScope("write"), async (c) => {
+	try {
+		const { value: upload, error: uploadError, status } = await readDocumentUpload(c);
+		if (uploadError) {
+			return c.json({ error: uploadError }, status);
+		}
+
+		const { value: metadata, error: metadataError } = validateMetadata(upload.metadata);
+		if (metadataError) {
+			return c.json({ error: metadataError }, 400);
+		}
+
+		const { title, sections } = parseDocument(upload.content, upload.format, upload);
+		if (sections.length === 0) {
+			return c.json({ error: "Document has no text" }, 400);
+		}
+		if (sections.length > MAX_DOCUMENT_SECTIONS) {
+			return c.json({ error: `Document has ${sections.length} top-level sections, at most ${MAX_DOCUMENT_SECTIONS} are supported` }, 400);
+		}
+
+		const collection = c.get("collection");
+		const hash = await contentHash(upload.content);
+		const duplicateOf = await findDocumentByHash(c.env.DB, collection, hash);
+		if (duplicateOf !== null) {
+			return c.json({ error: "Duplicate document", duplicateOf, collection }, 409);
+		}
+
+		const document = await createDocument(c.env.DB, {
+			collection,
+			title,
+			filename: upload.filename,
+			format: upload.format,
+			contentHash: hash,
+			metadata,
+			sectionCount: sections.length
+		});
+
+		// One workflow run per section. Near-duplicates are only flagged so the document stays whole;
+		// a section with the exact text of an existing note is still skipped
+		const started = [];
+		try {
+			for (const section of sections) {
+				const instance = await startIngestion(c.env, {
+					text: section.text, metadata: sectionMetadata(document, section), dedupe: "flag", collection, documentId: document.id
+				});
+				started.push({ index: section.index, section: section.section, workflowId: instance.id });
+			}
+			await recordDocumentSections(c.env.DB, document.id, started);
+		} catch (error) {
+			// Runs already started find their document gone and store nothing
+			await deleteDocument(c.env.DB, document.id, collection);
+			throw error;
+		}
+
+		const response = createResponse({
+			success: true,
+			message: "Document processing started",
+			document,
+			sections: started.map(section => ({
+				...section,
+				characterCount: sections[section.index].text.length,
+				statusUrl: `/notes/jobs/${section.workflowId}`
+			})),
+			metadata: {
+				backend: getBackends(c.env).name,
+				workflowEnabled: true,
+				processingStatus: "initiated",
+				documentUrl: `/documents/${document.id}`
+			}
+		}, 201);
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data, response.status);
+	} catch (error) {
+		return handleError(c, error, "Failed to upload document");
+	}
+});
+
+// List documents endpoint - newest first
+app.get("/documents", requireScope("read"), async (c) => {
+	try {
+		const limit = Number.parseInt(c.req.query("limit") ?? DEFAULT_PAGE_SIZE, 10);
+		const offset = Number.parseInt(c.req.query("offset") ?? 0, 10);
+
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+			return c.json({ error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` }, 400);
+		}
+
+		if (!Number.isInteger(offset) || offset < 0) {
+			return c.json({ error: "Offset must be a non-negative integer" }, 400);
+		}
+
+		const { documents, total } = await listDocuments(c.env.DB, c.get("collection"), { limit, offset });
+
+		const response = createResponse({
+			documents,
+			count: documents.length,
+			pagination: {
+				limit,
+				offset,
+				total,
+				hasMore: offset + documents.length < total
+			}
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to list documents");
+	}
+});
+
+// Get document endpoint - sections with their ingestion step and the notes stored so far
+app.get("/documents/:id", requireScope("read"), async (c) => {
+	try {
+		const id = c.req.param("id").trim();
+
+		if (!DOCUMENT_ID_PATTERN.test(id)) {
+			return c.json({ error: "Document ID must be a positive integer" }, 400);
+		}
+
+		const document = await getDocument(c.env.DB, id, c.get("collection"));
+		if (!document) {
+			return c.json({ error: "Document not found" }, 404);
+		}
+
+		const response = createResponse({ document });
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to load document");
+	}
+});
+
+// Delete document endpoint - removes the document and every note extracted from it
+app.delete("/documents/:id", requireScope("admin"), async (c) => {
+	try {
+		const id = c.req.param("id").trim();
+
+		if (!DOCUMENT_ID_PATTERN.test(id)) {
+			return c.json({ error: "Document ID must be a positive integer" }, 400);
+		}
+
+		// Removing the document first stops sections still being ingested from storing notes.
+		// Notes left by an earlier failed delete are removed even though the document is gone
+		const collection = c.get("collection");
+		const { notes, vectors } = getBackends(c.env);
+		const deleted = await deleteDocument(c.env.DB, id, collection);
+		const vectorIds = await notes.deleteDocumentNotes(id, collection);
+		if (!deleted && vectorIds.length === 0) {
+			return c.json({ error: "Document not found" }, 404);
+		}
+
+		// The notes' vectors were queued with them, so reconciliation removes any this request leaves behind
+		for (let i = 0; i < vectorIds.length; i += VECTOR_DELETE_BATCH_SIZE) {
+			await vectors.deleteByIds(vectorIds.slice(i, i + VECTOR_DELETE_BATCH_SIZE));
+		}
+		await notes.clearVectorDeletions(vectorIds);
+		await invalidateAnswerCache(c.env.DB, collection);
+
+		c.header('X-Timestamp', new Date().toISOString());
+		return c.body(null, 204);
+	} catch (error) {
+		return handleError(c, error, "Failed to delete document");
+	}
+});
+
+// List collections endpoint - every collection with its note count
+app.get("/collections", requireScope("read"), async (c) => {
+	try {
+		// Keys limited to collections only see their own
+		const collections = (await getBackends(c.env).notes.listCollections())
+			.filter(collection => canUseCollection(c.get("apiKey"), collection.name));
+
+		const response = createResponse({
+			collections,
+			count: collections.length,
+			current: c.get("collection")
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to list collections");
+	}
+});
+
+// List notes endpoint - paginated, sortable and filterable on metadata
+app.get("/notes", requireScope("read"), async (c) => {
+	try {
+		const params = c.req.query();
+		const limit = Number.parseInt(params.limit ?? DEFAULT_PAGE_SIZE, 10);
+		const offset = Number.parseInt(params.offset ?? 0, 10);
+		const sort = params.sort || "created_at";
+		const order = (params.order || "desc").toLowerCase();
+
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+			return c.json({ error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` }, 400);
+		}
+
+		if (!Number.isInteger(offset) || offset < 0) {
+			return c.json({ error: "Offset must be a non-negative integer" }, 400);
+		}
+
+		if (!NOTE_SORT_FIELDS.includes(sort) || !["asc", "desc"].includes(order)) {
+			return c.json({ error: `Sort must be one of: ${NOTE_SORT_FIELDS.join(", ")} with order asc or desc` }, 400);
+		}
+
+		// Tag, source, author, date and ?metadata.<key>=<value> filters shared with retrieval, scoped to the collection
+		const { filters, error: filterError } = parseFilters(c);
+		if (filterError) {
+			return c.json({ error: filterError }, 400);
+		}
+
+		const { notes: rows, total } = await getBackends(c.env).notes.listNotes({
+			collection: c.get("collection"),
+			filters,
+			sort,
+			order,
+			limit,
+			offset
+		});
+
+		const response = createResponse({
+			notes: rows.map(formatNote),
+			count: rows.length,
+			pagination: {
+				limit,
+				offset,
+				total,
+				hasMore: offset + rows.length < total
+			},
+			sort: { field: sort, order },
+			filters
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to list notes");
+	}
+});
+
+// Get note endpoint
+app.get("/notes/:id", requireScope("read"), async (c) => {
+	try {
+		const id = c.req.param("id").trim();
+
+		if (!NOTE_ID_PATTERN.test(id)) {
+			return c.json({ error: "Note ID must be a positive integer" }, 400);
+		}
+
+		const note = await getBackends(c.env).notes.getNote(id, c.get("collection"));
+
+		if (!note) {
+			return c.json({ error: "Note not found" }, 404);
+		}
+
+		const response = createResponse({
+			...formatNote(note),
+			chunkCount: note.chunk_count
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to load note");
+	}
+});
+
+/**
+ * Update a note and re-index it through RAGWorkflow
+ * @param {object} c - Hono context
+ * @param {boolean} partial - PATCH semantics: keep omitted fields and merge metadata
+ * @returns {Promise<Response>} - 202 with the workflow id
+ */
+const updateNote = async (c, partial) => {
+	const id = c.req.param("id").trim();
+
+	if (!NOTE_ID_PATTERN.test(id)) {
+		return c.json({ error: "Note ID must be a positive integer" }, 400);
+	}
+
+	const { text, metadata, chunking } = await c.req.json();
+
+	if ((!partial || text !== undefined) && (!text || typeof text !== "string" || text.trim().length === 0)) {
+		return c.json({ error: "Valid text content is required" }, 400);
+	}
+
+	const { error: metadataError } = validateMetadata(metadata);
+	if (metadataError) {
+		return c.json({ error: metadataError }, 400);
+	}
+
+	if (partial && text === undefined && metadata === undefined) {
+		return c.json({ error: "Provide text or metadata to update" }, 400);
+	}
+
+	const chunkingError = validateChunking(chunking);
+	if (chunkingError) {
+		return c.json({ error: chunkingError }, 400);
+	}
+
+	const existing = await getBackends(c.env).notes.getNote(id, c.get("collection"));
+	if (!existing) {
+		return c.json({ error: "Note not found" }, 404);
+	}
+
+	// Validate again after merging so PATCH can't exceed the limits in combination
+	const current = formatNote(existing);
+	const merged = validateMetadata(partial ? { ...current.metadata, ...metadata } : metadata);
+	if (merged.error) {
+		return c.json({ error: merged.error }, 400);
+	}
+
+	const note = {
+		id: current.id,
+		text: text === undefined ? current.text : text.trim(),
+		metadata: merged.value
+	};
+
+	// The new text can't duplicate another note of the collection
+	if (text !== undefined) {
+		const [duplicateOf] = (await getBackends(c.env).notes.findIdsByHash([await contentHash(note.text)], current.collection)).values();
+		if (duplicateOf !== undefined && duplicateOf !== current.id) {
+			return c.json({ error: "Duplicate note", duplicateOf, collection: current.collection }, 409);
+		}
+	}
+
+	// Re-chunk, re-embed and upsert through the workflow
+	const instance = await startIngestion(c.env, { noteId: note.id, text: note.text, metadata: note.metadata, chunking, collection: current.collection });
+
+	const response = createResponse({
+		success: true,
+		workflowId: instance.id,
+		message: "Note update started",
+		note,
+		metadata: {
+			backend: getBackends(c.env).name,
+			workflowEnabled: true,
+			characterCount: note.text.length,
+			processingStatus: "initiated"
+		}
+	}, 202);
+
+	Object.entries(response.headers).forEach(([key, value]) => {
+		c.header(key, value);
+	});
+
+	return c.json(response.data, response.status);
+};
+
+// Replace note endpoint
+app.put("/notes/:id", requireScope("write"), async (c) => {
+	try {
+		return await updateNote(c, false);
+	} catch (error) {
+		return handleError(c, error, "Failed to update note");
+	}
+});
+
+// Partially update note endpoint
+app.patch("/notes/:id", requireScope("write"), async (c) => {
+	try {
+		return await updateNote(c, true);
+	} catch (error) {
+		return handleError(c, error, "Failed to update note");
+	}
+});
+
+// Search endpoint with full RAG capabilities
+app.get("/search", requireScope("read"), async (c) => {
+	try {
+		const query = c.req.query("q");
+		const mode = c.req.query("mode") || "vector";
+		
+		if (!query || query.trim().length === 0) {
+			return c.json({ error: "Query parameter 'q' is required and cannot be empty" }, 400);
+		}
+
+		if (!RETRIEVAL_MODES.includes(mode)) {
+			return c.json({ error: `Invalid search mode, expected one of: ${RETRIEVAL_MODES.join(", ")}` }, 400);
+		}
+
+		const { filters, error: filterError } = parseFilters(c);
+		if (filterError) {
+			return c.json({ error: filterError }, 400);
+		}
+
+		const { value: ranking, error: rankingError } = validateRerankOptions({
+			rerank: c.req.query("rerank"),
+			topN: c.req.query("topN")
+		});
+		if (rankingError) {
+			return c.json({ error: rankingError }, 400);
+		}
+
+		const { value: includeTimings, error: timingsError } = validateTimings(c.req.query("timings"));
+		if (timingsError) {
+			return c.json({ error: timingsError }, 400);
+		}
+
+		const trimmedQuery = query.trim();
+		const similarityThreshold = ranking.rerank ? RERANK_CANDIDATE_THRESHOLD : SIMILARITY_THRESHOLD;
+		const trace = c.get("trace");
+
+		// Search with the selected retrieval strategy
+		const matches = await RETRIEVAL_AGENTS[mode].search(trimmedQuery, c.env, {
+			topK: CHUNK_TOP_K,
+			threshold: similarityThreshold,
+			filters,
+			collection: c.get("collection"),
+			trace
+		});
+		
+		// Get full text and matched chunks from D1, enforcing every filter
+		const candidates = await trace.time("d1", () => fetchNotesForResults(getBackends(c.env).notes, matches, c.get("collection"), filters));
+		const ranked = ranking.rerank ? await trace.time("rerank", () => rerankMatches(c.env, trimmedQuery, candidates)) : candidates;
+		const boosted = await trace.time("d1", () => applyNoteFeedback(c.env, c.get("collection"), ranked, { scoreField: ranking.rerank ? "rerankScore" : "score" }));
+		const matchedNotes = boosted.slice(0, ranking.topN ?? ranked.length);
+		const results = matchedNotes.map(({ id, score, vectorScore, rerankScore, feedback, note, metadata, sources, chunks, passages }) => ({
+			id,
+			score,
+			...(ranking.rerank ? { vectorScore, rerankScore } : {}),
+			...(feedback ? { feedback } : {}),
+			text: note.text,
+			chunks: chunks.length > 0
+				? passages.map(passage => ({
+					index: passage.chunkIndex,
+					score: passage.score,
+					...(ranking.rerank ? { rerankScore: passage.rerankScore } : {}),
+					text: passage.text
+				}))
+				: [],
+			...(sources ? { sources } : {}),
+			metadata: {
+				...metadata, // Best-scoring chunk, or stored note metadata for keyword hits
+				created_at: note.created_at
+			}
+		}));
+		
+		const response = createResponse({
+			query: trimmedQuery,
+			count: results.length,
+			results,
+			metadata: {
+				backend: getBackends(c.env).name,
+				vectorSearchEnabled: mode !== "keyword",
+				searchMode: mode,
+				collection: c.get("collection"),
+				filters,
+				similarityThreshold,
+				...(ranking.rerank ? { rerank: { model: resolveRerankModel(c.env), candidates: candidates.length, topN: ranking.topN } } : {}),
+				totalMatches: matches.length,
+				chunkMatches: matches.reduce((total, match) => total + match.chunks.length, 0),
+				filteredMatches: results.length,
+				...(includeTimings ? { timings: trace.summary() } : {})
+			}
+		});
+		recordQueryLog(c, {
+			route: "search",
+			query: trimmedQuery,
+			retrieval: mode,
+			retrievedIds: results.map(result => result.id)
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Search service unavailable", 503);
+	}
+});
+
+// Delete note endpoint - removes both database record and vector
+app.delete("/notes/:id", requireScope("admin"), async (c) => {
+	try {
+		const id = c.req.param("id").trim();
+
+		if (!NOTE_ID_PATTERN.test(id)) {
+			return c.json({ error: "Note ID must be a positive integer" }, 400);
+		}
+
+		const { notes, vectors } = getBackends(c.env);
+
+		// Only notes of the request's collection can be deleted; vector ids are unique across namespaces.
+		// The note's vectors are queued in the same D1 batch, so reconciliation removes them if this request fails
+		const vectorIds = await notes.deleteNote(id, c.get("collection"));
+		if (!vectorIds) {
+			return c.json({ error: "Note not found" }, 404);
+		}
+
+		// Delete note vector (pre-chunking) and every chunk vector, then clear them from the queue
+		await vectors.deleteByIds(vectorIds);
+		await notes.clearVectorDeletions(vectorIds);
+		await invalidateAnswerCache(c.env.DB, c.get("collection"));
+		
+		// Return 204 No Content on successful deletion
+		c.header('X-Timestamp', new Date().toISOString());
+		return c.body(null, 204);
+	} catch (error) {
+		return handleError(c, error, "Failed to delete note");
+	}
+});
+
+// Create API key endpoint - the plain key is only returned here
+app.post("/admin/keys", requireScope("admin"), async (c) => {
+	try {
+		const { value: options, error } = validateKeyOptions(await c.req.json());
+		if (error) {
+			return c.json({ error }, 400);
+		}
+
+		const apiKey = await createApiKey(c.env.DB, options);
+
+		const response = createResponse({
+			success: true,
+			apiKey,
+			message: "Store this key now, it can't be shown again"
+		}, 201);
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data, response.status);
+	} catch (error) {
+		return handleError(c, error, "Failed to create API key");
+	}
+});
+
+// List API keys endpoint - never includes the keys themselves
+app.get("/admin/keys", requireScope("admin"), async (c) => {
+	try {
+		const keys = await listApiKeys(c.env.DB);
+
+		const response = createResponse({
+			keys,
+			count: keys.length
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to list API keys");
+	}
+});
+
+// Revoke API key endpoint
+app.delete("/admin/keys/:id", requireScope("admin"), async (c) => {
+	try {
+		const id = c.req.param("id").trim();
+
+		if (!API_KEY_ID_PATTERN.test(id)) {
+			return c.json({ error: "API key ID must be a positive integer" }, 400);
+		}
+
+		const revoked = await revokeApiKey(c.env.DB, id);
+		if (!revoked) {
+			return c.json({ error: "API key not found" }, 404);
+		}
+
+		c.header('X-Timestamp', new Date().toISOString());
+		return c.body(null, 204);
+	} catch (error) {
+		return handleError(c, error, "Failed to revoke API key");
+	}
+});
+
+// Duplicate scan endpoint - exact and near-duplicate clusters in the collection
+app.post("/admin/duplicates/scan", requireScope("admin"), async (c) => {
+	try {
+		let body;
+		try {
+			const raw = await c.req.text();
+			body = raw.trim().length > 0 ? JSON.parse(raw) : {};
+		} catch {
+			return c.json({ error: "Invalid JSON body" }, 400);
+		}
+
+		const { threshold = resolveDuplicateThreshold(c.env), limit = DEFAULT_DUPLICATE_SCAN_LIMIT, after = 0 } = body;
+
+		if (typeof threshold !== "number" || threshold <= 0 || threshold > 1) {
+			return c.json({ error: "Threshold must be a number in (0, 1]" }, 400);
+		}
+
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DUPLICATE_SCAN_LIMIT) {
+			return c.json({ error: `Limit must be between 1 and ${MAX_DUPLICATE_SCAN_LIMIT}` }, 400);
+		}
+
+		if (!Number.isInteger(after) || after < 0) {
+			return c.json({ error: "After must be a non-negative note id" }, 400);
+		}
+
+		const { notes, vectors } = getBackends(c.env);
+		const collection = c.get("collection");
+
+		// Notes stored before content hashes were recorded get theirs first
+		const unhashed = await notes.listNotesWithoutHash(collection, MAX_HASH_BACKFILL);
+		const hashes = [];
+		for (const note of unhashed) {
+			hashes.push({ id: note.id, contentHash: await contentHash(note.text) });
+		}
+		await notes.setContentHashes(hashes);
+
+		// Exact clusters cover the whole collection; near-duplicates are scanned a page of notes at a time
+		const exact = await notes.findHashClusters(collection);
+		const noteIds = await notes.listNoteIds(collection, after, limit);
+		const near = await findNearDuplicateClusters(vectors, noteIds, { collection, threshold });
+
+		const response = createResponse({
+			collection,
+			threshold,
+			backfilledHashes: hashes.length,
+			exact,
+			near,
+			scanned: noteIds.length,
+			next: noteIds.length === limit ? noteIds.at(-1) : null
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Duplicate scan failed");
+	}
+});
+
+// Reconcile endpoint - repairs notes without vectors and vectors without notes
+app.post("/admin/reconcile", requireScope("admin"), async (c) => {
+	try {
+		// The body is optional; every option has a default
+		let body;
+		try {
+			const raw = await c.req.text();
+			body = raw.trim().length > 0 ? JSON.parse(raw) : {};
+		} catch {
+			return c.json({ error: "Invalid JSON body" }, 400);
+		}
+
+		const { value: options, error } = validateReconcileOptions(body);
+		if (error) {
+			return c.json({ error }, 400);
+		}
+
+		const run = await reconcile(c.env, { ...options, triggeredBy: "api" });
+
+		const response = createResponse({
+			success: true,
+			run
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Reconciliation failed");
+	}
+});
+
+// Reconciliation log endpoint - recent runs, newest first
+app.get("/admin/reconcile", requireScope("admin"), async (c) => {
+	try {
+		const limit = Number.parseInt(c.req.query("limit") ?? DEFAULT_PAGE_SIZE, 10);
+
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+			return c.json({ error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` }, 400);
+		}
+
+		const runs = await listReconcileRuns(c.env.DB, limit);
+
+		const response = createResponse({
+			runs,
+			count: runs.length
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to list reconciliation runs");
+	}
+});
+
+// Feedback summary endpoint - ratings, the notes most often marked wrong or helpful, and recent comments
+app.get("/admin/feedback", requireScope("admin"), async (c) => {
+	try {
+		const limit = Number.parseInt(c.req.query("limit") ?? DEFAULT_PAGE_SIZE, 10);
+
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+			return c.json({ error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` }, 400);
+		}
+
+		const summary = await summarizeFeedback(c.env.DB, c.get("collection"), { limit });
+
+		const response = createResponse({
+			collection: c.get("collection"),
+			...summary
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to summarize feedback");
+	}
+});
+
+// Query statistics endpoint - p50/p95 latency overall, per route and per stage, and the slowest queries
+app.get("/admin/stats", requireScope("admin"), async (c) => {
+	try {
+		const hours = Number.parseInt(c.req.query("hours") ?? DEFAULT_STATS_WINDOW_HOURS, 10);
+		const limit = Number.parseInt(c.req.query("limit") ?? DEFAULT_PAGE_SIZE, 10);
+
+		if (!Number.isInteger(hours) || hours < 1 || hours > MAX_STATS_WINDOW_HOURS) {
+			return c.json({ error: `Hours must be between 1 and ${MAX_STATS_WINDOW_HOURS}` }, 400);
+		}
+
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+			return c.json({ error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` }, 400);
+		}
+
+		const stats = await getQueryStats(c.env.DB, c.get("collection"), { hours, limit });
+
+		const response = createResponse({
+			collection: c.get("collection"),
+			...stats
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to compute query statistics");
+	}
+});
+
+// Create evaluation dataset endpoint - questions with the notes they should retrieve
+app.post("/eval/datasets", requireScope("admin"), async (c) => {
+	try {
+		const { value: dataset, error } = validateDataset(await c.req.json().catch(() => null));
+		if (error) {
+			return c.json({ error }, 400);
+		}
+
+		const collection = c.get("collection");
+		const created = await createDataset(c.env.DB, collection, dataset);
+		if (!created) {
+			return c.json({ error: `Dataset '${dataset.name}' already exists in this collection` }, 409);
+		}
+
+		const response = createResponse({
+			success: true,
+			dataset: created,
+			unknownNoteIds: await findUnknownNoteIds(getBackends(c.env).notes, dataset, collection)
+		}, 201);
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data, response.status);
+	} catch (error) {
+		return handleError(c, error, "Failed to create evaluation dataset");
+	}
+});
+
+// List evaluation datasets endpoint
+app.get("/eval/datasets", requireScope("admin"), async (c) => {
+	try {
+		const datasets = await listDatasets(c.env.DB, c.get("collection"));
+
+		const response = createResponse({
+			datasets,
+			count: datasets.length
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to list evaluation datasets");
+	}
+});
+
+// Get evaluation dataset endpoint - includes its cases
+app.get("/eval/datasets/:id", requireScope("admin"), async (c) => {
+	try {
+		const id = c.req.param("id").trim();
+
+		if (!EVAL_ID_PATTERN.test(id)) {
+			return c.json({ error: "Dataset ID must be a positive integer" }, 400);
+		}
+
+		const dataset = await getDataset(c.env.DB, id, c.get("collection"));
+		if (!dataset) {
+			return c.json({ error: "Dataset not found" }, 404);
+		}
+
+		const response = createResponse({ dataset });
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to retrieve evaluation dataset");
+	}
+});
+
+// Delete evaluation dataset endpoint - removes its cases and runs too
+app.delete("/eval/datasets/:id", requireScope("admin"), async (c) => {
+	try {
+		const id = c.req.param("id").trim();
+
+		if (!EVAL_ID_PATTERN.test(id)) {
+			return c.json({ error: "Dataset ID must be a positive integer" }, 400);
+		}
+
+		const deleted = await deleteDataset(c.env.DB, id, c.get("collection"));
+		if (!deleted) {
+			return c.json({ error: "Dataset not found" }, 404);
+		}
+
+		c.header('X-Timestamp', new Date().toISOString());
+		return c.body(null, 204);
+	} catch (error) {
+		return handleError(c, error, "Failed to delete evaluation dataset");
+	}
+});
+
+// Evaluation run endpoint - scores the current retrieval pipeline against a dataset
+app.post("/eval/runs", requireScope("admin"), async (c) => {
+	try {
+		const { value: options, error } = validateRunOptions(await c.req.json().catch(() => null), RETRIEVAL_MODES);
+		if (error) {
+			return c.json({ error }, 400);
+		}
+
+		const collection = c.get("collection");
+		const dataset = await getDataset(c.env.DB, options.datasetId, collection);
+		if (!dataset) {
+			return c.json({ error: "Dataset not found" }, 404);
+		}
+
+		// The run scores every question in this request, within its subrequest limit
+		const caseLimit = maxRunCases(options);
+		if (dataset.caseCount > caseLimit) {
+			return c.json({
+				error: `Dataset has ${dataset.caseCount} questions but a ${options.rerank ? "reranked " : ""}${options.retrieval} run can score at most ${caseLimit}; split it into smaller datasets`
+			}, 400);
+		}
+
+		const { retrieval, k, rerank } = options;
+		const threshold = options.threshold ?? (rerank ? RERANK_CANDIDATE_THRESHOLD : SIMILARITY_THRESHOLD);
+		const config = {
+			retrieval,
+			threshold,
+			chunkTopK: CHUNK_TOP_K,
+			rerank,
+			...(rerank ? { rerankModel: resolveRerankModel(c.env) } : {}),
+			embeddingModel: getBackends(c.env).embedder.model
+		};
+
+		const run = await runEvaluation(c.env.DB, dataset, {
+			k,
+			config,
+			retrieve: async (question) => {
+				const { matches } = await retrieveSources(c.env, question, retrieval, collection, {}, { threshold, rerank, topN: k });
+				return matches.map(match => match.id);
+			}
+		});
+
+		const response = createResponse({
+			success: true,
+			run
+		}, 201);
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data, response.status);
+	} catch (error) {
+		return handleError(c, error, "Evaluation run failed");
+	}
+});
+
+// List evaluation runs endpoint - newest first, optionally for one dataset
+app.get("/eval/runs", requireScope("admin"), async (c) => {
+	try {
+		const datasetId = c.req.query("dataset");
+		const limit = Number.parseInt(c.req.query("limit") ?? DEFAULT_PAGE_SIZE, 10);
+
+		if (datasetId !== undefined && !EVAL_ID_PATTERN.test(datasetId)) {
+			return c.json({ error: "Dataset ID must be a positive integer" }, 400);
+		}
+
+		if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+			return c.json({ error: `Limit must be between 1 and ${MAX_PAGE_SIZE}` }, 400);
+		}
+
+		const runs = await listRuns(c.env.DB, c.get("collection"), { datasetId, limit });
+
+		const response = createResponse({
+			runs,
+			count: runs.length
+		});
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to list evaluation runs");
+	}
+});
+
+// Get evaluation run endpoint - includes per-question results
+app.get("/eval/runs/:id", requireScope("admin"), async (c) => {
+	try {
+		const id = c.req.param("id").trim();
+
+		if (!EVAL_ID_PATTERN.test(id)) {
+			return c.json({ error: "Run ID must be a positive integer" }, 400);
+		}
+
+		const run = await getRun(c.env.DB, id, c.get("collection"));
+		if (!run) {
+			return c.json({ error: "Run not found" }, 404);
+		}
+
+		const response = createResponse({ run });
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to retrieve evaluation run");
+	}
+});
+
+// Compare evaluation runs endpoint - metric changes and regressed questions against a baseline run
+app.get("/eval/runs/:id/compare", requireScope("admin"), async (c) => {
+	try {
+		const id = c.req.param("id").trim();
+		const baselineId = c.req.query("baseline");
+
+		if (!EVAL_ID_PATTERN.test(id) || !EVAL_ID_PATTERN.test(baselineId ?? "")) {
+			return c.json({ error: "Run ID and the baseline query parameter must be positive integers" }, 400);
+		}
+
+		const collection = c.get("collection");
+		const [run, baseline] = await Promise.all([
+			getRun(c.env.DB, id, collection),
+			getRun(c.env.DB, baselineId, collection)
+		]);
+		if (!run || !baseline) {
+			return c.json({ error: "Run not found" }, 404);
+		}
+
+		if (run.datasetId !== baseline.datasetId) {
+			return c.json({ error: "Runs must evaluate the same dataset" }, 400);
+		}
+
+		const response = createResponse({ comparison: compareRuns(baseline, run) });
+
+		Object.entries(response.headers).forEach(([key, value]) => {
+			c.header(key, value);
+		});
+
+		return c.json(response.data);
+	} catch (error) {
+		return handleError(c, error, "Failed to compare evaluation runs");
+	}
+});
+
+// Help endpoint - API documentation
+app.get("/help", (c) => {
+	const apiInfo = {
+		name: "RAG AI Tutorial API",
+		version: "1.0.0",
+		description: "Retrieval-Augmented Generation system using Cloudflare AI, D1, and Vectorize",
+		backend: getBackends(c.env).name,
+		features: {
+			aiQuery: "Ask questions with contextual knowledge retrieval",
+			noteManagement: "Create, read, update, search, and delete notes in your knowledge base",
+			semanticSearch: "Vector-based similarity search",
+			openAICompatible: "OpenAI-format /v1/chat/completions, /v1/embeddings and /v1/models for OpenAI SDKs and tools",
+			feedback: "Rate answers by queryId and mark their notes helpful or wrong; notes marked wrong sink in later retrieval",
+			reranking: "rerank=true rescores retrieved passages with a cross-encoder and keeps the topN best notes",
+			queryExpansion: "?expand=true searches with paraphrases of the question, and hyde=true with a hypothetical answer, merging the matches",
+			contextBudget: "Context fitted to the model's window with diverse notes picked by MMR; metadata.context lists included and dropped notes",
+			answerCache: "Repeated or near-identical questions reuse cached embeddings and answers until notes change; ?cache=bypass skips them",
+			tracing: "Server-Timing headers with per-stage timings, ?timings=true for metadata.timings, and a query log with latency statistics",
+			documents: "Upload Markdown, HTML or text documents; each heading section becomes a note cited as Document > Section",
+			collections: "Separate knowledge bases per team, isolated in D1 and Vectorize namespaces",
+			commandDiscovery: "Structured command information for UI integration, also served as MCP tools at /mcp"
+		},
+		authentication: {
+			header: "Authorization: Bearer <key> or X-API-Key: <key>",
+			scopes: {
+				read: "Query, chat, search and read notes",
+				write: "Create and update notes and clear chat sessions",
+				admin: "Delete notes, manage API keys and run reconciliation; includes every other scope"
+			},
+			publicEndpoints: ["GET /health", "GET /help"],
+			rateLimits: "Per key per minute, with a stricter budget for models marked rateLimited in GET /models; 429 responses carry Retry-After"
+		},
+		endpoints: {
+			// Routes of the commands, as served by GET /commands and the MCP tools
+			...Object.fromEntries(buildCommands(c.env).map(command => [commandRoute(command), command.description])),
+			"GET /commands": "Available commands for UI integration",
+			"POST /mcp": "MCP server (streamable HTTP): the commands as tools and notes as note://{collection}/{id} resources",
+			"POST /v1/chat/completions": "OpenAI-compatible chat completion with RAG context, streamed with stream: true",
+			"POST /v1/embeddings": "OpenAI-compatible embeddings",
+			"GET /v1/models": "OpenAI-compatible model list",
+			"GET /chat/:sessionId": "Read a chat session",
+			"DELETE /chat/:sessionId": "Clear a chat session",
+			"GET /notes": "List notes with pagination, sorting and metadata filters",
+			"GET /notes/:id": "Get a note",
+			"POST /notes?wait=true": "Create a note and block until it is indexed",
+			"POST /notes/bulk": "Create many notes from a JSON array or NDJSON",
+			"GET /notes/jobs/:workflowId": "Ingestion status of a note workflow",
+			"POST /documents": "Upload a Markdown, HTML or text document (multipart file or raw body) and ingest it section by section",
+			"GET /documents": "List uploaded documents",
+			"GET /documents/:id": "Get a document with the ingestion step of each section and its notes",
+			"PUT /notes/:id": "Replace a note and re-index it",
+			"PATCH /notes/:id": "Update note text or metadata and re-index it",
+			"POST /admin/keys": "Create an API key, optionally limited to collections (admin)",
+			"GET /admin/keys": "List API keys (admin)",
+			"DELETE /admin/keys/:id": "Revoke an API key (admin)",
+			"POST /admin/duplicates/scan": "Exact and near-duplicate note clusters in the collection (admin)",
+			"POST /admin/reconcile": "Repair notes without vectors and vectors without notes; also runs on the cron schedule (admin)",
+			"GET /admin/reconcile": "Reconciliation log (admin)",
+			"GET /admin/feedback": "Feedback ratings, most helpful and most wrong notes, and recent comments (admin)",
+			"GET /admin/stats?hours=24": "p50/p95 latency overall, per route and per stage, token totals and the slowest logged queries (admin)",
+			"POST /eval/datasets": "Store a gold dataset of questions with their expected note ids (admin)",
+			"GET /eval/datasets": "List evaluation datasets (admin)",
+			"GET /eval/datasets/:id": "Get an evaluation dataset with its questions (admin)",
+			"DELETE /eval/datasets/:id": "Delete an evaluation dataset and its runs (admin)",
+			"POST /eval/runs": "Score retrieval on a dataset with recall@k, precision@k, MRR and nDCG (admin)",
+			"GET /eval/runs": "List evaluation runs (admin)",
+			"GET /eval/runs/:id": "Get an evaluation run with per-question results (admin)",
+			"GET /eval/runs/:id/compare?baseline=:id": "Metric changes and regressed questions against a baseline run (admin)",
+			"GET /help": "This help information",
+			"/c/:collection/...": `Any endpoint scoped to a collection; alternatively send the ${COLLECTION_HEADER} header`
+		},
+		usage: {
+			examples: [
+				"GET /?text=What is machine learning&model=llama-70b",
+				"GET /?text=What is machine learning&stream=true",
+				"POST /notes with {\"text\": \"Your knowledge here\"}",
+				"POST /notes with {\"text\": \"...\", \"metadata\": {\"tags\": [\"ml\"], \"source\": \"wiki\"}}",
+				"POST /notes with {\"text\": \"...\", \"dedupe\": \"merge\"}",
+				"GET /search?q=your search query",
+				"GET /search?q=embeddings&tag=ml&created_after=2024-01-01",
+				"GET /search?q=SKU-1234&mode=hybrid",
+				"GET /c/support/search?q=refund policy",
+				"POST /eval/runs with {\"datasetId\": 1, \"k\": 5, \"threshold\": 0.7}"
+			]
+		}
+	};
+
+	const response = createResponse(apiInfo);
+	
+	Object.entries(response.headers).forEach(([key, value]) => {
+		c.header(key, value);
+	});
+	
+	return c.json(response.data);
+});
+
+// Serve every route at the root, using the X-Collection header, and under /c/:collection
+const worker = new Hono();
+worker.route("/c/:collection", app);
+worker.route("/", app);
+
+worker.onError((err, c) => {
+	return handleError(c, err, "Internal server error");
+});
+
+// 404 handler
+worker.notFound((c) => {
+	return c.json({ 
+		error: "Not found",
+		message: "The requested endpoint does not exist",
+		availableEndpoints: ["/", "/commands", "/health", "/search", "/notes", "/collections", "/chat", "/help"],
+		timestamp: new Date().toISOString()
+	}, 404);
+});
+
+export default {
+	fetch: worker.fetch,
+
+	// Cron trigger - reconcile the next page of notes
+	async scheduled(controller, env, ctx) {
+		// reconcile logs the failed run itself; the rejection only needs reporting
+		ctx.waitUntil(reconcile(env, { triggeredBy: "scheduled" }).catch(error => {
+			console.error("Scheduled reconciliation error:", error);
+		}));
+	}
+};
\ No newline at end of file
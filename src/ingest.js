@@ -0,0 +1,210 @@
+/**
+ * Bulk note ingestion
+ *
+ * Unlike POST /notes, which starts one RAGWorkflow per note, bulk ingestion
+ * writes notes in batches, embeds chunk texts many at a time and upserts
+ * vectors in groups, all within the request.
+ *
+ * Every batch is a subrequest, so an upload must fit the Workers limit of 1000
+ * subrequests per invocation, including the rollback if indexing fails. The
+ * cost grows with the number of notes and of chunks they split into; uploads
+ * over the budget are rejected before anything is written and should be split
+ * or sent through POST /notes.
+ */
+
+import { getBackends } from "./backends";
+import { buildChunkVector, chunkText } from "./chunking";
+import { DEFAULT_COLLECTION } from "./collections";
+import { invalidateAnswerCache } from "./cache";
+import { contentHash } from "./dedupe";
+import { chunked, D1_BATCH_SIZE, D1_MAX_PARAMS, SUBREQUEST_BUDGET } from "./limits";
+import { toVectorMetadata, validateMetadata } from "./metadata";
+
+export const MAX_BULK_ITEMS = 1000;
+
+const UPSERT_BATCH_SIZE = 500; // Vectors per Vectorize upsert
+const REQUEST_OVERHEAD_SUBREQUESTS = 10; // Authentication, rate limiting and clearing cached answers
+
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Parse a bulk request body as a JSON array or NDJSON
+ * @param {string} body - Raw request body
+ * @param {string} contentType - Request content type
+ * @returns {Array<{index: number, value?: any, error?: string}>} - One entry per item; unparseable NDJSON lines carry an error
+ */
+export function parseBulkBody(body, contentType = "") {
+	if (/ndjson|jsonl/.test(contentType)) {
+		return body
+			.split("\n")
+			.map(line => line.trim())
+			.filter(line => line.length > 0)
+			.map((line, index) => {
+				try {
+					return { index, value: JSON.parse(line) };
+				} catch {
+					return { index, error: "Invalid JSON" };
+				}
+			});
+	}
+
+	const parsed = JSON.parse(body);
+	const items = Array.isArray(parsed) ? parsed : parsed?.notes;
+	if (!Array.isArray(items)) {
+		throw new TypeError("Body must be a JSON array of notes, an object with a notes array, or NDJSON");
+	}
+	return items.map((value, index) => ({ index, value }));
+}
+
+/**
+ * Validate a single bulk item
+ * @param {any} value - Parsed item
+ * @returns {string|null} - Rejection reason, or null when valid
+ */
+export function validateNoteItem(value) {
+	if (!isPlainObject(value)) return "Item must be an object";
+	if (!value.text || typeof value.text !== "string" || value.text.trim().length === 0) {
+		return "Valid text content is required";
+	}
+	return validateMetadata(value.metadata).error || null;
+}
+
+/**
+ * Estimate the subrequests ingestNotes makes for a list of bulk items
+ *
+ * Every valid item is counted as created, since duplicates are only known once
+ * the note store has been read.
+ * @param {Array} items - Items from parseBulkBody
+ * @param {object} chunkOptions - Chunking options
+ * @param {number} embedBatchSize - Texts per embedding call, the embedder's maxBatchSize
+ * @returns {{subrequests: number, notes: number, chunks: number}} - Estimated subrequests and what they were computed from
+ */
+export function estimateBulkSubrequests(items, chunkOptions, embedBatchSize) {
+	const texts = items
+		.filter(({ value, error }) => !error && !validateNoteItem(value))
+		.map(({ value }) => value.text.trim());
+	const notes = texts.length;
+	const chunks = texts.reduce((total, text) => total + chunkText(text, chunkOptions).length, 0);
+
+	const subrequests = REQUEST_OVERHEAD_SUBREQUESTS +
+		Math.ceil(notes / D1_MAX_PARAMS) + // Content hash lookups
+		Math.ceil(notes / D1_BATCH_SIZE) + // Note inserts
+		Math.ceil(chunks / D1_BATCH_SIZE) + // Chunk inserts
+		Math.ceil(chunks / embedBatchSize) +
+		Math.ceil(chunks / UPSERT_BATCH_SIZE) +
+		Math.ceil(notes / (D1_MAX_PARAMS / 2)); // Rollback deletes
+
+	return { subrequests, notes, chunks };
+}
+
+/**
+ * Chunk, embed and index notes that are already stored
+ * @param {object} backends - Backends from getBackends
+ * @param {Array<{id: number, text: string, metadata: object, created_at: string}>} notes - Stored notes
+ * @param {object} chunkOptions - Chunking options
+ * @param {string} collection - Collection, used as the vector namespace
+ * @returns {Promise<number>} - Number of chunks indexed
+ */
+async function indexNotes({ embedder, vectors, notes: noteStore }, notes, chunkOptions, collection) {
+	const chunks = notes.flatMap(note =>
+		chunkText(note.text, chunkOptions).map(chunk => ({ note, chunk }))
+	);
+
+	await noteStore.insertChunks(chunks.map(({ note, chunk }) => ({ noteId: note.id, chunk })));
+
+	const timestamp = new Date().toISOString();
+	const records = [];
+	for (const batch of chunked(chunks, embedder.maxBatchSize)) {
+		const embeddings = await embedder.embed(batch.map(({ chunk }) => chunk.text));
+
+		batch.forEach(({ note, chunk }, idx) => {
+			records.push(
+				buildChunkVector(note.id, chunk, embeddings[idx], toVectorMetadata(note.metadata, note.created_at), timestamp, collection)
+			);
+		});
+	}
+
+	for (const batch of chunked(records, UPSERT_BATCH_SIZE)) {
+		await vectors.upsert(batch);
+	}
+
+	return chunks.length;
+}
+
+/**
+ * Validate, deduplicate, store and index a list of bulk items
+ *
+ * Exact duplicates (same normalized text as an existing note in the collection or
+ * an earlier item, compared by content hash) are reported instead of stored. If indexing fails, the notes written by this
+ * call are removed again so D1 never holds notes without vectors; any vectors already
+ * upserted are queued for reconciliation to delete. Cached answers of the collection are
+ * cleared once new notes are indexed.
+ * @param {object} env - Environment bindings
+ * @param {Array} items - Items from parseBulkBody
+ * @param {object} chunkOptions - Chunking options
+ * @param {string} [collection] - Collection the notes are stored in
+ * @returns {Promise<{results: Array, chunkCount: number}>} - Per-item results in input order
+ */
+export async function ingestNotes(env, items, chunkOptions, collection = DEFAULT_COLLECTION) {
+	const backends = getBackends(env);
+	const results = items.map(({ index, value, error }) => {
+		const reason = error || validateNoteItem(value);
+		return reason
+			? { index, status: "rejected", reason }
+			: { index, status: "pending", text: value.text.trim(), metadata: validateMetadata(value.metadata).value };
+	});
+
+	const pending = results.filter(result => result.status === "pending");
+	for (const result of pending) {
+		result.contentHash = await contentHash(result.text);
+	}
+
+	const existing = await backends.notes.findIdsByHash(pending.map(result => result.contentHash), collection);
+	const firstSeen = new Map();
+
+	for (const result of pending) {
+		if (existing.has(result.contentHash)) {
+			Object.assign(result, { status: "duplicate", duplicateOf: { noteId: existing.get(result.contentHash) } });
+		} else if (firstSeen.has(result.contentHash)) {
+			Object.assign(result, { status: "duplicate", duplicateOf: { index: firstSeen.get(result.contentHash) } });
+		} else {
+			firstSeen.set(result.contentHash, result.index);
+		}
+	}
+
+	const toCreate = pending.filter(result => result.status === "pending");
+	const rows = await backends.notes.createNotes(
+		toCreate.map(result => ({ text: result.text, metadata: result.metadata, collection, contentHash: result.contentHash }))
+	);
+	toCreate.forEach((result, idx) => {
+		Object.assign(result, { status: "created", noteId: rows[idx].id, createdAt: rows[idx].created_at });
+	});
+
+	let chunkCount = 0;
+	try {
+		chunkCount = await indexNotes(
+			backends,
+			toCreate.map(result => ({
+				id: result.noteId,
+				text: result.text,
+				metadata: result.metadata,
+				created_at: result.createdAt
+			})),
+			chunkOptions,
+			collection
+		);
+	} catch (error) {
+		// Roll back stored notes so none is left without vectors
+		await backends.notes.deleteNotes(toCreate.map(result => result.noteId));
+		throw error;
+	}
+
+	if (toCreate.length > 0) {
+		await invalidateAnswerCache(env.DB, collection);
+	}
+
+	return {
+		results: results.map(({ text: _text, metadata: _metadata, createdAt: _createdAt, contentHash: _contentHash, ...result }) => result),
+		chunkCount
+	};
+}
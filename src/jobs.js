@@ -0,0 +1,123 @@
+/**
+ * Status tracking for RAGWorkflow ingestion runs
+ *
+ * Workflow instance status says whether a run is queued, running, complete or
+ * errored, but not which step it reached. RAGWorkflow records the current step
+ * and note id in the D1 ingestion_jobs table; these helpers combine both views.
+ *
+ * Each job belongs to the collection of the note it ingests, and its status is
+ * only readable from that collection.
+ */
+
+export const JOB_COMPLETE_STEP = "complete";
+export const DEFAULT_WAIT_TIMEOUT_MS = 30000;
+export const MAX_WAIT_TIMEOUT_MS = 60000;
+
+const POLL_INTERVAL_MS = 500;
+const FINAL_STATUSES = ["complete", "errored", "terminated"];
+
+/**
+ * Start an ingestion run and record the collection it belongs to
+ * @param {object} env - Environment bindings
+ * @param {object} params - RAGWorkflow parameters, including the collection
+ * @returns {Promise<object>} - Workflow instance
+ */
+export async function startIngestion(env, params) {
+	const instance = await env.RAG_WORKFLOW.create({ params });
+
+	// The run may already have recorded its first step
+	await env.DB.prepare(
+		"INSERT INTO ingestion_jobs (workflow_id, collection) VALUES (?, ?) ON CONFLICT(workflow_id) DO NOTHING"
+	).bind(instance.id, params.collection).run();
+
+	return instance;
+}
+
+/**
+ * Record the step a workflow run has reached
+ *
+ * Tracking is best effort: a failure here is logged and never fails ingestion.
+ * @param {object} db - D1 binding
+ * @param {string} workflowId - Workflow instance id
+ * @param {object} progress - Progress fields
+ * @param {string} progress.step - Step name
+ * @param {string} progress.collection - Collection of the note
+ * @param {number} [progress.noteId] - Note id, once known
+ * @param {string} [progress.error] - Error message when the step failed
+ * @returns {Promise<void>}
+ */
+export async function recordJobProgress(db, workflowId, { step, collection, noteId = null, error = null }) {
+	try {
+		await db.prepare(
+			`INSERT INTO ingestion_jobs (workflow_id, collection, note_id, step, error, updated_at)
+			VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+			ON CONFLICT(workflow_id) DO UPDATE SET
+				note_id = COALESCE(excluded.note_id, ingestion_jobs.note_id),
+				step = excluded.step,
+				error = excluded.error,
+				updated_at = CURRENT_TIMESTAMP`
+		).bind(workflowId, collection, noteId, step, error).run();
+	} catch (trackingError) {
+		console.error("Job tracking error:", trackingError);
+	}
+}
+
+/**
+ * Read the status of an ingestion run
+ * @param {object} env - Environment bindings
+ * @param {string} workflowId - Workflow instance id
+ * @param {string} collection - Collection the caller works in
+ * @returns {Promise<object|null>} - Job status, or null when the instance does not exist or belongs to another collection
+ */
+export async function getJobStatus(env, workflowId, collection) {
+	const job = await env.DB.prepare("SELECT * FROM ingestion_jobs WHERE workflow_id = ?").bind(workflowId).first();
+	if (!job || job.collection !== collection) {
+		return null;
+	}
+
+	let instance;
+	try {
+		instance = await env.RAG_WORKFLOW.get(workflowId);
+	} catch {
+		return null;
+	}
+
+	const status = await instance.status();
+	const error = status.error ?? job.error ?? null;
+	// The note text is readable from the note itself
+	const { text: _text, ...output } = status.output ?? {};
+
+	return {
+		workflowId,
+		status: status.status,
+		step: job.step,
+		recordId: status.output?.recordId ?? job.note_id,
+		searchable: status.status === "complete",
+		error: typeof error === "string" || error === null ? error : error.message,
+		output: status.output ? output : null,
+		updatedAt: job.updated_at
+	};
+}
+
+/**
+ * Poll an ingestion run until it finishes or the timeout passes
+ * @param {object} env - Environment bindings
+ * @param {string} workflowId - Workflow instance id
+ * @param {string} collection - Collection the run belongs to
+ * @param {number} timeoutMs - Maximum time to wait
+ * @returns {Promise<{job: object, timedOut: boolean}>} - Last observed status
+ */
+export async function waitForJob(env, workflowId, collection, timeoutMs) {
+	const deadline = Date.now() + timeoutMs;
+
+	while (true) {
+		const job = await getJobStatus(env, workflowId, collection);
+		if (job && FINAL_STATUSES.includes(job.status)) {
+			return { job, timedOut: false };
+		}
+		if (Date.now() + POLL_INTERVAL_MS > deadline) {
+			return { job, timedOut: true };
+		}
+		await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+	}
+}
@@ -0,0 +1,26 @@
+/**
+ * Platform limits shared across modules
+ *
+ * D1 caps the parameters bound to one query and the statements worth sending
+ * in one batch; lists larger than that are split with chunked. Work done inside
+ * one request, such as scoring an evaluation run or a bulk upload, is bounded
+ * by the Workers limit on subrequests per invocation.
+ */
+
+export const SUBREQUEST_BUDGET = 1000; // Subrequests a Worker invocation may make
+export const D1_BATCH_SIZE = 50; // Statements per D1 batch
+export const D1_MAX_PARAMS = 90; // D1 allows 100 bound parameters per query
+
+/**
+ * Split a list into consecutive groups
+ * @param {Array} items - Items to split
+ * @param {number} size - Most items per group
+ * @returns {Array<Array>} - Groups in order, the last one possibly shorter
+ */
+export function chunked(items, size) {
+	const batches = [];
+	for (let i = 0; i < items.length; i += size) {
+		batches.push(items.slice(i, i + size));
+	}
+	return batches;
+}
@@ -0,0 +1,226 @@
+/**
+ * Model Context Protocol server
+ *
+ * POST /mcp speaks MCP's streamable HTTP transport without server-initiated
+ * streams: each JSON-RPC request gets a JSON response and notifications get
+ * 202. The server is stateless, so no session id is issued.
+ *
+ * Tools are the commands from buildCommands. A tool call is replayed as the
+ * command's HTTP request against this worker with the caller's API key and
+ * collection, so it is validated, scoped and rate limited like any request.
+ * Notes are resources addressed as note://{collection}/{id}.
+ */
+
+import { buildCommandRequest, buildCommands, toInputSchema } from "./commands";
+import { hasScope } from "./auth";
+import { isValidCollection } from "./collections";
+
+export const MCP_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26", "2024-11-05"];
+export const SERVER_INFO = { name: "rag-ai-tutorial", version: "1.0.0" };
+
+export const JSONRPC_ERRORS = {
+	PARSE_ERROR: -32700,
+	INVALID_REQUEST: -32600,
+	METHOD_NOT_FOUND: -32601,
+	INVALID_PARAMS: -32602,
+	INTERNAL_ERROR: -32603,
+	RESOURCE_NOT_FOUND: -32002
+};
+
+const RESOURCE_PAGE_SIZE = 50;
+const RESOURCE_TITLE_LENGTH = 80;
+const NOTE_URI_PATTERN = /^note:\/\/([^/]+)\/(\d+)$/;
+
+// Errors reported to the client with their JSON-RPC code
+class McpError extends Error {
+	constructor(code, message) {
+		super(message);
+		this.code = code;
+	}
+}
+
+/**
+ * Build a JSON-RPC error response
+ * @param {string|number|null} id - Request id
+ * @param {number} code - One of JSONRPC_ERRORS
+ * @param {string} message - Error message
+ * @returns {object} - JSON-RPC response
+ */
+export const jsonRpcError = (id, code, message) => ({ jsonrpc: "2.0", id, error: { code, message } });
+
+/**
+ * Note resource URI
+ * @param {string} collection - Collection of the note
+ * @param {number} id - Note id
+ * @returns {string} - note://{collection}/{id}
+ */
+export const noteUri = (collection, id) => `note://${collection}/${id}`;
+
+/**
+ * Handle a JSON-RPC message or batch
+ * @param {any} payload - Parsed request body
+ * @param {object} context - Request context
+ * @param {object} context.env - Environment bindings
+ * @param {object} context.apiKey - Authenticated key
+ * @param {string} context.collection - Collection of the request
+ * @param {object} context.notes - Note store from getBackends
+ * @param {Function} context.dispatch - Runs a Request against the worker and returns its Response
+ * @param {object} context.requestOptions - origin and headers for command requests
+ * @returns {Promise<object|Array|null>} - Response or responses, or null when the payload held only notifications
+ */
+export async function handleMcpPayload(payload, context) {
+	if (Array.isArray(payload)) {
+		if (payload.length === 0) return jsonRpcError(null, JSONRPC_ERRORS.INVALID_REQUEST, "Empty batch");
+		const responses = [];
+		for (const message of payload) {
+			const response = await handleMessage(message, context);
+			if (response) responses.push(response);
+		}
+		return responses.length > 0 ? responses : null;
+	}
+
+	return handleMessage(payload, context);
+}
+
+// One JSON-RPC message; notifications and client responses get no reply
+const handleMessage = async (message, context) => {
+	if (typeof message !== "object" || message === null || message.jsonrpc !== "2.0") {
+		return jsonRpcError(message?.id ?? null, JSONRPC_ERRORS.INVALID_REQUEST, "Invalid JSON-RPC message");
+	}
+	if (typeof message.method !== "string") return null;
+
+	const isNotification = message.id === undefined;
+	const method = METHODS[message.method];
+	if (!method) {
+		return isNotification ? null : jsonRpcError(message.id, JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
+	}
+
+	try {
+		const result = await method(message.params || {}, context);
+		return isNotification ? null : { jsonrpc: "2.0", id: message.id, result };
+	} catch (error) {
+		if (isNotification) return null;
+		if (error instanceof McpError) return jsonRpcError(message.id, error.code, error.message);
+		console.error("MCP error:", error);
+		return jsonRpcError(message.id, JSONRPC_ERRORS.INTERNAL_ERROR, "Internal error");
+	}
+};
+
+// Tools the key's scopes allow
+const availableCommands = ({ env, apiKey }) => buildCommands(env).filter(command => hasScope(apiKey, command.scope));
+
+const METHODS = {
+	initialize: async ({ protocolVersion }) => ({
+		protocolVersion: MCP_PROTOCOL_VERSIONS.includes(protocolVersion) ? protocolVersion : MCP_PROTOCOL_VERSIONS[0],
+		capabilities: {
+			tools: { listChanged: false },
+			resources: { listChanged: false, subscribe: false }
+		},
+		serverInfo: SERVER_INFO,
+		instructions: "Search and answer questions from the knowledge base with the search and query tools; notes are readable as note:// resources."
+	}),
+
+	ping: async () => ({}),
+
+	"notifications/initialized": async () => ({}),
+
+	"tools/list": async (_params, context) => ({
+		tools: availableCommands(context).map(command => ({
+			name: command.id,
+			title: command.name,
+			description: command.description,
+			inputSchema: toInputSchema(command),
+			annotations: {
+				title: command.name,
+				readOnlyHint: command.method === "GET",
+				destructiveHint: command.method === "DELETE"
+			}
+		}))
+	}),
+
+	"tools/call": async ({ name, arguments: args }, context) => {
+		const command = availableCommands(context).find(candidate => candidate.id === name);
+		if (!command) throw new McpError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+
+		const { request, error } = buildCommandRequest(command, args, context.requestOptions);
+		if (error) return toolResult(error, true);
+
+		const response = await context.dispatch(request);
+		if (response.status === 204) return toolResult("Done", false);
+
+		const data = await response.json().catch(() => null);
+		if (!response.ok) {
+			return toolResult(data?.error ? `${data.error} (HTTP ${response.status})` : `HTTP ${response.status}`, true);
+		}
+		return { ...toolResult(JSON.stringify(data, null, 2), false), structuredContent: data };
+	},
+
+	"resources/list": async ({ cursor }, { notes, collection }) => {
+		const offset = cursor === undefined ? 0 : Number.parseInt(cursor, 10);
+		if (!Number.isInteger(offset) || offset < 0) throw new McpError(JSONRPC_ERRORS.INVALID_PARAMS, "Invalid cursor");
+
+		const { notes: rows, total } = await notes.listNotes({
+			collection,
+			sort: "created_at",
+			order: "desc",
+			limit: RESOURCE_PAGE_SIZE,
+			offset
+		});
+
+		return {
+			resources: rows.map(row => ({
+				uri: noteUri(row.collection, row.id),
+				name: `note-${row.id}`,
+				title: noteTitle(row.text),
+				mimeType: "text/plain",
+				size: new TextEncoder().encode(row.text).length
+			})),
+			...(offset + rows.length < total ? { nextCursor: String(offset + rows.length) } : {})
+		};
+	},
+
+	"resources/templates/list": async () => ({
+		resourceTemplates: [{
+			uriTemplate: "note://{collection}/{id}",
+			name: "note",
+			title: "Note",
+			description: "A note of the knowledge base by collection and id",
+			mimeType: "text/plain"
+		}]
+	}),
+
+	"resources/read": async ({ uri }, { notes, collection }) => {
+		const match = typeof uri === "string" ? uri.match(NOTE_URI_PATTERN) : null;
+		if (!match || !isValidCollection(match[1])) {
+			throw new McpError(JSONRPC_ERRORS.INVALID_PARAMS, "Resource URI must be note://{collection}/{id}");
+		}
+
+		// Notes of other collections are out of the caller's reach, like in resources/list
+		const row = match[1] === collection ? await notes.getNote(match[2], collection) : null;
+		if (!row) throw new McpError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`);
+
+		return {
+			contents: [{
+				uri,
+				mimeType: "text/plain",
+				text: row.text,
+				_meta: { metadata: parseMetadata(row.metadata), createdAt: row.created_at, updatedAt: row.updated_at }
+			}]
+		};
+	}
+};
+
+const toolResult = (text, isError) => ({ content: [{ type: "text", text }], isError });
+
+const noteTitle = (text) => {
+	const line = text.trim().split("\n")[0];
+	return line.length > RESOURCE_TITLE_LENGTH ? `${line.slice(0, RESOURCE_TITLE_LENGTH - 1)}…` : line;
+};
+
+const parseMetadata = (value) => {
+	try {
+		return JSON.parse(value || "{}");
+	} catch {
+		return {};
+	}
+};
@@ -0,0 +1,232 @@
+/**
+ * Note metadata validation and retrieval filters
+ *
+ * Notes carry structured metadata (tags, source, author and free-form scalar
+ * fields). Filters on that metadata are applied twice: the indexed fields
+ * narrow the Vectorize query, and every filter is enforced in the D1 lookup,
+ * which remains the source of truth.
+ *
+ * Vectorize only filters on properties with a metadata index:
+ *   npx wrangler vectorize create-metadata-index vector-index --property-name=source --type=string
+ *   npx wrangler vectorize create-metadata-index vector-index --property-name=author --type=string
+ *   npx wrangler vectorize create-metadata-index vector-index --property-name=createdAt --type=number
+ *
+ * Exact matches on other keys (?metadata.<key>=<value>) need an index of their
+ * own, typed like the stored values. Their values arrive as strings, so numeric
+ * and boolean literals are read as numbers and booleans in both filters:
+ * ?metadata.year=2024 matches a stored 2024, not "2024".
+ */
+
+const MAX_KEYS = 20;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 64;
+const MAX_STRING_LENGTH = 1024;
+const MAX_METADATA_BYTES = 4096; // Leaves room for chunk text within the 10 KiB Vectorize metadata limit
+const KEY_PATTERN = /^[A-Za-z0-9_]{1,64}$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const METADATA_PARAM_PREFIX = "metadata.";
+
+// Keys written by the indexing pipeline onto every vector
+const RESERVED_KEYS = ["text", "timestamp", "noteId", "chunkIndex", "createdAt"];
+
+const isPlainObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+/**
+ * Validate and normalize note metadata
+ * @param {any} metadata - Metadata from a request body
+ * @returns {{value?: object, error?: string}} - Normalized metadata or the first problem found
+ */
+export function validateMetadata(metadata) {
+	if (metadata === undefined) return { value: {} };
+	if (!isPlainObject(metadata)) return { error: "Metadata must be an object" };
+
+	const keys = Object.keys(metadata);
+	if (keys.length > MAX_KEYS) return { error: `Metadata can have at most ${MAX_KEYS} keys` };
+
+	const value = {};
+	for (const key of keys) {
+		const field = metadata[key];
+
+		if (!KEY_PATTERN.test(key)) return { error: `Invalid metadata key '${key}'` };
+		if (RESERVED_KEYS.includes(key)) return { error: `Metadata key '${key}' is reserved` };
+
+		if (key === "tags") {
+			if (!Array.isArray(field) || field.length > MAX_TAGS) {
+				return { error: `Tags must be an array of at most ${MAX_TAGS} strings` };
+			}
+			if (field.some(tag => typeof tag !== "string" || tag.trim().length === 0 || tag.trim().length > MAX_TAG_LENGTH)) {
+				return { error: `Tags must be non-empty strings of at most ${MAX_TAG_LENGTH} characters` };
+			}
+			value.tags = [...new Set(field.map(tag => tag.trim().toLowerCase()))];
+			continue;
+		}
+
+		if (key === "source" || key === "author") {
+			if (typeof field !== "string" || field.trim().length === 0) {
+				return { error: `Metadata '${key}' must be a non-empty string` };
+			}
+			value[key] = field.trim();
+			continue;
+		}
+
+		if (!["string", "number", "boolean"].includes(typeof field)) {
+			return { error: `Metadata '${key}' must be a string, number or boolean` };
+		}
+		if (typeof field === "string" && field.length > MAX_STRING_LENGTH) {
+			return { error: `Metadata '${key}' must be at most ${MAX_STRING_LENGTH} characters` };
+		}
+		value[key] = field;
+	}
+
+	if (new TextEncoder().encode(JSON.stringify(value)).length > MAX_METADATA_BYTES) {
+		return { error: `Metadata must be at most ${MAX_METADATA_BYTES} bytes` };
+	}
+
+	return { value };
+}
+
+/**
+ * Metadata stored on each chunk vector
+ * @param {object} metadata - Validated note metadata
+ * @param {string} createdAt - Note created_at as stored by D1
+ * @returns {object} - Vector metadata with a numeric createdAt for range filters
+ */
+export function toVectorMetadata(metadata, createdAt) {
+	return {
+		...metadata,
+		createdAt: parseD1Timestamp(createdAt)
+	};
+}
+
+/**
+ * Read a metadata filter value from a query parameter
+ * @param {string} value - Raw parameter value
+ * @returns {string|number|boolean} - A number or boolean for numeric and boolean literals, else the string
+ */
+export function parseMetadataValue(value) {
+	if (value === "true" || value === "false") return value === "true";
+	if (NUMBER_PATTERN.test(value)) return Number(value);
+	return value;
+}
+
+/**
+ * Parse retrieval filters from query parameters
+ * @param {object} c - Hono context
+ * @returns {{filters?: object, error?: string}} - Filters, empty when none were given
+ */
+export function parseFilters(c) {
+	const filters = {};
+
+	const tags = (c.req.queries("tag") || []).map(tag => tag.trim().toLowerCase()).filter(Boolean);
+	if (tags.length > 0) filters.tags = [...new Set(tags)];
+
+	for (const key of ["source", "author"]) {
+		const value = c.req.query(key);
+		if (value !== undefined && value.trim().length > 0) filters[key] = value.trim();
+	}
+
+	for (const [param, key] of [["created_after", "createdAfter"], ["created_before", "createdBefore"]]) {
+		const value = c.req.query(param);
+		if (value === undefined) continue;
+
+		const time = Date.parse(value);
+		if (Number.isNaN(time)) return { error: `Invalid date for '${param}', expected ISO 8601` };
+		filters[key] = time;
+	}
+
+	// Exact matches are passed as ?metadata.<key>=<value>
+	for (const [param, value] of Object.entries(c.req.query())) {
+		if (!param.startsWith(METADATA_PARAM_PREFIX)) continue;
+
+		const key = param.slice(METADATA_PARAM_PREFIX.length);
+		if (!KEY_PATTERN.test(key) || RESERVED_KEYS.includes(key)) {
+			return { error: `Invalid metadata filter '${param}'` };
+		}
+		filters.metadata = { ...filters.metadata, [key]: parseMetadataValue(value) };
+	}
+
+	return { filters };
+}
+
+/**
+ * Build the Vectorize metadata filter for the indexed fields and exact metadata matches
+ *
+ * Tags live in an array, which Vectorize can't filter on; they are enforced in D1 only.
+ * @param {object} filters - Filters from parseFilters
+ * @returns {object|undefined} - Vectorize filter, undefined when nothing applies
+ */
+export function buildVectorizeFilter(filters = {}) {
+	const filter = {};
+
+	if (filters.source) filter.source = { $eq: filters.source };
+	if (filters.author) filter.author = { $eq: filters.author };
+	for (const [key, value] of Object.entries(filters.metadata || {})) {
+		filter[key] = { $eq: value };
+	}
+	if (filters.createdAfter !== undefined || filters.createdBefore !== undefined) {
+		filter.createdAt = {
+			...(filters.createdAfter !== undefined ? { $gte: filters.createdAfter } : {}),
+			...(filters.createdBefore !== undefined ? { $lte: filters.createdBefore } : {})
+		};
+	}
+
+	return Object.keys(filter).length > 0 ? filter : undefined;
+}
+
+/**
+ * Build a SQL condition enforcing the filters on the notes table
+ * @param {object} filters - Filters from parseFilters, optionally with the collection to scope to
+ * @param {string} table - Name or alias of the notes table in the query
+ * @returns {{clause: string, bindings: Array}} - Condition joined with AND, "1 = 1" when nothing applies
+ */
+export function buildSqlFilter(filters = {}, table = "notes") {
+	const conditions = [];
+	const bindings = [];
+
+	if (filters.collection) {
+		conditions.push(`${table}.collection = ?`);
+		bindings.push(filters.collection);
+	}
+
+	for (const tag of filters.tags || []) {
+		conditions.push(`EXISTS (SELECT 1 FROM json_each(${table}.metadata, '$.tags') WHERE json_each.value = ?)`);
+		bindings.push(tag);
+	}
+
+	for (const key of ["source", "author"]) {
+		if (!filters[key]) continue;
+		conditions.push(`json_extract(${table}.metadata, '$.${key}') = ?`);
+		bindings.push(filters[key]);
+	}
+
+	// Keys were checked by parseFilters. SQLite reads JSON true and false as 1 and 0
+	for (const [key, value] of Object.entries(filters.metadata || {})) {
+		conditions.push(`json_extract(${table}.metadata, '$.${key}') = ?`);
+		bindings.push(typeof value === "boolean" ? Number(value) : value);
+	}
+
+	if (filters.createdAfter !== undefined) {
+		conditions.push(`${table}.created_at >= ?`);
+		bindings.push(toD1Timestamp(filters.createdAfter));
+	}
+
+	if (filters.createdBefore !== undefined) {
+		conditions.push(`${table}.created_at <= ?`);
+		bindings.push(toD1Timestamp(filters.createdBefore));
+	}
+
+	return {
+		clause: conditions.length > 0 ? conditions.join(" AND ") : "1 = 1",
+		bindings
+	};
+}
+
+// D1 CURRENT_TIMESTAMP values are UTC in "YYYY-MM-DD HH:MM:SS" form
+const toD1Timestamp = (time) => new Date(time).toISOString().replace("T", " ").slice(0, 19);
+
+/**
+ * Parse a D1 CURRENT_TIMESTAMP value
+ * @param {string} value - UTC timestamp in "YYYY-MM-DD HH:MM:SS" form
+ * @returns {number} - Milliseconds since the epoch, now when the value is missing
+ */
+export const parseD1Timestamp = (value) => (value ? Date.parse(`${value.replace(" ", "T")}Z`) : Date.now());
@@ -0,0 +1,163 @@
+/**
+ * Model registry
+ *
+ * Requests pick a model by alias (?model= on GET /, "model" in POST /chat).
+ * Each entry names the Workers AI model, its context window and output limit,
+ * the generation parameters sent with every call and what it supports.
+ * Entries marked rateLimited count against the key's stricter model budget.
+ *
+ * The MODELS variable (a JSON object keyed by alias) overrides fields of the
+ * built-in entries, adds new ones, or removes one with null; DEFAULT_MODEL
+ * picks the alias used when a request names none:
+ *   "MODELS": "{\"llama-8b\": {\"id\": \"@cf/meta/llama-3.1-8b-instruct\", \"contextWindow\": 7968, \"maxOutputTokens\": 1024}}"
+ */
+
+export const DEFAULT_MODEL_ALIAS = "llama";
+export const DEFAULT_TEMPERATURE = 0.6; // Workers AI's own default
+
+export const BUILTIN_MODELS = {
+	llama: {
+		id: "@cf/meta/llama-3.2-1b-instruct",
+		description: "Fast, low-cost answers",
+		contextWindow: 60000,
+		maxOutputTokens: 512,
+		temperature: DEFAULT_TEMPERATURE,
+		capabilities: { jsonMode: false, streaming: true },
+		rateLimited: false
+	},
+	"llama-70b": {
+		id: "@cf/meta/llama-3.1-70b-instruct",
+		description: "Higher quality answers for harder questions",
+		contextWindow: 24000,
+		maxOutputTokens: 1024,
+		temperature: DEFAULT_TEMPERATURE,
+		capabilities: { jsonMode: true, streaming: true },
+		rateLimited: true
+	},
+	"gemma-3-12b": {
+		id: "@cf/google/gemma-3-12b-it",
+		description: "Long context and multilingual answers",
+		contextWindow: 80000,
+		maxOutputTokens: 1024,
+		temperature: DEFAULT_TEMPERATURE,
+		capabilities: { jsonMode: false, streaming: true },
+		rateLimited: true
+	}
+};
+
+const ALIAS_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Build the model registry from the built-in entries and the environment
+ * @param {object} env - Environment bindings
+ * @returns {{models: object, defaultAlias: string}} - Entries keyed by alias and the default alias
+ * @throws {Error} - When MODELS or DEFAULT_MODEL is invalid
+ */
+export function resolveModelRegistry(env) {
+	let overrides = {};
+	if (env.MODELS) {
+		try {
+			overrides = typeof env.MODELS === "string" ? JSON.parse(env.MODELS) : env.MODELS;
+		} catch {
+			throw new Error("MODELS must be a JSON object keyed by model alias");
+		}
+		if (typeof overrides !== "object" || overrides === null || Array.isArray(overrides)) {
+			throw new Error("MODELS must be a JSON object keyed by model alias");
+		}
+	}
+
+	const models = { ...BUILTIN_MODELS };
+	for (const [alias, override] of Object.entries(overrides)) {
+		if (!ALIAS_PATTERN.test(alias)) {
+			throw new Error(`Model alias '${alias}' must be 1-64 letters, digits, '.', '-' or '_'`);
+		}
+		if (override === null) {
+			delete models[alias];
+			continue;
+		}
+		if (typeof override !== "object" || Array.isArray(override)) {
+			throw new Error(`Model '${alias}' must be an object or null`);
+		}
+
+		// New aliases start from the defaults, existing ones keep the fields not overridden
+		const base = models[alias] || { description: "", temperature: DEFAULT_TEMPERATURE, rateLimited: false };
+		const entry = {
+			...base,
+			...override,
+			capabilities: { jsonMode: false, streaming: true, ...base.capabilities, ...override.capabilities }
+		};
+		const error = validateModelEntry(entry);
+		if (error) throw new Error(`Model '${alias}': ${error}`);
+		models[alias] = entry;
+	}
+
+	const defaultAlias = env.DEFAULT_MODEL || DEFAULT_MODEL_ALIAS;
+	if (!models[defaultAlias]) {
+		throw new Error(`DEFAULT_MODEL '${defaultAlias}' is not a registered model`);
+	}
+
+	return { models, defaultAlias };
+}
+
+/**
+ * Look up the model a request selects
+ * @param {object} env - Environment bindings
+ * @param {string} [alias] - Requested alias or Workers AI model name; the default model when empty
+ * @returns {{model?: object, error?: string}} - Entry with its alias, or an error naming the known aliases
+ */
+export function resolveModel(env, alias) {
+	const { models, defaultAlias } = resolveModelRegistry(env);
+	const requested = alias || defaultAlias;
+	const selected = typeof requested === "string" && requested.startsWith("@")
+		? Object.keys(models).find(key => models[key].id === requested) ?? requested
+		: requested;
+
+	if (typeof selected !== "string" || !Object.hasOwn(models, selected)) {
+		return { error: `Unknown model '${selected}', expected one of: ${Object.keys(models).join(", ")}` };
+	}
+
+	return { model: { alias: selected, ...models[selected] } };
+}
+
+/**
+ * List the registered models for GET /models
+ * @param {object} env - Environment bindings
+ * @returns {Array<object>} - Entries with their alias, the default model flagged
+ */
+export function listModels(env) {
+	const { models, defaultAlias } = resolveModelRegistry(env);
+	return Object.entries(models).map(([alias, model]) => ({ alias, ...model, default: alias === defaultAlias }));
+}
+
+/**
+ * Generation parameters for an AI.run call
+ * @param {object} model - Entry from resolveModel
+ * @returns {{max_tokens: number, temperature: number}} - Workers AI inputs
+ */
+export const modelParams = (model) => ({
+	max_tokens: model.maxOutputTokens,
+	temperature: model.temperature
+});
+
+// First problem with a merged registry entry, or null
+const validateModelEntry = (entry) => {
+	if (typeof entry.id !== "string" || !entry.id.startsWith("@")) {
+		return "id must be a Workers AI model name such as @cf/meta/llama-3.2-1b-instruct";
+	}
+	for (const field of ["contextWindow", "maxOutputTokens"]) {
+		if (!Number.isInteger(entry[field]) || entry[field] < 1) return `${field} must be a positive integer`;
+	}
+	if (entry.maxOutputTokens >= entry.contextWindow) {
+		return "maxOutputTokens must be smaller than contextWindow";
+	}
+	if (typeof entry.temperature !== "number" || entry.temperature < 0 || entry.temperature > 5) {
+		return "temperature must be between 0 and 5";
+	}
+	if (Object.values(entry.capabilities).some(value => typeof value !== "boolean")) {
+		return "capabilities must be booleans";
+	}
+	if (typeof entry.rateLimited !== "boolean") {
+		return "rateLimited must be a boolean";
+	}
+	return null;
+};
@@ -0,0 +1,343 @@
+/**
+ * OpenAI-compatible API shapes
+ *
+ * /v1/chat/completions, /v1/embeddings and /v1/models accept and return the
+ * OpenAI request and response formats, so OpenAI SDKs and tools can point
+ * their base URL at this worker. Chat completions run the same retrieval as
+ * GET /; the sources and citations are returned in a `rag` extension field.
+ * Workers AI doesn't always report token usage, so missing counts are
+ * estimated at four characters per token.
+ */
+
+import { streamSSE } from "hono/streaming";
+import { listModels, modelParams, resolveModel } from "./models";
+import { readAIStream } from "./streaming";
+
+export const MAX_EMBEDDING_INPUTS = 100;
+export const CHAT_ROLES = ["system", "user", "assistant"];
+
+const CHARS_PER_TOKEN = 4;
+
+const ERROR_TYPES = {
+	400: "invalid_request_error",
+	401: "authentication_error",
+	403: "permission_error",
+	404: "not_found_error",
+	409: "invalid_request_error",
+	429: "rate_limit_error"
+};
+
+/**
+ * Build an OpenAI error body
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @param {object} [details] - Extra fields
+ * @param {string} [details.param] - Request field at fault
+ * @param {string} [details.code] - Machine-readable code
+ * @returns {{error: {message: string, type: string, param: string|null, code: string|null}}} - OpenAI error body
+ */
+export function openAIError(message, status, { param = null, code = null } = {}) {
+	return {
+		error: {
+			message,
+			type: ERROR_TYPES[status] || "server_error",
+			param,
+			code
+		}
+	};
+}
+
+/**
+ * Middleware: rewrite this API's { error } responses into the OpenAI error format
+ *
+ * Registered ahead of authentication, so 401, 403 and 429 responses from the
+ * shared middleware are converted as well as errors from the /v1 routes.
+ * @param {object} c - Hono context
+ * @param {Function} next - Next handler
+ * @returns {Promise<void>}
+ */
+export async function openAIErrors(c, next) {
+	await next();
+
+	if (c.res.status < 400 || !(c.res.headers.get("content-type") || "").includes("application/json")) return;
+
+	const body = await c.res.clone().json().catch(() => null);
+	if (typeof body?.error !== "string") return;
+
+	const headers = new Headers(c.res.headers);
+	c.res = new Response(JSON.stringify(openAIError(body.error, c.res.status)), { status: c.res.status, headers });
+}
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text - Text
+ * @returns {number} - Approximate tokens
+ */
+export const estimateTokens = (text) => Math.ceil((text || "").length / CHARS_PER_TOKEN);
+
+/**
+ * Validate a chat completion request
+ * @param {object} env - Environment bindings
+ * @param {object} body - Request body
+ * @returns {{value?: object, error?: {message: string, param: string}}} - Model, messages and generation parameters, or the first problem found
+ */
+export function validateChatCompletion(env, body) {
+	if (typeof body !== "object" || body === null || Array.isArray(body)) {
+		return { error: { message: "Request body must be a JSON object", param: null } };
+	}
+
+	const { messages, stream = false, temperature, max_tokens: maxTokens, max_completion_tokens: maxCompletionTokens } = body;
+
+	const { model, error: modelError } = resolveModel(env, body.model);
+	if (modelError) return { error: { message: modelError, param: "model", code: "model_not_found" } };
+
+	if (!Array.isArray(messages) || messages.length === 0) {
+		return { error: { message: "messages must be a non-empty array", param: "messages" } };
+	}
+
+	const normalized = [];
+	for (const [index, message] of messages.entries()) {
+		if (!CHAT_ROLES.includes(message?.role)) {
+			return { error: { message: `messages[${index}].role must be one of: ${CHAT_ROLES.join(", ")}`, param: `messages[${index}].role` } };
+		}
+		const content = messageText(message.content);
+		if (content === null) {
+			return { error: { message: `messages[${index}].content must be a string or an array of text parts`, param: `messages[${index}].content` } };
+		}
+		normalized.push({ role: message.role, content });
+	}
+
+	const question = normalized.findLast(message => message.role === "user")?.content.trim();
+	if (!question) {
+		return { error: { message: "messages must include a non-empty user message", param: "messages" } };
+	}
+
+	if (typeof stream !== "boolean") {
+		return { error: { message: "stream must be a boolean", param: "stream" } };
+	}
+	if (stream && !model.capabilities.streaming) {
+		return { error: { message: `Model '${model.alias}' does not support streaming`, param: "stream" } };
+	}
+
+	if (temperature !== undefined && (typeof temperature !== "number" || temperature < 0 || temperature > 2)) {
+		return { error: { message: "temperature must be between 0 and 2", param: "temperature" } };
+	}
+
+	const limit = maxCompletionTokens ?? maxTokens;
+	if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+		return { error: { message: "max_tokens must be a positive integer", param: maxCompletionTokens === undefined ? "max_tokens" : "max_completion_tokens" } };
+	}
+
+	// Request parameters override the model's, within its output limit
+	const params = modelParams(model);
+	return {
+		value: {
+			model,
+			messages: normalized,
+			question,
+			stream,
+			includeUsage: body.stream_options?.include_usage === true,
+			params: {
+				...params,
+				...(temperature !== undefined ? { temperature } : {}),
+				...(limit !== undefined ? { max_tokens: Math.min(limit, model.maxOutputTokens) } : {})
+			}
+		}
+	};
+}
+
+/**
+ * Validate an embeddings request
+ * @param {object} embedder - Embedder from getBackends
+ * @param {object} body - Request body
+ * @returns {{value?: {inputs: Array<string>, encodingFormat: string}, error?: {message: string, param: string}}} - Inputs, or the first problem found
+ */
+export function validateEmbeddings(embedder, body) {
+	const { input, model, encoding_format: encodingFormat = "float" } = body || {};
+
+	if (model !== undefined && !embeddingModelNames(embedder).includes(model)) {
+		return { error: { message: `Unknown embedding model '${model}', expected ${embedder.model}`, param: "model", code: "model_not_found" } };
+	}
+
+	const inputs = typeof input === "string" ? [input] : input;
+	if (!Array.isArray(inputs) || inputs.length === 0 || inputs.some(text => typeof text !== "string" || text.length === 0)) {
+		return { error: { message: "input must be a non-empty string or array of non-empty strings", param: "input" } };
+	}
+	if (inputs.length > MAX_EMBEDDING_INPUTS) {
+		return { error: { message: `input can hold at most ${MAX_EMBEDDING_INPUTS} strings`, param: "input" } };
+	}
+
+	if (!["float", "base64"].includes(encodingFormat)) {
+		return { error: { message: "encoding_format must be float or base64", param: "encoding_format" } };
+	}
+
+	return { value: { inputs, encodingFormat } };
+}
+
+/**
+ * Shape a chat completion
+ * @param {object} options - Completion parts
+ * @param {string} options.id - Completion id
+ * @param {object} options.model - Model entry
+ * @param {string} options.answer - Generated answer
+ * @param {object} options.usage - Token usage
+ * @param {number} options.maxTokens - Output limit the answer was generated with
+ * @param {object} options.rag - Retrieval extension field
+ * @returns {object} - OpenAI chat.completion object
+ */
+export function formatChatCompletion({ id, model, answer, usage, maxTokens, rag }) {
+	return {
+		id,
+		object: "chat.completion",
+		created: Math.floor(Date.now() / 1000),
+		model: model.alias,
+		choices: [{
+			index: 0,
+			message: { role: "assistant", content: answer },
+			logprobs: null,
+			finish_reason: finishReason(usage, maxTokens)
+		}],
+		usage,
+		rag
+	};
+}
+
+/**
+ * Shape a streamed chat completion chunk
+ * @param {string} id - Completion id, shared by every chunk
+ * @param {object} model - Model entry
+ * @param {object} delta - Message delta, or null for a usage-only chunk
+ * @param {object} [extra] - Fields such as finish_reason, usage or rag
+ * @returns {object} - OpenAI chat.completion.chunk object
+ */
+export function chatCompletionChunk(id, model, delta, { finishReason = null, ...extra } = {}) {
+	return {
+		id,
+		object: "chat.completion.chunk",
+		created: Math.floor(Date.now() / 1000),
+		model: model.alias,
+		choices: delta ? [{ index: 0, delta, logprobs: null, finish_reason: finishReason }] : [],
+		...extra
+	};
+}
+
+/**
+ * Stream a chat completion as OpenAI chunks
+ *
+ * The first chunk carries the assistant role and the rag extension field, one
+ * chunk follows per generated fragment, then a chunk with finish_reason, an
+ * optional usage chunk, and data: [DONE]. A failure after the stream has opened
+ * is sent as an error object before [DONE].
+ * @param {object} c - Hono context
+ * @param {object} options - Stream options
+ * @param {string} options.id - Completion id
+ * @param {object} options.model - Model entry
+ * @param {Array} options.messages - Messages sent to the model
+ * @param {object} options.params - Generation parameters
+ * @param {boolean} options.includeUsage - Send a usage chunk, from stream_options.include_usage
+ * @param {object} options.rag - Retrieval extension field
+ * @param {Function} [options.finalize] - Maps the full answer to extra rag fields for the last chunk
+ * @returns {Response} - Streaming response
+ */
+export const streamChatCompletion = (c, { id, model, messages, params, includeUsage, rag, finalize }) => {
+	c.header("x-model-used", model.id);
+
+	return streamSSE(c, async (stream) => {
+		const send = (data) => stream.writeSSE({ data: JSON.stringify(data) });
+
+		try {
+			await send(chatCompletionChunk(id, model, { role: "assistant", content: "" }, { rag }));
+
+			const aiStream = await c.env.AI.run(model.id, { messages, ...params, stream: true });
+			let answer = "";
+			let reported;
+			for await (const payload of readAIStream(aiStream)) {
+				if (payload.usage) reported = payload.usage;
+				if (!payload.response) continue;
+
+				answer += payload.response;
+				await send(chatCompletionChunk(id, model, { content: payload.response }));
+			}
+
+			const usage = completionUsage(reported, messages, answer);
+			await send(chatCompletionChunk(id, model, {}, {
+				finishReason: finishReason(usage, params.max_tokens),
+				...(finalize ? { rag: finalize(answer) } : {})
+			}));
+			if (includeUsage) {
+				await send(chatCompletionChunk(id, model, null, { usage }));
+			}
+		} catch (error) {
+			console.error("Streaming error:", error);
+			await send(openAIError("Failed to generate streamed completion", 500));
+		}
+
+		await stream.writeSSE({ data: "[DONE]" });
+	});
+};
+
+/**
+ * Token usage of a completion, estimated where Workers AI didn't report it
+ * @param {object} [reported] - usage returned by AI.run
+ * @param {Array} messages - Messages sent to the model
+ * @param {string} answer - Generated answer
+ * @returns {{prompt_tokens: number, completion_tokens: number, total_tokens: number}} - OpenAI usage object
+ */
+export function completionUsage(reported, messages, answer) {
+	const promptTokens = reported?.prompt_tokens ?? messages.reduce((total, message) => total + estimateTokens(message.content), 0);
+	const completionTokens = reported?.completion_tokens ?? estimateTokens(answer);
+	return { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens };
+}
+
+/**
+ * finish_reason for a completion
+ * @param {object} usage - Token usage
+ * @param {number} maxTokens - Output limit
+ * @returns {string} - "length" when the answer used the whole limit, else "stop"
+ */
+export const finishReason = (usage, maxTokens) => (usage.completion_tokens >= maxTokens ? "length" : "stop");
+
+/**
+ * Encode an embedding as OpenAI's base64 format, little-endian float32
+ * @param {Array<number>} embedding - Embedding
+ * @returns {string} - Base64 string
+ */
+export function encodeEmbedding(embedding) {
+	const bytes = new Uint8Array(new Float32Array(embedding).buffer);
+	let binary = "";
+	bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+	return btoa(binary);
+}
+
+/**
+ * List models in the OpenAI format
+ * @param {object} env - Environment bindings
+ * @param {object} embedder - Embedder from getBackends
+ * @returns {{object: string, data: Array}} - Chat model aliases and the embedding model
+ */
+export function formatModelList(env, embedder) {
+	return {
+		object: "list",
+		data: [
+			...listModels(env).map(model => ({
+				id: model.alias,
+				object: "model",
+				created: 0,
+				owned_by: "workers-ai",
+				type: "chat",
+				context_window: model.contextWindow
+			})),
+			{ id: embedder.model, object: "model", created: 0, owned_by: "workers-ai", type: "embedding" }
+		]
+	};
+}
+
+// Plain text of a message; null when content isn't a string or text parts
+const messageText = (content) => {
+	if (typeof content === "string") return content;
+	if (!Array.isArray(content) || content.some(part => part?.type !== "text" || typeof part.text !== "string")) return null;
+	return content.map(part => part.text).join("\n");
+};
+
+// Names accepted for the embedding model: full name or the part after the last slash
+const embeddingModelNames = (embedder) => [embedder.model, embedder.model.split("/").pop()];
@@ -0,0 +1,61 @@
+/**
+ * Fixed-window rate limiting per API key
+ *
+ * Requests are counted in the D1 rate_limits table, one row per key, bucket
+ * and one-minute window. Buckets let a key have a general budget and a
+ * stricter one for expensive models.
+ */
+
+export const RATE_LIMIT_WINDOW_SECONDS = 60;
+export const DEFAULT_RATE_LIMIT = 60; // Requests per window
+export const DEFAULT_MODEL_RATE_LIMIT = 5; // Advanced model requests per window
+
+/**
+ * Count a request against a key's budget
+ * @param {object} db - D1 binding
+ * @param {number} keyId - API key id
+ * @param {string} bucket - Budget name, e.g. "default" or a model alias
+ * @param {number} limit - Requests allowed per window
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Promise<{allowed: boolean, limit: number, remaining: number, retryAfter: number}>} - Outcome; retryAfter is in seconds
+ */
+export async function consumeRateLimit(db, keyId, bucket, limit, now = Date.now()) {
+	const nowSeconds = Math.floor(now / 1000);
+	const windowStart = nowSeconds - (nowSeconds % RATE_LIMIT_WINDOW_SECONDS);
+
+	const [{ results: [{ count }] }] = await db.batch([
+		db.prepare(
+			`INSERT INTO rate_limits (key_id, bucket, window_start, count) VALUES (?, ?, ?, 1)
+			ON CONFLICT(key_id, bucket, window_start) DO UPDATE SET count = count + 1
+			RETURNING count`
+		).bind(keyId, bucket, windowStart),
+		// Earlier windows are no longer needed
+		db.prepare("DELETE FROM rate_limits WHERE key_id = ? AND bucket = ? AND window_start < ?")
+			.bind(keyId, bucket, windowStart)
+	]);
+
+	return {
+		allowed: count <= limit,
+		limit,
+		remaining: Math.max(0, limit - count),
+		retryAfter: windowStart + RATE_LIMIT_WINDOW_SECONDS - nowSeconds
+	};
+}
+
+/**
+ * Resolve a key's budgets, falling back to the worker-wide defaults
+ * @param {object} env - Environment bindings
+ * @param {object} apiKey - Authenticated key
+ * @returns {{rateLimit: number, modelRateLimit: number}} - Requests per window
+ */
+export function resolveRateLimits(env, apiKey) {
+	return {
+		rateLimit: apiKey.rateLimit ?? toPositiveInteger(env.RATE_LIMIT_PER_MINUTE, DEFAULT_RATE_LIMIT),
+		modelRateLimit: apiKey.modelRateLimit ?? toPositiveInteger(env.MODEL_RATE_LIMIT_PER_MINUTE, DEFAULT_MODEL_RATE_LIMIT)
+	};
+}
+
+const toPositiveInteger = (value, fallback) => {
+	const parsed = Number.parseInt(value, 10);
+	return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
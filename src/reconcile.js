@@ -0,0 +1,363 @@
+/**
+ * Reconciliation between the note store and the vector store
+ *
+ * A note is written to D1 before its vectors, and removed from D1 before
+ * them, so a failure in between leaves notes without vectors or vectors
+ * without notes. Each run:
+ *   1. deletes vectors queued in vector_deletions when their notes went away
+ *   2. scans the next page of notes (all collections) and re-embeds those
+ *      missing a chunk vector
+ *   3. deletes vectors with no note: chunks past a note's last chunk, legacy
+ *      pre-chunking note vectors, and vectors of note ids absent from D1,
+ *      including ids above the highest remaining note
+ * Runs are logged in reconciliation_runs; the scan resumes from the previous
+ * run's cursor, so the scheduled handler covers the whole table over time.
+ * At most `limit` absent ids are probed per run, so a large bulk delete is
+ * worked through over several runs.
+ *
+ * A run must also stay within the Workers limit of 1000 subrequests per
+ * invocation. Vector lookups take at most half of the budget; probing,
+ * re-embedding and deleting are then reserved note by note in id order. When
+ * the budget runs out the run stops there, is logged as partial, and the next
+ * run resumes from the first note it could not afford.
+ */
+
+import { getBackends } from "./backends";
+import { buildChunkVector, chunkText, chunkVectorId, resolveChunkOptionsForEnv } from "./chunking";
+import { chunked, D1_MAX_PARAMS, SUBREQUEST_BUDGET } from "./limits";
+import { parseD1Timestamp, toVectorMetadata } from "./metadata";
+
+export const DEFAULT_RECONCILE_LIMIT = 200; // Notes scanned per run
+export const MAX_RECONCILE_LIMIT = 1000;
+export const DEFAULT_MIN_AGE_SECONDS = 600; // Skip notes that may still be ingesting
+
+const LOOKUP_BATCH_SIZE = 20; // Ids per vector store getByIds call
+const DELETE_BATCH_SIZE = 100; // Ids per vector store deleteByIds call
+const RUN_OVERHEAD_SUBREQUESTS = 10; // Authentication, the cursor, queue and page reads, and the run log
+
+/**
+ * Validate reconciliation options from a request body
+ * @param {object} body - Request body, may be empty
+ * @returns {{value?: object, error?: string}} - Normalized options or the first problem found
+ */
+export function validateReconcileOptions(body) {
+	const { dryRun = false, limit = DEFAULT_RECONCILE_LIMIT, minAgeSeconds = DEFAULT_MIN_AGE_SECONDS } = body || {};
+
+	if (typeof dryRun !== "boolean") {
+		return { error: "dryRun must be a boolean" };
+	}
+
+	if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RECONCILE_LIMIT) {
+		return { error: `limit must be between 1 and ${MAX_RECONCILE_LIMIT}` };
+	}
+
+	if (!Number.isInteger(minAgeSeconds) || minAgeSeconds < 0) {
+		return { error: "minAgeSeconds must be a non-negative integer" };
+	}
+
+	return { value: { dryRun, limit, minAgeSeconds } };
+}
+
+/**
+ * Note ids missing from a scanned page
+ * @param {number} cursor - Id the page started after
+ * @param {Array<number>} ids - Ids of the page, ascending
+ * @param {number} [end] - Last id of the range, the last id of the page by default
+ * @param {number} [maxGaps] - Stop after this many ids
+ * @returns {Array<number>} - Ids after the cursor up to the end that have no note, ascending
+ */
+export function findIdGaps(cursor, ids, end = ids.at(-1) ?? cursor, maxGaps = Infinity) {
+	const present = new Set(ids);
+	const gaps = [];
+	for (let id = cursor + 1; id <= end && gaps.length < maxGaps; id++) {
+		if (!present.has(id)) gaps.push(id);
+	}
+	return gaps;
+}
+
+/**
+ * Run one reconciliation pass and log it
+ * @param {object} env - Environment bindings
+ * @param {object} options - Options from validateReconcileOptions
+ * @param {string} options.triggeredBy - "scheduled" or "api"
+ * @param {number} [options.budget] - Subrequests the run may make
+ * @returns {Promise<object>} - The logged run
+ */
+export async function reconcile(env, {
+	triggeredBy,
+	dryRun = false,
+	limit = DEFAULT_RECONCILE_LIMIT,
+	minAgeSeconds = DEFAULT_MIN_AGE_SECONDS,
+	budget = SUBREQUEST_BUDGET
+}) {
+	const backends = getBackends(env);
+	const { embedder, notes, vectors } = backends;
+	const startedAt = new Date().toISOString();
+
+	const run = {
+		triggeredBy,
+		dryRun,
+		cursor: 0,
+		nextCursor: 0,
+		notesChecked: 0,
+		missingVectors: [],
+		reindexed: [],
+		orphanedVectors: [],
+		deletedVectors: []
+	};
+	let status = "complete";
+
+	// Stop before an entry the budget can't cover; the next run starts with it
+	const defer = (entry) => {
+		run.nextCursor = entry.id - 1;
+		status = "partial";
+	};
+
+	try {
+		const cursor = await readCursor(env.DB);
+		run.cursor = run.nextCursor = cursor;
+
+		// Step 1: Vectors queued when their notes were deleted
+		const queued = await notes.listVectorDeletions(limit);
+		run.orphanedVectors.push(...queued);
+
+		// Subrequests left once the queue is cleared; vectors waiting for deletion keep their delete batches reserved
+		const pending = [...queued];
+		let available = budget - RUN_OVERHEAD_SUBREQUESTS - (dryRun ? 0 : Math.ceil(queued.length / D1_MAX_PARAMS));
+		const affordable = (cost, pendingCount) => cost + (dryRun ? 0 : Math.ceil(pendingCount / DELETE_BATCH_SIZE)) <= available;
+
+		// Step 2: The next page of notes, and the vectors each one should have
+		const page = await notes.scanNotes(cursor, limit);
+		const lastPage = page.length < limit;
+
+		// Absent ids up to the page end; on the last page, up to the last id ever assigned
+		const end = lastPage ? Math.max(await notes.lastNoteId(), page.at(-1)?.id ?? cursor) : page.at(-1).id;
+		const gaps = findIdGaps(cursor, page.map(row => row.id), end, limit + 1);
+
+		// Too many absent ids for one run: stop after the first `limit` and resume there
+		const stop = gaps.length > limit ? gaps[limit - 1] : null;
+		if (stop !== null) gaps.length = limit;
+		const rows = stop === null ? page : page.filter(row => row.id < stop);
+		run.nextCursor = stop ?? (lastPage ? 0 : page.at(-1).id);
+
+		// Notes and absent ids in id order, with the vector ids to look up for each
+		const entries = [
+			...rows.map(row => {
+				const chunkIndices = JSON.parse(row.chunk_indices);
+				const expected = chunkIndices.map(index => chunkVectorId(row.id, index));
+				return { id: row.id, row, chunkIndices, expected, lookups: [...expected, String(row.id), chunkVectorId(row.id, chunkIndices.length)] };
+			}),
+			...gaps.map(id => ({ id, row: null, chunkIndices: [], expected: [], lookups: [String(id), chunkVectorId(id, 0)] }))
+		].sort((a, b) => a.id - b.id);
+
+		// Lookups take at most half of the budget, so probing and re-embedding still fit
+		const lookupLimit = Math.floor(Math.max(0, available - Math.ceil(pending.length / DELETE_BATCH_SIZE)) / 2) * LOOKUP_BATCH_SIZE;
+		let lookupCount = 0;
+		const overLimit = entries.findIndex(entry => (lookupCount += entry.lookups.length) > lookupLimit);
+		if (overLimit !== -1) {
+			defer(entries[overLimit]);
+			entries.length = overLimit;
+		}
+
+		const candidates = [...new Set(entries.flatMap(entry => entry.lookups))];
+		available -= Math.ceil(candidates.length / LOOKUP_BATCH_SIZE);
+		const found = await lookupIds(vectors, candidates);
+
+		// Step 3: Per note or absent id, vectors without a note and, for notes old enough
+		// to have finished ingesting, chunks without a vector
+		const cutoff = Date.now() - minAgeSeconds * 1000;
+		const chunkOptions = resolveChunkOptionsForEnv(env);
+		const missing = [];
+
+		for (const entry of entries) {
+			const { id, row, chunkIndices } = entry;
+			const orphans = [];
+
+			// A note without chunks keeps its pre-chunking vector until it is re-embedded
+			if (found.has(String(id)) && (!row || chunkIndices.length > 0)) orphans.push(String(id));
+
+			// Probe past the first extra chunk
+			if (found.has(chunkVectorId(id, chunkIndices.length))) {
+				const probe = await probeChunks(vectors, id, chunkIndices.length, available);
+				available -= probe.lookups;
+				if (!probe.ids) {
+					defer(entry);
+					break;
+				}
+				orphans.push(...probe.ids);
+			}
+
+			const isMissing = row !== null &&
+				parseD1Timestamp(row.updated_at || row.created_at) <= cutoff &&
+				(chunkIndices.length === 0 || entry.expected.some(vectorId => !found.has(vectorId)));
+
+			// Chunk rows, embedding and upsert batches, and the stale vector delete
+			const chunks = isMissing && !dryRun ? chunkText(row.text, chunkOptions) : null;
+			const reindexCost = chunks ? 2 + 2 * Math.ceil(chunks.length / embedder.maxBatchSize) : 0;
+			if (!affordable(reindexCost, pending.length + orphans.length)) {
+				defer(entry);
+				break;
+			}
+
+			available -= reindexCost;
+			pending.push(...orphans);
+			run.orphanedVectors.push(...orphans);
+			if (row) run.notesChecked++;
+			if (isMissing) {
+				run.missingVectors.push(id);
+				if (chunks) missing.push({ row, chunkIndices, chunks });
+			}
+		}
+
+		if (!dryRun) {
+			for (const batch of chunked(pending, DELETE_BATCH_SIZE)) {
+				await vectors.deleteByIds(batch);
+				run.deletedVectors.push(...batch);
+			}
+			await notes.clearVectorDeletions(queued);
+
+			for (const { row, chunkIndices, chunks } of missing) {
+				await reindexNote(backends, row, chunks);
+				run.reindexed.push(row.id);
+
+				// Chunks the new chunking no longer produces, and the pre-chunking vector
+				const stale = [String(row.id), ...chunkIndices.filter(index => index >= chunks.length).map(index => chunkVectorId(row.id, index))]
+					.filter(id => found.has(id) && !run.deletedVectors.includes(id));
+				if (stale.length > 0) {
+					await vectors.deleteByIds(stale);
+					run.orphanedVectors.push(...stale);
+					run.deletedVectors.push(...stale);
+				}
+			}
+		}
+
+		return await logRun(env.DB, run, startedAt, status);
+	} catch (error) {
+		console.error("Reconciliation error:", error);
+		try {
+			await logRun(env.DB, run, startedAt, "failed", error.message);
+		} catch (logError) {
+			console.error("Reconciliation log error:", logError);
+		}
+		throw error;
+	}
+}
+
+/**
+ * List reconciliation runs, newest first
+ * @param {object} db - D1 binding
+ * @param {number} limit - Maximum number of runs
+ * @returns {Promise<Array>} - Logged runs
+ */
+export async function listReconcileRuns(db, limit) {
+	const { results } = await db.prepare("SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT ?").bind(limit).all();
+	return results.map(formatRun);
+}
+
+/**
+ * Replace the chunks of a stored note, re-embed and upsert them
+ * @param {object} backends - Backends from getBackends
+ * @param {object} row - Note row
+ * @param {Array} chunks - Chunks of the note's text from chunkText
+ * @returns {Promise<number>} - Number of chunks indexed
+ */
+async function reindexNote({ embedder, vectors, notes }, row, chunks) {
+	await notes.replaceChunks(row.id, chunks);
+
+	const metadata = toVectorMetadata(parseMetadata(row.metadata), row.created_at);
+	const timestamp = new Date().toISOString();
+	for (const batch of chunked(chunks, embedder.maxBatchSize)) {
+		const embeddings = await embedder.embed(batch.map(chunk => chunk.text));
+		await vectors.upsert(
+			batch.map((chunk, idx) => buildChunkVector(row.id, chunk, embeddings[idx], metadata, timestamp, row.collection))
+		);
+	}
+	return chunks.length;
+}
+
+// Ids that exist in the vector store
+const lookupIds = async (vectors, ids) => {
+	const found = new Set();
+	for (const batch of chunked([...new Set(ids)], LOOKUP_BATCH_SIZE)) {
+		(await vectors.getByIds(batch)).forEach(vector => found.add(vector.id));
+	}
+	return found;
+};
+
+// Chunk vectors from an index onwards; chunk indices are contiguous, so probing stops at the first gap.
+// ids is null when the chunks go on past maxLookups lookups
+const probeChunks = async (vectors, noteId, fromIndex, maxLookups) => {
+	const ids = [];
+	for (let start = fromIndex, lookups = 0; ; start += LOOKUP_BATCH_SIZE) {
+		if (lookups >= maxLookups) return { ids: null, lookups };
+		const batch = Array.from({ length: LOOKUP_BATCH_SIZE }, (_, offset) => chunkVectorId(noteId, start + offset));
+		const found = await lookupIds(vectors, batch);
+		lookups++;
+		const contiguous = batch.findIndex(id => !found.has(id));
+		ids.push(...batch.slice(0, contiguous === -1 ? batch.length : contiguous));
+		if (contiguous !== -1) return { ids, lookups };
+	}
+};
+
+const readCursor = async (db) => {
+	const last = await db.prepare(
+		"SELECT next_cursor FROM reconciliation_runs WHERE status IN ('complete', 'partial') AND dry_run = 0 ORDER BY id DESC LIMIT 1"
+	).first();
+	return last?.next_cursor ?? 0;
+};
+
+const logRun = async (db, run, startedAt, status, error = null) => {
+	const row = await db.prepare(
+		`INSERT INTO reconciliation_runs (
+			triggered_by, dry_run, status, cursor, next_cursor, notes_checked, missing_vectors,
+			reindexed, orphaned_vectors, deleted_vectors, details, error, started_at
+		) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		RETURNING *`
+	).bind(
+		run.triggeredBy,
+		run.dryRun ? 1 : 0,
+		status,
+		run.cursor,
+		run.nextCursor,
+		run.notesChecked,
+		run.missingVectors.length,
+		run.reindexed.length,
+		run.orphanedVectors.length,
+		run.deletedVectors.length,
+		JSON.stringify({
+			missingVectors: run.missingVectors,
+			reindexed: run.reindexed,
+			orphanedVectors: run.orphanedVectors,
+			deletedVectors: run.deletedVectors
+		}),
+		error,
+		startedAt
+	).first();
+	return formatRun(row);
+};
+
+const formatRun = (row) => ({
+	id: row.id,
+	triggeredBy: row.triggered_by,
+	dryRun: row.dry_run === 1,
+	status: row.status,
+	cursor: row.cursor,
+	nextCursor: row.next_cursor,
+	notesChecked: row.notes_checked,
+	missingVectors: row.missing_vectors,
+	reindexed: row.reindexed,
+	orphanedVectors: row.orphaned_vectors,
+	deletedVectors: row.deleted_vectors,
+	details: row.details ? JSON.parse(row.details) : null,
+	error: row.error,
+	startedAt: row.started_at,
+	finishedAt: row.finished_at
+});
+
+const parseMetadata = (value) => {
+	try {
+		return JSON.parse(value || "{}");
+	} catch {
+		return {};
+	}
+};
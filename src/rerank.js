@@ -0,0 +1,100 @@
+/**
+ * Cross-encoder reranking
+ *
+ * Cosine similarity between separately embedded query and passage is a rough
+ * relevance signal. With rerank=true, retrieval keeps more candidates and a
+ * reranker model scores each (query, passage) pair together; a note takes the
+ * score of its best passage and only the topN notes are kept.
+ *
+ * RERANK_MODEL selects the Workers AI reranker.
+ */
+
+export const DEFAULT_RERANK_MODEL = "@cf/baai/bge-reranker-base";
+export const MAX_TOP_N = 20;
+
+const BOOLEAN_VALUES = ["true", "false"];
+const MAX_PASSAGE_LENGTH = 2000; // Characters per passage; the reranker reads 512 tokens
+
+/**
+ * Validate the rerank and topN query parameters
+ * @param {object} params - Raw query parameters
+ * @param {string} [params.rerank] - "true" to rerank
+ * @param {string} [params.topN] - Number of results to keep, 1 to MAX_TOP_N
+ * @returns {{value?: {rerank: boolean, topN: number|null}, error?: string}} - Parsed options with topN null when not given, or an error
+ */
+export function validateRerankOptions({ rerank, topN }) {
+	if (rerank !== undefined && !BOOLEAN_VALUES.includes(rerank)) {
+		return { error: "rerank must be true or false" };
+	}
+
+	const limit = topN === undefined ? null : Number(topN);
+	if (topN !== undefined && (!/^\d+$/.test(topN) || limit < 1 || limit > MAX_TOP_N)) {
+		return { error: `topN must be an integer between 1 and ${MAX_TOP_N}` };
+	}
+
+	return { value: { rerank: rerank === "true", topN: limit } };
+}
+
+/**
+ * Reranker model name
+ * @param {object} env - Environment bindings
+ * @returns {string} - RERANK_MODEL, or the default reranker
+ */
+export const resolveRerankModel = (env) => env.RERANK_MODEL || DEFAULT_RERANK_MODEL;
+
+/**
+ * Rescore matches with the reranker and keep the best
+ * @param {object} env - Environment bindings
+ * @param {string} query - Query the passages are scored against
+ * @param {Array} matches - Results from fetchNotesForResults, with passages
+ * @param {object} [options] - Options
+ * @param {number} [options.topN] - Number of matches to keep, all when omitted
+ * @returns {Promise<Array>} - Matches ordered by rerankScore, with vectorScore and per-passage rerankScore
+ */
+export async function rerankMatches(env, query, matches, { topN } = {}) {
+	if (matches.length === 0) return [];
+
+	// One context per passage, remembering which match it belongs to
+	const owners = [];
+	const contexts = [];
+	matches.forEach((match, matchIndex) => {
+		match.passages.forEach((passage, passageIndex) => {
+			owners.push([matchIndex, passageIndex]);
+			contexts.push({ text: passage.text.slice(0, MAX_PASSAGE_LENGTH) });
+		});
+	});
+
+	const { response } = await env.AI.run(resolveRerankModel(env), { query, contexts, top_k: contexts.length });
+
+	const scores = matches.map(match => match.passages.map(() => null));
+	for (const { id, score } of response || []) {
+		if (!owners[id]) continue;
+		const [matchIndex, passageIndex] = owners[id];
+		scores[matchIndex][passageIndex] = score;
+	}
+
+	const reranked = matches
+		.map((match, matchIndex) => {
+			const passageScores = scores[matchIndex];
+			const scored = passageScores.filter(score => score !== null);
+			return {
+				...match,
+				vectorScore: vectorScore(match),
+				rerankScore: scored.length > 0 ? Math.max(...scored) : null,
+				passages: match.passages.map((passage, passageIndex) => ({ ...passage, rerankScore: passageScores[passageIndex] }))
+			};
+		})
+		.sort((a, b) => (b.rerankScore ?? -Infinity) - (a.rerankScore ?? -Infinity));
+
+	return topN ? reranked.slice(0, topN) : reranked;
+}
+
+/**
+ * Cosine score of a result, when vector search found it
+ * @param {object} result - Result from a retrieval agent
+ * @returns {number|null} - Vector score; the vector side of a hybrid result; null for keyword hits
+ */
+export const vectorScore = (result) => {
+	if (result.source === "vector") return result.score;
+	return result.sources?.vector?.score ?? null;
+};
@@ -0,0 +1,110 @@
+/**
+ * Server-Sent Events helpers for streaming model output
+ *
+ * Workers AI returns an SSE byte stream when called with `stream: true`.
+ * These helpers decode that stream and re-emit it as named events.
+ */
+
+import { streamSSE } from "hono/streaming";
+
+/**
+ * Check whether the client asked for a streamed response
+ * @param {object} c - Hono context
+ * @returns {boolean} - True for ?stream=true or Accept: text/event-stream
+ */
+export const wantsEventStream = (c) =>
+	c.req.query("stream") === "true" || (c.req.header("accept") || "").includes("text/event-stream");
+
+/**
+ * Decode a Workers AI event stream into parsed payloads
+ * @param {ReadableStream} stream - Stream returned by AI.run with stream: true
+ * @returns {AsyncGenerator<object>} - Payloads such as { response } and { usage }
+ */
+export async function* readAIStream(stream) {
+	const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+	let buffer = "";
+
+	while (true) {
+		const { value, done } = await reader.read();
+		if (!done) buffer += value;
+
+		const events = buffer.split("\n\n");
+		// Keep the trailing partial event for the next chunk; at the end, parse it too
+		buffer = done ? "" : events.pop();
+
+		for (const event of events) {
+			for (const line of event.split("\n")) {
+				if (!line.startsWith("data:")) continue;
+
+				const data = line.slice(5).trim();
+				if (data === "[DONE]") return;
+				if (data) yield JSON.parse(data);
+			}
+		}
+
+		if (done) return;
+	}
+}
+
+/**
+ * Stream a model answer as SSE events
+ *
+ * Emits `context` first, a `token` event per generated fragment, then `done`
+ * with the model and timings. Failures after the stream has opened are sent
+ * as an `error` event instead of dropping the connection.
+ * @param {object} c - Hono context
+ * @param {object} options - Stream options
+ * @param {string} options.modelName - Model to run
+ * @param {object} [options.params] - Generation parameters from modelParams
+ * @param {Array} options.messages - Chat messages
+ * @param {object} options.context - Payload for the initial context event
+ * @param {Function} [options.finalize] - Maps the full answer to extra fields for the done event
+ * @param {number} options.startTime - Request start, for timings
+ * @returns {Response} - Streaming response
+ */
+export const streamAnswer = (c, { modelName, params = {}, messages, context, finalize, startTime }) => {
+	c.header("x-model-used", modelName);
+
+	return streamSSE(c, async (stream) => {
+		const send = (event, data) => stream.writeSSE({ event, data: JSON.stringify(data) });
+
+		try {
+			await send("context", context);
+
+			const generationStart = Date.now();
+			const aiStream = await c.env.AI.run(modelName, { messages, ...params, stream: true });
+
+			let firstTokenMs = null;
+			let answer = "";
+			let usage;
+			for await (const payload of readAIStream(aiStream)) {
+				if (payload.usage) usage = payload.usage;
+				if (!payload.response) continue;
+
+				firstTokenMs ??= Date.now() - generationStart;
+				answer += payload.response;
+				await send("token", { token: payload.response });
+			}
+
+			await send("done", {
+				modelUsed: modelName,
+				...(finalize ? finalize(answer) : {}),
+				usage,
+				timings: {
+					retrievalMs: generationStart - startTime,
+					firstTokenMs,
+					generationMs: Date.now() - generationStart,
+					totalMs: Date.now() - startTime
+				},
+				timestamp: new Date().toISOString()
+			});
+		} catch (error) {
+			console.error("Streaming error:", error);
+			await send("error", {
+				error: "Failed to generate streamed answer",
+				details: c.env.DEBUG ? error.message : undefined,
+				timestamp: new Date().toISOString()
+			});
+		}
+	});
+};
@@ -0,0 +1,273 @@
+/**
+ * Request tracing and the query log
+ *
+ * Every request gets a trace on the Hono context that sums the time spent per
+ * stage (query embedding, Vectorize query, D1 reads, reranking and LLM
+ * generation) and the tokens the model read and wrote. The stages and the
+ * request total go out as a Server-Timing header; GET / and /search also return
+ * them as metadata.timings with ?timings=true. Stages that run in parallel,
+ * such as the searches of an expanded query, add up, so their sum can exceed
+ * the total. A streamed answer's header is sent before generation starts.
+ *
+ * Answered and searched queries are written to query_log with the retrieved
+ * note ids, model and latency. Writing an entry deletes those older than
+ * QUERY_LOG_RETENTION_DAYS; 0 turns the log off.
+ */
+
+export const TRACE_STAGES = ["embedding", "vectorize", "d1", "rerank", "llm"];
+export const DEFAULT_QUERY_LOG_RETENTION_DAYS = 30;
+export const DEFAULT_STATS_WINDOW_HOURS = 24;
+export const MAX_STATS_WINDOW_HOURS = 24 * 30;
+
+const BOOLEAN_VALUES = ["true", "false"];
+const MAX_STATS_SAMPLE = 5000; // Most recent entries the percentiles are computed over
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Stage timings and token counts of one request
+ */
+export class RequestTrace {
+	constructor() {
+		this.startTime = Date.now();
+		this.stages = {};
+		this.tokens = null;
+	}
+
+	/**
+	 * Add time spent in a stage
+	 * @param {string} stage - One of TRACE_STAGES
+	 * @param {number} ms - Milliseconds
+	 */
+	add(stage, ms) {
+		this.stages[stage] = (this.stages[stage] ?? 0) + ms;
+	}
+
+	/**
+	 * Run a function and add its duration to a stage, whether it resolves or throws
+	 * @param {string} stage - One of TRACE_STAGES
+	 * @param {Function} fn - Function to run
+	 * @returns {Promise<any>} - Result of the function
+	 */
+	async time(stage, fn) {
+		const start = Date.now();
+		try {
+			return await fn();
+		} finally {
+			this.add(stage, Date.now() - start);
+		}
+	}
+
+	/**
+	 * Add the token usage of a model call
+	 * @param {{prompt_tokens: number, completion_tokens: number}} usage - Usage from completionUsage
+	 */
+	addTokens({ prompt_tokens: prompt, completion_tokens: completion }) {
+		this.tokens = {
+			prompt: (this.tokens?.prompt ?? 0) + prompt,
+			completion: (this.tokens?.completion ?? 0) + completion
+		};
+	}
+
+	/**
+	 * Milliseconds since the request started
+	 * @returns {number} - Elapsed time
+	 */
+	elapsed() {
+		return Date.now() - this.startTime;
+	}
+
+	/**
+	 * Timings for response metadata
+	 * @returns {{totalMs: number, stages: object, tokens: object|null}} - Total, per-stage milliseconds and token counts
+	 */
+	summary() {
+		return { totalMs: this.elapsed(), stages: { ...this.stages }, tokens: this.tokens };
+	}
+
+	/**
+	 * Server-Timing header value
+	 * @returns {string} - One metric per recorded stage, then the total
+	 */
+	serverTiming() {
+		return [
+			...TRACE_STAGES.filter(stage => stage in this.stages).map(stage => `${stage};dur=${this.stages[stage]}`),
+			`total;dur=${this.elapsed()}`
+		].join(", ");
+	}
+}
+
+/**
+ * Middleware that traces the request and sets its Server-Timing header
+ * @param {object} c - Hono context
+ * @param {Function} next - Next handler
+ * @returns {Promise<void>}
+ */
+export async function traceRequest(c, next) {
+	const trace = new RequestTrace();
+	c.set("trace", trace);
+	await next();
+	c.res.headers.set("Server-Timing", trace.serverTiming());
+}
+
+/**
+ * Run a function as a stage of an optional trace
+ * @param {RequestTrace} [trace] - Trace of the request, if any
+ * @param {string} stage - One of TRACE_STAGES
+ * @param {Function} fn - Function to run
+ * @returns {Promise<any>} - Result of the function
+ */
+export const timed = (trace, stage, fn) => (trace ? trace.time(stage, fn) : fn());
+
+/**
+ * Validate the timings query parameter
+ * @param {string} [timings] - "true" to return metadata.timings
+ * @returns {{value?: boolean, error?: string}} - Whether to return timings, or an error
+ */
+export function validateTimings(timings) {
+	if (timings !== undefined && !BOOLEAN_VALUES.includes(timings)) {
+		return { error: "timings must be true or false" };
+	}
+	return { value: timings === "true" };
+}
+
+/**
+ * Query log retention from the environment
+ * @param {object} env - Environment bindings
+ * @returns {number} - QUERY_LOG_RETENTION_DAYS, 0 when the log is off, or the default
+ */
+export function resolveQueryLogRetention(env) {
+	const days = Number.parseInt(env.QUERY_LOG_RETENTION_DAYS, 10);
+	return Number.isInteger(days) && days >= 0 ? days : DEFAULT_QUERY_LOG_RETENTION_DAYS;
+}
+
+/**
+ * Write a query to the log, deleting entries past the retention period
+ * @param {object} env - Environment bindings
+ * @param {object} entry - Query to log
+ * @param {string} [entry.queryId] - Id of the answer, for GET /
+ * @param {string} entry.collection - Collection of the query
+ * @param {string} entry.route - "query", "search", "chat" or "chat.completions"
+ * @param {string} entry.query - Query text
+ * @param {string} entry.retrieval - Retrieval mode
+ * @param {string} [entry.model] - Model that generated the answer
+ * @param {Array<string|number>} entry.retrievedIds - Note ids used, best first
+ * @param {boolean} [entry.cacheHit] - Whether the answer came from the answer cache
+ * @param {RequestTrace} entry.trace - Trace of the request
+ * @returns {Promise<void>}
+ */
+export async function logQuery(env, { queryId = null, collection, route, query, retrieval, model = null, retrievedIds, cacheHit = false, trace }) {
+	const retentionDays = resolveQueryLogRetention(env);
+	if (retentionDays === 0) return;
+
+	const now = Date.now();
+	await env.DB.batch([
+		env.DB.prepare("DELETE FROM query_log WHERE created_at < ?").bind(now - retentionDays * DAY_MS),
+		env.DB.prepare(
+			`INSERT INTO query_log (query_id, collection, route, query, retrieval, model, retrieved_ids, cache_hit,
+				latency_ms, stages, prompt_tokens, completion_tokens, created_at)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+		).bind(
+			queryId,
+			collection,
+			route,
+			query,
+			retrieval,
+			model,
+			JSON.stringify(retrievedIds.map(String)),
+			cacheHit ? 1 : 0,
+			trace.elapsed(),
+			JSON.stringify(trace.stages),
+			trace.tokens?.prompt ?? null,
+			trace.tokens?.completion ?? null,
+			now
+		)
+	]);
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {Array<number>} values - Values sorted ascending
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number|null} - Smallest value with at least p% of values at or below it, or null without values
+ */
+export const percentile = (values, p) =>
+	values.length === 0 ? null : values[Math.max(0, Math.ceil((p / 100) * values.length) - 1)];
+
+/**
+ * Latency statistics of a collection's logged queries
+ * @param {object} db - D1 binding
+ * @param {string} collection - Collection
+ * @param {object} options - Options
+ * @param {number} options.hours - Window in hours, ending now
+ * @param {number} options.limit - Number of slow queries to list
+ * @returns {Promise<object>} - Counts, token totals, p50/p95 latency overall, per route and per stage, and the slowest queries
+ */
+export async function getQueryStats(db, collection, { hours, limit }) {
+	const since = Date.now() - hours * 60 * 60 * 1000;
+	const [totals, sample, slow] = await db.batch([
+		db.prepare(
+			`SELECT COUNT(*) AS count, AVG(latency_ms) AS mean, MAX(latency_ms) AS max, SUM(cache_hit) AS cache_hits,
+				SUM(prompt_tokens) AS prompt_tokens, SUM(completion_tokens) AS completion_tokens
+			FROM query_log WHERE collection = ? AND created_at >= ?`
+		).bind(collection, since),
+		db.prepare(
+			`SELECT route, latency_ms, stages FROM query_log WHERE collection = ? AND created_at >= ?
+			ORDER BY created_at DESC LIMIT ?`
+		).bind(collection, since, MAX_STATS_SAMPLE),
+		db.prepare(
+			`SELECT * FROM query_log WHERE collection = ? AND created_at >= ?
+			ORDER BY latency_ms DESC, id DESC LIMIT ?`
+		).bind(collection, since, limit)
+	]);
+
+	const { count, mean, max, cache_hits: cacheHits, prompt_tokens: promptTokens, completion_tokens: completionTokens } = totals.results[0];
+	const rows = sample.results.map(row => ({ route: row.route, latencyMs: row.latency_ms, stages: JSON.parse(row.stages) }));
+
+	const byRoute = {};
+	for (const route of new Set(rows.map(row => row.route))) {
+		const latencies = rows.filter(row => row.route === route).map(row => row.latencyMs);
+		byRoute[route] = { count: latencies.length, ...latencyPercentiles(latencies) };
+	}
+
+	const stages = {};
+	for (const stage of TRACE_STAGES) {
+		const durations = rows.filter(row => stage in row.stages).map(row => row.stages[stage]);
+		if (durations.length > 0) stages[stage] = { count: durations.length, ...latencyPercentiles(durations) };
+	}
+
+	return {
+		window: { hours, since: new Date(since).toISOString() },
+		count,
+		cacheHits: cacheHits ?? 0,
+		sampled: count > rows.length,
+		tokens: { prompt: promptTokens ?? 0, completion: completionTokens ?? 0 },
+		latency: {
+			...latencyPercentiles(rows.map(row => row.latencyMs)),
+			mean: mean === null ? null : Math.round(mean),
+			max
+		},
+		routes: byRoute,
+		stages,
+		slowQueries: slow.results.map(formatLogEntry)
+	};
+}
+
+const latencyPercentiles = (values) => {
+	const sorted = [...values].sort((a, b) => a - b);
+	return { p50: percentile(sorted, 50), p95: percentile(sorted, 95) };
+};
+
+const formatLogEntry = (row) => ({
+	id: row.id,
+	queryId: row.query_id,
+	route: row.route,
+	query: row.query,
+	retrieval: row.retrieval,
+	model: row.model,
+	retrievedIds: JSON.parse(row.retrieved_ids),
+	cacheHit: row.cache_hit === 1,
+	latencyMs: row.latency_ms,
+	stages: JSON.parse(row.stages),
+	tokens: row.prompt_tokens === null ? null : { prompt: row.prompt_tokens, completion: row.completion_tokens },
+	createdAt: new Date(row.created_at).toISOString()
+});
@@ -1,37 +1,135 @@
 import { WorkflowEntrypoint } from "cloudflare:workers";
+import { getBackends } from "./backends";
+import { buildChunkVector, chunkText, chunkVectorId, resolveChunkOptionsForEnv } from "./chunking";
+import { DEFAULT_COLLECTION } from "./collections";
+import {
+	contentHash,
+	DEFAULT_DEDUPE_MODE,
+	DUPLICATE_SAMPLE_CHUNKS,
+	findNearDuplicate,
+	mergeMetadata,
+	resolveDuplicateThreshold
+} from "./dedupe";
+import { invalidateAnswerCache } from "./cache";
+import { JOB_COMPLETE_STEP, recordJobProgress } from "./jobs";
+import { toVectorMetadata } from "./metadata";
+
+// Chunks embedded per AI call; keeps each step result well under the workflow state limit
+const EMBEDDING_BATCH_SIZE = 20;
 
 /**
  * RAG Workflow for processing and indexing text documents
  * 
  * This workflow:
- * 1. Stores text in D1 database
- * 2. Generates embeddings using AI
- * 3. Stores vectors in Vectorize for semantic search
+ * 0. For new notes, checks for exact and near-duplicates in the collection and
+ *    skips, merges or flags the note according to its dedupe mode
+ * 1. Stores text in the note store (or updates an existing note when noteId is given);
+ *    a section of an uploaded document is linked to its documentId
+ * 2. Splits the text into overlapping chunks stored alongside the note
+ * 3. Generates one embedding per chunk with the embedder
+ * 4. Stores chunk vectors in the vector store, in the note's collection namespace
+ * 5. On update, removes vectors of chunks the new text no longer has
+ * 6. Clears the collection's cached answers
+ *
+ * The backends come from getBackends, so the same steps run against Workers AI
+ * and Vectorize in production and the in-memory backends locally.
+ *
+ * Each step is recorded in the ingestion_jobs table so clients can see how far a run got.
  */
 export class RAGWorkflow extends WorkflowEntrypoint {
 	async run(event, step) {
 		const env = this.env;
-		const { text, metadata = {} } = event.payload;
+		const { chunking = {}, collection = DEFAULT_COLLECTION, dedupe = DEFAULT_DEDUPE_MODE, documentId = null } = event.payload;
+		let { noteId, text, metadata = {} } = event.payload;
 
 		// Validate input
 		if (!text || typeof text !== "string") {
 			throw new Error("Invalid text provided to workflow");
 		}
 
-		// Step 1: Create database record
-		const record = await step.do("create database record", async () => {
+		const { embedder, vectors, notes } = getBackends(env);
+		const workflowId = event.instanceId;
+		let recordId = noteId ?? null;
+
+		// Run a step and record it as the run's current step, along with its error if it fails
+		const trackedStep = (name, callback) => step.do(name, async () => {
+			await recordJobProgress(env.DB, workflowId, { step: name, collection, noteId: recordId });
+			try {
+				return await callback();
+			} catch (error) {
+				await recordJobProgress(env.DB, workflowId, { step: name, collection, noteId: recordId, error: error.message });
+				throw error;
+			}
+		});
+
+		// Per-note options override the worker-wide defaults
+		const chunkOptions = resolveChunkOptionsForEnv(env, chunking);
+
+		// Step 0: Look for a note this one duplicates
+		const duplicate = noteId !== undefined ? null : await trackedStep("check duplicates", async () => {
+			const hash = await contentHash(text);
+			const [exact] = (await notes.findIdsByHash([hash], collection)).values();
+			if (exact !== undefined) {
+				return { noteId: exact, similarity: 1, exact: true };
+			}
+
+			const sample = chunkText(text, chunkOptions).slice(0, DUPLICATE_SAMPLE_CHUNKS);
+			const embeddings = await embedder.embed(sample.map(chunk => chunk.text));
+			const near = await findNearDuplicate(vectors, embeddings, { collection, threshold: resolveDuplicateThreshold(env) });
+			return near && { ...near, exact: false };
+		});
+
+		if (duplicate && (duplicate.exact || dedupe === "skip")) {
+			await step.do("mark complete", () =>
+				recordJobProgress(env.DB, workflowId, { step: JOB_COMPLETE_STEP, collection, noteId: duplicate.noteId })
+			);
+			return {
+				success: true,
+				operation: "skip",
+				recordId: duplicate.noteId,
+				duplicateOf: duplicate,
+				collection,
+				timestamp: new Date().toISOString()
+			};
+		}
+
+		if (duplicate && dedupe === "merge") {
+			// Carry on as an update of the existing note, with both notes' metadata
+			const merged = await trackedStep("merge duplicate", async () => {
+				const existing = await notes.getNote(duplicate.noteId, collection);
+				if (!existing) {
+					throw new Error(`Note ${duplicate.noteId} not found in collection ${collection}`);
+				}
+				return {
+					id: existing.id,
+					text: existing.text,
+					metadata: mergeMetadata(JSON.parse(existing.metadata || "{}"), metadata)
+				};
+			});
+			({ id: noteId, text, metadata } = merged);
+			recordId = noteId;
+		}
+
+		// Chunk indices indexed before an update, so stale vectors can be removed afterwards
+		const previousChunks = noteId === undefined
+			? []
+			: await trackedStep("collect previous chunks", () => notes.getChunkIndices(noteId));
+
+		// Step 1: Create or update database record
+		const record = await trackedStep(noteId === undefined ? "create database record" : "update database record", async () => {
 			try {
-				const query = "INSERT INTO notes (text, metadata) VALUES (?, ?) RETURNING *";
-				const { results } = await env.DB.prepare(query)
-					.bind(text, JSON.stringify(metadata))
-					.run();
+				const hash = await contentHash(text);
+				const record = noteId === undefined
+					? await notes.createNote({ text, metadata, collection, contentHash: hash, duplicateOf: duplicate?.noteId, documentId })
+					: await notes.updateNote(noteId, { text, metadata, collection, contentHash: hash });
 
-				const record = results[0];
 				if (!record) {
-					throw new Error("Failed to create database record");
+					throw new Error(noteId !== undefined
+						? `Note ${noteId} not found in collection ${collection}`
+						: documentId !== null ? `Document ${documentId} was deleted` : "Failed to create database record");
 				}
 
-				console.log(`Created database record with ID: ${record.id}`);
+				console.log(`${noteId === undefined ? "Created" : "Updated"} database record with ID: ${record.id}`);
 				return record;
 			} catch (error) {
 				console.error("Database error:", error);
@@ -39,54 +137,97 @@ export class RAGWorkflow extends WorkflowEntrypoint {
 			}
 		});
 
-		// Step 2: Generate embedding
-		const embedding = await step.do("generate embedding", async () => {
+		recordId = record.id;
+
+		// Step 2: Split text into chunks and store them
+		const chunks = await trackedStep("chunk text", async () => {
 			try {
-				const embeddings = await env.AI.run("@cf/baai/bge-base-en-v1.5", {
-					text: text
-				});
+				const chunks = chunkText(text, chunkOptions);
 
-				if (!embeddings || !embeddings.data || !embeddings.data[0]) {
-					throw new Error("Invalid embedding response from AI");
-				}
+				// Replacing clears chunks from a previous attempt, so retries stay idempotent
+				await notes.replaceChunks(record.id, chunks);
 
-				const values = embeddings.data[0];
-				console.log(`Generated embedding with ${values.length} dimensions`);
-				return values;
+				console.log(`Stored ${chunks.length} chunks for record ID: ${record.id}`);
+				return chunks;
 			} catch (error) {
-				console.error("Embedding error:", error);
-				throw new Error(`Embedding generation failed: ${error.message}`);
+				console.error("Chunking error:", error);
+				throw new Error(`Chunking failed: ${error.message}`);
 			}
 		});
 
-		// Step 3: Insert vector into Vectorize
-		await step.do("insert vector", async () => {
-			try {
-				const vectorData = {
-					id: record.id.toString(),
-					values: embedding,
-					metadata: {
-						text: text.substring(0, 1000), // Store first 1000 chars in metadata
-						timestamp: new Date().toISOString(),
-						...metadata
-					}
-				};
+		const batchCount = Math.ceil(chunks.length / EMBEDDING_BATCH_SIZE);
+		for (let batchIndex = 0; batchIndex < batchCount; batchIndex++) {
+			const batch = chunks.slice(batchIndex * EMBEDDING_BATCH_SIZE, (batchIndex + 1) * EMBEDDING_BATCH_SIZE);
+			const label = batchCount > 1 ? ` (batch ${batchIndex + 1}/${batchCount})` : "";
 
-				await env.VECTORIZE.upsert([vectorData]);
-				console.log(`Inserted vector for record ID: ${record.id}`);
-			} catch (error) {
-				console.error("Vectorize error:", error);
-				throw new Error(`Vector insertion failed: ${error.message}`);
-			}
-		});
+			// Step 3: Generate embeddings for the batch
+			const embeddings = await trackedStep(`generate embedding${label}`, async () => {
+				try {
+					const embeddings = await embedder.embed(batch.map(chunk => chunk.text));
+
+					console.log(`Generated ${embeddings.length} embeddings with ${embeddings[0].length} dimensions`);
+					return embeddings;
+				} catch (error) {
+					console.error("Embedding error:", error);
+					throw new Error(`Embedding generation failed: ${error.message}`);
+				}
+			});
+
+			// Step 4: Insert chunk vectors into Vectorize
+			await trackedStep(`insert vector${label}`, async () => {
+				try {
+					const timestamp = new Date().toISOString();
+					const vectorMetadata = toVectorMetadata(metadata, record.created_at);
+					const records = batch.map((chunk, idx) =>
+						buildChunkVector(record.id, chunk, embeddings[idx], vectorMetadata, timestamp, record.collection)
+					);
+
+					await vectors.upsert(records);
+					console.log(`Inserted ${records.length} vectors for record ID: ${record.id}`);
+				} catch (error) {
+					console.error("Vectorize error:", error);
+					throw new Error(`Vector insertion failed: ${error.message}`);
+				}
+			});
+		}
+
+		// Step 5: Remove vectors for chunks that no longer exist, and the pre-chunking note vector
+		const staleIds = [
+			record.id.toString(),
+			...previousChunks
+				.filter(chunkIndex => chunkIndex >= chunks.length)
+				.map(chunkIndex => chunkVectorId(record.id, chunkIndex))
+		];
+		if (noteId !== undefined) {
+			await trackedStep("delete stale vectors", async () => {
+				try {
+					await vectors.deleteByIds(staleIds);
+					console.log(`Deleted ${staleIds.length} stale vectors for record ID: ${record.id}`);
+				} catch (error) {
+					console.error("Vectorize error:", error);
+					throw new Error(`Stale vector deletion failed: ${error.message}`);
+				}
+			});
+		}
+
+		// Answers cached before this note changed may no longer match retrieval
+		await trackedStep("invalidate answer cache", () => invalidateAnswerCache(env.DB, record.collection));
+
+		await step.do("mark complete", () =>
+			recordJobProgress(env.DB, workflowId, { step: JOB_COMPLETE_STEP, collection, noteId: record.id })
+		);
 
 		// Return success with record details
 		return {
 			success: true,
+			operation: duplicate ? dedupe : noteId === undefined ? "create" : "update",
 			recordId: record.id,
+			...(duplicate ? { duplicateOf: duplicate } : {}),
+			collection: record.collection,
+			chunkCount: chunks.length,
 			text: text,
 			metadata: metadata,
 			timestamp: new Date().toISOString()
 		};
 	}
-}
\ No newline at end of file
+}
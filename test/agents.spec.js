@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { keywordAgent } from '../src/agents/keyword-agent';
+import { reciprocalRankFusion } from '../src/agents/hybrid-agent';
+
+describe('Retrieval Agents', () => {
+	describe('KeywordAgent', () => {
+		it('should quote terms so FTS5 syntax cannot be injected', () => {
+			expect(keywordAgent.buildMatchExpression('SKU-1234 AND "pizza" NEAR(x)')).toBe(
+				'"SKU-1234" OR "AND" OR "pizza" OR "NEAR" OR "x"'
+			);
+		});
+
+		it('should return an empty expression for queries without terms', () => {
+			expect(keywordAgent.buildMatchExpression('?! --')).toBe('');
+		});
+	});
+
+	describe('reciprocalRankFusion', () => {
+		it('should rank results found by both sources first', () => {
+			const fused = reciprocalRankFusion({
+				vector: [{ id: '1', score: 0.9 }, { id: '2', score: 0.8 }],
+				keyword: [{ id: '3', score: 12 }, { id: '2', score: 9 }],
+			});
+
+			expect(fused.map(result => result.id)).toEqual(['2', '1', '3']);
+			expect(fused[0].sources).toEqual({ vector: { rank: 2, score: 0.8 }, keyword: { rank: 2, score: 9 } });
+			expect(fused[0].score).toBeCloseTo(2 / 62);
+		});
+	});
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { canUseCollection, generateApiKey, hasScope, hashApiKey, validateKeyOptions } from '../src/auth';
+
+describe('API keys', () => {
+	it('should generate prefixed keys and hash them deterministically', async () => {
+		const key = generateApiKey();
+
+		expect(key).toMatch(/^rag_[0-9a-f]{64}$/);
+		expect(generateApiKey()).not.toBe(key);
+		expect(await hashApiKey(key)).toBe(await hashApiKey(key));
+		expect(await hashApiKey('abc')).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+	});
+
+	it('should treat admin as every scope', () => {
+		expect(hasScope({ scopes: ['read'] }, 'read')).toBe(true);
+		expect(hasScope({ scopes: ['read'] }, 'write')).toBe(false);
+		expect(hasScope({ scopes: ['admin'] }, 'write')).toBe(true);
+	});
+
+	it('should limit keys to their collections', () => {
+		expect(canUseCollection({ collections: null }, 'team-b')).toBe(true);
+		expect(canUseCollection({ collections: ['team-a'] }, 'team-a')).toBe(true);
+		expect(canUseCollection({ collections: ['team-a'] }, 'team-b')).toBe(false);
+	});
+
+	it('should validate key options', () => {
+		expect(validateKeyOptions({ name: ' ci ', scopes: ['read', 'read'], rateLimit: 10 })).toEqual({
+			value: { name: 'ci', scopes: ['read'], collections: null, rateLimit: 10, modelRateLimit: null }
+		});
+		expect(validateKeyOptions({ name: 'ci', scopes: ['read'], collections: ['team-a', 'team-a'] }).value.collections).toEqual(['team-a']);
+		expect(validateKeyOptions({ name: 'ci', scopes: ['read'], collections: [] }).error).toBe('Collections must be a non-empty array of collection names');
+		expect(validateKeyOptions({ name: 'ci', scopes: ['read'], collections: ['team a'] }).error).toBe('Collections must be a non-empty array of collection names');
+		expect(validateKeyOptions({ name: 'ci', scopes: ['admin'], collections: ['team-a'] }).error).toBe("Admin keys can't be limited to collections");
+		expect(validateKeyOptions({ scopes: ['read'] }).error).toBe('Key name must be 1-100 characters');
+		expect(validateKeyOptions({ name: 'ci', scopes: [] }).error).toMatch(/Scopes must be/);
+		expect(validateKeyOptions({ name: 'ci', scopes: ['read'], modelRateLimit: 0 }).error).toBe('modelRateLimit must be a positive integer');
+	});
+});
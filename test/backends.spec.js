@@ -0,0 +1,63 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { getBackends } from '../src/backends';
+import { HashEmbedder } from '../src/backends/hash-embedder';
+import { cosineSimilarity, MemoryVectorStore } from '../src/backends/memory-vector-store';
+
+describe('Backends', () => {
+	it('should embed texts deterministically as unit vectors', async () => {
+		const embedder = new HashEmbedder(64);
+		const [first, second] = await embedder.embed(['Durable objects', 'durable OBJECTS']);
+
+		expect(first).toHaveLength(64);
+		expect(first).toEqual(second);
+		expect(cosineSimilarity(first, first)).toBeCloseTo(1);
+		expect(embedder.embedText('')).toEqual(new Array(64).fill(0));
+	});
+
+	it('should score texts sharing words above unrelated texts', () => {
+		const embedder = new HashEmbedder();
+		const query = embedder.embedText('vector search in workers');
+
+		expect(cosineSimilarity(query, embedder.embedText('fast vector search')))
+			.toBeGreaterThan(cosineSimilarity(query, embedder.embedText('bananas are yellow')));
+	});
+
+	it('should query the memory store by namespace and metadata filter', async () => {
+		const store = new MemoryVectorStore();
+		await store.upsert([
+			{ id: 'a', values: [1, 0], namespace: 'team-a', metadata: { source: 'wiki', createdAt: 10 } },
+			{ id: 'b', values: [0.9, 0.1], namespace: 'team-a', metadata: { source: 'slack', createdAt: 20 } },
+			{ id: 'c', values: [1, 0], namespace: 'team-b', metadata: { source: 'wiki', createdAt: 30 } }
+		]);
+
+		const { matches } = await store.query([1, 0], { topK: 5, namespace: 'team-a', returnMetadata: 'all' });
+		expect(matches.map(match => match.id)).toEqual(['a', 'b']);
+		expect(matches[0].metadata.source).toBe('wiki');
+
+		const filtered = await store.query([1, 0], { namespace: 'team-a', filter: { createdAt: { $gte: 15 } } });
+		expect(filtered.matches.map(match => match.id)).toEqual(['b']);
+		expect(filtered.matches[0]).not.toHaveProperty('metadata');
+
+		await store.deleteByIds(['a', 'missing']);
+		expect(await store.getByIds(['a', 'c'])).toHaveLength(1);
+	});
+
+	it('should read notes for more ids than one D1 query can bind', async () => {
+		const { notes: store } = getBackends(env);
+		const [first, second] = await store.createNotes([
+			{ text: 'First bound note', metadata: { source: 'wiki' }, collection: 'many-ids', contentHash: 'many-ids-1' },
+			{ text: 'Second bound note', metadata: { source: 'wiki' }, collection: 'many-ids', contentHash: 'many-ids-2' }
+		]);
+		const ids = [String(first.id), ...Array.from({ length: 150 }, (_, i) => String(900000 + i)), String(second.id)];
+
+		const { notes, chunks } = await store.getNotesWithChunks(ids, { collection: 'many-ids', filters: { source: 'wiki' } });
+		expect(notes.map(note => note.text).sort()).toEqual(['First bound note', 'Second bound note']);
+		expect(chunks).toEqual([]);
+	});
+
+	it('should reject unknown backend names', () => {
+		expect(getBackends({ BACKEND: 'memory' }).vectors.name).toBe('memory');
+		expect(() => getBackends({ BACKEND: 'sqlite' })).toThrow(RangeError);
+	});
+});
@@ -0,0 +1,83 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import {
+	answerOptionsHash,
+	DEFAULT_ANSWER_CACHE_SIMILARITY,
+	findCachedAnswer,
+	getQueryEmbedding,
+	invalidateAnswerCache,
+	resolveCacheSettings,
+	storeAnswer
+} from '../src/cache';
+import { getBackends } from '../src/backends';
+
+// Embedder returning a fixed vector and counting its calls
+const countingEmbedder = (values = [1, 0, 0]) => ({
+	model: 'counting',
+	calls: 0,
+	async embed(texts) {
+		this.calls++;
+		return texts.map(() => values);
+	}
+});
+
+describe('Query caches', () => {
+	it('should read TTLs and similarity from the environment', () => {
+		expect(resolveCacheSettings({ ANSWER_CACHE_TTL_SECONDS: '0', ANSWER_CACHE_SIMILARITY: '0.9' })).toMatchObject({
+			answerTtl: 0,
+			similarity: 0.9
+		});
+		expect(resolveCacheSettings({ ANSWER_CACHE_SIMILARITY: '2', QUERY_EMBEDDING_CACHE_TTL_SECONDS: '-1' }).similarity)
+			.toBe(DEFAULT_ANSWER_CACHE_SIMILARITY);
+	});
+
+	it('should embed a query text once until bypassed', async () => {
+		const embedder = countingEmbedder();
+
+		expect(await getQueryEmbedding(env, embedder, 'What is RAG?')).toEqual({ embedding: [1, 0, 0], cached: false });
+		expect(await getQueryEmbedding(env, embedder, '  what is rag?')).toEqual({ embedding: [1, 0, 0], cached: true });
+		expect(embedder.calls).toBe(1);
+
+		expect((await getQueryEmbedding(env, embedder, 'What is RAG?', { bypass: true })).cached).toBe(false);
+		expect(embedder.calls).toBe(2);
+	});
+
+	it('should reuse answers for similar questions while their notes are unchanged', async () => {
+		const { notes } = getBackends(env);
+		const note = await notes.createNote({ text: 'RAG retrieves notes', metadata: {}, collection: 'cache-test', contentHash: 'cache-test-1' });
+		const optionsHash = await answerOptionsHash({ model: 'llama', retrieval: 'vector', filters: {} });
+		const lookup = { collection: 'cache-test', optionsHash };
+
+		await storeAnswer(env, {
+			...lookup,
+			question: 'What is RAG?',
+			embedding: [1, 0, 0],
+			answer: 'Retrieval-augmented generation [1]',
+			response: { context: [], citations: [] },
+			notes: [note]
+		});
+
+		const hit = await findCachedAnswer(env, notes, { ...lookup, embedding: [0.99, 0.1, 0] });
+		expect(hit).toMatchObject({ question: 'What is RAG?', answer: 'Retrieval-augmented generation [1]', hits: 1 });
+		expect(await findCachedAnswer(env, notes, { ...lookup, embedding: [0, 1, 0] })).toBeNull();
+		expect(await findCachedAnswer(env, notes, {
+			...lookup,
+			optionsHash: await answerOptionsHash({ model: 'llama-70b', retrieval: 'vector', filters: {} }),
+			embedding: [1, 0, 0]
+		})).toBeNull();
+
+		// An edited note makes the answer stale
+		await env.DB.prepare("UPDATE notes SET updated_at = '2099-01-01 00:00:00' WHERE id = ?").bind(note.id).run();
+		expect(await findCachedAnswer(env, notes, { ...lookup, embedding: [1, 0, 0] })).toBeNull();
+	});
+
+	it('should clear the answers of one collection', async () => {
+		const optionsHash = await answerOptionsHash({ model: 'llama', retrieval: 'vector', filters: {} });
+		const entry = { optionsHash, question: 'Q', embedding: [1, 0, 0], answer: 'A', response: {}, notes: [] };
+		await storeAnswer(env, { ...entry, collection: 'cache-a' });
+		await storeAnswer(env, { ...entry, collection: 'cache-b' });
+
+		expect(await invalidateAnswerCache(env.DB, 'cache-a')).toBe(1);
+		expect(await findCachedAnswer(env, getBackends(env).notes, { collection: 'cache-b', optionsHash, embedding: [1, 0, 0] })).not.toBeNull();
+	});
+});
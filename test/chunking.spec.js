@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { chunkText, chunkVectorId, groupMatchesByNote, parseVectorId, resolveChunkOptions } from '../src/chunking';
+
+describe('Chunking', () => {
+	const sentences = (count, prefix = 'Sentence') =>
+		Array.from({ length: count }, (_, i) => `${prefix} ${i} talks about topic number ${i}.`).join(' ');
+
+	describe('chunkText', () => {
+		it('should keep short notes as a single chunk', () => {
+			const chunks = chunkText('A short note.');
+			expect(chunks).toEqual([{ index: 0, text: 'A short note.', start: 0, end: 13 }]);
+		});
+
+		it('should return no chunks for blank text', () => {
+			expect(chunkText('   \n\n ')).toEqual([]);
+		});
+
+		it('should respect chunk size and map offsets back to the original text', () => {
+			const text = [sentences(10), sentences(10, 'Other'), sentences(30, 'Long')].join('\n\n');
+			const chunks = chunkText(text, { size: 300, overlap: 100 });
+
+			expect(chunks.length).toBeGreaterThan(1);
+			chunks.forEach((chunk, index) => {
+				expect(chunk.index).toBe(index);
+				expect(chunk.text.length).toBeLessThanOrEqual(300);
+				expect(text.slice(chunk.start, chunk.end)).toBe(chunk.text);
+			});
+		});
+
+		it('should overlap consecutive sentence chunks', () => {
+			const chunks = chunkText(sentences(20), { size: 200, overlap: 60, strategy: 'sentence' });
+
+			for (let i = 1; i < chunks.length; i++) {
+				expect(chunks[i].start).toBeLessThan(chunks[i - 1].end);
+			}
+		});
+
+		it('should split text without sentence boundaries into fixed windows', () => {
+			const chunks = chunkText('x'.repeat(450), { size: 200, overlap: 50 });
+			expect(chunks.map(chunk => [chunk.start, chunk.end])).toEqual([[0, 200], [150, 350], [300, 450]]);
+		});
+	});
+
+	describe('resolveChunkOptions', () => {
+		it('should apply defaults and clamp overlap', () => {
+			expect(resolveChunkOptions()).toEqual({ size: 1000, overlap: 200, strategy: 'paragraph' });
+			expect(resolveChunkOptions({ size: '400', overlap: '900' })).toEqual({ size: 400, overlap: 200, strategy: 'paragraph' });
+		});
+
+		it('should reject unknown strategies', () => {
+			expect(() => resolveChunkOptions({ strategy: 'word' })).toThrow(RangeError);
+		});
+	});
+
+	describe('vector ids', () => {
+		it('should round-trip chunk vector ids', () => {
+			expect(parseVectorId(chunkVectorId(42, 3))).toEqual({ noteId: '42', chunkIndex: 3 });
+			expect(parseVectorId('42')).toEqual({ noteId: '42', chunkIndex: null });
+		});
+
+		it('should group chunk matches by parent note', () => {
+			const groups = groupMatchesByNote(
+				[
+					{ id: '1:0', score: 0.9 },
+					{ id: '2:4', score: 0.8 },
+					{ id: '1:2', score: 0.7 },
+					{ id: '3:0', score: 0.4 }
+				],
+				0.5
+			);
+
+			expect(groups.map(group => group.noteId)).toEqual(['1', '2']);
+			expect(groups[0].score).toBe(0.9);
+			expect(groups[0].chunks.map(chunk => chunk.chunkIndex)).toEqual([0, 2]);
+		});
+	});
+});
@@ -0,0 +1,33 @@
+import { describe, it, expect } from 'vitest';
+import { buildSources, extractCitations, formatSourcesMessage } from '../src/citations';
+
+describe('Citations', () => {
+	const sources = buildSources([
+		{ id: '7', score: 0.91, passages: [{ text: 'Pepperoni is the best pizza topping.' }] },
+		{ id: '12', score: 0.64, passages: [{ text: 'Margherita uses tomato,' }, { text: 'mozzarella and basil.' }] },
+	]);
+
+	it('should number sources from 1 in the context message', () => {
+		expect(sources.map(source => source.index)).toEqual([1, 2]);
+		expect(formatSourcesMessage(sources)).toBe(
+			'Context:\n[1] Pepperoni is the best pizza topping.\n\n[2] Margherita uses tomato,\n...\nmozzarella and basil.'
+		);
+		expect(formatSourcesMessage([])).toBe('');
+	});
+
+	it('should map markers back to notes and flag unknown indices', () => {
+		const { citations, unmatched } = extractCitations('Pepperoni wins [1]. Basil is common [2, 1]. See also [5].', sources);
+
+		expect(citations.map(citation => [citation.index, citation.noteId, citation.valid])).toEqual([
+			[1, '7', true],
+			[2, '12', true],
+			[5, null, false],
+		]);
+		expect(citations[0]).toMatchObject({ score: 0.91, snippet: 'Pepperoni is the best pizza topping.' });
+		expect(unmatched).toEqual([5]);
+	});
+
+	it('should return no citations for answers without markers', () => {
+		expect(extractCitations('No sources needed.', sources)).toEqual({ citations: [], unmatched: [] });
+	});
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { isValidCollection } from '../src/collections';
+import { buildChunkVector } from '../src/chunking';
+import { buildSqlFilter } from '../src/metadata';
+
+describe('Collections', () => {
+	it('should accept names usable as Vectorize namespaces', () => {
+		expect(isValidCollection('default')).toBe(true);
+		expect(isValidCollection('team-a_2')).toBe(true);
+		expect(isValidCollection('')).toBe(false);
+		expect(isValidCollection('team a')).toBe(false);
+		expect(isValidCollection('x'.repeat(65))).toBe(false);
+		expect(isValidCollection(undefined)).toBe(false);
+	});
+
+	it('should write chunk vectors to the collection namespace', () => {
+		const chunk = { index: 0, text: 'Hello' };
+		expect(buildChunkVector(7, chunk, [0.1], {}, 't', 'team-a').namespace).toBe('team-a');
+		expect(buildChunkVector(7, chunk, [0.1], {}, 't')).not.toHaveProperty('namespace');
+	});
+
+	it('should scope SQL filters to the collection', () => {
+		expect(buildSqlFilter({ collection: 'team-a', source: 'wiki' })).toEqual({
+			clause: "notes.collection = ? AND json_extract(notes.metadata, '$.source') = ?",
+			bindings: ['team-a', 'wiki']
+		});
+	});
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { buildCommandRequest, buildCommands, commandRoute, formatCommand, toInputSchema } from '../src/commands';
+
+const command = (id) => buildCommands({}).find(candidate => candidate.id === id);
+
+describe('Command definitions', () => {
+	it('should describe routes for /commands and /help', () => {
+		expect(formatCommand(command('search')).endpoint).toBe('GET /search?q={q}');
+		expect(formatCommand(command('delete_note')).endpoint).toBe('DELETE /notes/{id}');
+		expect(commandRoute(command('delete_note'))).toBe('DELETE /notes/:id');
+		expect(command('query').parameters.find(param => param.name === 'model').options).toContain('gemma-3-12b');
+	});
+
+	it('should build MCP input schemas from the parameters', () => {
+		const schema = toInputSchema(command('query'));
+		expect(schema.required).toEqual(['text']);
+		expect(schema.properties.stream).toBeUndefined();
+		expect(schema.properties.retrieval.enum).toEqual(['vector', 'keyword', 'hybrid']);
+		expect(schema.properties.tag.anyOf[1]).toMatchObject({ type: 'array' });
+	});
+
+	it('should build the HTTP request a command runs as', async () => {
+		const options = { origin: 'https://rag.example', headers: { authorization: 'Bearer key' } };
+
+		const search = buildCommandRequest(command('search'), { q: 'edge', tag: ['a', 'b'] }, options).request;
+		expect(search.method).toBe('GET');
+		expect(search.url).toBe('https://rag.example/search?q=edge&tag=a&tag=b');
+		expect(search.headers.get('authorization')).toBe('Bearer key');
+
+		const create = buildCommandRequest(command('create_note'), { text: 'Note', metadata: { tags: ['x'] } }, options).request;
+		expect(await create.json()).toEqual({ text: 'Note', metadata: { tags: ['x'] } });
+
+		expect(buildCommandRequest(command('delete_note'), { id: '7' }, options).request.url).toBe('https://rag.example/notes/7');
+		expect(buildCommandRequest(command('search'), {}, options).error).toBe("Argument 'q' is required");
+		expect(buildCommandRequest(command('search'), { q: 1 }, options).error).toBe("Argument 'q' must be a string");
+		expect(buildCommandRequest(command('query'), { text: 'x', stream: true }, options).error).toBe("Unknown argument 'stream'");
+	});
+});
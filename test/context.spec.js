@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+import { buildContext, DEFAULT_CONTEXT_MAX_TOKENS, resolveContextBudget, resolveContextSettings, truncateText } from '../src/context';
+import { estimateTokens } from '../src/openai';
+
+const match = (id, score, ...texts) => ({
+	id,
+	score,
+	passages: texts.map((text, chunkIndex) => ({ chunkIndex, score, text })),
+});
+
+describe('Context Budget', () => {
+	it('should leave room for the prompt and the answer in the model window', () => {
+		const model = { contextWindow: 1000, maxOutputTokens: 300 };
+		const messages = [{ role: 'user', content: 'x'.repeat(400) }];
+
+		const { budget, contextWindow, reservedTokens } = resolveContextBudget({}, model, messages);
+		expect(contextWindow).toBe(1000);
+		expect(reservedTokens).toBeGreaterThan(400);
+		expect(budget).toBe(1000 - reservedTokens);
+		expect(resolveContextBudget({}, model, messages, 100).budget).toBe(budget + 200);
+		expect(resolveContextBudget({ CONTEXT_MAX_TOKENS: '250' }, model, messages).budget).toBe(250);
+		expect(resolveContextBudget({}, { contextWindow: 300, maxOutputTokens: 290 }, messages).budget).toBe(0);
+
+		expect(resolveContextSettings({ CONTEXT_MAX_TOKENS: 'lots', MMR_LAMBDA: '2' })).toEqual({ maxTokens: DEFAULT_CONTEXT_MAX_TOKENS, lambda: 0.7 });
+		expect(resolveContextSettings({ CONTEXT_MAX_TOKENS: '800', MMR_LAMBDA: '0.5' })).toEqual({ maxTokens: 800, lambda: 0.5 });
+	});
+
+	it('should prefer a diverse note over a near-copy of a picked one', () => {
+		const matches = [
+			match('1', 0.95, 'Deploys run from the main branch every Friday afternoon'),
+			match('2', 0.94, 'Deploys run from the main branch every Friday afternoon, usually'),
+			match('3', 0.7, 'Rollbacks use the previous release tag and page the on-call engineer'),
+		];
+
+		const { matches: picked, report } = buildContext(matches, { budget: 1000, maxNotes: 3 });
+		expect(picked.map(note => note.id)).toEqual(['1', '3']);
+		expect(report.included.map(entry => entry.noteId)).toEqual(['1', '3']);
+		expect(report.included[0]).toMatchObject({ rank: 1, relevance: 1, truncated: false, passages: 1 });
+		expect(report.dropped).toEqual([{ noteId: '2', reason: 'redundant', similarTo: '1', similarity: 0.9 }]);
+		expect(report.usedTokens).toBeLessThanOrEqual(report.budget);
+	});
+
+	it('should drop notes past the note limit', () => {
+		const matches = [
+			match('1', 0.9, 'Workers run at the edge close to users'),
+			match('2', 0.8, 'D1 stores notes in SQLite databases'),
+			match('3', 0.7, 'Vectorize indexes embeddings for similarity search'),
+		];
+
+		const { report } = buildContext(matches, { budget: 1000, maxNotes: 2 });
+		expect(report.included.map(entry => entry.noteId)).toEqual(['1', '2']);
+		expect(report.dropped).toEqual([{ noteId: '3', reason: 'limit' }]);
+	});
+
+	it('should keep the best passages and truncate to fit the budget', () => {
+		const sentence = 'Workers scale automatically across the network. ';
+		const long = match('1', 0.9, sentence.repeat(20), 'Pricing is per request and CPU time.', sentence.repeat(20));
+		long.passages[1].score = 0.99;
+
+		const { matches: [picked], report } = buildContext([long], { budget: 120, maxNotes: 5 });
+		expect(picked.passages.map(passage => passage.chunkIndex)).toEqual([0, 1]);
+		expect(picked.passages[1].text).toBe('Pricing is per request and CPU time.');
+		expect(picked.passages[0].truncated).toBe(true);
+		expect(picked.passages[0].text).toMatch(/network\.…$/);
+		expect(report.included[0]).toMatchObject({ noteId: '1', passages: 2, truncated: true });
+		expect(report.usedTokens).toBeLessThanOrEqual(120);
+
+		const { matches: none, report: tight } = buildContext([long], { budget: 20, maxNotes: 5 });
+		expect(none).toEqual([]);
+		expect(tight.dropped).toEqual([{ noteId: '1', reason: 'budget' }]);
+	});
+
+	it('should cut text at a sentence or word boundary', () => {
+		const text = 'First sentence here. Second sentence is rather longer than the first one.';
+		expect(truncateText(text, 100)).toBe(text);
+		expect(truncateText(text, 8)).toBe('First sentence here.…');
+		expect(estimateTokens(truncateText(text, 8))).toBeLessThanOrEqual(8);
+		expect(truncateText('alpha beta gamma delta epsilon zeta', 5)).toBe('alpha beta gamma…');
+	});
+});
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import {
+	collapseDuplicateMatches,
+	contentHash,
+	findNearDuplicate,
+	findNearDuplicateClusters,
+	mergeMetadata,
+	normalizeText
+} from '../src/dedupe';
+import { MemoryVectorStore } from '../src/backends/memory-vector-store';
+
+describe('Duplicate detection', () => {
+	it('should hash text after folding case and whitespace', async () => {
+		expect(normalizeText('  Hello\n\tWORLD ')).toBe('hello world');
+		expect(await contentHash('Hello   world')).toBe(await contentHash('hello world\n'));
+		expect(await contentHash('Hello world')).not.toBe(await contentHash('Hello world!'));
+	});
+
+	it('should merge metadata with combined tags and new values winning', () => {
+		expect(mergeMetadata({ tags: ['ml'], source: 'wiki', author: 'a' }, { tags: ['ai', 'ml'], source: 'docs' })).toEqual({
+			tags: ['ml', 'ai'],
+			source: 'docs',
+			author: 'a'
+		});
+		expect(() => mergeMetadata({ tags: Array.from({ length: 15 }, (_, i) => `a${i}`) }, { tags: Array.from({ length: 15 }, (_, i) => `b${i}`) }))
+			.toThrow('Merged metadata is invalid');
+	});
+
+	it('should find the most similar note above the threshold', async () => {
+		const vectors = new MemoryVectorStore();
+		await vectors.upsert([
+			{ id: '1:0', values: [1, 0, 0], namespace: 'team' },
+			{ id: '2:0', values: [0.6, 0.8, 0], namespace: 'team' },
+			{ id: '3:0', values: [1, 0, 0], namespace: 'other' }
+		]);
+
+		expect(await findNearDuplicate(vectors, [[1, 0, 0]], { collection: 'team', threshold: 0.9 }))
+			.toEqual({ noteId: 1, similarity: 1 });
+		expect(await findNearDuplicate(vectors, [[1, 0, 0]], { collection: 'team', threshold: 0.9, excludeNoteId: 1 })).toBeNull();
+	});
+
+	it('should cluster notes linked by near-duplicate pairs', async () => {
+		const vectors = new MemoryVectorStore();
+		await vectors.upsert([
+			{ id: '1:0', values: [1, 0, 0], namespace: 'team' },
+			{ id: '2:0', values: [0.99, 0.14, 0], namespace: 'team' },
+			{ id: '3:0', values: [0, 0, 1], namespace: 'team' }
+		]);
+
+		const clusters = await findNearDuplicateClusters(vectors, [1, 2, 3], { collection: 'team', threshold: 0.95 });
+		expect(clusters).toHaveLength(1);
+		expect(clusters[0].noteIds).toEqual([1, 2]);
+	});
+
+	it('should keep one retrieval match per note text', () => {
+		const matches = [
+			{ id: '1', note: { text: 'Same passage' } },
+			{ id: '2', note: { text: 'same   PASSAGE' } },
+			{ id: '3', note: { text: 'Other passage' } }
+		];
+		expect(collapseDuplicateMatches(matches).map(match => match.id)).toEqual(['1', '3']);
+	});
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'vitest';
+import { detectFormat, MAX_DOCUMENT_SECTIONS, parseDocument, sectionMetadata, sectionTitle } from '../src/documents';
+
+describe('Documents', () => {
+	it('should detect the format from the format, extension or content type', () => {
+		expect(detectFormat({ format: 'html', filename: 'guide.md' })).toBe('html');
+		expect(detectFormat({ format: 'pdf' })).toBeNull();
+		expect(detectFormat({ filename: 'README.md', contentType: 'text/plain' })).toBe('markdown');
+		expect(detectFormat({ filename: 'page', contentType: 'text/html; charset=utf-8' })).toBe('html');
+		expect(detectFormat({ contentType: 'application/octet-stream' })).toBeNull();
+	});
+
+	it('should split Markdown at headings and strip its markup', () => {
+		const markdown = [
+			'---',
+			'title: Deploy Guide',
+			'---',
+			'Read this **first**.',
+			'',
+			'## Setup',
+			'Install [wrangler](https://example.com) with `npm i`.',
+			'',
+			'### Login',
+			'> Run the login command:',
+			'```sh',
+			'# not a heading',
+			'npx wrangler login',
+			'```',
+			'',
+			'Release notes',
+			'-------------',
+			'Ships on _Fridays_; see [docs][1].',
+			'',
+			'[1]: https://example.com/docs',
+		].join('\n');
+
+		const { title, sections } = parseDocument(markdown, 'markdown', { filename: 'deploy.md' });
+		expect(title).toBe('Deploy Guide');
+		expect(sections.map(section => section.section)).toEqual([null, 'Setup', 'Setup > Login', 'Release notes']);
+		expect(sections[0].text).toBe('Read this first.');
+		expect(sections[1].text).toBe('Setup\n\nInstall wrangler with npm i.');
+		expect(sections[2].text).toBe('Login\n\nRun the login command:\n# not a heading\nnpx wrangler login');
+		expect(sections[3].text).toBe('Release notes\n\nShips on Fridays; see docs.');
+	});
+
+	it('should extract HTML sections and drop a top heading that repeats the title', () => {
+		const html = `<html><head><title>Handbook</title><style>p { color: red; }</style></head><body>
+			<h1>Handbook</h1><p>Welcome &amp; hello.</p>
+			<h2 id="pto">Time <em>off</em></h2><ul><li>Ask early</li><li>Log it</li></ul>
+			<script>track()</script><h3>Sick days</h3><p>Tell your lead&nbsp;&#8212; no note needed.</p>
+		</body></html>`;
+
+		const { title, sections } = parseDocument(html, 'html');
+		expect(title).toBe('Handbook');
+		expect(sections.map(section => section.section)).toEqual([null, 'Time off', 'Time off > Sick days']);
+		expect(sections[0].text).toBe('Handbook\n\nWelcome & hello.');
+		expect(sections[1].text).toBe('Time off\n\n- Ask early\n- Log it');
+		expect(sections[2].text).toBe('Sick days\n\nTell your lead — no note needed.');
+	});
+
+	it('should keep plain text whole and split at fewer levels past the section limit', () => {
+		const text = parseDocument('  Just some text.\n\n\n\nMore text.  ', 'text', { filename: 'notes.txt' });
+		expect(text).toEqual({ title: 'notes', sections: [{ index: 0, headings: [], section: null, text: 'Just some text.\n\nMore text.' }] });
+
+		const markdown = ['# Part one', ...Array.from({ length: MAX_DOCUMENT_SECTIONS }, (_, i) => `## Item ${i}\nBody ${i}`), '# Part two', 'End'].join('\n');
+		const { sections } = parseDocument(markdown, 'markdown', { title: 'Catalog' });
+		expect(sections.map(section => section.section)).toEqual(['Part one', 'Part two']);
+		expect(sections[0].text).toContain('Item 99\n\nBody 99');
+	});
+
+	it('should title notes from their document and section', () => {
+		const metadata = sectionMetadata(
+			{ id: 4, title: 'Guide', filename: 'guide.md', metadata: { tags: ['ops'] } },
+			{ index: 2, section: 'Setup > Login' }
+		);
+		expect(metadata).toEqual({ tags: ['ops'], source: 'guide.md', documentId: 4, documentTitle: 'Guide', section: 'Setup > Login', sectionIndex: 2 });
+		expect(sectionTitle(JSON.stringify(metadata))).toBe('Guide > Setup > Login');
+		expect(sectionTitle({ documentTitle: 'Guide' })).toBe('Guide');
+		expect(sectionTitle('{"source":"wiki"}')).toBeNull();
+	});
+});
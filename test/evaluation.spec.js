@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { averageMetrics, compareRuns, MAX_DATASET_CASES, maxRunCases, scoreRetrieval, validateDataset, validateRunOptions } from '../src/evaluation';
+
+const result = (caseId, retrievedNoteIds, metrics) => ({ caseId, question: `q${caseId}`, expectedNoteIds: ['1'], retrievedNoteIds, metrics });
+const metrics = (recall, ndcg) => ({ recall, precision: recall, reciprocalRank: ndcg, ndcg });
+
+describe('Retrieval evaluation', () => {
+	it('should score a ranking at k', () => {
+		const scores = scoreRetrieval(['5', '1', '7', '2'], ['1', '2', '3'], 3);
+
+		expect(scores.recall).toBeCloseTo(1 / 3);
+		expect(scores.precision).toBeCloseTo(1 / 3);
+		expect(scores.reciprocalRank).toBe(0.5);
+		// One hit at rank 2 against an ideal of three hits in the top 3
+		expect(scores.ndcg).toBeCloseTo((1 / Math.log2(3)) / (1 + 1 / Math.log2(3) + 1 / Math.log2(4)));
+	});
+
+	it('should score perfect and empty rankings', () => {
+		expect(scoreRetrieval(['1', '2'], ['2', '1'], 2)).toEqual({ recall: 1, precision: 1, reciprocalRank: 1, ndcg: 1 });
+		expect(scoreRetrieval([], ['1'], 5)).toEqual({ recall: 0, precision: 0, reciprocalRank: 0, ndcg: 0 });
+	});
+
+	it('should average case metrics', () => {
+		expect(averageMetrics([metrics(1, 1), metrics(0, 0.5)])).toEqual({ recall: 0.5, precision: 0.5, mrr: 0.75, ndcg: 0.75 });
+		expect(averageMetrics([])).toEqual({ recall: 0, precision: 0, mrr: 0, ndcg: 0 });
+	});
+
+	it('should validate datasets', () => {
+		const { value } = validateDataset({
+			name: ' faq ',
+			cases: [{ question: 'Where do Workers run?', expectedNoteIds: [3, '3', '4'], referenceAnswer: 'At the edge' }]
+		});
+		expect(value).toEqual({
+			name: 'faq',
+			description: null,
+			cases: [{ question: 'Where do Workers run?', expectedNoteIds: ['3', '4'], referenceAnswer: 'At the edge' }]
+		});
+
+		expect(validateDataset({ name: 'faq', cases: [] }).error).toBe('cases must be an array of 1-200 questions');
+		expect(validateDataset({ name: 'faq', cases: [{ question: 'q', expectedNoteIds: ['abc'] }] }).error)
+			.toBe('cases[0].expectedNoteIds must be a non-empty array of note ids');
+	});
+
+	it('should validate run options', () => {
+		const modes = ['vector', 'keyword', 'hybrid'];
+		expect(validateRunOptions({ datasetId: 1 }, modes)).toEqual({
+			value: { datasetId: 1, k: 5, retrieval: 'vector', threshold: undefined, rerank: false }
+		});
+		expect(validateRunOptions({ datasetId: 1, k: 21 }, modes).error).toBe('k must be an integer between 1 and 20');
+		expect(validateRunOptions({ datasetId: 1, threshold: 2 }, modes).error).toBe('threshold must be a number between 0 and 1');
+		expect(validateRunOptions({}, modes).error).toBe('datasetId must be a positive integer');
+	});
+
+	it('should cap the questions of a run by its subrequest cost', () => {
+		expect(maxRunCases({ retrieval: 'keyword', rerank: false })).toBe(MAX_DATASET_CASES);
+		expect(maxRunCases({ retrieval: 'vector', rerank: false })).toBeLessThan(MAX_DATASET_CASES);
+		expect(maxRunCases({ retrieval: 'hybrid', rerank: true })).toBeLessThan(maxRunCases({ retrieval: 'hybrid', rerank: false }));
+		expect(maxRunCases({ retrieval: 'hybrid', rerank: true })).toBeGreaterThan(100);
+	});
+
+	it('should list the questions that regressed and improved', () => {
+		const baseline = {
+			id: 1,
+			metrics: { recall: 0.5, precision: 0.5, mrr: 0.5, ndcg: 0.5 },
+			results: [result(1, ['1'], metrics(1, 1)), result(2, ['9'], metrics(0, 0)), result(3, ['1'], metrics(1, 1))]
+		};
+		const run = {
+			id: 2,
+			metrics: { recall: 0.5, precision: 0.5, mrr: 0.4, ndcg: 0.4 },
+			results: [result(1, ['9', '1'], metrics(1, 0.6)), result(2, ['1'], metrics(1, 1)), result(3, ['1'], metrics(1, 1))]
+		};
+
+		const comparison = compareRuns(baseline, run);
+
+		expect(comparison.regressions.map(entry => entry.caseId)).toEqual([1]);
+		expect(comparison.regressions[0].delta.ndcg).toBeCloseTo(-0.4);
+		expect(comparison.regressions[0].baseline.retrievedNoteIds).toEqual(['1']);
+		expect(comparison.improvements.map(entry => entry.caseId)).toEqual([2]);
+		expect(comparison.unchanged).toBe(1);
+		expect(comparison.delta.mrr).toBeCloseTo(-0.1);
+		expect(comparison.run).not.toHaveProperty('results');
+	});
+});
@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest';
+import { generateExpansions, mergeExpandedResults, parseParaphrases, validateExpansion } from '../src/expansion';
+
+const model = { id: '@cf/test/model', maxOutputTokens: 256, temperature: 0.6 };
+
+// AI binding answering each prompt with a canned response
+const fakeAI = (paraphrases, hypothetical) => ({
+	async run(_model, { messages }) {
+		return { response: messages[0].content.includes('passage') ? hypothetical : paraphrases };
+	}
+});
+
+describe('Query expansion', () => {
+	it('should validate expand and hyde', () => {
+		expect(validateExpansion({}, 'vector')).toEqual({ value: { expand: false, hyde: false } });
+		expect(validateExpansion({ expand: 'true', hyde: 'true' }, 'hybrid')).toEqual({ value: { expand: true, hyde: true } });
+		expect(validateExpansion({ expand: 'yes' }, 'vector').error).toBe('expand must be true or false');
+		expect(validateExpansion({ hyde: 'true' }, 'vector').error).toBe('hyde requires expand=true');
+		expect(validateExpansion({ expand: 'true' }, 'keyword').error).toContain('retrieval modes: vector, hybrid');
+	});
+
+	it('should parse distinct paraphrases without list markers', () => {
+		const response = '1. How do Workers run?\n- "Where are Workers executed?"\n\nwhere do workers run?\n* What runs Workers?\nExtra line';
+		expect(parseParaphrases(response, 'Where do Workers run?', 3)).toEqual([
+			'How do Workers run?',
+			'Where are Workers executed?',
+			'What runs Workers?'
+		]);
+		expect(parseParaphrases(undefined, 'question')).toEqual([]);
+	});
+
+	it('should label the original question, paraphrases and hypothetical answer', async () => {
+		const env = { AI: fakeAI('Where are Workers executed?\nWhat hosts Workers?', ' Workers run in data centers worldwide. ') };
+		const expansions = await generateExpansions(env, model, 'Where do Workers run?', { hyde: true });
+
+		expect(expansions).toEqual([
+			{ label: 'original', query: 'Where do Workers run?' },
+			{ label: 'paraphrase-1', query: 'Where are Workers executed?' },
+			{ label: 'paraphrase-2', query: 'What hosts Workers?' },
+			{ label: 'hyde', query: 'Workers run in data centers worldwide.' }
+		]);
+	});
+
+	it('should search with the original question alone when the model fails', async () => {
+		const env = { AI: { run: async () => { throw new Error('unavailable'); } } };
+		expect(await generateExpansions(env, model, 'question', { hyde: true })).toEqual([{ label: 'original', query: 'question' }]);
+	});
+
+	it('should merge matches per note keeping the best score and every finder', () => {
+		const expansions = [
+			{ label: 'original', query: 'q' },
+			{ label: 'paraphrase-1', query: 'p1' },
+			{ label: 'hyde', query: 'h' }
+		];
+		const results = new Map([
+			['q', [{ id: '1', score: 0.6, normalizedScore: 1, chunks: [{ vectorId: '1#0', chunkIndex: 0, score: 0.6 }], metadata: {} }]],
+			['p1', [
+				{ id: '1', score: 0.8, chunks: [{ vectorId: '1#0', chunkIndex: 0, score: 0.8 }, { vectorId: '1#1', chunkIndex: 1, score: 0.7 }], metadata: {} },
+				{ id: '2', score: 0.7, chunks: [{ vectorId: '2#0', chunkIndex: 0, score: 0.7 }], metadata: {} }
+			]],
+			['h', [{ id: '2', score: 0.9, chunks: [{ vectorId: '2#0', chunkIndex: 0, score: 0.9 }], metadata: {} }]]
+		]);
+
+		const merged = mergeExpandedResults(expansions, results);
+
+		expect(merged.map(result => [result.id, result.score])).toEqual([['2', 0.9], ['1', 0.8]]);
+		expect(merged[1].foundBy).toEqual([{ expansion: 'original', score: 0.6 }, { expansion: 'paraphrase-1', score: 0.8 }]);
+		expect(merged[1].chunks.map(chunk => [chunk.vectorId, chunk.score])).toEqual([['1#0', 0.8], ['1#1', 0.7]]);
+		expect(merged[0].foundBy.map(found => found.expansion)).toEqual(['paraphrase-1', 'hyde']);
+		expect(merged[1]).not.toHaveProperty('normalizedScore');
+	});
+});
@@ -0,0 +1,46 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { applyNoteFeedback, feedbackBoost, resolveFeedbackWeight, saveFeedback, validateFeedback } from '../src/feedback';
+
+const queryId = '6f1c1a52-4a8e-4f0e-9a51-1d2f3c4b5a69';
+
+describe('Answer feedback', () => {
+	it('should validate feedback', () => {
+		expect(validateFeedback({ queryId, rating: 'down', comment: ' Outdated ', wrongNoteIds: [3, '3'] })).toEqual({
+			value: { queryId, rating: 'down', comment: 'Outdated', helpfulNoteIds: [], wrongNoteIds: ['3'] }
+		});
+		expect(validateFeedback({ queryId: 'abc', rating: 'up' }).error).toBe('queryId must be the queryId of an answer');
+		expect(validateFeedback({ queryId, rating: 'meh' }).error).toBe('rating must be one of: up, down');
+		expect(validateFeedback({ queryId, rating: 'up', helpfulNoteIds: ['x'] }).error).toBe('helpfulNoteIds must be an array of note ids');
+		expect(validateFeedback({ queryId, rating: 'up', helpfulNoteIds: [1], wrongNoteIds: [1] }).error).toBe("A note can't be both helpful and wrong");
+	});
+
+	it('should bound the boost by the weight', () => {
+		expect(feedbackBoost({ helpful: 0, wrong: 0 }, 0.2)).toBe(1);
+		expect(feedbackBoost({ helpful: 0, wrong: 1 }, 0.2)).toBeCloseTo(1 - 0.2 / 3);
+		expect(feedbackBoost({ helpful: 0, wrong: 1000 }, 0.2)).toBeGreaterThan(0.8);
+		expect(feedbackBoost({ helpful: 8, wrong: 0 }, 0.2)).toBeCloseTo(1.16);
+		expect(resolveFeedbackWeight({ FEEDBACK_WEIGHT: '0' })).toBe(0);
+		expect(resolveFeedbackWeight({ FEEDBACK_WEIGHT: '3' })).toBe(0.2);
+	});
+
+	it('should sink notes marked wrong and replace feedback sent again', async () => {
+		const collection = 'feedback-unit';
+		const matches = [{ id: '901', score: 0.8 }, { id: '902', score: 0.78 }];
+
+		const first = await saveFeedback(env.DB, collection, { queryId, rating: 'down', comment: null, helpfulNoteIds: ['902'], wrongNoteIds: ['901'] });
+		expect(first.created).toBe(true);
+
+		const ranked = await applyNoteFeedback(env, collection, matches);
+		expect(ranked.map(match => match.id)).toEqual(['902', '901']);
+		expect(ranked[1].feedback).toMatchObject({ helpful: 0, wrong: 1, boost: expect.any(Number) });
+
+		// Replacing the verdicts restores the vector order
+		const second = await saveFeedback(env.DB, collection, { queryId, rating: 'up', comment: 'Fine after all', helpfulNoteIds: [], wrongNoteIds: [] });
+		expect(second.created).toBe(false);
+		expect(second.feedback).toMatchObject({ rating: 'up', comment: 'Fine after all' });
+		expect((await applyNoteFeedback(env, collection, matches)).map(match => match.id)).toEqual(['901', '902']);
+
+		expect(await applyNoteFeedback({ ...env, FEEDBACK_WEIGHT: '0' }, collection, matches)).toBe(matches);
+	});
+});
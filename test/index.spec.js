@@ -1,6 +1,12 @@
-import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
+import { env, createExecutionContext, createScheduledController, waitOnExecutionContext, SELF } from 'cloudflare:test';
 import { describe, it, expect } from 'vitest';
 import worker from '../src';
+import { getBackends } from '../src/backends';
+import { answerOptionsHash, storeAnswer } from '../src/cache';
+
+// Requests carry the bootstrap admin key configured in vitest.config.js
+const authorizedRequest = (url, init = {}) =>
+	new Request(url, { ...init, headers: { Authorization: `Bearer ${env.ADMIN_API_KEY}`, ...init.headers } });
 
 describe('RAG AI Worker Tests', () => {
 	describe('Health Check', () => {
@@ -19,7 +25,7 @@ describe('RAG AI Worker Tests', () => {
 
 	describe('Default Route', () => {
 		it('should return AI response', async () => {
-			const request = new Request('http://example.com/');
+			const request = authorizedRequest('http://example.com/');
 			const ctx = createExecutionContext();
 			const response = await worker.fetch(request, env, ctx);
 			await waitOnExecutionContext(ctx);
@@ -31,9 +37,75 @@ describe('RAG AI Worker Tests', () => {
 		});
 	});
 
+	describe('Streaming', () => {
+		// Named SSE events of a response body as { event, data } pairs
+		const readEvents = (body) => body.split('\n\n').filter(Boolean).map(block => {
+			const lines = block.split('\n');
+			const event = lines.find(line => line.startsWith('event: ')).slice(7);
+			const data = lines.find(line => line.startsWith('data: ')).slice(6);
+			return { event, data: JSON.parse(data) };
+		});
+
+		const streamQuestion = async (AI) => {
+			const request = authorizedRequest('http://localhost:8787/?text=Hello&stream=true', {
+				headers: {
+					'Host': 'localhost:8787',
+				},
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, { ...env, AI }, ctx);
+			const body = await response.text();
+			await waitOnExecutionContext(ctx);
+			return { response, events: readEvents(body) };
+		};
+
+		it('should stream context, tokens and a final done event', async () => {
+			const AI = {
+				run: async (model, input) => {
+					expect(input.stream).toBe(true);
+					const encoder = new TextEncoder();
+					return new ReadableStream({
+						start(controller) {
+							['data: {"response":"Hel"}\n\n', 'data: {"response":"lo"}\n\ndata: {"usage":{"completion_tokens":2}}\n\n', 'data: [DONE]\n\n']
+								.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+							controller.close();
+						},
+					});
+				},
+			};
+
+			const { response, events } = await streamQuestion(AI);
+
+			expect(response.status).toBe(200);
+			expect(response.headers.get('Content-Type')).toBe('text/event-stream');
+			expect(events.map(({ event }) => event)).toEqual(['context', 'token', 'token', 'done']);
+			expect(events[0].data.question).toBe('Hello');
+			expect(events.filter(({ event }) => event === 'token').map(({ data }) => data.token).join('')).toBe('Hello');
+
+			const done = events.at(-1).data;
+			expect(done.modelUsed).toBe(response.headers.get('x-model-used'));
+			expect(done.usage).toEqual({ completion_tokens: 2 });
+			expect(done.timings.firstTokenMs).not.toBeNull();
+		});
+
+		it('should report a failing model as an error event', async () => {
+			const AI = {
+				run: async () => {
+					throw new Error('Model unavailable');
+				},
+			};
+
+			const { response, events } = await streamQuestion(AI);
+
+			expect(response.status).toBe(200);
+			expect(events.map(({ event }) => event)).toEqual(['context', 'error']);
+			expect(events[1].data.error).toBe('Failed to generate streamed answer');
+		});
+	});
+
 	describe('Notes Endpoint', () => {
 		it('should accept valid text input', async () => {
-			const request = new Request('http://localhost:8787/notes', {
+			const request = authorizedRequest('http://localhost:8787/notes', {
 				method: 'POST',
 				headers: {
 					'Content-Type': 'application/json',
@@ -49,12 +121,12 @@ describe('RAG AI Worker Tests', () => {
 			const data = await response.json();
 			expect(data.success).toBe(true);
 			expect(data.text).toBe('Test note content');
-			// In local dev, should return mock response
-			expect(data.isLocal).toBe(true);
+			expect(data.workflowId).toBeDefined();
+			expect(data.metadata.backend).toBe('memory');
 		});
 
 		it('should reject invalid text input', async () => {
-			const request = new Request('http://localhost:8787/notes', {
+			const request = authorizedRequest('http://localhost:8787/notes', {
 				method: 'POST',
 				headers: {
 					'Content-Type': 'application/json',
@@ -70,8 +142,25 @@ describe('RAG AI Worker Tests', () => {
 			expect(data.error).toBe('Invalid text provided');
 		});
 
+		it('should reject invalid chunking options', async () => {
+			const request = authorizedRequest('http://localhost:8787/notes', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ text: 'Test note content', chunking: { strategy: 'word' } }),
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+			
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toContain('Invalid chunk strategy');
+		});
+
 		it('should reject empty body', async () => {
-			const request = new Request('http://localhost:8787/notes', {
+			const request = authorizedRequest('http://localhost:8787/notes', {
 				method: 'POST',
 				headers: {
 					'Content-Type': 'application/json',
@@ -88,9 +177,233 @@ describe('RAG AI Worker Tests', () => {
 		});
 	});
 
+	describe('Note CRUD', () => {
+		it('should reject non-numeric note ids', async () => {
+			const request = authorizedRequest('http://localhost:8787/notes/abc');
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toBe('Note ID must be a positive integer');
+		});
+
+		it('should reject out-of-range page sizes', async () => {
+			const request = authorizedRequest('http://localhost:8787/notes?limit=500');
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+		});
+
+		it('should match numeric and boolean metadata filters', async () => {
+			let ctx = createExecutionContext();
+			await worker.fetch(authorizedRequest('http://localhost:8787/c/metadata-types/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([
+					{ text: 'Report from 2024', metadata: { year: 2024, draft: false } },
+					{ text: 'Report from 2023', metadata: { year: 2023, draft: true } },
+				]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			ctx = createExecutionContext();
+			const response = await worker.fetch(authorizedRequest('http://localhost:8787/c/metadata-types/notes?metadata.year=2024&metadata.draft=false'), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			const data = await response.json();
+			expect(data.notes.map(note => note.text)).toEqual(['Report from 2024']);
+			expect(data.filters).toEqual({ metadata: { year: 2024, draft: false } });
+		});
+
+		it('should reject unsafe metadata filter keys', async () => {
+			const request = authorizedRequest("http://localhost:8787/notes?metadata.a')--=1");
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+		});
+
+		it('should reject invalid note metadata', async () => {
+			const request = authorizedRequest('http://localhost:8787/notes', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ text: 'Tagged note', metadata: { tags: 'ml' } }),
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toBe('Tags must be an array of at most 20 strings');
+		});
+
+		it('should reject a PATCH without text or metadata', async () => {
+			const request = authorizedRequest('http://localhost:8787/notes/1', {
+				method: 'PATCH',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({}),
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toBe('Provide text or metadata to update');
+		});
+	});
+
+	describe('Bulk Notes Endpoint', () => {
+		it('should reject bodies that are not a list of notes', async () => {
+			const request = authorizedRequest('http://localhost:8787/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ text: 'Not a list' }),
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+		});
+
+		it('should reject an empty list', async () => {
+			const request = authorizedRequest('http://localhost:8787/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([]),
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toBe('At least one note is required');
+		});
+
+		it('should index, find and delete notes on the memory backend', async () => {
+			const bulkRequest = authorizedRequest('http://localhost:8787/c/backend-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Durable objects hold state' }, { text: 'Bananas are yellow fruit' }]),
+			});
+			let ctx = createExecutionContext();
+			const bulkResponse = await worker.fetch(bulkRequest, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(bulkResponse.status).toBe(201);
+			const { results } = await bulkResponse.json();
+			const noteId = results[0].noteId;
+
+			ctx = createExecutionContext();
+			const searchResponse = await worker.fetch(
+				authorizedRequest('http://localhost:8787/c/backend-test/search?q=durable+objects+hold+state'), env, ctx
+			);
+			await waitOnExecutionContext(ctx);
+
+			const search = await searchResponse.json();
+			expect(search.results.map(result => result.id)).toEqual([String(noteId)]);
+
+			ctx = createExecutionContext();
+			const deleteResponse = await worker.fetch(
+				authorizedRequest(`http://localhost:8787/c/backend-test/notes/${noteId}`, { method: 'DELETE' }), env, ctx
+			);
+			await waitOnExecutionContext(ctx);
+
+			expect(deleteResponse.status).toBe(204);
+
+			ctx = createExecutionContext();
+			const afterDelete = await worker.fetch(
+				authorizedRequest('http://localhost:8787/c/backend-test/search?q=durable+objects+hold+state'), env, ctx
+			);
+			await waitOnExecutionContext(ctx);
+
+			expect((await afterDelete.json()).results).toEqual([]);
+		});
+	});
+
+	describe('Ingestion Status', () => {
+		it('should reject malformed workflow ids', async () => {
+			const request = authorizedRequest('http://localhost:8787/notes/jobs/bad.id');
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toBe('Invalid workflow ID');
+		});
+
+		it('should only report jobs of the caller\'s collection', async () => {
+			let ctx = createExecutionContext();
+			const created = await worker.fetch(authorizedRequest('http://localhost:8787/c/jobs-a/notes', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ text: 'Job status belongs to the collection of its note' }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(created.status).toBe(201);
+			const { workflowId } = await created.json();
+
+			ctx = createExecutionContext();
+			const own = await worker.fetch(authorizedRequest(`http://localhost:8787/c/jobs-a/notes/jobs/${workflowId}`), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(own.status).toBe(200);
+			const job = await own.json();
+			expect(job.workflowId).toBe(workflowId);
+			expect(job.output?.text).toBeUndefined();
+
+			ctx = createExecutionContext();
+			const foreign = await worker.fetch(authorizedRequest(`http://localhost:8787/c/jobs-b/notes/jobs/${workflowId}`), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(foreign.status).toBe(404);
+			expect((await foreign.json()).error).toBe('Workflow not found');
+		});
+
+		it('should reject wait timeouts above the maximum', async () => {
+			const request = authorizedRequest('http://localhost:8787/notes?wait=true&timeout=600000', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ text: 'Test note content' }),
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+		});
+	});
+
 	describe('Search Endpoint', () => {
 		it('should handle search query', async () => {
-			const request = new Request('http://localhost:8787/search?q=test+query', {
+			const request = authorizedRequest('http://localhost:8787/search?q=test+query', {
 				headers: {
 					'Host': 'localhost:8787',
 				},
@@ -102,13 +415,24 @@ describe('RAG AI Worker Tests', () => {
 			expect(response.status).toBe(200);
 			const data = await response.json();
 			expect(data.query).toBe('test query');
-			// In local dev, should return mock response
-			expect(data.isLocal).toBe(true);
-			expect(data.results).toEqual([]);
+			// Tests run the real pipeline on the memory backend
+			expect(data.metadata.backend).toBe('memory');
+			expect(Array.isArray(data.results)).toBe(true);
+		});
+
+		it('should reject invalid date filters', async () => {
+			const request = authorizedRequest('http://localhost:8787/search?q=test&created_after=notadate');
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toBe("Invalid date for 'created_after', expected ISO 8601");
 		});
 
 		it('should reject missing query parameter', async () => {
-			const request = new Request('http://localhost:8787/search');
+			const request = authorizedRequest('http://localhost:8787/search');
 			const ctx = createExecutionContext();
 			const response = await worker.fetch(request, env, ctx);
 			await waitOnExecutionContext(ctx);
@@ -119,6 +443,1228 @@ describe('RAG AI Worker Tests', () => {
 		});
 	});
 
+	describe('Retrieval Modes', () => {
+		it('should reject unknown search modes', async () => {
+			const request = authorizedRequest('http://localhost:8787/search?q=test&mode=fuzzy');
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toContain('Invalid search mode');
+		});
+
+		it('should reject unknown retrieval modes on the query endpoint', async () => {
+			const request = authorizedRequest('http://localhost:8787/?text=test&retrieval=fuzzy');
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toContain('Invalid retrieval mode');
+		});
+	});
+
+	describe('Reranking', () => {
+		it('should reject invalid rerank options', async () => {
+			for (const [url, error] of [
+				['/?text=test&rerank=maybe', 'rerank must be true or false'],
+				['/search?q=test&topN=0', 'topN must be an integer between 1 and 20']
+			]) {
+				const ctx = createExecutionContext();
+				const response = await worker.fetch(authorizedRequest(`http://localhost:8787${url}`), env, ctx);
+				await waitOnExecutionContext(ctx);
+
+				expect(response.status).toBe(400);
+				expect((await response.json()).error).toBe(error);
+			}
+		});
+
+		it('should order search results by rerank score and report both scores', async () => {
+			let ctx = createExecutionContext();
+			await worker.fetch(authorizedRequest('http://localhost:8787/c/rerank-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Workers run at the edge' }, { text: 'Workers run JavaScript at the edge' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			// The reranker prefers the note the vector search ranks second
+			const AI = {
+				async run(_model, { contexts }) {
+					return { response: contexts.map(({ text }, id) => ({ id, score: text.includes('JavaScript') ? 0.9 : 0.1 })) };
+				}
+			};
+
+			ctx = createExecutionContext();
+			const response = await worker.fetch(
+				authorizedRequest('http://localhost:8787/c/rerank-test/search?q=Workers+run+at+the+edge&rerank=true&topN=1'),
+				{ ...env, AI },
+				ctx
+			);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			const data = await response.json();
+			expect(data.results).toHaveLength(1);
+			expect(data.results[0]).toMatchObject({ text: 'Workers run JavaScript at the edge', rerankScore: 0.9, vectorScore: expect.any(Number) });
+			expect(data.metadata.rerank).toMatchObject({ model: '@cf/baai/bge-reranker-base', candidates: 2, topN: 1 });
+		});
+	});
+
+	describe('Query Expansion', () => {
+		it('should reject invalid expansion options', async () => {
+			for (const [query, error] of [
+				['expand=maybe', 'expand must be true or false'],
+				['hyde=true', 'hyde requires expand=true'],
+				['expand=true&retrieval=keyword', 'Query expansion requires one of these retrieval modes: vector, hybrid']
+			]) {
+				const ctx = createExecutionContext();
+				const response = await worker.fetch(authorizedRequest(`http://localhost:8787/?text=test&${query}`), env, ctx);
+				await waitOnExecutionContext(ctx);
+
+				expect(response.status).toBe(400);
+				expect((await response.json()).error).toBe(error);
+			}
+		});
+
+		it('should report which expansion found each note', async () => {
+			let ctx = createExecutionContext();
+			await worker.fetch(authorizedRequest('http://localhost:8787/c/expansion-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Bananas are yellow fruit' }, { text: 'Durable objects hold state' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			// Paraphrases and the hypothetical answer repeat the note texts so the hash embedder matches them
+			const AI = {
+				async run(_model, { messages }) {
+					const prompt = messages[0].content;
+					if (prompt.startsWith('Rewrite the user')) return { response: '1. Bananas are yellow fruit' };
+					if (prompt.startsWith('Write a short factual passage')) return { response: 'Durable objects hold state' };
+					return { response: 'Answer [1]' };
+				}
+			};
+
+			ctx = createExecutionContext();
+			const response = await worker.fetch(
+				authorizedRequest('http://localhost:8787/c/expansion-test?text=qqq&expand=true&hyde=true&cache=bypass'),
+				{ ...env, AI },
+				ctx
+			);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			const { metadata } = await response.json();
+			expect(metadata.expansion.queries.map(expansion => expansion.label)).toEqual(['original', 'paraphrase-1', 'hyde']);
+			expect(metadata.expansion.matches).toHaveLength(2);
+			expect(metadata.expansion.matches.map(match => match.foundBy.map(found => found.expansion)).sort()).toEqual([['hyde'], ['paraphrase-1']]);
+		});
+	});
+
+	describe('Retrieval Evaluation', () => {
+		it('should score runs of a dataset and report regressed questions', async () => {
+			let ctx = createExecutionContext();
+			const bulk = await worker.fetch(authorizedRequest('http://localhost:8787/c/eval-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Workers run at the edge' }, { text: 'D1 is a serverless SQL database' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const [workers, d1] = (await bulk.json()).results.map(result => result.noteId);
+
+			ctx = createExecutionContext();
+			const created = await worker.fetch(authorizedRequest('http://localhost:8787/c/eval-test/eval/datasets', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					name: 'smoke',
+					cases: [
+						{ question: 'Workers run at the edge', expectedNoteIds: [workers] },
+						{ question: 'D1 is a serverless SQL database', expectedNoteIds: [d1, 999999], referenceAnswer: 'A SQL database' }
+					]
+				}),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(created.status).toBe(201);
+			const { dataset, unknownNoteIds } = await created.json();
+			expect(unknownNoteIds).toEqual(['999999']);
+
+			const runWith = async (options) => {
+				const runCtx = createExecutionContext();
+				const response = await worker.fetch(authorizedRequest('http://localhost:8787/c/eval-test/eval/runs', {
+					method: 'POST',
+					headers: {
+						'Content-Type': 'application/json',
+					},
+					body: JSON.stringify({ datasetId: dataset.id, k: 3, ...options }),
+				}), env, runCtx);
+				await waitOnExecutionContext(runCtx);
+				expect(response.status).toBe(201);
+				return (await response.json()).run;
+			};
+
+			const baseline = await runWith({});
+			expect(baseline.config).toMatchObject({ retrieval: 'vector', threshold: 0.5, rerank: false });
+			expect(baseline.metrics.recall).toBeCloseTo(0.75);
+			expect(baseline.metrics.mrr).toBe(1);
+			expect(baseline.results[0]).toMatchObject({ retrievedNoteIds: expect.arrayContaining([String(workers)]) });
+
+			// No note clears a threshold of 1, so every question regresses
+			const strict = await runWith({ threshold: 1 });
+			expect(strict.metrics).toEqual({ recall: 0, precision: 0, mrr: 0, ndcg: 0 });
+
+			ctx = createExecutionContext();
+			const compared = await worker.fetch(
+				authorizedRequest(`http://localhost:8787/c/eval-test/eval/runs/${strict.id}/compare?baseline=${baseline.id}`), env, ctx
+			);
+			await waitOnExecutionContext(ctx);
+
+			expect(compared.status).toBe(200);
+			const { comparison } = await compared.json();
+			expect(comparison.regressions).toHaveLength(2);
+			expect(comparison.delta.recall).toBeCloseTo(-0.75);
+
+			ctx = createExecutionContext();
+			const deleted = await worker.fetch(
+				authorizedRequest(`http://localhost:8787/c/eval-test/eval/datasets/${dataset.id}`, { method: 'DELETE' }), env, ctx
+			);
+			await waitOnExecutionContext(ctx);
+			expect(deleted.status).toBe(204);
+
+			ctx = createExecutionContext();
+			const run = await worker.fetch(authorizedRequest(`http://localhost:8787/c/eval-test/eval/runs/${baseline.id}`), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect(run.status).toBe(404);
+		});
+
+		it('should reject datasets too large to score in one request', async () => {
+			let ctx = createExecutionContext();
+			const created = await worker.fetch(authorizedRequest('http://localhost:8787/c/eval-large/eval/datasets', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({
+					name: 'large',
+					cases: Array.from({ length: 200 }, (_, i) => ({ question: `Question ${i}`, expectedNoteIds: [i + 1] }))
+				}),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const { dataset } = await created.json();
+
+			ctx = createExecutionContext();
+			const response = await worker.fetch(authorizedRequest('http://localhost:8787/c/eval-large/eval/runs', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ datasetId: dataset.id, retrieval: 'hybrid' }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			expect((await response.json()).error).toMatch(/^Dataset has 200 questions but a hybrid run can score at most \d+/);
+		});
+	});
+
+	describe('Answer Feedback', () => {
+		it('should take feedback on an answer and penalize notes marked wrong', async () => {
+			let ctx = createExecutionContext();
+			const bulk = await worker.fetch(authorizedRequest('http://localhost:8787/c/feedback-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Workers run at the edge' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const noteId = String((await bulk.json()).results[0].noteId);
+
+			const AI = { run: async () => ({ response: 'At the edge [1]' }) };
+			ctx = createExecutionContext();
+			const answer = await worker.fetch(
+				authorizedRequest('http://localhost:8787/c/feedback-test?text=Workers+run+at+the+edge&cache=bypass'), { ...env, AI }, ctx
+			);
+			await waitOnExecutionContext(ctx);
+			const { queryId } = await answer.json();
+			expect(queryId).toMatch(/^[0-9a-f-]{36}$/);
+
+			const sendFeedback = async (body, collection = 'feedback-test') => {
+				const feedbackCtx = createExecutionContext();
+				const response = await worker.fetch(authorizedRequest(`http://localhost:8787/c/${collection}/feedback`, {
+					method: 'POST',
+					headers: {
+						'Content-Type': 'application/json',
+					},
+					body: JSON.stringify(body),
+				}), env, feedbackCtx);
+				await waitOnExecutionContext(feedbackCtx);
+				return response;
+			};
+
+			expect((await sendFeedback({ queryId, rating: 'down', wrongNoteIds: ['999999'] })).status).toBe(400);
+			expect((await sendFeedback({ queryId, rating: 'down' }, 'other-collection')).status).toBe(404);
+
+			const created = await sendFeedback({ queryId, rating: 'down', comment: 'Wrong region', wrongNoteIds: [noteId] });
+			expect(created.status).toBe(201);
+			expect((await created.json()).feedback).toMatchObject({ rating: 'down', wrongNoteIds: [noteId] });
+
+			ctx = createExecutionContext();
+			const summary = await worker.fetch(authorizedRequest('http://localhost:8787/c/feedback-test/admin/feedback'), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const data = await summary.json();
+			expect(data.totals).toEqual({ total: 1, up: 0, down: 1, approval: 0 });
+			expect(data.notes.mostWrong).toEqual([{ noteId, helpful: 0, wrong: 1 }]);
+			expect(data.recent[0]).toMatchObject({ queryId, comment: 'Wrong region', question: 'Workers run at the edge' });
+
+			ctx = createExecutionContext();
+			const search = await worker.fetch(authorizedRequest('http://localhost:8787/c/feedback-test/search?q=Workers+run+at+the+edge'), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const [result] = (await search.json()).results;
+			expect(result.feedback).toMatchObject({ helpful: 0, wrong: 1 });
+			expect(result.feedback.boost).toBeLessThan(1);
+		});
+
+		it('should clear cached answers when notes are rated', async () => {
+			let ctx = createExecutionContext();
+			const bulk = await worker.fetch(authorizedRequest('http://localhost:8787/c/feedback-cache/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Queues deliver messages in batches' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const noteId = String((await bulk.json()).results[0].noteId);
+
+			const AI = { run: async () => ({ response: 'In batches [1]' }) };
+			const ask = async () => {
+				const askCtx = createExecutionContext();
+				const response = await worker.fetch(
+					authorizedRequest('http://localhost:8787/c/feedback-cache?text=Queues+deliver+messages+in+batches'), { ...env, AI }, askCtx
+				);
+				await waitOnExecutionContext(askCtx);
+				return response;
+			};
+
+			const { queryId } = await (await ask()).json();
+			expect((await ask()).headers.get('x-cache')).toBe('HIT');
+
+			ctx = createExecutionContext();
+			const rated = await worker.fetch(authorizedRequest('http://localhost:8787/c/feedback-cache/feedback', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ queryId, rating: 'down', wrongNoteIds: [noteId] }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect(rated.status).toBe(201);
+
+			expect((await ask()).headers.get('x-cache')).toBe('MISS');
+		});
+	});
+
+	describe('Documents', () => {
+		it('should upload documents, cite their sections and delete them whole', async () => {
+			const markdown = '# Runbook\n\nOwned by the platform team.\n\n## Deploy\n\nRun **npm run deploy** from main.\n';
+			const upload = async (url, init) => {
+				const uploadCtx = createExecutionContext();
+				const response = await worker.fetch(authorizedRequest(url, { method: 'POST', ...init }), env, uploadCtx);
+				await waitOnExecutionContext(uploadCtx);
+				return response;
+			};
+
+			const created = await upload('http://localhost:8787/c/documents-test/documents?filename=runbook.md&tag=Ops', {
+				headers: { 'Content-Type': 'text/markdown' },
+				body: markdown,
+			});
+			expect(created.status).toBe(201);
+			const { document, sections } = await created.json();
+			expect(document).toMatchObject({ title: 'Runbook', filename: 'runbook.md', format: 'markdown', metadata: { tags: ['ops'] }, sectionCount: 2 });
+			expect(sections.map(section => section.section)).toEqual([null, 'Deploy']);
+			expect(sections[1].statusUrl).toBe(`/notes/jobs/${sections[1].workflowId}`);
+
+			const duplicate = await upload('http://localhost:8787/c/documents-test/documents', {
+				headers: { 'Content-Type': 'text/markdown' },
+				body: markdown,
+			});
+			expect(duplicate.status).toBe(409);
+			expect((await duplicate.json()).duplicateOf).toBe(document.id);
+
+			const form = new FormData();
+			form.append('file', new File(['<h1>FAQ</h1><p>Ask in #help.</p>'], 'faq.html', { type: 'text/html' }));
+			const multipart = await upload('http://localhost:8787/c/documents-test/documents', { body: form });
+			expect(multipart.status).toBe(201);
+			expect((await multipart.json()).document).toMatchObject({ title: 'FAQ', filename: 'faq.html', format: 'html' });
+
+			const unsupported = await upload('http://localhost:8787/c/documents-test/documents', {
+				headers: { 'Content-Type': 'application/pdf' },
+				body: '%PDF-1.7',
+			});
+			expect(unsupported.status).toBe(415);
+
+			let ctx = createExecutionContext();
+			const list = await worker.fetch(authorizedRequest('http://localhost:8787/c/documents-test/documents'), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect((await list.json()).pagination.total).toBe(2);
+
+			ctx = createExecutionContext();
+			const detail = await worker.fetch(authorizedRequest(`http://localhost:8787/c/documents-test/documents/${document.id}`), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect((await detail.json()).document.sections.map(section => section.workflowId)).toEqual(sections.map(section => section.workflowId));
+
+			// A section note as the workflow stores it
+			ctx = createExecutionContext();
+			const bulk = await worker.fetch(authorizedRequest('http://localhost:8787/c/documents-test/notes/bulk', {
+				method: 'POST',
+				headers: { 'Content-Type': 'application/json' },
+				body: JSON.stringify([{ text: 'Deploy\n\nRun npm run deploy from main.', metadata: { documentTitle: 'Runbook', section: 'Deploy' } }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const noteId = (await bulk.json()).results[0].noteId;
+			await env.DB.prepare('UPDATE notes SET document_id = ? WHERE id = ?').bind(document.id, noteId).run();
+
+			const AI = { run: async () => ({ response: 'Run npm run deploy [1]' }) };
+			ctx = createExecutionContext();
+			const answer = await worker.fetch(
+				authorizedRequest('http://localhost:8787/c/documents-test?text=Deploy%0A%0ARun+npm+run+deploy+from+main.&cache=bypass'), { ...env, AI }, ctx
+			);
+			await waitOnExecutionContext(ctx);
+			const { context, citations } = await answer.json();
+			expect(context[0].title).toBe('Runbook > Deploy');
+			expect(citations[0]).toMatchObject({ noteId: String(noteId), title: 'Runbook > Deploy' });
+
+			const remove = async () => {
+				const removeCtx = createExecutionContext();
+				const response = await worker.fetch(authorizedRequest(`http://localhost:8787/c/documents-test/documents/${document.id}`, { method: 'DELETE' }), env, removeCtx);
+				await waitOnExecutionContext(removeCtx);
+				return response;
+			};
+			expect((await remove()).status).toBe(204);
+			expect((await remove()).status).toBe(404);
+
+			const remaining = await env.DB.prepare('SELECT COUNT(*) AS count FROM notes WHERE document_id = ?').bind(document.id).first();
+			expect(remaining.count).toBe(0);
+		});
+	});
+
+	describe('Context Budget', () => {
+		it('should skip near-copies and trim the context to the token budget', async () => {
+			const deploy = 'Deploys run from the main branch every Friday afternoon';
+			const approvals = 'Friday deploys need approval from the platform team on call. ';
+			let ctx = createExecutionContext();
+			const bulk = await worker.fetch(authorizedRequest('http://localhost:8787/c/context-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: deploy }, { text: `${deploy} usually` }, { text: approvals.repeat(12) }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const noteIds = (await bulk.json()).results.map(result => String(result.noteId));
+
+			const calls = [];
+			const AI = { run: async (model, input) => {
+				calls.push(input);
+				return { response: 'On Fridays [1]' };
+			} };
+			ctx = createExecutionContext();
+			const response = await worker.fetch(
+				authorizedRequest('http://localhost:8787/c/context-test?text=Friday+deploys&retrieval=keyword&cache=bypass'),
+				{ ...env, AI, CONTEXT_MAX_TOKENS: '120' },
+				ctx
+			);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			const { context, metadata } = await response.json();
+			expect(metadata.context.budget).toBe(120);
+			expect(metadata.context.contextWindow).toBeGreaterThan(metadata.context.reservedTokens);
+			expect(metadata.context.usedTokens).toBeLessThanOrEqual(120);
+
+			const included = metadata.context.included.map(entry => entry.noteId);
+			expect(included).toContain(noteIds[2]);
+			expect(metadata.context.included.find(entry => entry.noteId === noteIds[2]).truncated).toBe(true);
+			expect(metadata.context.dropped).toEqual([
+				expect.objectContaining({ reason: 'redundant', similarTo: included.find(id => id !== noteIds[2]) }),
+			]);
+			expect(context.map(source => source.noteId)).toEqual(included);
+
+			const contextMessage = calls[0].messages[0].content;
+			expect(contextMessage).toContain('…');
+			expect(contextMessage.length).toBeLessThan(approvals.repeat(12).length);
+		});
+	});
+
+	describe('Request Tracing', () => {
+		it('should report stage timings and log queries for statistics', async () => {
+			let ctx = createExecutionContext();
+			await worker.fetch(authorizedRequest('http://localhost:8787/c/tracing-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Durable Objects hold state' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			const AI = { run: async () => ({ response: 'They hold state [1]', usage: { prompt_tokens: 80, completion_tokens: 6 } }) };
+			ctx = createExecutionContext();
+			const answer = await worker.fetch(
+				authorizedRequest('http://localhost:8787/c/tracing-test?text=Durable+Objects+hold+state&cache=bypass&timings=true'), { ...env, AI }, ctx
+			);
+			await waitOnExecutionContext(ctx);
+			expect(answer.status).toBe(200);
+			expect(answer.headers.get('Server-Timing')).toMatch(/^embedding;dur=\d+, vectorize;dur=\d+, d1;dur=\d+, llm;dur=\d+, total;dur=\d+$/);
+			const { queryId, metadata } = await answer.json();
+			expect(metadata.timings).toMatchObject({ totalMs: expect.any(Number), tokens: { prompt: 80, completion: 6 } });
+			expect(Object.keys(metadata.timings.stages)).toEqual(expect.arrayContaining(['embedding', 'vectorize', 'd1', 'llm']));
+
+			ctx = createExecutionContext();
+			const search = await worker.fetch(authorizedRequest('http://localhost:8787/c/tracing-test/search?q=Durable+Objects'), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect(search.headers.get('Server-Timing')).toContain('total;dur=');
+			expect((await search.json()).metadata.timings).toBeUndefined();
+
+			ctx = createExecutionContext();
+			const invalid = await worker.fetch(authorizedRequest('http://localhost:8787/c/tracing-test/search?q=Durable&timings=1'), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect(invalid.status).toBe(400);
+
+			ctx = createExecutionContext();
+			const stats = await worker.fetch(authorizedRequest('http://localhost:8787/c/tracing-test/admin/stats?limit=5'), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect(stats.status).toBe(200);
+			const data = await stats.json();
+			expect(data).toMatchObject({ collection: 'tracing-test', count: 2, tokens: { prompt: 80, completion: 6 } });
+			expect(Object.keys(data.routes).sort()).toEqual(['query', 'search']);
+			expect(data.latency).toMatchObject({ p50: expect.any(Number), p95: expect.any(Number) });
+			expect(data.slowQueries.find(entry => entry.route === 'query')).toMatchObject({ queryId, query: 'Durable Objects hold state', model: expect.any(String) });
+
+			ctx = createExecutionContext();
+			const badWindow = await worker.fetch(authorizedRequest('http://localhost:8787/c/tracing-test/admin/stats?hours=0'), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect(badWindow.status).toBe(400);
+		});
+	});
+
+	describe('Models', () => {
+		it('should list the registered models', async () => {
+			const request = authorizedRequest('http://localhost:8787/models');
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			const data = await response.json();
+			expect(data.default).toBe('llama');
+			expect(data.models.map(model => model.alias)).toEqual(expect.arrayContaining(['llama', 'llama-70b', 'gemma-3-12b']));
+			expect(data.models.find(model => model.alias === 'llama-70b')).toMatchObject({
+				id: '@cf/meta/llama-3.1-70b-instruct',
+				capabilities: { jsonMode: true, streaming: true },
+				rateLimited: true
+			});
+		});
+
+		it('should reject unknown model aliases', async () => {
+			let ctx = createExecutionContext();
+			const query = await worker.fetch(authorizedRequest('http://localhost:8787/?text=test&model=gpt-4'), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(query.status).toBe(400);
+			expect((await query.json()).error).toContain("Unknown model 'gpt-4'");
+
+			ctx = createExecutionContext();
+			const chat = await worker.fetch(authorizedRequest('http://localhost:8787/chat', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ message: 'Hello', model: 'gpt-4' }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(chat.status).toBe(400);
+		});
+	});
+
+	describe('OpenAI-Compatible API', () => {
+		it('should list models and create embeddings in the OpenAI format', async () => {
+			let ctx = createExecutionContext();
+			const models = await worker.fetch(authorizedRequest('http://localhost:8787/v1/models'), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(models.status).toBe(200);
+			const list = await models.json();
+			expect(list.object).toBe('list');
+			expect(list.data.map(model => model.id)).toContain('llama-70b');
+
+			ctx = createExecutionContext();
+			const response = await worker.fetch(authorizedRequest('http://localhost:8787/v1/embeddings', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ input: ['first text', 'second text'] }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			const data = await response.json();
+			expect(data.data).toHaveLength(2);
+			expect(data.data[1]).toMatchObject({ object: 'embedding', index: 1 });
+			expect(data.data[0].embedding).toHaveLength(getBackends(env).embedder.dimensions);
+			expect(data.usage.prompt_tokens).toBeGreaterThan(0);
+		});
+
+		it('should answer errors in the OpenAI format', async () => {
+			let ctx = createExecutionContext();
+			const invalid = await worker.fetch(authorizedRequest('http://localhost:8787/v1/chat/completions', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hello' }] }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(invalid.status).toBe(400);
+			expect((await invalid.json()).error).toMatchObject({ type: 'invalid_request_error', param: 'model', code: 'model_not_found' });
+
+			ctx = createExecutionContext();
+			const unauthenticated = await worker.fetch(new Request('http://localhost:8787/v1/models'), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(unauthenticated.status).toBe(401);
+			expect((await unauthenticated.json()).error).toMatchObject({ message: 'API key required', type: 'authentication_error' });
+		});
+
+		it('should stream completion chunks and end with [DONE]', async () => {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(authorizedRequest('http://localhost:8787/v1/chat/completions', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ messages: [{ role: 'user', content: 'What is RAG?' }], stream: true }),
+			}), env, ctx);
+			const body = await response.text();
+			await waitOnExecutionContext(ctx);
+
+			expect(response.headers.get('content-type')).toContain('text/event-stream');
+			const events = body.split('\n\n').filter(Boolean).map(event => event.replace(/^data: /, ''));
+			expect(JSON.parse(events[0])).toMatchObject({
+				object: 'chat.completion.chunk',
+				choices: [{ delta: { role: 'assistant' } }],
+				rag: { query: 'What is RAG?' }
+			});
+			// Workers AI is unavailable in tests, so generation fails after the first chunk
+			expect(JSON.parse(events.at(-2)).error.type).toBe('server_error');
+			expect(events.at(-1)).toBe('[DONE]');
+		});
+	});
+
+	describe('MCP Server', () => {
+		const rpc = async (body, init = {}) => {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(authorizedRequest('http://localhost:8787/c/mcp-test/mcp', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					Accept: 'application/json, text/event-stream',
+				},
+				body: JSON.stringify(body),
+				...init,
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			return response;
+		};
+
+		it('should initialize and list the commands as tools', async () => {
+			const init = await (await rpc({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1' } } })).json();
+			expect(init.result.protocolVersion).toBe('2025-03-26');
+			expect(init.result.capabilities.tools).toBeDefined();
+
+			const notification = await rpc({ jsonrpc: '2.0', method: 'notifications/initialized' });
+			expect(notification.status).toBe(202);
+
+			const { result } = await (await rpc({ jsonrpc: '2.0', id: 2, method: 'tools/list' })).json();
+			const search = result.tools.find(tool => tool.name === 'search');
+			expect(search.inputSchema.required).toEqual(['q']);
+			expect(result.tools.map(tool => tool.name)).toEqual(expect.arrayContaining(['query', 'create_note', 'delete_note']));
+
+			const unknown = await (await rpc({ jsonrpc: '2.0', id: 3, method: 'prompts/list' })).json();
+			expect(unknown.error.code).toBe(-32601);
+		});
+
+		it('should run tools as requests in the caller\'s collection and expose notes as resources', async () => {
+			let ctx = createExecutionContext();
+			await worker.fetch(authorizedRequest('http://localhost:8787/c/mcp-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Durable Objects keep state at the edge' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			const call = await (await rpc({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'search', arguments: { q: 'Durable Objects keep state at the edge' } } })).json();
+			expect(call.result.isError).toBe(false);
+			expect(call.result.structuredContent.metadata.collection).toBe('mcp-test');
+			expect(call.result.structuredContent.results[0].text).toBe('Durable Objects keep state at the edge');
+
+			const invalid = await (await rpc({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'search', arguments: {} } })).json();
+			expect(invalid.result).toMatchObject({ isError: true, content: [{ text: "Argument 'q' is required" }] });
+
+			const { result: { resources } } = await (await rpc({ jsonrpc: '2.0', id: 3, method: 'resources/list' })).json();
+			expect(resources[0].uri).toMatch(/^note:\/\/mcp-test\/\d+$/);
+
+			const read = await (await rpc({ jsonrpc: '2.0', id: 4, method: 'resources/read', params: { uri: resources[0].uri } })).json();
+			expect(read.result.contents[0].text).toBe('Durable Objects keep state at the edge');
+
+			const missing = await (await rpc({ jsonrpc: '2.0', id: 5, method: 'resources/read', params: { uri: 'note://mcp-test/999999' } })).json();
+			expect(missing.error.code).toBe(-32002);
+		});
+
+		it('should charge a tool call once against the key\'s rate limit', async () => {
+			let ctx = createExecutionContext();
+			const created = await worker.fetch(authorizedRequest('http://localhost:8787/admin/keys', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ name: 'mcp-client', scopes: ['read'], rateLimit: 2 }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const { apiKey } = await created.json();
+
+			const callTool = async (id) => {
+				const callCtx = createExecutionContext();
+				const response = await worker.fetch(new Request('http://localhost:8787/c/mcp-test/mcp', {
+					method: 'POST',
+					headers: {
+						Authorization: `Bearer ${apiKey.key}`,
+						'Content-Type': 'application/json',
+						Accept: 'application/json, text/event-stream',
+					},
+					body: JSON.stringify({ jsonrpc: '2.0', id, method: 'tools/call', params: { name: 'search', arguments: { q: 'edge' } } }),
+				}), env, callCtx);
+				await waitOnExecutionContext(callCtx);
+				return response;
+			};
+
+			const first = await callTool(1);
+			expect(first.headers.get('X-RateLimit-Remaining')).toBe('1');
+			expect((await first.json()).result.isError).toBe(false);
+
+			const second = await callTool(2);
+			expect((await second.json()).result.isError).toBe(false);
+			expect((await callTool(3)).status).toBe(429);
+		});
+
+		it('should not read notes of another collection', async () => {
+			const ctx = createExecutionContext();
+			const bulk = await worker.fetch(authorizedRequest('http://localhost:8787/c/mcp-other/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Payroll runs on the 25th' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const noteId = (await bulk.json()).results[0].noteId;
+
+			const read = await (await rpc({ jsonrpc: '2.0', id: 1, method: 'resources/read', params: { uri: `note://mcp-other/${noteId}` } })).json();
+			expect(read.error.code).toBe(-32002);
+			expect(read.result).toBeUndefined();
+		});
+
+		it('should reject malformed JSON', async () => {
+			const response = await rpc(undefined, { body: '{' });
+			expect(response.status).toBe(400);
+			expect((await response.json()).error.code).toBe(-32700);
+		});
+	});
+
+	describe('Chat Endpoint', () => {
+		it('should reject a missing message', async () => {
+			const request = authorizedRequest('http://localhost:8787/chat', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ sessionId: 'session-1' }),
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toBe('Valid message content is required');
+		});
+
+		it('should reject malformed session ids', async () => {
+			const request = authorizedRequest('http://localhost:8787/chat/not%20valid!');
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+		});
+
+		it('should keep sessions inside the collection they were started in', async () => {
+			const AI = { run: async () => ({ response: 'Noted' }) };
+			const send = async (url, init = {}) => {
+				const ctx = createExecutionContext();
+				const response = await worker.fetch(authorizedRequest(url, init), { ...env, AI }, ctx);
+				await waitOnExecutionContext(ctx);
+				return response;
+			};
+			const chat = (collection) => send(`http://localhost:8787/c/${collection}/chat`, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ sessionId: 'scoped-session', message: 'Remember the launch date' }),
+			});
+
+			expect((await chat('chat-team-a')).status).toBe(200);
+			expect((await chat('chat-team-b')).status).toBe(404);
+			expect((await send('http://localhost:8787/c/chat-team-b/chat/scoped-session')).status).toBe(404);
+			expect((await send('http://localhost:8787/c/chat-team-b/chat/scoped-session', { method: 'DELETE' })).status).toBe(404);
+
+			const history = await send('http://localhost:8787/c/chat-team-a/chat/scoped-session');
+			expect(history.status).toBe(200);
+			expect((await history.json()).count).toBe(2);
+		});
+	});
+
+	describe('Collections', () => {
+		it('should serve routes under a collection prefix', async () => {
+			const request = authorizedRequest('http://localhost:8787/c/team-a/commands');
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			const data = await response.json();
+			expect(data.commands.map(command => command.id)).toContain('list_collections');
+		});
+
+		it('should reject invalid collection names', async () => {
+			const request = authorizedRequest('http://localhost:8787/search?q=test', {
+				headers: {
+					'X-Collection': 'team a',
+				},
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toBe("Collection must be 1-64 letters, digits, '-' or '_'");
+		});
+	});
+
+	describe('Duplicates', () => {
+		it('should reject exact duplicates and unknown dedupe modes', async () => {
+			let ctx = createExecutionContext();
+			await worker.fetch(authorizedRequest('http://localhost:8787/c/dedupe-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Imported once from the wiki' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			ctx = createExecutionContext();
+			const response = await worker.fetch(authorizedRequest('http://localhost:8787/c/dedupe-test/notes', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ text: '  imported ONCE from the wiki' }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(409);
+			expect((await response.json()).error).toBe('Duplicate note');
+
+			ctx = createExecutionContext();
+			const invalid = await worker.fetch(authorizedRequest('http://localhost:8787/c/dedupe-test/notes', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ text: 'Another note', dedupe: 'replace' }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(invalid.status).toBe(400);
+		});
+
+		it('should report clusters of notes stored before content hashes', async () => {
+			await env.DB.batch([
+				env.DB.prepare("INSERT INTO notes (text, collection) VALUES ('Legacy import', 'scan-test')"),
+				env.DB.prepare("INSERT INTO notes (text, collection) VALUES ('legacy   import', 'scan-test')")
+			]);
+
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(authorizedRequest('http://localhost:8787/c/scan-test/admin/duplicates/scan', {
+				method: 'POST',
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			const data = await response.json();
+			expect(data.backfilledHashes).toBe(2);
+			expect(data.exact).toHaveLength(1);
+			expect(data.exact[0].noteIds).toHaveLength(2);
+		});
+	});
+
+	describe('Query cache', () => {
+		it('should skip the query embedding for keyword retrieval that bypasses the cache', async () => {
+			let ctx = createExecutionContext();
+			await worker.fetch(authorizedRequest('http://localhost:8787/c/keyword-embedding-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Keyword retrieval matches words' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			const AI = { run: async () => ({ response: 'By words [1]', usage: { prompt_tokens: 40, completion_tokens: 4 } }) };
+			const ask = async (query) => {
+				const ctx = createExecutionContext();
+				const response = await worker.fetch(
+					authorizedRequest(`http://localhost:8787/c/keyword-embedding-test?text=keyword+retrieval&retrieval=keyword${query}`), { ...env, AI }, ctx
+				);
+				await waitOnExecutionContext(ctx);
+				expect(response.status).toBe(200);
+				return response.headers.get('Server-Timing');
+			};
+
+			expect(await ask('&cache=bypass')).not.toContain('embedding;');
+			expect(await ask('')).toContain('embedding;');
+		});
+
+		it('should answer a repeated question from the cache until notes change', async () => {
+			let ctx = createExecutionContext();
+			await worker.fetch(authorizedRequest('http://localhost:8787/c/answer-cache-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Workers run at the edge' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			const question = 'Where do Workers run?';
+			const { embedder } = getBackends(env);
+			const note = await env.DB.prepare("SELECT * FROM notes WHERE collection = 'answer-cache-test'").first();
+			await storeAnswer(env, {
+				collection: 'answer-cache-test',
+				optionsHash: await answerOptionsHash({ model: '@cf/meta/llama-3.2-1b-instruct', retrieval: 'vector', filters: {} }),
+				question,
+				embedding: (await embedder.embed([question]))[0],
+				answer: 'At the edge [1]',
+				response: { context: [], citations: [], unmatchedCitations: [], matchCount: 1, chunkMatchCount: 1 },
+				notes: [note]
+			});
+
+			ctx = createExecutionContext();
+			const response = await worker.fetch(authorizedRequest(`http://localhost:8787/c/answer-cache-test?text=${encodeURIComponent(question)}`), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			expect(response.headers.get('x-cache')).toBe('HIT');
+			const data = await response.json();
+			expect(data.answer).toBe('At the edge [1]');
+			expect(data.metadata.cache).toMatchObject({ hit: true, similarity: expect.any(Number), cachedQuestion: question });
+
+			// New notes clear the collection's answers
+			ctx = createExecutionContext();
+			await worker.fetch(authorizedRequest('http://localhost:8787/c/answer-cache-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Workers also run locally with wrangler dev' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			const { count } = await env.DB.prepare("SELECT COUNT(*) AS count FROM answer_cache WHERE collection = 'answer-cache-test'").first();
+			expect(count).toBe(0);
+		});
+
+		it('should reject unknown cache modes', async () => {
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(authorizedRequest('http://localhost:8787/?text=hello&cache=refresh'), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+		});
+	});
+
+	describe('Reconciliation', () => {
+		it('should return 404 when deleting an unknown note', async () => {
+			const request = authorizedRequest('http://localhost:8787/notes/999999', { method: 'DELETE' });
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(404);
+			const data = await response.json();
+			expect(data.error).toBe('Note not found');
+		});
+
+		it('should reject note ids that are not numbers when deleting', async () => {
+			const request = authorizedRequest('http://localhost:8787/notes/abc', { method: 'DELETE' });
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toBe('Note ID must be a positive integer');
+		});
+
+		it('should log a failed scheduled run instead of rejecting', async () => {
+			const failingEnv = {
+				...env,
+				BACKEND: 'cloudflare',
+				VECTORIZE: { getByIds: async () => { throw new Error('Vectorize unavailable'); } },
+			};
+
+			const ctx = createExecutionContext();
+			await worker.scheduled(createScheduledController(), failingEnv, ctx);
+			await waitOnExecutionContext(ctx);
+
+			const run = await env.DB.prepare('SELECT * FROM reconciliation_runs ORDER BY id DESC LIMIT 1').first();
+			expect(run.triggered_by).toBe('scheduled');
+			expect(run.status).toBe('failed');
+			expect(run.error).toBe('Vectorize unavailable');
+		});
+
+		it('should re-embed notes without vectors and delete vectors without notes', async () => {
+			let ctx = createExecutionContext();
+			const bulkResponse = await worker.fetch(authorizedRequest('http://localhost:8787/c/reconcile-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Reconciliation restores lost vectors' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const noteId = (await bulkResponse.json()).results[0].noteId;
+
+			// Lose the note's vector and leave a queued vector whose note is gone
+			const { vectors } = getBackends(env);
+			await vectors.deleteByIds([`${noteId}:0`]);
+			await vectors.upsert([{ id: '999999:0', values: [1, 0] }]);
+			await env.DB.prepare("INSERT INTO vector_deletions (vector_id, note_id) VALUES ('999999:0', 999999)").run();
+
+			ctx = createExecutionContext();
+			const response = await worker.fetch(authorizedRequest('http://localhost:8787/admin/reconcile', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ minAgeSeconds: 0, limit: 1000 }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			const { run } = await response.json();
+			expect(run.status).toBe('complete');
+			expect(run.details.reindexed).toContain(noteId);
+			expect(run.details.deletedVectors).toContain('999999:0');
+			expect(await vectors.getByIds([`${noteId}:0`, '999999:0'])).toHaveLength(1);
+
+			ctx = createExecutionContext();
+			const logResponse = await worker.fetch(authorizedRequest('http://localhost:8787/admin/reconcile'), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			const log = await logResponse.json();
+			expect(log.runs[0].id).toBe(run.id);
+		});
+
+		it('should delete vectors of notes above the highest remaining note', async () => {
+			let ctx = createExecutionContext();
+			const bulkResponse = await worker.fetch(authorizedRequest('http://localhost:8787/c/reconcile-test/notes/bulk', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify([{ text: 'Kept note for reconciliation' }, { text: 'Newest note, lost from D1' }]),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const lostId = (await bulkResponse.json()).results[1].noteId;
+
+			// Remove the newest note from D1 only, leaving its vector behind
+			await env.DB.batch([
+				env.DB.prepare('DELETE FROM note_chunks WHERE note_id = ?').bind(lostId),
+				env.DB.prepare('DELETE FROM notes WHERE id = ?').bind(lostId),
+			]);
+
+			ctx = createExecutionContext();
+			const response = await worker.fetch(authorizedRequest('http://localhost:8787/admin/reconcile', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ minAgeSeconds: 0, limit: 1000 }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			const { run } = await response.json();
+			expect(run.status).toBe('complete');
+			expect(run.details.deletedVectors).toContain(`${lostId}:0`);
+			expect(await getBackends(env).vectors.getByIds([`${lostId}:0`])).toHaveLength(0);
+		});
+
+		it('should reject invalid reconcile options', async () => {
+			const request = authorizedRequest('http://localhost:8787/admin/reconcile', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ dryRun: 'yes' }),
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toBe('dryRun must be a boolean');
+		});
+	});
+
+	describe('Authentication', () => {
+		it('should require an API key on protected routes', async () => {
+			const request = new Request('http://localhost:8787/notes');
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(401);
+			expect(response.headers.get('WWW-Authenticate')).toBe('Bearer');
+			const data = await response.json();
+			expect(data.error).toBe('API key required');
+		});
+
+		it('should keep help public', async () => {
+			const request = new Request('http://localhost:8787/help');
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(200);
+			const data = await response.json();
+			expect(data.authentication.publicEndpoints).toContain('GET /health');
+		});
+
+		it('should require the write scope to clear a chat session', async () => {
+			let ctx = createExecutionContext();
+			const created = await worker.fetch(authorizedRequest('http://localhost:8787/admin/keys', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ name: 'reader', scopes: ['read'] }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const { apiKey } = await created.json();
+
+			ctx = createExecutionContext();
+			const response = await worker.fetch(new Request('http://localhost:8787/chat/session-1', {
+				method: 'DELETE',
+				headers: { Authorization: `Bearer ${apiKey.key}` },
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(403);
+			expect((await response.json()).error).toBe("API key lacks the 'write' scope");
+		});
+
+		it('should refuse keys limited to other collections', async () => {
+			let ctx = createExecutionContext();
+			const created = await worker.fetch(authorizedRequest('http://localhost:8787/admin/keys', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ name: 'tenant-a', scopes: ['read', 'write'], collections: ['tenant-a'] }),
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			const { apiKey } = await created.json();
+			expect(apiKey.collections).toEqual(['tenant-a']);
+
+			const headers = { Authorization: `Bearer ${apiKey.key}` };
+
+			ctx = createExecutionContext();
+			const own = await worker.fetch(new Request('http://localhost:8787/c/tenant-a/notes', { headers }), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect(own.status).toBe(200);
+
+			ctx = createExecutionContext();
+			const prefixed = await worker.fetch(new Request('http://localhost:8787/c/tenant-b/notes', { headers }), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect(prefixed.status).toBe(403);
+			expect((await prefixed.json()).error).toBe("API key can't use the 'tenant-b' collection");
+
+			ctx = createExecutionContext();
+			const header = await worker.fetch(new Request('http://localhost:8787/chat/session-1', {
+				method: 'DELETE',
+				headers: { ...headers, 'X-Collection': 'tenant-b' },
+			}), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect(header.status).toBe(403);
+
+			ctx = createExecutionContext();
+			const listed = await worker.fetch(new Request('http://localhost:8787/c/tenant-a/collections', { headers }), env, ctx);
+			await waitOnExecutionContext(ctx);
+			expect((await listed.json()).collections.every(collection => collection.name === 'tenant-a')).toBe(true);
+		});
+
+		it('should reject invalid key options', async () => {
+			const request = authorizedRequest('http://localhost:8787/admin/keys', {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+				},
+				body: JSON.stringify({ name: 'ci', scopes: ['everything'] }),
+			});
+			const ctx = createExecutionContext();
+			const response = await worker.fetch(request, env, ctx);
+			await waitOnExecutionContext(ctx);
+
+			expect(response.status).toBe(400);
+			const data = await response.json();
+			expect(data.error).toBe('Scopes must be a non-empty array of: read, write, admin');
+		});
+	});
+
 	describe('404 Handler', () => {
 		it('should return 404 for unknown routes', async () => {
 			const request = new Request('http://example.com/unknown-route');
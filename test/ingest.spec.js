@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { resolveChunkOptions } from '../src/chunking';
+import { estimateBulkSubrequests, parseBulkBody, validateNoteItem } from '../src/ingest';
+import { SUBREQUEST_BUDGET } from '../src/limits';
+
+describe('Bulk ingestion', () => {
+	describe('parseBulkBody', () => {
+		it('should accept a JSON array or an object with a notes array', () => {
+			expect(parseBulkBody('[{"text":"a"},{"text":"b"}]')).toEqual([
+				{ index: 0, value: { text: 'a' } },
+				{ index: 1, value: { text: 'b' } },
+			]);
+			expect(parseBulkBody('{"notes":[{"text":"a"}]}')).toEqual([{ index: 0, value: { text: 'a' } }]);
+		});
+
+		it('should parse NDJSON line by line and flag bad lines', () => {
+			const items = parseBulkBody('{"text":"a"}\n\nnot json\n{"text":"b"}\n', 'application/x-ndjson');
+			expect(items).toEqual([
+				{ index: 0, value: { text: 'a' } },
+				{ index: 1, error: 'Invalid JSON' },
+				{ index: 2, value: { text: 'b' } },
+			]);
+		});
+
+		it('should reject JSON bodies without a notes array', () => {
+			expect(() => parseBulkBody('{"text":"a"}')).toThrow(TypeError);
+		});
+	});
+
+	describe('validateNoteItem', () => {
+		it('should give a reason for invalid items', () => {
+			expect(validateNoteItem({ text: 'ok', metadata: { tag: 'x' } })).toBeNull();
+			expect(validateNoteItem('text')).toBe('Item must be an object');
+			expect(validateNoteItem({ text: '  ' })).toBe('Valid text content is required');
+			expect(validateNoteItem({ text: 'ok', metadata: ['x'] })).toBe('Metadata must be an object');
+		});
+	});
+
+	describe('estimateBulkSubrequests', () => {
+		it('should count batches for valid items only', () => {
+			const items = parseBulkBody('[{"text":"a"},{"metadata":{}},{"text":"b"}]');
+			expect(estimateBulkSubrequests(items, resolveChunkOptions(), 100)).toEqual({ subrequests: 16, notes: 2, chunks: 2 });
+		});
+
+		it('should go over the budget when notes split into many chunks', () => {
+			const text = 'Each sentence of this note is long enough to be a chunk of its own. '.repeat(32);
+			const items = Array.from({ length: 1000 }, (_, index) => ({ index, value: { text: `${index} ${text}` } }));
+
+			const estimate = estimateBulkSubrequests(items, resolveChunkOptions({ size: 100, overlap: 0, strategy: 'sentence' }), 100);
+			expect(estimate.notes).toBe(1000);
+			expect(estimate.chunks).toBeGreaterThan(30000);
+			expect(estimate.subrequests).toBeGreaterThan(SUBREQUEST_BUDGET);
+
+			const small = estimateBulkSubrequests(items.slice(0, 10), resolveChunkOptions({ size: 100, overlap: 0, strategy: 'sentence' }), 100);
+			expect(small.subrequests).toBeLessThan(SUBREQUEST_BUDGET);
+		});
+	});
+});
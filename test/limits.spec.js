@@ -0,0 +1,12 @@
+import { describe, it, expect } from 'vitest';
+import { chunked, D1_MAX_PARAMS } from '../src/limits';
+
+describe('Limits', () => {
+	it('should split a list into groups under a size', () => {
+		expect(chunked([1, 2, 3, 4, 5], 2)).toEqual([[1, 2], [3, 4], [5]]);
+		expect(chunked([], 2)).toEqual([]);
+
+		const ids = Array.from({ length: 200 }, (_, i) => i);
+		expect(chunked(ids, D1_MAX_PARAMS).map(group => group.length)).toEqual([90, 90, 20]);
+	});
+});
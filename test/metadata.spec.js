@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { buildSqlFilter, buildVectorizeFilter, parseMetadataValue, toVectorMetadata, validateMetadata } from '../src/metadata';
+
+describe('Metadata', () => {
+	it('should normalize tags, source and author', () => {
+		const { value, error } = validateMetadata({
+			tags: ['ML', ' ml ', 'Search'],
+			source: ' wiki ',
+			author: 'ada',
+			draft: false
+		});
+
+		expect(error).toBeUndefined();
+		expect(value).toEqual({ tags: ['ml', 'search'], source: 'wiki', author: 'ada', draft: false });
+		expect(validateMetadata(undefined)).toEqual({ value: {} });
+	});
+
+	it('should reject invalid metadata', () => {
+		expect(validateMetadata([]).error).toBe('Metadata must be an object');
+		expect(validateMetadata({ tags: 'ml' }).error).toMatch(/Tags must be an array/);
+		expect(validateMetadata({ tags: [''] }).error).toMatch(/non-empty strings/);
+		expect(validateMetadata({ source: '' }).error).toBe("Metadata 'source' must be a non-empty string");
+		expect(validateMetadata({ nested: { a: 1 } }).error).toMatch(/string, number or boolean/);
+		expect(validateMetadata({ noteId: 1 }).error).toBe("Metadata key 'noteId' is reserved");
+		expect(validateMetadata({ 'bad-key': 1 }).error).toBe("Invalid metadata key 'bad-key'");
+	});
+
+	it('should add a numeric createdAt to vector metadata', () => {
+		expect(toVectorMetadata({ source: 'wiki' }, '2024-03-01 12:00:00')).toEqual({
+			source: 'wiki',
+			createdAt: Date.parse('2024-03-01T12:00:00Z')
+		});
+	});
+
+	it('should build Vectorize filters for indexed fields only', () => {
+		const createdAfter = Date.parse('2024-01-01T00:00:00Z');
+
+		expect(buildVectorizeFilter({})).toBeUndefined();
+		expect(buildVectorizeFilter({ tags: ['ml'] })).toBeUndefined();
+		expect(buildVectorizeFilter({ source: 'wiki', createdAfter })).toEqual({
+			source: { $eq: 'wiki' },
+			createdAt: { $gte: createdAfter }
+		});
+	});
+
+	it('should build SQL conditions with bound values', () => {
+		expect(buildSqlFilter({})).toEqual({ clause: '1 = 1', bindings: [] });
+
+		const { clause, bindings } = buildSqlFilter({
+			tags: ['ml'],
+			source: 'wiki',
+			createdAfter: Date.parse('2024-01-01T00:00:00Z')
+		}, 'n');
+
+		expect(clause).toBe(
+			"EXISTS (SELECT 1 FROM json_each(n.metadata, '$.tags') WHERE json_each.value = ?) AND json_extract(n.metadata, '$.source') = ? AND n.created_at >= ?"
+		);
+		expect(bindings).toEqual(['ml', 'wiki', '2024-01-01 00:00:00']);
+	});
+
+	it('should read numeric and boolean metadata literals the same way in both filters', () => {
+		expect(parseMetadataValue('2024')).toBe(2024);
+		expect(parseMetadataValue('-1.5')).toBe(-1.5);
+		expect(parseMetadataValue('true')).toBe(true);
+		expect(parseMetadataValue('1e3')).toBe('1e3');
+		expect(parseMetadataValue('wiki')).toBe('wiki');
+
+		const metadata = { year: 2024, draft: false, team: 'ml' };
+		expect(buildVectorizeFilter({ metadata })).toEqual({
+			year: { $eq: 2024 },
+			draft: { $eq: false },
+			team: { $eq: 'ml' }
+		});
+		expect(buildSqlFilter({ metadata })).toEqual({
+			clause: "json_extract(notes.metadata, '$.year') = ? AND json_extract(notes.metadata, '$.draft') = ? AND json_extract(notes.metadata, '$.team') = ?",
+			bindings: [2024, 0, 'ml']
+		});
+	});
+});
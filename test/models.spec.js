@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_MODEL_ALIAS, listModels, modelParams, resolveModel, resolveModelRegistry } from '../src/models';
+
+describe('Model registry', () => {
+	it('should resolve aliases and fall back to the default model', () => {
+		expect(resolveModel({}).model.alias).toBe(DEFAULT_MODEL_ALIAS);
+		expect(resolveModel({}, 'gemma-3-12b').model.id).toBe('@cf/google/gemma-3-12b-it');
+		expect(resolveModel({}, 'gpt-4').error).toContain('expected one of: llama, llama-70b, gemma-3-12b');
+		expect(resolveModel({}, 'toString').error).toBeDefined();
+	});
+
+	it('should apply overrides, additions and removals from MODELS', () => {
+		const env = {
+			DEFAULT_MODEL: 'llama-8b',
+			MODELS: JSON.stringify({
+				llama: { temperature: 0.2 },
+				'llama-8b': { id: '@cf/meta/llama-3.1-8b-instruct', contextWindow: 7968, maxOutputTokens: 1024 },
+				'gemma-3-12b': null
+			})
+		};
+
+		const models = listModels(env);
+		expect(models.map(model => model.alias)).toEqual(['llama', 'llama-70b', 'llama-8b']);
+		expect(models.find(model => model.default).alias).toBe('llama-8b');
+		expect(modelParams(resolveModel(env, 'llama').model)).toEqual({ max_tokens: 512, temperature: 0.2 });
+		expect(resolveModel(env, 'llama-8b').model).toMatchObject({ rateLimited: false, capabilities: { jsonMode: false, streaming: true } });
+	});
+
+	it('should reject invalid configuration', () => {
+		expect(() => resolveModelRegistry({ MODELS: '[]' })).toThrow('MODELS must be a JSON object');
+		expect(() => resolveModelRegistry({ MODELS: '{"x": {"id": "llama"}}' })).toThrow("Model 'x': id must be");
+		expect(() => resolveModelRegistry({ MODELS: '{"llama": {"maxOutputTokens": 100000}}' })).toThrow('smaller than contextWindow');
+		expect(() => resolveModelRegistry({ DEFAULT_MODEL: 'missing' })).toThrow("DEFAULT_MODEL 'missing'");
+	});
+});
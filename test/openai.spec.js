@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest';
+import {
+	chatCompletionChunk,
+	completionUsage,
+	encodeEmbedding,
+	openAIError,
+	validateChatCompletion,
+	validateEmbeddings
+} from '../src/openai';
+
+const embedder = { model: '@cf/baai/bge-base-en-v1.5', maxBatchSize: 100 };
+
+describe('OpenAI compatibility', () => {
+	it('should validate chat completions and apply request parameters within the model limit', () => {
+		const { value } = validateChatCompletion({}, {
+			model: 'llama-70b',
+			messages: [
+				{ role: 'system', content: 'Be brief' },
+				{ role: 'user', content: [{ type: 'text', text: 'What is RAG?' }] }
+			],
+			temperature: 0.1,
+			max_tokens: 100000
+		});
+
+		expect(value.model.alias).toBe('llama-70b');
+		expect(value.question).toBe('What is RAG?');
+		expect(value.params).toEqual({ temperature: 0.1, max_tokens: 1024 });
+
+		expect(validateChatCompletion({}, { messages: [{ role: 'user', content: 'hi' }] }).value.model.alias).toBe('llama');
+		expect(validateChatCompletion({}, { model: '@cf/meta/llama-3.1-70b-instruct', messages: [{ role: 'user', content: 'hi' }] }).value.model.alias)
+			.toBe('llama-70b');
+	});
+
+	it('should report the field at fault', () => {
+		expect(validateChatCompletion({}, { model: 'gpt-4o', messages: [] }).error).toMatchObject({ param: 'model', code: 'model_not_found' });
+		expect(validateChatCompletion({}, { messages: [{ role: 'tool', content: 'x' }] }).error.param).toBe('messages[0].role');
+		expect(validateChatCompletion({}, { messages: [{ role: 'system', content: 'x' }] }).error.param).toBe('messages');
+		expect(validateChatCompletion({}, { messages: [{ role: 'user', content: 'x' }], max_tokens: 0 }).error.param).toBe('max_tokens');
+		expect(validateEmbeddings(embedder, { input: [] }).error.param).toBe('input');
+		expect(validateEmbeddings(embedder, { input: 'x', model: 'text-embedding-3-small' }).error.code).toBe('model_not_found');
+		expect(validateEmbeddings(embedder, { input: 'x', model: 'bge-base-en-v1.5' }).value.inputs).toEqual(['x']);
+	});
+
+	it('should shape errors, chunks and usage like OpenAI', () => {
+		expect(openAIError('Rate limit exceeded', 429)).toEqual({
+			error: { message: 'Rate limit exceeded', type: 'rate_limit_error', param: null, code: null }
+		});
+
+		const model = { alias: 'llama' };
+		expect(chatCompletionChunk('chatcmpl-1', model, { content: 'Hi' }).choices).toEqual([
+			{ index: 0, delta: { content: 'Hi' }, logprobs: null, finish_reason: null }
+		]);
+		expect(chatCompletionChunk('chatcmpl-1', model, null, { usage: {} }).choices).toEqual([]);
+
+		expect(completionUsage(undefined, [{ content: '12345678' }], '1234')).toEqual({ prompt_tokens: 2, completion_tokens: 1, total_tokens: 3 });
+		expect(completionUsage({ prompt_tokens: 10, completion_tokens: 5 }, [], '')).toEqual({ prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 });
+	});
+
+	it('should encode embeddings as little-endian float32 base64', () => {
+		const bytes = Uint8Array.from(atob(encodeEmbedding([1, -0.5])), char => char.charCodeAt(0));
+		expect([...new Float32Array(bytes.buffer)]).toEqual([1, -0.5]);
+	});
+});
@@ -0,0 +1,45 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { ingestNotes } from '../src/ingest';
+import { resolveChunkOptions } from '../src/chunking';
+import { DEFAULT_MIN_AGE_SECONDS, DEFAULT_RECONCILE_LIMIT, findIdGaps, reconcile, validateReconcileOptions } from '../src/reconcile';
+
+describe('Reconciliation', () => {
+	it('should default and validate run options', () => {
+		expect(validateReconcileOptions(undefined).value).toEqual({
+			dryRun: false,
+			limit: DEFAULT_RECONCILE_LIMIT,
+			minAgeSeconds: DEFAULT_MIN_AGE_SECONDS
+		});
+		expect(validateReconcileOptions({ dryRun: true, limit: 10, minAgeSeconds: 0 }).value).toEqual({
+			dryRun: true,
+			limit: 10,
+			minAgeSeconds: 0
+		});
+		expect(validateReconcileOptions({ limit: 0 }).error).toBe('limit must be between 1 and 1000');
+		expect(validateReconcileOptions({ minAgeSeconds: -1 }).error).toBe('minAgeSeconds must be a non-negative integer');
+	});
+
+	it('should find note ids missing from a scanned page', () => {
+		expect(findIdGaps(0, [1, 2, 5, 7])).toEqual([3, 4, 6]);
+		expect(findIdGaps(10, [14])).toEqual([11, 12, 13]);
+		expect(findIdGaps(10, [])).toEqual([]);
+		expect(findIdGaps(10, [12], 15)).toEqual([11, 13, 14, 15]);
+		expect(findIdGaps(0, [1, 2, 5, 7], 100, 2)).toEqual([3, 4]);
+	});
+
+	it('should stop and log a partial run when the subrequest budget runs out', async () => {
+		const items = Array.from({ length: 30 }, (_, index) => ({ index, value: { text: `Budgeted reconciliation note ${index}` } }));
+		await ingestNotes(env, items, resolveChunkOptions(), 'reconcile-budget');
+
+		// Room for one lookup batch after the run's overhead
+		const run = await reconcile(env, { triggeredBy: 'api', dryRun: true, limit: 1000, minAgeSeconds: 0, budget: 13 });
+		expect(run.status).toBe('partial');
+		expect(run.notesChecked).toBeGreaterThan(0);
+		expect(run.nextCursor).toBeGreaterThan(run.cursor);
+
+		const full = await reconcile(env, { triggeredBy: 'api', dryRun: true, limit: 1000, minAgeSeconds: 0 });
+		expect(full.status).toBe('complete');
+		expect(full.notesChecked).toBeGreaterThan(run.notesChecked);
+	});
+});
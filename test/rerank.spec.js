@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest';
+import { DEFAULT_RERANK_MODEL, rerankMatches, validateRerankOptions, vectorScore } from '../src/rerank';
+
+// Reranker scoring passages by a lookup on their text, recording its inputs
+const fakeReranker = (scores) => {
+	const calls = [];
+	return {
+		calls,
+		async run(model, input) {
+			calls.push({ model, input });
+			return { response: input.contexts.map(({ text }, id) => ({ id, score: scores[text] ?? 0 })) };
+		}
+	};
+};
+
+const match = (id, score, texts) => ({
+	id,
+	score,
+	source: 'vector',
+	passages: texts.map((text, chunkIndex) => ({ chunkIndex, score, text }))
+});
+
+describe('Reranking', () => {
+	it('should validate rerank and topN', () => {
+		expect(validateRerankOptions({})).toEqual({ value: { rerank: false, topN: null } });
+		expect(validateRerankOptions({ rerank: 'true', topN: '3' })).toEqual({ value: { rerank: true, topN: 3 } });
+		expect(validateRerankOptions({ rerank: 'yes' }).error).toBe('rerank must be true or false');
+		for (const topN of ['0', '21', '2.5', 'five']) {
+			expect(validateRerankOptions({ topN }).error).toBe('topN must be an integer between 1 and 20');
+		}
+	});
+
+	it('should order matches by their best passage and keep the top N', async () => {
+		const AI = fakeReranker({ 'bananas': 0.2, 'workers run at the edge': 0.95, 'durable objects': 0.4, 'state': 0.6 });
+		const matches = [
+			match('1', 0.9, ['bananas']),
+			match('2', 0.7, ['durable objects', 'state']),
+			match('3', 0.6, ['workers run at the edge'])
+		];
+
+		const reranked = await rerankMatches({ AI }, 'where do workers run?', matches, { topN: 2 });
+
+		expect(reranked.map(result => [result.id, result.vectorScore, result.rerankScore])).toEqual([['3', 0.6, 0.95], ['2', 0.7, 0.6]]);
+		expect(reranked[1].passages.map(passage => passage.rerankScore)).toEqual([0.4, 0.6]);
+		expect(AI.calls[0]).toMatchObject({ model: DEFAULT_RERANK_MODEL, input: { query: 'where do workers run?', top_k: 4 } });
+	});
+
+	it('should use RERANK_MODEL and skip the call without matches', async () => {
+		const AI = fakeReranker({});
+		expect(await rerankMatches({ AI }, 'query', [])).toEqual([]);
+		await rerankMatches({ AI, RERANK_MODEL: '@cf/custom/reranker' }, 'query', [match('1', 0.8, ['text'])]);
+
+		expect(AI.calls.map(call => call.model)).toEqual(['@cf/custom/reranker']);
+	});
+
+	it('should report the vector score of hybrid and keyword results', () => {
+		expect(vectorScore({ source: 'vector', score: 0.8 })).toBe(0.8);
+		expect(vectorScore({ source: 'hybrid', score: 0.03, sources: { vector: { rank: 1, score: 0.7 } } })).toBe(0.7);
+		expect(vectorScore({ source: 'keyword', score: 12 })).toBeNull();
+	});
+});
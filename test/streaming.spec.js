@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { readAIStream } from '../src/streaming';
+
+describe('readAIStream', () => {
+	it('should decode payloads split across chunks and stop at [DONE]', async () => {
+		const encoder = new TextEncoder();
+		const parts = ['data: {"response":"Hel', 'lo"}\n\ndata: {"response":" world"}\n\n', 'data: [DONE]\n\ndata: {"response":"ignored"}\n\n'];
+		const stream = new ReadableStream({
+			start(controller) {
+				parts.forEach(part => controller.enqueue(encoder.encode(part)));
+				controller.close();
+			},
+		});
+
+		const payloads = [];
+		for await (const payload of readAIStream(stream)) {
+			payloads.push(payload);
+		}
+
+		expect(payloads).toEqual([{ response: 'Hello' }, { response: ' world' }]);
+	});
+
+	it('should decode a final payload without a trailing newline', async () => {
+		const encoder = new TextEncoder();
+		const parts = ['data: {"response":"Hi"}\n\n', 'data: {"usage":{"total_tokens":3}}'];
+		const stream = new ReadableStream({
+			start(controller) {
+				parts.forEach(part => controller.enqueue(encoder.encode(part)));
+				controller.close();
+			},
+		});
+
+		const payloads = [];
+		for await (const payload of readAIStream(stream)) {
+			payloads.push(payload);
+		}
+
+		expect(payloads).toEqual([{ response: 'Hi' }, { usage: { total_tokens: 3 } }]);
+	});
+});
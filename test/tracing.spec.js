@@ -0,0 +1,61 @@
+import { env } from 'cloudflare:test';
+import { describe, it, expect } from 'vitest';
+import { getQueryStats, logQuery, percentile, RequestTrace, resolveQueryLogRetention, validateTimings } from '../src/tracing';
+
+describe('Request tracing', () => {
+	it('should sum stage times and format Server-Timing', async () => {
+		const trace = new RequestTrace();
+		trace.add('vectorize', 4);
+		trace.add('embedding', 10);
+		trace.add('vectorize', 6);
+		await expect(trace.time('llm', async () => { throw new Error('down'); })).rejects.toThrow('down');
+		trace.addTokens({ prompt_tokens: 120, completion_tokens: 30 });
+		trace.addTokens({ prompt_tokens: 5, completion_tokens: 5 });
+
+		expect(trace.stages).toMatchObject({ embedding: 10, vectorize: 10, llm: expect.any(Number) });
+		expect(trace.serverTiming()).toMatch(/^embedding;dur=10, vectorize;dur=10, llm;dur=\d+, total;dur=\d+$/);
+		expect(trace.summary()).toMatchObject({ totalMs: expect.any(Number), tokens: { prompt: 125, completion: 35 } });
+	});
+
+	it('should validate options and compute nearest-rank percentiles', () => {
+		expect(validateTimings(undefined)).toEqual({ value: false });
+		expect(validateTimings('true')).toEqual({ value: true });
+		expect(validateTimings('yes').error).toBe('timings must be true or false');
+		expect(resolveQueryLogRetention({})).toBe(30);
+		expect(resolveQueryLogRetention({ QUERY_LOG_RETENTION_DAYS: '0' })).toBe(0);
+
+		const values = [10, 20, 30, 40, 50, 60, 70, 80, 90, 100];
+		expect(percentile(values, 50)).toBe(50);
+		expect(percentile(values, 95)).toBe(100);
+		expect(percentile([7], 95)).toBe(7);
+		expect(percentile([], 50)).toBeNull();
+	});
+
+	it('should log queries, expire old entries and report statistics', async () => {
+		const collection = 'tracing-unit';
+		await env.DB.prepare(
+			`INSERT INTO query_log (collection, route, query, retrieval, retrieved_ids, latency_ms, stages, created_at)
+			VALUES (?, 'query', 'stale', 'vector', '[]', 1, '{}', ?)`
+		).bind(collection, Date.now() - 40 * 24 * 60 * 60 * 1000).run();
+
+		for (const [query, latency] of [['fast', 20], ['medium', 60], ['slow', 400]]) {
+			const trace = new RequestTrace();
+			trace.startTime = Date.now() - latency;
+			trace.add('embedding', 5);
+			trace.addTokens({ prompt_tokens: 100, completion_tokens: 10 });
+			await logQuery(env, { collection, route: 'query', query, retrieval: 'vector', model: '@cf/test', retrievedIds: [1, 2], trace });
+		}
+
+		const stale = await env.DB.prepare("SELECT COUNT(*) AS count FROM query_log WHERE query = 'stale'").first();
+		expect(stale.count).toBe(0);
+
+		const stats = await getQueryStats(env.DB, collection, { hours: 24, limit: 2 });
+		expect(stats).toMatchObject({ count: 3, cacheHits: 0, sampled: false, tokens: { prompt: 300, completion: 30 } });
+		expect(stats.latency.p50).toBeGreaterThanOrEqual(60);
+		expect(stats.latency.p95).toBeGreaterThanOrEqual(400);
+		expect(stats.routes.query.count).toBe(3);
+		expect(stats.stages.embedding).toEqual({ count: 3, p50: 5, p95: 5 });
+		expect(stats.slowQueries.map(entry => entry.query)).toEqual(['slow', 'medium']);
+		expect(stats.slowQueries[0]).toMatchObject({ retrievedIds: ['1', '2'], model: '@cf/test', tokens: { prompt: 100, completion: 10 } });
+	});
+});
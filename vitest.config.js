@@ -1,12 +1,25 @@
-import { defineWorkersConfig } from '@cloudflare/vitest-pool-workers/config';
+import path from 'node:path';
+import { defineWorkersConfig, readD1Migrations } from '@cloudflare/vitest-pool-workers/config';
 
-export default defineWorkersConfig({
-	test: {
-		poolOptions: {
-			workers: {
-				wrangler: { configPath: './wrangler.jsonc' },
-				isolatedStorage: false,
+export default defineWorkersConfig(async () => {
+	// Applied to the test D1 database by test/apply-migrations.js
+	const migrations = await readD1Migrations(path.join(__dirname, 'migrations'));
+
+	return {
+		test: {
+			setupFiles: ['./test/apply-migrations.js'],
+			poolOptions: {
+				workers: {
+					wrangler: { configPath: './wrangler.jsonc' },
+					isolatedStorage: false,
+					// Test files share one D1 database, so migrations must not run concurrently
+					singleWorker: true,
+					miniflare: {
+						// The memory backend runs the real pipeline without Workers AI or Vectorize
+						bindings: { ADMIN_API_KEY: 'test-admin-key', BACKEND: 'memory', TEST_MIGRATIONS: migrations },
+					},
+				},
 			},
 		},
-	},
+	};
 });